@@ -0,0 +1,64 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Open the SQLite database and bring the schema up to date.
+// WAL mode plus a busy timeout lets several backend instances share one file.
+function openDatabase({ filename, logger }) {
+  const dbPath = filename === ':memory:' ? filename : path.resolve(__dirname, '..', filename);
+
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${parseInt(process.env.DATABASE_BUSY_TIMEOUT_MS || '5000')}`);
+  db.pragma('foreign_keys = ON');
+
+  runMigrations(db, logger);
+
+  if (logger) {
+    logger.info(`Database ready at ${dbPath}`);
+  }
+
+  return db;
+}
+
+// Apply every migration in db/migrations that has not been recorded yet.
+// Each file runs inside an IMMEDIATE transaction so concurrent instances
+// starting at the same time cannot apply the same migration twice.
+function runMigrations(db, logger) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+
+  const isApplied = db.prepare('SELECT 1 FROM schema_migrations WHERE name = ?');
+  const markApplied = db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)');
+
+  for (const file of files) {
+    const apply = db.transaction(() => {
+      if (isApplied.get(file)) {
+        return false;
+      }
+      db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+      markApplied.run(file, new Date().toISOString());
+      return true;
+    });
+
+    if (apply.immediate() && logger) {
+      logger.info(`Applied database migration: ${file}`);
+    }
+  }
+}
+
+module.exports = { openDatabase, runMigrations };
@@ -0,0 +1,30 @@
+CREATE TABLE users (
+  user_id TEXT PRIMARY KEY,
+  user_address TEXT NOT NULL,
+  address_key TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  email_key TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  registration_time TEXT NOT NULL,
+  is_active INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE delivery_status_updates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  update_id TEXT NOT NULL UNIQUE,
+  tracking_number TEXT NOT NULL,
+  location TEXT NOT NULL,
+  latitude INTEGER NOT NULL,
+  longitude INTEGER NOT NULL,
+  status INTEGER NOT NULL,
+  status_name TEXT NOT NULL,
+  signature TEXT NOT NULL,
+  ntp_server TEXT,
+  atomic_time INTEGER,
+  timezone TEXT,
+  timestamp TEXT NOT NULL
+);
+
+CREATE INDEX idx_delivery_status_updates_tracking
+  ON delivery_status_updates (tracking_number, id);
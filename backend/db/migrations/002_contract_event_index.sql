@@ -0,0 +1,49 @@
+CREATE TABLE contract_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  contract_name TEXT NOT NULL,
+  contract_address TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  subject_key TEXT,
+  related_key TEXT,
+  actor_address TEXT,
+  args TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  indexed_at TEXT NOT NULL,
+  UNIQUE (transaction_hash, log_index)
+);
+
+CREATE INDEX idx_contract_events_subject
+  ON contract_events (event_name, subject_key, block_number);
+
+CREATE INDEX idx_contract_events_related
+  ON contract_events (event_name, related_key, block_number);
+
+CREATE INDEX idx_contract_events_actor
+  ON contract_events (event_name, actor_address, block_number);
+
+CREATE INDEX idx_contract_events_block
+  ON contract_events (block_number);
+
+-- Block hashes seen by the indexer, used to detect reorgs
+CREATE TABLE indexed_blocks (
+  block_number INTEGER PRIMARY KEY,
+  block_hash TEXT NOT NULL
+);
+
+CREATE TABLE indexer_checkpoints (
+  name TEXT PRIMARY KEY,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  contract_addresses TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- Plain-text values of indexed string event arguments (mail IDs, tracking
+-- numbers, guarantee IDs), keyed by their keccak256 topic hash
+CREATE TABLE event_identifiers (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
@@ -0,0 +1,4 @@
+ALTER TABLE delivery_status_updates ADD COLUMN worker_address TEXT;
+
+CREATE INDEX idx_delivery_status_updates_worker
+  ON delivery_status_updates (worker_address, id);
@@ -0,0 +1,2 @@
+-- Events the checkpoint covers; indexing a new event type backfills it from the start block
+ALTER TABLE indexer_checkpoints ADD COLUMN event_names TEXT NOT NULL DEFAULT '{}';
@@ -0,0 +1,14 @@
+CREATE TABLE sessions (
+  session_id TEXT PRIMARY KEY,
+  user_address TEXT NOT NULL,
+  role TEXT NOT NULL,
+  refresh_token_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  refreshed_at TEXT,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  revoked_reason TEXT
+);
+
+CREATE INDEX idx_sessions_user_address
+  ON sessions (user_address);
@@ -0,0 +1,8 @@
+-- Sign-In with Ethereum nonces; each can be used for exactly one sign-in
+CREATE TABLE siwe_nonces (
+  nonce TEXT PRIMARY KEY,
+  user_address TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT
+);
@@ -0,0 +1,3 @@
+-- Link each off-chain user record to its UserRegistry registration
+ALTER TABLE users ADD COLUMN registration_tx_hash TEXT;
+ALTER TABLE users ADD COLUMN chain_synced_at TEXT;
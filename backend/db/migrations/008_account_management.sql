@@ -0,0 +1,16 @@
+-- Reversible account suspension and password bookkeeping
+ALTER TABLE users ADD COLUMN suspended_at TEXT;
+ALTER TABLE users ADD COLUMN suspended_reason TEXT;
+ALTER TABLE users ADD COLUMN password_updated_at TEXT;
+
+-- Password reset tokens; only a SHA-256 hash of each token is stored
+CREATE TABLE password_reset_tokens (
+  token_hash TEXT PRIMARY KEY,
+  user_address TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT
+);
+
+CREATE INDEX idx_password_reset_tokens_address
+  ON password_reset_tokens (user_address);
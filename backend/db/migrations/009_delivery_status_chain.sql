@@ -0,0 +1,4 @@
+-- Link locally recorded status updates to their DeliveryTracking.updateStatus transaction
+ALTER TABLE delivery_status_updates ADD COLUMN transaction_hash TEXT;
+ALTER TABLE delivery_status_updates ADD COLUMN block_number INTEGER;
+ALTER TABLE delivery_status_updates ADD COLUMN time_proof_hash TEXT;
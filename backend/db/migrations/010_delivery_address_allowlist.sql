@@ -0,0 +1,20 @@
+-- Addresses allowed to use the delivery dashboard, managed by admins
+CREATE TABLE delivery_addresses (
+  address TEXT PRIMARY KEY,
+  label TEXT,
+  added_by TEXT NOT NULL,
+  added_at TEXT NOT NULL
+);
+
+-- Every allowlist change; rows are kept after the address is removed
+CREATE TABLE delivery_address_audit (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  address TEXT NOT NULL,
+  action TEXT NOT NULL,
+  actor_address TEXT NOT NULL,
+  reason TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_delivery_address_audit_address
+  ON delivery_address_audit (address);
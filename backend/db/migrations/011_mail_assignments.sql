@@ -0,0 +1,30 @@
+-- Current courier for each mail item, set by a dispatcher
+CREATE TABLE mail_assignments (
+  mail_id TEXT PRIMARY KEY,
+  tracking_number TEXT NOT NULL,
+  worker_address TEXT NOT NULL,
+  priority TEXT NOT NULL,
+  estimated_delivery TEXT NOT NULL,
+  delivery_address TEXT,
+  assigned_by TEXT NOT NULL,
+  assigned_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_mail_assignments_worker
+  ON mail_assignments (worker_address);
+
+-- Every assignment and reassignment, oldest first
+CREATE TABLE mail_assignment_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mail_id TEXT NOT NULL,
+  worker_address TEXT NOT NULL,
+  previous_worker_address TEXT,
+  priority TEXT NOT NULL,
+  estimated_delivery TEXT NOT NULL,
+  assigned_by TEXT NOT NULL,
+  reason TEXT,
+  assigned_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_mail_assignment_history_mail
+  ON mail_assignment_history (mail_id);
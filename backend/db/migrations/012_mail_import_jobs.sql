@@ -0,0 +1,29 @@
+-- Bulk mail registration jobs created from uploaded manifests
+CREATE TABLE mail_import_jobs (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  source_format TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  total_rows INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX idx_mail_import_jobs_created_by
+  ON mail_import_jobs (created_by, created_at);
+
+-- One validated registration per manifest row and its on-chain outcome
+CREATE TABLE mail_import_rows (
+  job_id TEXT NOT NULL REFERENCES mail_import_jobs (id),
+  row_number INTEGER NOT NULL,
+  mail_id TEXT NOT NULL,
+  tracking_number TEXT NOT NULL,
+  registration TEXT NOT NULL,
+  status TEXT NOT NULL,
+  transaction_hash TEXT,
+  block_number INTEGER,
+  error TEXT,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (job_id, row_number)
+);
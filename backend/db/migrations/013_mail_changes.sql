@@ -0,0 +1,16 @@
+-- Manual MailRegistry corrections (status updates, reschedules) and why they were made
+CREATE TABLE mail_changes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mail_id TEXT NOT NULL,
+  action TEXT NOT NULL,
+  previous_value TEXT,
+  new_value TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  actor_address TEXT NOT NULL,
+  transaction_hash TEXT,
+  block_number INTEGER,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_mail_changes_mail
+  ON mail_changes (mail_id, action);
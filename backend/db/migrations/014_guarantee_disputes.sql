@@ -0,0 +1,37 @@
+-- Disputes over settled delivery guarantees, their evidence and how admins resolved them
+CREATE TABLE guarantee_disputes (
+  id TEXT PRIMARY KEY,
+  guarantee_id TEXT NOT NULL UNIQUE,
+  mail_id TEXT NOT NULL,
+  opened_by TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  outcome TEXT,
+  refund_amount TEXT,
+  resolution_notes TEXT,
+  resolved_by TEXT,
+  resolved_at TEXT,
+  transaction_hash TEXT NOT NULL,
+  block_number INTEGER,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_guarantee_disputes_status
+  ON guarantee_disputes (status, created_at);
+
+CREATE INDEX idx_guarantee_disputes_opened_by
+  ON guarantee_disputes (opened_by, created_at);
+
+CREATE TABLE guarantee_dispute_attachments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  dispute_id TEXT NOT NULL REFERENCES guarantee_disputes (id),
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  content BLOB NOT NULL,
+  uploaded_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_guarantee_dispute_attachments_dispute
+  ON guarantee_dispute_attachments (dispute_id);
@@ -0,0 +1,17 @@
+-- SLAStatusUpdated transitions driven by the backend through DeliveryGuarantee.monitorSLA
+CREATE TABLE sla_transitions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  mail_id TEXT NOT NULL,
+  guarantee_id TEXT NOT NULL,
+  previous_status TEXT NOT NULL,
+  new_status TEXT NOT NULL,
+  deadline TEXT NOT NULL,
+  seconds_remaining INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  block_number INTEGER,
+  emitted_at TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_sla_transitions_mail
+  ON sla_transitions (mail_id, id);
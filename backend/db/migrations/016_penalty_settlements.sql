@@ -0,0 +1,24 @@
+-- Penalty settlements of breached delivery guarantees, at most one per guarantee
+CREATE TABLE penalty_settlements (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guarantee_id TEXT NOT NULL UNIQUE,
+  mail_id TEXT NOT NULL,
+  customer TEXT NOT NULL,
+  penalty_amount TEXT NOT NULL,
+  deadline TEXT NOT NULL,
+  actual_delivery_time TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  source TEXT NOT NULL,
+  requested_by TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  transaction_hash TEXT,
+  block_number INTEGER,
+  notifications TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  settled_at TEXT
+);
+
+CREATE INDEX idx_penalty_settlements_status
+  ON penalty_settlements (status, updated_at);
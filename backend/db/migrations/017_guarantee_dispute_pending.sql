@@ -0,0 +1,52 @@
+-- Disputes are stored as 'pending' before disputeGuarantee is sent and get
+-- their transaction once it is mined, so transaction_hash becomes nullable.
+-- SQLite cannot drop a NOT NULL constraint, so both dispute tables are rebuilt
+-- (the attachments too, to keep their foreign key on the new table).
+ALTER TABLE guarantee_dispute_attachments RENAME TO guarantee_dispute_attachments_old;
+ALTER TABLE guarantee_disputes RENAME TO guarantee_disputes_old;
+DROP INDEX idx_guarantee_disputes_status;
+DROP INDEX idx_guarantee_disputes_opened_by;
+DROP INDEX idx_guarantee_dispute_attachments_dispute;
+
+CREATE TABLE guarantee_disputes (
+  id TEXT PRIMARY KEY,
+  guarantee_id TEXT NOT NULL UNIQUE,
+  mail_id TEXT NOT NULL,
+  opened_by TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  outcome TEXT,
+  refund_amount TEXT,
+  resolution_notes TEXT,
+  resolved_by TEXT,
+  resolved_at TEXT,
+  transaction_hash TEXT,
+  block_number INTEGER,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE guarantee_dispute_attachments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  dispute_id TEXT NOT NULL REFERENCES guarantee_disputes (id),
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  content BLOB NOT NULL,
+  uploaded_at TEXT NOT NULL
+);
+
+INSERT INTO guarantee_disputes SELECT * FROM guarantee_disputes_old;
+INSERT INTO guarantee_dispute_attachments SELECT * FROM guarantee_dispute_attachments_old;
+
+DROP TABLE guarantee_dispute_attachments_old;
+DROP TABLE guarantee_disputes_old;
+
+CREATE INDEX idx_guarantee_disputes_status
+  ON guarantee_disputes (status, created_at);
+
+CREATE INDEX idx_guarantee_disputes_opened_by
+  ON guarantee_disputes (opened_by, created_at);
+
+CREATE INDEX idx_guarantee_dispute_attachments_dispute
+  ON guarantee_dispute_attachments (dispute_id);
@@ -0,0 +1,4 @@
+-- MailRegistered events now carry the recipient ID's key as related_key.
+-- Clearing the checkpoint's event list makes the indexer backfill from the
+-- start block, which fills in the key on events indexed before this change.
+UPDATE indexer_checkpoints SET event_names = '{}' WHERE name = 'contract-events';
@@ -0,0 +1,3 @@
+-- MailRegistered events now carry the mail type from the registerMail calldata.
+-- Backfill from the start block so events indexed earlier get it as well.
+UPDATE indexer_checkpoints SET event_names = '{}' WHERE name = 'contract-events';
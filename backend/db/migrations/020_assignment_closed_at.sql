@@ -0,0 +1,16 @@
+-- Assignments are closed once their mail is delivered, so a worker's queue
+-- only reads open work. Close the ones already delivered (status 4 = DELIVERED).
+ALTER TABLE mail_assignments ADD COLUMN closed_at TEXT;
+
+UPDATE mail_assignments SET closed_at = (
+  SELECT MAX(timestamp) FROM delivery_status_updates
+  WHERE tracking_number = mail_assignments.tracking_number AND status = 4
+);
+
+DROP INDEX idx_mail_assignments_worker;
+
+CREATE INDEX idx_mail_assignments_worker
+  ON mail_assignments (worker_address, closed_at);
+
+CREATE INDEX idx_delivery_status_updates_worker_status
+  ON delivery_status_updates (worker_address, status, timestamp);
@@ -0,0 +1,129 @@
+// Mail-to-courier assignments, with a history row per (re)assignment
+
+function toAssignment(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    mailId: row.mail_id,
+    trackingNumber: row.tracking_number,
+    workerAddress: row.worker_address,
+    priority: row.priority,
+    estimatedDelivery: row.estimated_delivery,
+    deliveryAddress: row.delivery_address,
+    assignedBy: row.assigned_by,
+    assignedAt: row.assigned_at,
+    closedAt: row.closed_at
+  };
+}
+
+function toHistoryEntry(row) {
+  return {
+    id: row.id,
+    mailId: row.mail_id,
+    workerAddress: row.worker_address,
+    previousWorkerAddress: row.previous_worker_address,
+    priority: row.priority,
+    estimatedDelivery: row.estimated_delivery,
+    assignedBy: row.assigned_by,
+    reason: row.reason,
+    assignedAt: row.assigned_at
+  };
+}
+
+function createAssignmentRepository(db) {
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO mail_assignments (
+        mail_id, tracking_number, worker_address, priority, estimated_delivery,
+        delivery_address, assigned_by, assigned_at
+      ) VALUES (
+        @mailId, @trackingNumber, @workerAddress, @priority, @estimatedDelivery,
+        @deliveryAddress, @assignedBy, @assignedAt
+      )
+      ON CONFLICT (mail_id) DO UPDATE SET
+        worker_address = excluded.worker_address,
+        priority = excluded.priority,
+        estimated_delivery = excluded.estimated_delivery,
+        delivery_address = COALESCE(excluded.delivery_address, mail_assignments.delivery_address),
+        assigned_by = excluded.assigned_by,
+        assigned_at = excluded.assigned_at,
+        closed_at = NULL
+    `),
+    find: db.prepare('SELECT * FROM mail_assignments WHERE mail_id = ?'),
+    openByWorker: db.prepare('SELECT * FROM mail_assignments WHERE worker_address = ? AND closed_at IS NULL ORDER BY estimated_delivery ASC'),
+    close: db.prepare('UPDATE mail_assignments SET closed_at = ? WHERE mail_id = ? AND closed_at IS NULL'),
+    closeByTracking: db.prepare('UPDATE mail_assignments SET closed_at = ? WHERE tracking_number = ? AND closed_at IS NULL'),
+    reopen: db.prepare('UPDATE mail_assignments SET closed_at = NULL WHERE mail_id = ?'),
+    insertHistory: db.prepare(`
+      INSERT INTO mail_assignment_history (
+        mail_id, worker_address, previous_worker_address, priority, estimated_delivery,
+        assigned_by, reason, assigned_at
+      ) VALUES (
+        @mailId, @workerAddress, @previousWorkerAddress, @priority, @estimatedDelivery,
+        @assignedBy, @reason, @assignedAt
+      )
+    `),
+    history: db.prepare('SELECT * FROM mail_assignment_history WHERE mail_id = ? ORDER BY id ASC')
+  };
+
+  // Assign or reassign a mail item; returns the assignment and the worker it was taken from
+  const assign = db.transaction(({ mailId, trackingNumber, workerAddress, priority, estimatedDelivery, deliveryAddress, assignedBy, reason }) => {
+    const previous = toAssignment(statements.find.get(mailId));
+    const row = {
+      mailId,
+      trackingNumber,
+      workerAddress: workerAddress.toLowerCase(),
+      priority,
+      estimatedDelivery,
+      deliveryAddress: deliveryAddress || null,
+      assignedBy: assignedBy.toLowerCase(),
+      assignedAt: new Date().toISOString()
+    };
+
+    statements.upsert.run(row);
+    statements.insertHistory.run({
+      ...row,
+      previousWorkerAddress: previous ? previous.workerAddress : null,
+      reason: reason || null
+    });
+
+    return {
+      assignment: toAssignment(statements.find.get(mailId)),
+      previousWorkerAddress: previous ? previous.workerAddress : null
+    };
+  });
+
+  return {
+    assign,
+
+    find(mailId) {
+      return toAssignment(statements.find.get(mailId));
+    },
+
+    // A worker's open assignments (mail not yet delivered), soonest ETA first
+    listByWorker(workerAddress) {
+      return statements.openByWorker.all(workerAddress.toLowerCase()).map(toAssignment);
+    },
+
+    // Close the assignment of a delivered mail item; returns whether one was open
+    close(mailId, closedAt = new Date().toISOString()) {
+      return statements.close.run(closedAt, mailId).changes > 0;
+    },
+
+    closeByTrackingNumber(trackingNumber, closedAt = new Date().toISOString()) {
+      return statements.closeByTracking.run(closedAt, trackingNumber).changes > 0;
+    },
+
+    // Put an assignment back in the queue after a delivery was corrected
+    reopen(mailId) {
+      return statements.reopen.run(mailId).changes > 0;
+    },
+
+    getHistory(mailId) {
+      return statements.history.all(mailId).map(toHistoryEntry);
+    }
+  };
+}
+
+module.exports = { createAssignmentRepository };
@@ -0,0 +1,220 @@
+// Indexed contract events plus the indexer's checkpoints and reorg bookkeeping
+
+function parseJson(text) {
+  return text ? JSON.parse(text) : null;
+}
+
+function createContractEventRepository(db) {
+  const statements = {
+    // A re-indexed event keeps its row; only what the indexer derives (the
+    // related key, arguments copied from calldata) is refreshed
+    insertEvent: db.prepare(`
+      INSERT INTO contract_events (
+        contract_name, contract_address, event_name, subject_key, related_key, actor_address,
+        args, block_number, block_hash, transaction_hash, log_index, indexed_at
+      ) VALUES (
+        @contractName, @contractAddress, @eventName, @subjectKey, @relatedKey, @actorAddress,
+        @args, @blockNumber, @blockHash, @transactionHash, @logIndex, @indexedAt
+      )
+      ON CONFLICT (transaction_hash, log_index) DO UPDATE SET related_key = excluded.related_key, args = json_patch(contract_events.args, excluded.args)
+    `),
+    upsertBlock: db.prepare(`
+      INSERT INTO indexed_blocks (block_number, block_hash) VALUES (?, ?)
+      ON CONFLICT (block_number) DO UPDATE SET block_hash = excluded.block_hash
+    `),
+    recentBlocks: db.prepare('SELECT * FROM indexed_blocks WHERE block_number >= ? ORDER BY block_number DESC'),
+    pruneBlocks: db.prepare('DELETE FROM indexed_blocks WHERE block_number < ?'),
+    deleteEventsAfter: db.prepare('DELETE FROM contract_events WHERE block_number > ?'),
+    deleteBlocksAfter: db.prepare('DELETE FROM indexed_blocks WHERE block_number > ?'),
+    getCheckpoint: db.prepare('SELECT * FROM indexer_checkpoints WHERE name = ?'),
+    saveCheckpoint: db.prepare(`
+      INSERT INTO indexer_checkpoints (name, block_number, block_hash, contract_addresses, event_names, updated_at)
+      VALUES (@name, @blockNumber, @blockHash, @contractAddresses, @eventNames, @updatedAt)
+      ON CONFLICT (name) DO UPDATE SET
+        block_number = excluded.block_number,
+        block_hash = excluded.block_hash,
+        contract_addresses = excluded.contract_addresses,
+        event_names = excluded.event_names,
+        updated_at = excluded.updated_at
+    `),
+    insertIdentifier: db.prepare('INSERT OR IGNORE INTO event_identifiers (key, value) VALUES (?, ?)'),
+    getIdentifier: db.prepare('SELECT value FROM event_identifiers WHERE key = ?')
+  };
+
+  function saveCheckpoint(checkpoint) {
+    statements.saveCheckpoint.run({
+      name: checkpoint.name,
+      blockNumber: checkpoint.blockNumber,
+      blockHash: checkpoint.blockHash,
+      contractAddresses: JSON.stringify(checkpoint.contractAddresses),
+      eventNames: JSON.stringify(checkpoint.eventNames),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  // Replace { hash } placeholders of indexed strings with their plain-text
+  // value whenever the indexer has been able to resolve it
+  function resolveArgs(args) {
+    for (const [name, value] of Object.entries(args)) {
+      if (value && typeof value === 'object' && value.hash) {
+        const row = statements.getIdentifier.get(value.hash);
+        args[name] = row ? row.value : value;
+      }
+    }
+    return args;
+  }
+
+  function toEvent(row) {
+    return {
+      id: row.id,
+      contractName: row.contract_name,
+      contractAddress: row.contract_address,
+      eventName: row.event_name,
+      subjectKey: row.subject_key,
+      relatedKey: row.related_key,
+      actorAddress: row.actor_address,
+      args: resolveArgs(parseJson(row.args)),
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+      transactionHash: row.transaction_hash,
+      logIndex: row.log_index,
+      indexedAt: row.indexed_at
+    };
+  }
+
+  // Build the WHERE clause shared by find() and count()
+  function buildFilter(filter = {}) {
+    const clauses = [];
+    const params = {};
+    const eventNames = filter.eventNames || (filter.eventName ? [filter.eventName] : []);
+
+    if (eventNames.length > 0) {
+      clauses.push(`event_name IN (${eventNames.map((_, i) => `@eventName${i}`).join(', ')})`);
+      eventNames.forEach((name, i) => { params[`eventName${i}`] = name; });
+    }
+    if (filter.contractName) {
+      clauses.push('contract_name = @contractName');
+      params.contractName = filter.contractName;
+    }
+    if (filter.subjectKey) {
+      clauses.push('subject_key = @subjectKey');
+      params.subjectKey = filter.subjectKey;
+    }
+    if (filter.relatedKey) {
+      clauses.push('related_key = @relatedKey');
+      params.relatedKey = filter.relatedKey;
+    }
+    if (filter.actorAddress) {
+      clauses.push('actor_address = @actorAddress');
+      params.actorAddress = filter.actorAddress.toLowerCase();
+    }
+    if (filter.fromBlock !== undefined) {
+      clauses.push('block_number >= @fromBlock');
+      params.fromBlock = filter.fromBlock;
+    }
+    if (filter.toBlock !== undefined) {
+      clauses.push('block_number <= @toBlock');
+      params.toBlock = filter.toBlock;
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  return {
+    getCheckpoint(name) {
+      const row = statements.getCheckpoint.get(name);
+      if (!row) {
+        return null;
+      }
+      return {
+        name: row.name,
+        blockNumber: row.block_number,
+        blockHash: row.block_hash,
+        contractAddresses: parseJson(row.contract_addresses),
+        eventNames: parseJson(row.event_names),
+        updatedAt: row.updated_at
+      };
+    },
+
+    // Store one batch of decoded logs and advance the checkpoint atomically,
+    // so a crash mid-batch never leaves events without their checkpoint
+    saveBatch({ checkpoint, events, blocks, identifiers, pruneBelow }) {
+      const run = db.transaction(() => {
+        const indexedAt = new Date().toISOString();
+        for (const event of events) {
+          statements.insertEvent.run({
+            contractName: event.contractName,
+            contractAddress: event.contractAddress.toLowerCase(),
+            eventName: event.eventName,
+            subjectKey: event.subjectKey,
+            relatedKey: event.relatedKey,
+            actorAddress: event.actorAddress ? event.actorAddress.toLowerCase() : null,
+            args: JSON.stringify(event.args),
+            blockNumber: event.blockNumber,
+            blockHash: event.blockHash,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex,
+            indexedAt
+          });
+        }
+        for (const block of blocks) {
+          statements.upsertBlock.run(block.blockNumber, block.blockHash);
+        }
+        for (const [key, value] of identifiers || []) {
+          statements.insertIdentifier.run(key, value);
+        }
+        if (pruneBelow !== undefined) {
+          statements.pruneBlocks.run(pruneBelow);
+        }
+        saveCheckpoint(checkpoint);
+      });
+      run.immediate();
+    },
+
+    // Block hashes recorded at or above fromBlock, newest first
+    getRecentBlocks(fromBlock) {
+      return statements.recentBlocks.all(fromBlock).map(row => ({
+        blockNumber: row.block_number,
+        blockHash: row.block_hash
+      }));
+    },
+
+    // Drop everything indexed after blockNumber and move the checkpoint back to it
+    rollback(checkpoint) {
+      const run = db.transaction(() => {
+        const removed = statements.deleteEventsAfter.run(checkpoint.blockNumber).changes;
+        statements.deleteBlocksAfter.run(checkpoint.blockNumber);
+        saveCheckpoint(checkpoint);
+        return removed;
+      });
+      return run.immediate();
+    },
+
+    rememberIdentifier(key, value) {
+      statements.insertIdentifier.run(key, value);
+    },
+
+    find(filter = {}) {
+      const { where, params } = buildFilter(filter);
+      const order = filter.order === 'desc' ? 'DESC' : 'ASC';
+      const sql = `SELECT * FROM contract_events ${where}
+        ORDER BY block_number ${order}, log_index ${order}
+        LIMIT @limit OFFSET @offset`;
+      return db.prepare(sql).all({
+        ...params,
+        limit: filter.limit || -1,
+        offset: filter.offset || 0
+      }).map(toEvent);
+    },
+
+    count(filter = {}) {
+      const { where, params } = buildFilter(filter);
+      return db.prepare(`SELECT COUNT(*) AS total FROM contract_events ${where}`).get(params).total;
+    }
+  };
+}
+
+module.exports = { createContractEventRepository };
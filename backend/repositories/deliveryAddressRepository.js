@@ -0,0 +1,114 @@
+// Allowlist of delivery dashboard addresses, with an audit row per change
+
+function toDeliveryAddress(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    address: row.address,
+    label: row.label,
+    addedBy: row.added_by,
+    addedAt: row.added_at
+  };
+}
+
+function toAuditEntry(row) {
+  return {
+    id: row.id,
+    address: row.address,
+    action: row.action,
+    actorAddress: row.actor_address,
+    reason: row.reason,
+    createdAt: row.created_at
+  };
+}
+
+function createDeliveryAddressRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT OR IGNORE INTO delivery_addresses (address, label, added_by, added_at)
+      VALUES (@address, @label, @addedBy, @addedAt)
+    `),
+    remove: db.prepare('DELETE FROM delivery_addresses WHERE address = ?'),
+    find: db.prepare('SELECT * FROM delivery_addresses WHERE address = ?'),
+    list: db.prepare('SELECT * FROM delivery_addresses ORDER BY added_at ASC'),
+    insertAudit: db.prepare(`
+      INSERT INTO delivery_address_audit (address, action, actor_address, reason, created_at)
+      VALUES (@address, @action, @actorAddress, @reason, @createdAt)
+    `),
+    auditPage: db.prepare(`
+      SELECT * FROM delivery_address_audit
+      WHERE (@address IS NULL OR address = @address)
+      ORDER BY id DESC LIMIT @limit OFFSET @offset
+    `),
+    auditCount: db.prepare(`
+      SELECT COUNT(*) AS total FROM delivery_address_audit
+      WHERE (@address IS NULL OR address = @address)
+    `)
+  };
+
+  function recordAudit(address, action, actorAddress, reason, createdAt) {
+    statements.insertAudit.run({
+      address,
+      action,
+      actorAddress: actorAddress.toLowerCase(),
+      reason: reason || null,
+      createdAt
+    });
+  }
+
+  // Add the address; returns null when it is already allowlisted
+  const add = db.transaction(({ address, label, actorAddress, reason }) => {
+    const now = new Date().toISOString();
+    const key = address.toLowerCase();
+    const { changes } = statements.insert.run({
+      address: key,
+      label: label || null,
+      addedBy: actorAddress.toLowerCase(),
+      addedAt: now
+    });
+    if (changes === 0) {
+      return null;
+    }
+    recordAudit(key, 'added', actorAddress, reason, now);
+    return toDeliveryAddress(statements.find.get(key));
+  });
+
+  // Remove the address; returns false when it was not allowlisted
+  const remove = db.transaction(({ address, actorAddress, reason }) => {
+    const key = address.toLowerCase();
+    if (statements.remove.run(key).changes === 0) {
+      return false;
+    }
+    recordAudit(key, 'removed', actorAddress, reason, new Date().toISOString());
+    return true;
+  });
+
+  return {
+    add,
+    remove,
+
+    find(address) {
+      return toDeliveryAddress(statements.find.get(address.toLowerCase()));
+    },
+
+    isAllowed(address) {
+      return Boolean(statements.find.get(address.toLowerCase()));
+    },
+
+    list() {
+      return statements.list.all().map(toDeliveryAddress);
+    },
+
+    // Newest changes first, optionally for one address
+    listAudit({ address = null, limit = 50, offset = 0 } = {}) {
+      const params = { address: address ? address.toLowerCase() : null };
+      return {
+        entries: statements.auditPage.all({ ...params, limit, offset }).map(toAuditEntry),
+        total: statements.auditCount.get(params).total
+      };
+    }
+  };
+}
+
+module.exports = { createDeliveryAddressRepository };
@@ -0,0 +1,115 @@
+// Persistent delivery status history, one row per status update
+
+function toStatusUpdate(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    trackingNumber: row.tracking_number,
+    location: row.location,
+    coordinates: {
+      latitude: row.latitude,
+      longitude: row.longitude
+    },
+    status: row.status,
+    statusName: row.status_name,
+    signature: row.signature,
+    timeProof: {
+      ntpServer: row.ntp_server,
+      atomicTime: row.atomic_time,
+      timezone: row.timezone
+    },
+    timestamp: row.timestamp,
+    updateId: row.update_id,
+    workerAddress: row.worker_address,
+    transactionHash: row.transaction_hash,
+    blockNumber: row.block_number,
+    timeProofHash: row.time_proof_hash
+  };
+}
+
+function createDeliveryStatusRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO delivery_status_updates (
+        update_id, tracking_number, location, latitude, longitude, status, status_name,
+        signature, ntp_server, atomic_time, timezone, timestamp, worker_address,
+        transaction_hash, block_number, time_proof_hash
+      ) VALUES (
+        @updateId, @trackingNumber, @location, @latitude, @longitude, @status, @statusName,
+        @signature, @ntpServer, @atomicTime, @timezone, @timestamp, @workerAddress,
+        @transactionHash, @blockNumber, @timeProofHash
+      )
+    `),
+    history: db.prepare('SELECT * FROM delivery_status_updates WHERE tracking_number = ? ORDER BY id ASC'),
+    latest: db.prepare('SELECT * FROM delivery_status_updates WHERE tracking_number = ? ORDER BY id DESC LIMIT 1'),
+    all: db.prepare('SELECT * FROM delivery_status_updates ORDER BY id ASC'),
+    byWorker: db.prepare('SELECT * FROM delivery_status_updates WHERE worker_address = ? ORDER BY id ASC'),
+    countByWorkerSince: db.prepare(`
+      SELECT COUNT(*) AS count FROM delivery_status_updates
+      WHERE worker_address = ? AND status = ? AND timestamp >= ?
+    `),
+    countByWorker: db.prepare(`
+      SELECT worker_address, COUNT(*) AS updates, MAX(timestamp) AS last_update
+      FROM delivery_status_updates
+      WHERE worker_address IS NOT NULL
+      GROUP BY worker_address
+    `)
+  };
+
+  return {
+    append(update) {
+      statements.insert.run({
+        updateId: update.updateId,
+        trackingNumber: update.trackingNumber,
+        location: update.location,
+        latitude: update.coordinates.latitude,
+        longitude: update.coordinates.longitude,
+        status: update.status,
+        statusName: update.statusName,
+        signature: update.signature,
+        ntpServer: update.timeProof.ntpServer,
+        atomicTime: update.timeProof.atomicTime,
+        timezone: update.timeProof.timezone,
+        timestamp: update.timestamp,
+        workerAddress: update.workerAddress ? update.workerAddress.toLowerCase() : null,
+        transactionHash: update.transactionHash || null,
+        blockNumber: update.blockNumber ?? null,
+        timeProofHash: update.timeProofHash || null
+      });
+      return update;
+    },
+
+    getHistory(trackingNumber) {
+      return statements.history.all(trackingNumber).map(toStatusUpdate);
+    },
+
+    getLatest(trackingNumber) {
+      return toStatusUpdate(statements.latest.get(trackingNumber));
+    },
+
+    // Every recorded update, optionally only those made by one worker
+    list({ workerAddress } = {}) {
+      const rows = workerAddress
+        ? statements.byWorker.all(workerAddress.toLowerCase())
+        : statements.all.all();
+      return rows.map(toStatusUpdate);
+    },
+
+    // Number of updates to a status a worker has made since an ISO 8601 time
+    countByWorkerSince(workerAddress, status, since) {
+      return statements.countByWorkerSince.get(workerAddress.toLowerCase(), status, since).count;
+    },
+
+    // Update count and latest update time per worker, keyed by lower-case address
+    countByWorker() {
+      const counts = new Map();
+      for (const row of statements.countByWorker.all()) {
+        counts.set(row.worker_address, { updates: row.updates, lastUpdate: row.last_update });
+      }
+      return counts;
+    }
+  };
+}
+
+module.exports = { createDeliveryStatusRepository };
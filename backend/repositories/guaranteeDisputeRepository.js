@@ -0,0 +1,177 @@
+// Guarantee disputes, their evidence attachments and admin resolutions.
+// A dispute is 'pending' until its disputeGuarantee transaction is mined, then
+// 'open' until an admin resolves it.
+
+function toDispute(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    disputeId: row.id,
+    guaranteeId: row.guarantee_id,
+    mailId: row.mail_id,
+    openedBy: row.opened_by,
+    reason: row.reason,
+    status: row.status,
+    outcome: row.outcome,
+    refundAmount: row.refund_amount,
+    resolutionNotes: row.resolution_notes,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at,
+    transactionHash: row.transaction_hash,
+    blockNumber: row.block_number,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Attachment metadata; the content is only loaded by findAttachment
+function toAttachment(row) {
+  return {
+    attachmentId: row.id,
+    fileName: row.file_name,
+    contentType: row.content_type,
+    size: row.size,
+    uploadedAt: row.uploaded_at
+  };
+}
+
+function createGuaranteeDisputeRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO guarantee_disputes (
+        id, guarantee_id, mail_id, opened_by, reason, status,
+        created_at, updated_at
+      ) VALUES (
+        @id, @guaranteeId, @mailId, @openedBy, @reason, 'pending',
+        @createdAt, @createdAt
+      )
+    `),
+    open: db.prepare(`
+      UPDATE guarantee_disputes SET
+        status = 'open', transaction_hash = @transactionHash, block_number = @blockNumber, updated_at = @now
+      WHERE id = @id AND status = 'pending'
+    `),
+    deleteAttachments: db.prepare('DELETE FROM guarantee_dispute_attachments WHERE dispute_id = ?'),
+    deletePending: db.prepare("DELETE FROM guarantee_disputes WHERE id = ? AND status = 'pending'"),
+    insertAttachment: db.prepare(`
+      INSERT INTO guarantee_dispute_attachments (dispute_id, file_name, content_type, size, content, uploaded_at)
+      VALUES (@disputeId, @fileName, @contentType, @size, @content, @uploadedAt)
+    `),
+    find: db.prepare('SELECT * FROM guarantee_disputes WHERE id = ?'),
+    byGuarantee: db.prepare('SELECT * FROM guarantee_disputes WHERE guarantee_id = ?'),
+    list: db.prepare(`
+      SELECT * FROM guarantee_disputes
+      WHERE (@status IS NULL AND status != 'pending' OR status = @status)
+        AND (@openedBy IS NULL OR opened_by = @openedBy)
+      ORDER BY created_at DESC LIMIT @limit
+    `),
+    attachments: db.prepare(`
+      SELECT id, file_name, content_type, size, uploaded_at FROM guarantee_dispute_attachments
+      WHERE dispute_id = ? ORDER BY id ASC
+    `),
+    attachment: db.prepare('SELECT * FROM guarantee_dispute_attachments WHERE dispute_id = ? AND id = ?'),
+    resolve: db.prepare(`
+      UPDATE guarantee_disputes SET
+        status = 'resolved',
+        outcome = @outcome,
+        refund_amount = @refundAmount,
+        resolution_notes = @notes,
+        resolved_by = @resolvedBy,
+        resolved_at = @resolvedAt,
+        updated_at = @resolvedAt
+      WHERE id = @id AND status = 'open'
+    `)
+  };
+
+  // Store a pending dispute together with its attachments ({ fileName, contentType, content: Buffer }).
+  // Throws SQLITE_CONSTRAINT_UNIQUE when the guarantee already has a dispute.
+  const create = db.transaction(({ disputeId, guaranteeId, mailId, openedBy, reason, attachments = [] }) => {
+    const now = new Date().toISOString();
+    statements.insert.run({
+      id: disputeId,
+      guaranteeId,
+      mailId,
+      openedBy: openedBy.toLowerCase(),
+      reason,
+      createdAt: now
+    });
+    for (const attachment of attachments) {
+      statements.insertAttachment.run({
+        disputeId,
+        fileName: attachment.fileName,
+        contentType: attachment.contentType,
+        size: attachment.content.length,
+        content: attachment.content,
+        uploadedAt: now
+      });
+    }
+    return toDispute(statements.find.get(disputeId));
+  });
+
+  // Drop a pending dispute whose transaction was never mined; returns false when it is not pending
+  const removePending = db.transaction(disputeId => {
+    const dispute = statements.find.get(disputeId);
+    if (!dispute || dispute.status !== 'pending') {
+      return false;
+    }
+    statements.deleteAttachments.run(disputeId);
+    statements.deletePending.run(disputeId);
+    return true;
+  });
+
+  return {
+    create,
+    removePending,
+
+    // Mark a pending dispute open once disputeGuarantee is mined (the hash is
+    // null when only the guarantee's DISPUTED status shows it was)
+    markOpen(disputeId, { transactionHash = null, blockNumber = null } = {}) {
+      statements.open.run({ id: disputeId, transactionHash, blockNumber, now: new Date().toISOString() });
+      return toDispute(statements.find.get(disputeId));
+    },
+
+    find(disputeId) {
+      return toDispute(statements.find.get(disputeId));
+    },
+
+    findByGuarantee(guaranteeId) {
+      return toDispute(statements.byGuarantee.get(guaranteeId));
+    },
+
+    // Newest disputes first, optionally filtered by status or by who opened them.
+    // Pending disputes are only listed when asked for by status.
+    list({ status = null, openedBy = null, limit = 50 } = {}) {
+      return statements.list.all({
+        status,
+        openedBy: openedBy ? openedBy.toLowerCase() : null,
+        limit
+      }).map(toDispute);
+    },
+
+    listAttachments(disputeId) {
+      return statements.attachments.all(disputeId).map(toAttachment);
+    },
+
+    // Attachment metadata plus its content Buffer, or null
+    findAttachment(disputeId, attachmentId) {
+      const row = statements.attachment.get(disputeId, attachmentId);
+      return row ? { ...toAttachment(row), content: row.content } : null;
+    },
+
+    // Close an open dispute; returns the updated dispute, or null when it was not open
+    resolve(disputeId, { outcome, refundAmount, notes, resolvedBy }) {
+      const { changes } = statements.resolve.run({
+        id: disputeId,
+        outcome,
+        refundAmount,
+        notes,
+        resolvedBy: resolvedBy.toLowerCase(),
+        resolvedAt: new Date().toISOString()
+      });
+      return changes > 0 ? toDispute(statements.find.get(disputeId)) : null;
+    }
+  };
+}
+
+module.exports = { createGuaranteeDisputeRepository };
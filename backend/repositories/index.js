@@ -0,0 +1,34 @@
+const { createUserRepository } = require('./userRepository');
+const { createDeliveryStatusRepository } = require('./deliveryStatusRepository');
+const { createContractEventRepository } = require('./contractEventRepository');
+const { createSessionRepository } = require('./sessionRepository');
+const { createSiweNonceRepository } = require('./siweNonceRepository');
+const { createPasswordResetRepository } = require('./passwordResetRepository');
+const { createDeliveryAddressRepository } = require('./deliveryAddressRepository');
+const { createAssignmentRepository } = require('./assignmentRepository');
+const { createMailImportRepository } = require('./mailImportRepository');
+const { createMailChangeRepository } = require('./mailChangeRepository');
+const { createGuaranteeDisputeRepository } = require('./guaranteeDisputeRepository');
+const { createSlaTransitionRepository } = require('./slaTransitionRepository');
+const { createPenaltySettlementRepository } = require('./penaltySettlementRepository');
+
+// Build every repository on top of one open database handle
+function createRepositories(db) {
+  return {
+    users: createUserRepository(db),
+    deliveryStatuses: createDeliveryStatusRepository(db),
+    contractEvents: createContractEventRepository(db),
+    sessions: createSessionRepository(db),
+    siweNonces: createSiweNonceRepository(db),
+    passwordResets: createPasswordResetRepository(db),
+    deliveryAddresses: createDeliveryAddressRepository(db),
+    assignments: createAssignmentRepository(db),
+    mailImports: createMailImportRepository(db),
+    mailChanges: createMailChangeRepository(db),
+    guaranteeDisputes: createGuaranteeDisputeRepository(db),
+    slaTransitions: createSlaTransitionRepository(db),
+    penaltySettlements: createPenaltySettlementRepository(db)
+  };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,70 @@
+// Audit trail of manual MailRegistry status updates and reschedules
+
+function toChange(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    mailId: row.mail_id,
+    action: row.action,
+    previousValue: row.previous_value,
+    newValue: row.new_value,
+    reason: row.reason,
+    actorAddress: row.actor_address,
+    transactionHash: row.transaction_hash,
+    blockNumber: row.block_number,
+    createdAt: row.created_at
+  };
+}
+
+function createMailChangeRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO mail_changes (
+        mail_id, action, previous_value, new_value, reason, actor_address,
+        transaction_hash, block_number, created_at
+      ) VALUES (
+        @mailId, @action, @previousValue, @newValue, @reason, @actorAddress,
+        @transactionHash, @blockNumber, @createdAt
+      )
+    `),
+    find: db.prepare('SELECT * FROM mail_changes WHERE id = ?'),
+    byMail: db.prepare('SELECT * FROM mail_changes WHERE mail_id = ? ORDER BY id ASC'),
+    latest: db.prepare('SELECT * FROM mail_changes WHERE mail_id = ? AND action = ? ORDER BY id DESC LIMIT 1'),
+    byTransaction: db.prepare('SELECT * FROM mail_changes WHERE transaction_hash = ?')
+  };
+
+  return {
+    record({ mailId, action, previousValue = null, newValue, reason, actorAddress, transactionHash = null, blockNumber = null }) {
+      const { lastInsertRowid } = statements.insert.run({
+        mailId,
+        action,
+        previousValue: previousValue === null ? null : String(previousValue),
+        newValue: String(newValue),
+        reason,
+        actorAddress: actorAddress.toLowerCase(),
+        transactionHash,
+        blockNumber,
+        createdAt: new Date().toISOString()
+      });
+      return toChange(statements.find.get(lastInsertRowid));
+    },
+
+    // Every change to a mail item, oldest first
+    list(mailId) {
+      return statements.byMail.all(mailId).map(toChange);
+    },
+
+    // Most recent change of one kind, e.g. the current reschedule
+    latest(mailId, action) {
+      return toChange(statements.latest.get(mailId, action));
+    },
+
+    findByTransaction(transactionHash) {
+      return toChange(statements.byTransaction.get(transactionHash));
+    }
+  };
+}
+
+module.exports = { createMailChangeRepository };
@@ -0,0 +1,137 @@
+// Bulk mail import jobs and the outcome of each manifest row
+
+function toJob(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    jobId: row.id,
+    status: row.status,
+    sourceFormat: row.source_format,
+    createdBy: row.created_by,
+    totalRows: row.total_rows,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+function toImportRow(row) {
+  return {
+    row: row.row_number,
+    mailId: row.mail_id,
+    trackingNumber: row.tracking_number,
+    registration: JSON.parse(row.registration),
+    status: row.status,
+    transactionHash: row.transaction_hash,
+    blockNumber: row.block_number,
+    error: row.error,
+    updatedAt: row.updated_at
+  };
+}
+
+function createMailImportRepository(db) {
+  const statements = {
+    insertJob: db.prepare(`
+      INSERT INTO mail_import_jobs (id, status, source_format, created_by, total_rows, created_at, updated_at)
+      VALUES (@id, @status, @sourceFormat, @createdBy, @totalRows, @createdAt, @createdAt)
+    `),
+    insertRow: db.prepare(`
+      INSERT INTO mail_import_rows (job_id, row_number, mail_id, tracking_number, registration, status, updated_at)
+      VALUES (@jobId, @rowNumber, @mailId, @trackingNumber, @registration, @status, @updatedAt)
+    `),
+    findJob: db.prepare('SELECT * FROM mail_import_jobs WHERE id = ?'),
+    jobRows: db.prepare('SELECT * FROM mail_import_rows WHERE job_id = ? ORDER BY row_number ASC'),
+    rowCounts: db.prepare('SELECT status, COUNT(*) AS count FROM mail_import_rows WHERE job_id = ? GROUP BY status'),
+    jobsByCreator: db.prepare(`
+      SELECT * FROM mail_import_jobs WHERE (@createdBy IS NULL OR created_by = @createdBy)
+      ORDER BY created_at DESC LIMIT @limit
+    `),
+    unfinishedJobs: db.prepare("SELECT * FROM mail_import_jobs WHERE status IN ('queued', 'processing') ORDER BY created_at ASC"),
+    updateJobStatus: db.prepare(`
+      UPDATE mail_import_jobs SET status = @status, updated_at = @updatedAt, completed_at = @completedAt WHERE id = @id
+    `),
+    updateRow: db.prepare(`
+      UPDATE mail_import_rows SET
+        status = @status,
+        transaction_hash = COALESCE(@transactionHash, transaction_hash),
+        block_number = COALESCE(@blockNumber, block_number),
+        error = @error,
+        updated_at = @updatedAt
+      WHERE job_id = @jobId AND row_number = @rowNumber
+    `)
+  };
+
+  // Store a job and all of its validated rows as 'queued'
+  const createJob = db.transaction(({ jobId, sourceFormat, createdBy, registrations }) => {
+    const now = new Date().toISOString();
+    statements.insertJob.run({
+      id: jobId,
+      status: 'queued',
+      sourceFormat,
+      createdBy: createdBy.toLowerCase(),
+      totalRows: registrations.length,
+      createdAt: now
+    });
+    registrations.forEach((registration, i) => {
+      statements.insertRow.run({
+        jobId,
+        rowNumber: i + 1,
+        mailId: registration.mailId,
+        trackingNumber: registration.trackingNumber,
+        registration: JSON.stringify(registration),
+        status: 'queued',
+        updatedAt: now
+      });
+    });
+    return toJob(statements.findJob.get(jobId));
+  });
+
+  return {
+    createJob,
+
+    findJob(jobId) {
+      return toJob(statements.findJob.get(jobId));
+    },
+
+    getRows(jobId) {
+      return statements.jobRows.all(jobId).map(toImportRow);
+    },
+
+    // Row count per status, e.g. { queued: 3, registered: 10 }
+    countRows(jobId) {
+      return Object.fromEntries(statements.rowCounts.all(jobId).map(row => [row.status, row.count]));
+    },
+
+    // Newest jobs first, optionally only those one address created
+    listJobs({ createdBy = null, limit = 20 } = {}) {
+      return statements.jobsByCreator.all({
+        createdBy: createdBy ? createdBy.toLowerCase() : null,
+        limit
+      }).map(toJob);
+    },
+
+    listUnfinishedJobs() {
+      return statements.unfinishedJobs.all().map(toJob);
+    },
+
+    setJobStatus(jobId, status, { completed = false } = {}) {
+      const now = new Date().toISOString();
+      statements.updateJobStatus.run({ id: jobId, status, updatedAt: now, completedAt: completed ? now : null });
+    },
+
+    updateRow(jobId, rowNumber, { status, transactionHash = null, blockNumber = null, error = null }) {
+      statements.updateRow.run({
+        jobId,
+        rowNumber,
+        status,
+        transactionHash,
+        blockNumber,
+        error,
+        updatedAt: new Date().toISOString()
+      });
+    }
+  };
+}
+
+module.exports = { createMailImportRepository };
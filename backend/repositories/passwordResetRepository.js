@@ -0,0 +1,61 @@
+// Single-use password reset tokens, stored by hash
+
+function toResetToken(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    tokenHash: row.token_hash,
+    userAddress: row.user_address,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at
+  };
+}
+
+function createPasswordResetRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO password_reset_tokens (token_hash, user_address, created_at, expires_at)
+      VALUES (@tokenHash, @userAddress, @createdAt, @expiresAt)
+    `),
+    find: db.prepare('SELECT * FROM password_reset_tokens WHERE token_hash = ?'),
+    consume: db.prepare('UPDATE password_reset_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL'),
+    invalidateForAddress: db.prepare(`
+      UPDATE password_reset_tokens SET used_at = ? WHERE user_address = ? AND used_at IS NULL
+    `),
+    purgeExpired: db.prepare('DELETE FROM password_reset_tokens WHERE expires_at < ?')
+  };
+
+  return {
+    create(token) {
+      statements.insert.run({
+        tokenHash: token.tokenHash,
+        userAddress: token.userAddress.toLowerCase(),
+        createdAt: token.createdAt,
+        expiresAt: token.expiresAt
+      });
+      return this.find(token.tokenHash);
+    },
+
+    find(tokenHash) {
+      return toResetToken(statements.find.get(tokenHash));
+    },
+
+    // Mark the token used; returns false if another request used it first
+    consume(tokenHash) {
+      return statements.consume.run(new Date().toISOString(), tokenHash).changes === 1;
+    },
+
+    // Retire every outstanding token of the address, e.g. after a password change
+    invalidateForAddress(userAddress) {
+      return statements.invalidateForAddress.run(new Date().toISOString(), userAddress.toLowerCase()).changes;
+    },
+
+    purgeExpired() {
+      return statements.purgeExpired.run(new Date().toISOString()).changes;
+    }
+  };
+}
+
+module.exports = { createPasswordResetRepository };
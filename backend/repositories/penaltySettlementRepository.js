@@ -0,0 +1,119 @@
+// Penalty settlements of breached guarantees, one row per guarantee. A claim
+// only takes over a failed row or a pending one whose lease has expired, so two
+// attempts never hold the same guarantee at once; the settlement service still
+// checks the chain before paying, in case an expired attempt did pay.
+
+function toSettlement(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    guaranteeId: row.guarantee_id,
+    mailId: row.mail_id,
+    customer: row.customer,
+    penaltyAmount: row.penalty_amount,
+    deadline: row.deadline,
+    actualDeliveryTime: row.actual_delivery_time,
+    status: row.status,
+    source: row.source,
+    requestedBy: row.requested_by,
+    attempts: row.attempts,
+    transactionHash: row.transaction_hash,
+    blockNumber: row.block_number,
+    notifications: row.notifications ? JSON.parse(row.notifications) : [],
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    settledAt: row.settled_at
+  };
+}
+
+function createPenaltySettlementRepository(db) {
+  const statements = {
+    claim: db.prepare(`
+      INSERT INTO penalty_settlements (
+        guarantee_id, mail_id, customer, penalty_amount, deadline, actual_delivery_time,
+        status, source, requested_by, created_at, updated_at
+      ) VALUES (
+        @guaranteeId, @mailId, @customer, @penaltyAmount, @deadline, @actualDeliveryTime,
+        'pending', @source, @requestedBy, @now, @now
+      )
+      ON CONFLICT (guarantee_id) DO UPDATE SET
+        status = 'pending',
+        deadline = excluded.deadline,
+        actual_delivery_time = excluded.actual_delivery_time,
+        source = excluded.source,
+        requested_by = excluded.requested_by,
+        attempts = penalty_settlements.attempts + 1,
+        error = NULL,
+        updated_at = excluded.updated_at
+      WHERE penalty_settlements.status = 'failed'
+        OR (penalty_settlements.status = 'pending' AND penalty_settlements.updated_at < @leaseExpiredBefore)
+    `),
+    settle: db.prepare(`
+      UPDATE penalty_settlements SET
+        status = 'settled', transaction_hash = @transactionHash, block_number = @blockNumber,
+        error = NULL, settled_at = @now, updated_at = @now
+      WHERE guarantee_id = @guaranteeId
+    `),
+    fail: db.prepare(`
+      UPDATE penalty_settlements SET status = 'failed', error = @error, updated_at = @now
+      WHERE guarantee_id = @guaranteeId AND status = 'pending'
+    `),
+    notifications: db.prepare('UPDATE penalty_settlements SET notifications = ?, updated_at = ? WHERE guarantee_id = ?'),
+    byGuarantee: db.prepare('SELECT * FROM penalty_settlements WHERE guarantee_id = ?'),
+    list: db.prepare(`
+      SELECT * FROM penalty_settlements
+      WHERE (@status IS NULL OR status = @status)
+      ORDER BY updated_at DESC LIMIT @limit
+    `)
+  };
+
+  return {
+    // Start (or retry) the settlement of a guarantee; returns it, or null when it
+    // is settled or another attempt holds a pending claim updated after leaseExpiredBefore
+    claim({ guaranteeId, mailId, customer, penaltyAmount, deadline, actualDeliveryTime = null, source, requestedBy = null, leaseExpiredBefore }) {
+      const { changes } = statements.claim.run({
+        guaranteeId,
+        mailId,
+        customer: customer.toLowerCase(),
+        penaltyAmount,
+        deadline,
+        actualDeliveryTime,
+        source,
+        requestedBy: requestedBy ? requestedBy.toLowerCase() : null,
+        leaseExpiredBefore,
+        now: new Date().toISOString()
+      });
+      return changes > 0 ? toSettlement(statements.byGuarantee.get(guaranteeId)) : null;
+    },
+
+    markSettled(guaranteeId, { transactionHash, blockNumber = null }) {
+      statements.settle.run({ guaranteeId, transactionHash, blockNumber, now: new Date().toISOString() });
+      return toSettlement(statements.byGuarantee.get(guaranteeId));
+    },
+
+    markFailed(guaranteeId, error) {
+      statements.fail.run({ guaranteeId, error, now: new Date().toISOString() });
+      return toSettlement(statements.byGuarantee.get(guaranteeId));
+    },
+
+    // Store who was told about the settlement ([{ to, delivered, channel }])
+    recordNotifications(guaranteeId, notifications) {
+      statements.notifications.run(JSON.stringify(notifications), new Date().toISOString(), guaranteeId);
+      return toSettlement(statements.byGuarantee.get(guaranteeId));
+    },
+
+    findByGuarantee(guaranteeId) {
+      return toSettlement(statements.byGuarantee.get(guaranteeId));
+    },
+
+    // Most recently updated first, optionally by status (pending, settled or failed)
+    list({ status = null, limit = 50 } = {}) {
+      return statements.list.all({ status, limit }).map(toSettlement);
+    }
+  };
+}
+
+module.exports = { createPenaltySettlementRepository };
@@ -0,0 +1,86 @@
+// Login sessions backing access and refresh tokens, keyed by session ID
+
+function toSession(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    sessionId: row.session_id,
+    userAddress: row.user_address,
+    role: row.role,
+    refreshTokenHash: row.refresh_token_hash,
+    createdAt: row.created_at,
+    refreshedAt: row.refreshed_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    revokedReason: row.revoked_reason
+  };
+}
+
+function createSessionRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO sessions (session_id, user_address, role, refresh_token_hash, created_at, expires_at)
+      VALUES (@sessionId, @userAddress, @role, @refreshTokenHash, @createdAt, @expiresAt)
+    `),
+    findById: db.prepare('SELECT * FROM sessions WHERE session_id = ?'),
+    // Compare-and-swap on the old hash so two concurrent refreshes cannot both win
+    rotate: db.prepare(`
+      UPDATE sessions SET refresh_token_hash = @newHash, refreshed_at = @refreshedAt, expires_at = @expiresAt
+      WHERE session_id = @sessionId AND refresh_token_hash = @oldHash AND revoked_at IS NULL
+    `),
+    revoke: db.prepare(`
+      UPDATE sessions SET revoked_at = @revokedAt, revoked_reason = @reason
+      WHERE session_id = @sessionId AND revoked_at IS NULL
+    `),
+    revokeByAddress: db.prepare(`
+      UPDATE sessions SET revoked_at = @revokedAt, revoked_reason = @reason
+      WHERE user_address = @userAddress AND revoked_at IS NULL AND session_id IS NOT @exceptSessionId
+    `)
+  };
+
+  return {
+    create(session) {
+      statements.insert.run({
+        sessionId: session.sessionId,
+        userAddress: session.userAddress.toLowerCase(),
+        role: session.role,
+        refreshTokenHash: session.refreshTokenHash,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt
+      });
+      return this.findById(session.sessionId);
+    },
+
+    findById(sessionId) {
+      return toSession(statements.findById.get(sessionId));
+    },
+
+    // Returns false when the old refresh token was already used or the session was revoked
+    rotateRefreshToken(sessionId, oldHash, newHash, expiresAt) {
+      return statements.rotate.run({
+        sessionId,
+        oldHash,
+        newHash,
+        expiresAt,
+        refreshedAt: new Date().toISOString()
+      }).changes === 1;
+    },
+
+    revoke(sessionId, reason) {
+      return statements.revoke.run({ sessionId, reason, revokedAt: new Date().toISOString() }).changes;
+    },
+
+    // exceptSessionId keeps one session (e.g. the caller's) alive
+    revokeAllForAddress(userAddress, reason, exceptSessionId = null) {
+      return statements.revokeByAddress.run({
+        userAddress: userAddress.toLowerCase(),
+        exceptSessionId,
+        reason,
+        revokedAt: new Date().toISOString()
+      }).changes;
+    }
+  };
+}
+
+module.exports = { createSessionRepository };
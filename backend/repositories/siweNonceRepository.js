@@ -0,0 +1,53 @@
+// Single-use Sign-In with Ethereum nonces
+
+function toNonce(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    nonce: row.nonce,
+    userAddress: row.user_address,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at
+  };
+}
+
+function createSiweNonceRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO siwe_nonces (nonce, user_address, created_at, expires_at)
+      VALUES (@nonce, @userAddress, @createdAt, @expiresAt)
+    `),
+    find: db.prepare('SELECT * FROM siwe_nonces WHERE nonce = ?'),
+    consume: db.prepare('UPDATE siwe_nonces SET used_at = ? WHERE nonce = ? AND used_at IS NULL'),
+    purgeExpired: db.prepare('DELETE FROM siwe_nonces WHERE expires_at < ?')
+  };
+
+  return {
+    create(nonce) {
+      statements.insert.run({
+        nonce: nonce.nonce,
+        userAddress: nonce.userAddress.toLowerCase(),
+        createdAt: nonce.createdAt,
+        expiresAt: nonce.expiresAt
+      });
+      return this.find(nonce.nonce);
+    },
+
+    find(nonce) {
+      return toNonce(statements.find.get(nonce));
+    },
+
+    // Mark the nonce used; returns false if another request used it first
+    consume(nonce) {
+      return statements.consume.run(new Date().toISOString(), nonce).changes === 1;
+    },
+
+    purgeExpired() {
+      return statements.purgeExpired.run(new Date().toISOString()).changes;
+    }
+  };
+}
+
+module.exports = { createSiweNonceRepository };
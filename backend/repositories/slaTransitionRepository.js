@@ -0,0 +1,65 @@
+// SLA status transitions (SLAStatusUpdated) the backend drove through monitorSLA
+
+function toTransition(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    mailId: row.mail_id,
+    guaranteeId: row.guarantee_id,
+    previousStatus: row.previous_status,
+    newStatus: row.new_status,
+    deadline: row.deadline,
+    secondsRemaining: row.seconds_remaining,
+    transactionHash: row.transaction_hash,
+    blockNumber: row.block_number,
+    emittedAt: row.emitted_at,
+    createdAt: row.created_at
+  };
+}
+
+function createSlaTransitionRepository(db) {
+  const statements = {
+    insert: db.prepare(`
+      INSERT INTO sla_transitions (
+        mail_id, guarantee_id, previous_status, new_status, deadline, seconds_remaining,
+        transaction_hash, block_number, emitted_at, created_at
+      ) VALUES (
+        @mailId, @guaranteeId, @previousStatus, @newStatus, @deadline, @secondsRemaining,
+        @transactionHash, @blockNumber, @emittedAt, @createdAt
+      )
+    `),
+    find: db.prepare('SELECT * FROM sla_transitions WHERE id = ?'),
+    list: db.prepare(`
+      SELECT * FROM sla_transitions
+      WHERE (@mailId IS NULL OR mail_id = @mailId) AND (@newStatus IS NULL OR new_status = @newStatus)
+      ORDER BY id DESC LIMIT @limit
+    `)
+  };
+
+  return {
+    record({ mailId, guaranteeId, previousStatus, newStatus, deadline, secondsRemaining, transactionHash, blockNumber = null, emittedAt }) {
+      const { lastInsertRowid } = statements.insert.run({
+        mailId,
+        guaranteeId,
+        previousStatus,
+        newStatus,
+        deadline,
+        secondsRemaining,
+        transactionHash,
+        blockNumber,
+        emittedAt,
+        createdAt: new Date().toISOString()
+      });
+      return toTransition(statements.find.get(lastInsertRowid));
+    },
+
+    // Newest transitions first, optionally for one mail or into one status
+    list({ mailId = null, newStatus = null, limit = 50 } = {}) {
+      return statements.list.all({ mailId, newStatus, limit }).map(toTransition);
+    }
+  };
+}
+
+module.exports = { createSlaTransitionRepository };
@@ -0,0 +1,131 @@
+// Persistent user accounts, keyed by lower-cased wallet address
+
+function duplicateUserError(field) {
+  const error = new Error(field === 'email'
+    ? 'Email address is already registered'
+    : 'User with this wallet address is already registered');
+  error.code = 'DUPLICATE_USER';
+  error.field = field;
+  return error;
+}
+
+function toUser(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    userId: row.user_id,
+    userAddress: row.user_address,
+    name: row.name,
+    email: row.email,
+    passwordHash: row.password_hash,
+    registrationTime: row.registration_time,
+    isActive: row.is_active === 1,
+    registrationTxHash: row.registration_tx_hash,
+    chainSyncedAt: row.chain_synced_at,
+    suspendedAt: row.suspended_at,
+    suspendedReason: row.suspended_reason,
+    passwordUpdatedAt: row.password_updated_at
+  };
+}
+
+function createUserRepository(db) {
+  const statements = {
+    findByAddress: db.prepare('SELECT * FROM users WHERE address_key = ?'),
+    findByEmail: db.prepare('SELECT * FROM users WHERE email_key = ?'),
+    insert: db.prepare(`
+      INSERT INTO users (
+        user_id, user_address, address_key, name, email, email_key, password_hash,
+        registration_time, is_active, registration_tx_hash, chain_synced_at
+      ) VALUES (
+        @userId, @userAddress, @addressKey, @name, @email, @emailKey, @passwordHash,
+        @registrationTime, @isActive, @registrationTxHash, @chainSyncedAt
+      )
+    `),
+    syncFromChain: db.prepare(`
+      UPDATE users SET name = @name, is_active = @isActive, chain_synced_at = @chainSyncedAt
+      WHERE address_key = @addressKey
+    `),
+    updatePassword: db.prepare(`
+      UPDATE users SET password_hash = @passwordHash, password_updated_at = @updatedAt
+      WHERE address_key = @addressKey
+    `),
+    setSuspension: db.prepare(`
+      UPDATE users SET suspended_at = @suspendedAt, suspended_reason = @reason
+      WHERE address_key = @addressKey
+    `)
+  };
+
+  return {
+    findByAddress(userAddress) {
+      return toUser(statements.findByAddress.get(userAddress.toLowerCase()));
+    },
+
+    findByEmail(email) {
+      return toUser(statements.findByEmail.get(email.toLowerCase()));
+    },
+
+    existsByAddress(userAddress) {
+      return Boolean(statements.findByAddress.get(userAddress.toLowerCase()));
+    },
+
+    // Insert a new user. The UNIQUE constraints are the real guard against
+    // duplicates, so two instances racing on the same address or email
+    // cannot both succeed.
+    create(user) {
+      try {
+        statements.insert.run({
+          userId: user.userId,
+          userAddress: user.userAddress,
+          addressKey: user.userAddress.toLowerCase(),
+          name: user.name,
+          email: user.email,
+          emailKey: user.email.toLowerCase(),
+          passwordHash: user.passwordHash,
+          registrationTime: user.registrationTime,
+          isActive: user.isActive === false ? 0 : 1,
+          registrationTxHash: user.registrationTxHash || null,
+          chainSyncedAt: user.chainSyncedAt || null
+        });
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+          throw duplicateUserError(error.message.includes('email_key') ? 'email' : 'address');
+        }
+        throw error;
+      }
+      return this.findByAddress(user.userAddress);
+    },
+
+    // Overwrite the fields UserRegistry owns with the on-chain values
+    syncFromChain(userAddress, profile) {
+      statements.syncFromChain.run({
+        addressKey: userAddress.toLowerCase(),
+        name: profile.name,
+        isActive: profile.isActive ? 1 : 0,
+        chainSyncedAt: new Date().toISOString()
+      });
+      return this.findByAddress(userAddress);
+    },
+
+    updatePassword(userAddress, passwordHash) {
+      statements.updatePassword.run({
+        addressKey: userAddress.toLowerCase(),
+        passwordHash,
+        updatedAt: new Date().toISOString()
+      });
+      return this.findByAddress(userAddress);
+    },
+
+    // Suspend with a reason, or lift the suspension with suspended = false
+    setSuspension(userAddress, suspended, reason = null) {
+      statements.setSuspension.run({
+        addressKey: userAddress.toLowerCase(),
+        suspendedAt: suspended ? new Date().toISOString() : null,
+        reason: suspended ? reason : null
+      });
+      return this.findByAddress(userAddress);
+    }
+  };
+}
+
+module.exports = { createUserRepository };
@@ -0,0 +1,183 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { parsePagination, paginationInfo } = require('../services/pagination');
+const router = express.Router();
+
+// Import logger and repositories from main server
+let logger, repositories, sessions;
+
+// Initialize dependencies (will be set by server.js)
+function initializeDependencies(deps) {
+  logger = deps.logger;
+  repositories = deps.repositories;
+  sessions = deps.sessions;
+}
+
+// GET /api/admin/delivery-addresses - List allowlisted delivery addresses
+router.get('/delivery-addresses', (req, res) => {
+  try {
+    const addresses = repositories.deliveryAddresses.list();
+
+    res.json({
+      success: true,
+      data: {
+        addresses,
+        total: addresses.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('List delivery addresses failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list delivery addresses',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/delivery-addresses/audit - Allowlist change history, newest first
+// Optional query: address, page, pageSize
+router.get('/delivery-addresses/audit', (req, res) => {
+  try {
+    const { address } = req.query;
+
+    if (address && !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    const pagination = parsePagination(req.query, { defaultPageSize: 50 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error
+      });
+    }
+
+    const { entries, total } = repositories.deliveryAddresses.listAudit({
+      address: address || null,
+      limit: pagination.pageSize,
+      offset: pagination.offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: paginationInfo(pagination, total)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get delivery address audit failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get delivery address audit',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/delivery-addresses - Allowlist a delivery address
+// Body: { address, label, reason }
+router.post('/delivery-addresses', (req, res) => {
+  try {
+    const { address, label, reason } = req.body;
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid Ethereum address is required'
+      });
+    }
+
+    const entry = repositories.deliveryAddresses.add({
+      address,
+      label,
+      reason,
+      actorAddress: req.auth.userAddress
+    });
+
+    if (!entry) {
+      return res.status(409).json({
+        success: false,
+        error: 'Address is already allowlisted'
+      });
+    }
+
+    logger.info(`Delivery address ${address} allowlisted by ${req.auth.userAddress}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery address added successfully',
+      data: entry
+    });
+
+  } catch (error) {
+    logger.error('Add delivery address failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add delivery address',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/admin/delivery-addresses/:address - Remove a delivery address
+// Body (optional): { reason }. The address's sessions are revoked.
+router.delete('/delivery-addresses/:address', (req, res) => {
+  try {
+    const { address } = req.params;
+    const { reason } = req.body || {};
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    const removed = repositories.deliveryAddresses.remove({
+      address,
+      reason,
+      actorAddress: req.auth.userAddress
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Address is not allowlisted'
+      });
+    }
+
+    const revokedSessions = sessions.revokeAllSessions(address, `delivery_address_removed_by:${req.auth.userAddress}`);
+
+    logger.info(`Delivery address ${address} removed by ${req.auth.userAddress}`);
+
+    res.json({
+      success: true,
+      message: 'Delivery address removed successfully',
+      data: {
+        address: address.toLowerCase(),
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Remove delivery address failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove delivery address',
+      message: error.message
+    });
+  }
+});
+
+// Contract methods each endpoint calls, checked against the ABIs at startup
+router.contractCalls = [];
+
+router.initializeDependencies = initializeDependencies;
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { DELIVERY_STATUS, statusName } = require('../services/deliveryStatus');
+const { ROLES } = require('../services/sessions');
+const router = express.Router();
+
+// Import logger, contracts and repositories from main server
+let logger, contracts, repositories;
+
+// Initialize dependencies (will be set by server.js)
+function initializeDependencies(deps) {
+  logger = deps.logger;
+  contracts = deps.contracts;
+  repositories = deps.repositories;
+}
+
+// Assignment priorities, in the order of the MailRegistry metadata priority (0-2)
+const PRIORITIES = ['low', 'normal', 'high'];
+
+// Helper function to get mail registry contract instance
+function getMailRegistryContract() {
+  if (!contracts.mailRegistry) {
+    throw new Error('MailRegistry contract not initialized');
+  }
+  return contracts.mailRegistry;
+}
+
+// Helper function to get delivery tracking contract instance
+function getDeliveryTrackingContract() {
+  if (!contracts.deliveryTracking) {
+    throw new Error('DeliveryTracking contract not initialized');
+  }
+  return contracts.deliveryTracking;
+}
+
+// Helper function to count a worker's deliveries since local midnight
+function countCompletedToday(workerAddress) {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+
+  return repositories.deliveryStatuses.countByWorkerSince(workerAddress, DELIVERY_STATUS.DELIVERED, startOfDay.toISOString());
+}
+
+// Helper function to combine an assignment with the mail's current chain state
+async function formatAssignedPackage(assignment) {
+  const details = await getMailRegistryContract().getMailDetails(assignment.mailId);
+  const latestUpdate = repositories.deliveryStatuses.getLatest(assignment.trackingNumber);
+
+  return {
+    ...assignment,
+    recipientId: details[2],
+    status: statusName(details[4]),
+    statusCode: Number(details[4]),
+    guaranteedDeliveryTime: new Date(Number(details[7]) * 1000).toISOString(),
+    lastUpdate: latestUpdate ? latestUpdate.timestamp : null,
+    currentLocation: latestUpdate ? latestUpdate.location : null
+  };
+}
+
+// POST /api/assignments - Assign or reassign a mail item to a registered worker
+// Body: { mailId, workerAddress, priority, estimatedDelivery, deliveryAddress, reason }
+// priority defaults to the mail's registered priority, estimatedDelivery to its guaranteed delivery time
+router.post('/', async (req, res) => {
+  try {
+    const { mailId, workerAddress, priority, estimatedDelivery, deliveryAddress, reason } = req.body;
+
+    if (!mailId || !workerAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: mailId, workerAddress'
+      });
+    }
+
+    if (!ethers.isAddress(workerAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid worker address format'
+      });
+    }
+
+    if (priority !== undefined && !PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid priority. Must be one of: ${PRIORITIES.join(', ')}`
+      });
+    }
+
+    if (estimatedDelivery !== undefined && isNaN(new Date(estimatedDelivery).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid estimatedDelivery. Must be an ISO 8601 date'
+      });
+    }
+
+    const mailRegistry = getMailRegistryContract();
+
+    if (!(await mailRegistry.mailExists(mailId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mail not found'
+      });
+    }
+
+    const details = await mailRegistry.getMailDetails(mailId);
+    if (Number(details[4]) === DELIVERY_STATUS.DELIVERED) {
+      return res.status(409).json({
+        success: false,
+        error: 'Mail has already been delivered'
+      });
+    }
+
+    const [isAuthorized] = await getDeliveryTrackingContract().getWorkerInfo(workerAddress);
+    if (!isAuthorized) {
+      return res.status(400).json({
+        success: false,
+        error: 'Worker is not authorized in DeliveryTracking'
+      });
+    }
+
+    let assignedPriority = priority;
+    if (!assignedPriority) {
+      const [, , registeredPriority] = await mailRegistry.getMailMetadata(mailId);
+      assignedPriority = PRIORITIES[Number(registeredPriority)] || 'normal';
+    }
+
+    const { assignment, previousWorkerAddress } = repositories.assignments.assign({
+      mailId,
+      trackingNumber: details[0],
+      workerAddress,
+      priority: assignedPriority,
+      estimatedDelivery: estimatedDelivery
+        ? new Date(estimatedDelivery).toISOString()
+        : new Date(Number(details[7]) * 1000).toISOString(),
+      deliveryAddress,
+      assignedBy: req.auth.userAddress,
+      reason
+    });
+
+    logger.info(`Mail ${mailId} assigned to ${assignment.workerAddress} by ${req.auth.userAddress}` +
+      (previousWorkerAddress ? ` (previously ${previousWorkerAddress})` : ''));
+
+    res.status(201).json({
+      success: true,
+      message: previousWorkerAddress ? 'Mail reassigned successfully' : 'Mail assigned successfully',
+      data: {
+        ...assignment,
+        previousWorkerAddress
+      }
+    });
+
+  } catch (error) {
+    logger.error('Assign mail failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign mail',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/assignments/worker/:workerAddress - A worker's open delivery queue
+// Highest priority first, then soonest ETA. Workers can only read their own queue.
+router.get('/worker/:workerAddress', async (req, res) => {
+  try {
+    const { workerAddress } = req.params;
+
+    if (!ethers.isAddress(workerAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    if (req.auth.role !== ROLES.ADMIN && req.auth.userAddress.toLowerCase() !== workerAddress.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view your own assignments',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const assigned = await Promise.all(repositories.assignments.listByWorker(workerAddress).map(formatAssignedPackage));
+
+    // Mail delivered without going through the backend is closed here instead
+    for (const pkg of assigned.filter(pkg => pkg.statusCode === DELIVERY_STATUS.DELIVERED)) {
+      repositories.assignments.close(pkg.mailId);
+    }
+
+    const assignedPackages = assigned
+      .filter(pkg => pkg.statusCode !== DELIVERY_STATUS.DELIVERED)
+      .sort((a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority) ||
+        new Date(a.estimatedDelivery) - new Date(b.estimatedDelivery));
+
+    res.json({
+      success: true,
+      data: {
+        workerAddress: workerAddress.toLowerCase(),
+        assignedPackages,
+        totalAssigned: assignedPackages.length,
+        completedToday: countCompletedToday(workerAddress)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get worker assignments failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get worker assignments',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/assignments/:mailId/history - Every assignment of a mail item, oldest first
+router.get('/:mailId/history', (req, res) => {
+  try {
+    const { mailId } = req.params;
+
+    const history = repositories.assignments.getHistory(mailId);
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mail has never been assigned'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        mailId,
+        current: repositories.assignments.find(mailId),
+        history
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get assignment history failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get assignment history',
+      message: error.message
+    });
+  }
+});
+
+// Contract methods each endpoint calls, checked against the ABIs at startup
+router.contractCalls = [
+  { method: 'post', path: '/', calls: ['mailRegistry.mailExists', 'mailRegistry.getMailDetails', 'mailRegistry.getMailMetadata', 'deliveryTracking.getWorkerInfo'] },
+  { method: 'get', path: '/worker/:workerAddress', calls: ['mailRegistry.getMailDetails'] },
+  { method: 'get', path: '/:mailId/history', calls: [] }
+];
+
+router.initializeDependencies = initializeDependencies;
+module.exports = router;
@@ -1,12 +1,15 @@
 const express = require('express');
-const { ethers } = require('hardhat');
+const { ethers } = require('ethers');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
-const { sign } = require('crypto');
+const { createDeliveryMetrics } = require('../services/deliveryMetrics');
+const { identifierKey } = require('../services/eventIndexer');
+const { DELIVERY_STATUSES, DELIVERY_STATUS, parseDeliveryStatus, statusName } = require('../services/deliveryStatus');
+const { parsePagination, paginationInfo } = require('../services/pagination');
+const { ROLES } = require('../services/sessions');
 
 // Dependencies injected from server.js
-let logger, contracts, provider, signer, userSigner, workerSigner;
+let logger, contracts, provider, signer, userSigner, workerSigner, transactionManager, repositories, sessions;
+let deliveryMetrics;
 
 // Initialize dependencies
 function initializeDependencies(deps) {
@@ -16,30 +19,51 @@ function initializeDependencies(deps) {
     signer = deps.signer;
     userSigner = deps.userSigner;
     workerSigner = deps.workerSigner;
-
+    transactionManager = deps.transactionManager;
+    repositories = deps.repositories;
+    sessions = deps.sessions;
+    deliveryMetrics = createDeliveryMetrics({ contracts, repositories, logger });
 }
 
-function loadContractAddresses() {
-    let contractAddresses = {};
-    try {
-        // Priority: sepolia-addresses.json > addresses.json
-        const sepoliaPath = path.join(__dirname, '../sepolia-addresses.json');
-        const addressesPath = path.join(__dirname, '../addresses.json');
-
-        if (fs.existsSync(sepoliaPath)) {
-            contractAddresses = JSON.parse(fs.readFileSync(sepoliaPath, 'utf8'));
-            console.log("\nLoaded Sepolia addresses");
-        } else if (fs.existsSync(addressesPath)) {
-            contractAddresses = JSON.parse(fs.readFileSync(addressesPath, 'utf8'));
-            console.log("\nLoaded addresses (verify network)");
-        } else {
-            throw new Error("No deployment addresses found");
-        }
-    } catch (error) {
-        console.error("Could not load addresses. Run: npm run deploy:sepolia");
+// Helper function to parse a time range bound (ISO date or unix seconds) into unix seconds
+function parseTimeBound(value) {
+    if (value === undefined || value === '') {
         return null;
     }
-    return contractAddresses;
+    const seconds = /^\d+$/.test(value) ? parseInt(value) : Math.floor(new Date(value).getTime() / 1000);
+    return Number.isNaN(seconds) ? undefined : seconds;
+}
+
+// Helper function to validate the shared ?from=&to=&workerAddress= query
+function parseMetricsQuery(query) {
+    const from = parseTimeBound(query.from);
+    const to = parseTimeBound(query.to);
+
+    if (from === undefined || to === undefined) {
+        return { error: 'Invalid time range. Use ISO dates or unix timestamps for from and to' };
+    }
+    if (from !== null && to !== null && from > to) {
+        return { error: 'Invalid time range. from must be before to' };
+    }
+    if (query.workerAddress && !ethers.isAddress(query.workerAddress)) {
+        return { error: 'Invalid worker address format' };
+    }
+
+    return { from, to, workerAddress: query.workerAddress || null };
+}
+
+// Helper function to format DeliveryTracking.getWorkerInfo
+function formatWorker(workerAddress, workerInfo) {
+    const [isAuthorized, name, workerType, registrationTime, totalUpdates] = workerInfo;
+    return {
+        workerAddress: ethers.getAddress(workerAddress),
+        isRegistered: registrationTime > 0n,
+        isAuthorized,
+        name,
+        workerType,
+        registrationTime: registrationTime > 0n ? new Date(Number(registrationTime) * 1000).toISOString() : null,
+        totalUpdates: Number(totalUpdates)
+    };
 }
 
 // Helper function to get delivery tracking contract instance
@@ -53,52 +77,35 @@ function getDeliveryTrackingContract(customSigner = null) {
     return contracts.deliveryTracking;
 }
 
-// Helper function for nonce management
-async function getNextNonce(signerAddress) {
-    try {
-        const currentNonce = await provider.getTransactionCount(signerAddress, 'latest');
-        const pendingNonce = await provider.getTransactionCount(signerAddress, 'pending');
-
-        // 基础nonce
-        const baseNonce = Math.max(currentNonce, pendingNonce);
-
-        // 添加基于时间戳的随机偏移（小范围）
-        const timestamp = Date.now();
-        const randomOffset = timestamp % 10; // 0-9的随机偏移
-
-        return baseNonce + randomOffset;
-    } catch (error) {
-        logger.error('Error getting nonce:', error);
-        throw error;
-    }
+// Helper function to sign a status update with the worker signer when the client sent no signature
+async function signStatusUpdate(trackingNumber, location, coordinates, status, timeProof) {
+    const digest = ethers.solidityPackedKeccak256(
+        ['string', 'string', 'int256', 'int256', 'uint8', 'uint256'],
+        [trackingNumber, location, coordinates.latitude, coordinates.longitude, status, timeProof.atomicTime]
+    );
+    return workerSigner.signMessage(ethers.getBytes(digest));
 }
 
-// Helper function for transaction execution with nonce retry
-async function executeWithNonceRetry(transactionFunction, signerAddress, maxRetries = 5) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const nonce = await getNextNonce(signerAddress);
-            logger.info(`Transaction attempt ${attempt}, using nonce: ${nonce}`);
-
-            const tx = await transactionFunction(nonce);
-            return tx;
-        } catch (error) {
-            logger.warn(`Transaction attempt ${attempt} failed:`, error.message);
-
-            if (attempt === maxRetries) {
-                throw new Error(`Transaction failed after ${maxRetries} attempts: ${error.message}`);
-            }
-
-            // Wait before retry
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+// Helper function to find the StatusUpdated event in an updateStatus receipt
+function findStatusUpdatedEvent(receipt) {
+    const deliveryTrackingContract = getDeliveryTrackingContract();
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== deliveryTrackingContract.target.toLowerCase()) {
+            continue;
+        }
+        const parsed = deliveryTrackingContract.interface.parseLog(log);
+        if (parsed && parsed.name === 'StatusUpdated') {
+            return parsed;
         }
     }
+    return null;
 }
 
-// In-memory delivery status tracking for demo purposes
-const deliveryStatuses = new Map();
-
-// POST /update-status - Update delivery status
+// POST /update-status - Record a delivery status update on chain (DeliveryTracking.updateStatus)
+// Body: { trackingNumber, location, status, coordinates: { latitude, longitude }, signature,
+//         timeData: { ntpServer, atomicTime, timezone }, workerAddress }
+// The update is recorded for the signed-in worker; workerAddress may name someone else only for admins.
+// The transaction is sent by the worker signer; without a signature the worker signer signs the update.
 router.post('/update-status', async (req, res) => {
     try {
         const {
@@ -107,7 +114,8 @@ router.post('/update-status', async (req, res) => {
             coordinates,
             status,
             signature,
-            timeData
+            timeData,
+            workerAddress
         } = req.body;
 
         // Validate required fields
@@ -118,26 +126,50 @@ router.post('/update-status', async (req, res) => {
             });
         }
 
-        // Status mapping: convert string status to enum number
-        const statusMapping = {
-            'pending': 0,
-            'collected': 1,
-            'in_transit': 2,
-            'delivered': 3
-        };
+        if (workerAddress && !ethers.isAddress(workerAddress)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid worker address format'
+            });
+        }
+
+        // Updates are credited to the caller; only admins may record one for another worker
+        if (workerAddress && req.auth.role !== ROLES.ADMIN && workerAddress.toLowerCase() !== req.auth.userAddress.toLowerCase()) {
+            return res.status(403).json({
+                success: false,
+                error: 'workerAddress must be your own address',
+                code: 'FORBIDDEN'
+            });
+        }
 
-        const statusEnum = statusMapping[status.toLowerCase()];
-        if (statusEnum === undefined) {
+        const statusEnum = parseDeliveryStatus(status);
+        if (statusEnum === -1) {
             return res.status(400).json({
                 success: false,
-                error: `Invalid status. Must be one of: ${Object.keys(statusMapping).join(', ')}`
+                error: `Invalid status. Must be one of: ${DELIVERY_STATUSES.join(', ')} or 0-${DELIVERY_STATUSES.length - 1}`
+            });
+        }
+
+        const latitude = Number(coordinates?.latitude || 0);
+        const longitude = Number(coordinates?.longitude || 0);
+        if (Number.isNaN(latitude) || Number.isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid coordinates. Latitude must be within ±90 and longitude within ±180'
+            });
+        }
+
+        if (signature && !ethers.isHexString(signature)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid signature format. Expected a 0x-prefixed hex string'
             });
         }
 
         // Prepare coordinates in the correct format (multiply by 1,000,000 for precision)
         const formattedCoordinates = {
-            latitude: Math.floor((coordinates?.latitude || 0) * 1000000),
-            longitude: Math.floor((coordinates?.longitude || 0) * 1000000)
+            latitude: Math.floor(latitude * 1000000),
+            longitude: Math.floor(longitude * 1000000)
         };
 
         const timeProof = {
@@ -146,40 +178,63 @@ router.post('/update-status', async (req, res) => {
             timezone: timeData?.timezone || 'UTC'
         };
 
-        // Store status update in memory
-        const statusUpdate = {
+        const updateSignature = signature || await signStatusUpdate(trackingNumber, location, formattedCoordinates, statusEnum, timeProof);
+
+        logger.info(`Updating delivery status for tracking: ${trackingNumber}, status: ${DELIVERY_STATUSES[statusEnum]}, location: ${location}`);
+
+        const tx = await transactionManager.submit(workerSigner, getDeliveryTrackingContract(), 'updateStatus', [
+            trackingNumber,
+            location,
+            formattedCoordinates,
+            statusEnum,
+            updateSignature,
+            timeProof
+        ]);
+        logger.info(`Delivery status update transaction sent: ${tx.hash}`);
+
+        const receipt = await tx.wait();
+        const statusUpdated = findStatusUpdatedEvent(receipt);
+        const block = await provider.getBlock(receipt.blockNumber);
+
+        // Keep a local copy; it records which worker asked for the update
+        const statusUpdate = repositories.deliveryStatuses.append({
             trackingNumber,
             location,
             coordinates: formattedCoordinates,
             status: statusEnum,
-            statusName: status.toLowerCase(),
-            signature: signature || '0x',
+            statusName: DELIVERY_STATUSES[statusEnum],
+            signature: updateSignature,
             timeProof,
-            timestamp: new Date().toISOString(),
-            updateId: `update_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        };
-
-        // Get existing tracking history or create new
-        let trackingHistory = deliveryStatuses.get(trackingNumber) || [];
-        trackingHistory.push(statusUpdate);
-        deliveryStatuses.set(trackingNumber, trackingHistory);
+            timestamp: new Date(Number(statusUpdated ? statusUpdated.args.timestamp : block.timestamp) * 1000).toISOString(),
+            updateId: `update_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            workerAddress: req.auth.role === ROLES.ADMIN && workerAddress ? workerAddress : req.auth.userAddress,
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            timeProofHash: statusUpdated ? statusUpdated.args.timeProofHash : null
+        });
 
-        logger.info(`Status update successful for tracking: ${trackingNumber}, status: ${status}`);
+        // A delivered mail leaves its worker's assignment queue
+        if (statusEnum === DELIVERY_STATUS.DELIVERED) {
+            repositories.assignments.closeByTrackingNumber(trackingNumber, statusUpdate.timestamp);
+        }
 
-        // Simulate blockchain transaction for consistency with API
-        const mockTransactionHash = `0x${Math.random().toString(16).substr(2, 64)}`;
-        const mockBlockNumber = Math.floor(Math.random() * 1000000) + 9000000;
+        logger.info(`Status update successful for tracking: ${trackingNumber}, status: ${statusUpdate.statusName}, transaction: ${receipt.hash}`);
 
         res.json({
             success: true,
             message: 'Delivery status updated successfully',
             data: {
                 trackingNumber,
-                status: status.toLowerCase(),
+                status: statusUpdate.statusName,
+                statusCode: statusEnum,
                 location,
                 coordinates: formattedCoordinates,
-                transactionHash: mockTransactionHash,
-                blockNumber: mockBlockNumber,
+                signature: updateSignature,
+                timeData: timeProof,
+                timeProofHash: statusUpdate.timeProofHash,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString(),
                 timestamp: statusUpdate.timestamp,
                 updateId: statusUpdate.updateId
             }
@@ -187,15 +242,17 @@ router.post('/update-status', async (req, res) => {
 
     } catch (error) {
         logger.error('Status update failed:', error);
-        res.status(500).json({
+        const classified = transactionManager.classifyError(error);
+        res.status(classified.statusCode).json({
             success: false,
             error: 'Status update failed',
-            message: error.message
+            message: classified.message
         });
     }
 });
 
 // POST /register-worker - Register a new worker (Admin only)
+// The address is also added to the delivery address allowlist
 router.post('/register-worker', async (req, res) => {
     try {
         const { workerAddress, name, workerType } = req.body;
@@ -218,24 +275,24 @@ router.post('/register-worker', async (req, res) => {
 
         // Get the delivery tracking contract
         const deliveryTrackingContract = getDeliveryTrackingContract();
-        const signerAddress = await signer.getAddress();
-        
-        // Execute worker registration with nonce retry
-        const tx = await executeWithNonceRetry(async (nonce) => {
-            return await deliveryTrackingContract.connect(signer).registerWorker(
-                workerAddress,
-                name,
-                workerType,
-                {
-                    gasLimit: 400000,
-                    gasPrice: ethers.parseUnits("30", "gwei"),
-                    nonce: nonce
-                }
-            );
-        }, signerAddress);
-        
+
+        // Execute worker registration through the shared transaction manager
+        const tx = await transactionManager.submit(signer, deliveryTrackingContract, 'registerWorker', [
+            workerAddress,
+            name,
+            workerType
+        ]);
+
         const receipt = await tx.wait();
-        logger.info(`Worker registered successfully: ${workerAddress}, transaction: ${receipt.transactionHash}`);
+        logger.info(`Worker registered successfully: ${workerAddress}, transaction: ${receipt.hash}`);
+
+        // The delivery_worker role also needs an allowlist entry; registering a worker grants it
+        repositories.deliveryAddresses.add({
+            address: workerAddress,
+            label: name,
+            actorAddress: req.auth.userAddress,
+            reason: 'Registered as delivery worker'
+        });
         
         res.json({
             success: true,
@@ -244,7 +301,8 @@ router.post('/register-worker', async (req, res) => {
                 workerAddress,
                 name,
                 workerType,
-                transactionHash: receipt.transactionHash,
+                isAllowlisted: true,
+                transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber,
                 gasUsed: receipt.gasUsed.toString(),
                 registeredAt: new Date().toISOString()
@@ -255,8 +313,9 @@ router.post('/register-worker', async (req, res) => {
         logger.error('Error registering worker:', error);
         
         // Provide more specific error messages
-        let errorMessage = 'Failed to register worker';
-        let statusCode = 500;
+        const classified = transactionManager.classifyError(error);
+        let errorMessage = classified.type === 'UNKNOWN' ? 'Failed to register worker' : classified.message;
+        let statusCode = classified.statusCode;
         
         if (error.message.includes('Worker already registered')) {
             errorMessage = 'Worker is already registered';
@@ -273,9 +332,6 @@ router.post('/register-worker', async (req, res) => {
         } else if (error.message.includes('OwnableUnauthorizedAccount')) {
             errorMessage = 'Only contract owner can register workers';
             statusCode = 403;
-        } else if (error.message.includes('insufficient funds')) {
-            errorMessage = 'Insufficient funds for transaction';
-            statusCode = 400;
         } else if (error.message.includes('no matching fragment')) {
             errorMessage = 'Contract method signature mismatch';
             statusCode = 500;
@@ -289,24 +345,53 @@ router.post('/register-worker', async (req, res) => {
     }
 });
 
-// async function getNextNonce(signer) {
-//     try {
-//         const currentNonce = await ethers.provider.getTransactionCount(signer.address, "latest");
-//         const pendingNonce = await ethers.provider.getTransactionCount(signer.address, "pending");
-
-//         const nextNonce = Math.max(currentNonce, pendingNonce);
+// GET /workers - List authorized workers
+// Optional query: page, pageSize
+// totalUpdates is the on-chain counter of the address that sent the updates;
+// recordedUpdates counts the /update-status calls each worker made through the backend
+router.get('/workers', async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query);
+        if (pagination.error) {
+            return res.status(400).json({
+                success: false,
+                error: pagination.error
+            });
+        }
+        const { pageSize, offset } = pagination;
 
-//         console.log(`Nonce ${signer.address}: curr=${currentNonce}, pend=${pendingNonce}, use=${nextNonce}`);
+        const deliveryTrackingContract = getDeliveryTrackingContract();
+        const workerAddresses = await deliveryTrackingContract.getAuthorizedWorkers();
+        const pageAddresses = workerAddresses.slice(offset, offset + pageSize);
+
+        const recordedUpdates = repositories.deliveryStatuses.countByWorker();
+        const workers = await Promise.all(pageAddresses.map(async (workerAddress) => {
+            const worker = formatWorker(workerAddress, await deliveryTrackingContract.getWorkerInfo(workerAddress));
+            const recorded = recordedUpdates.get(workerAddress.toLowerCase());
+            return {
+                ...worker,
+                recordedUpdates: recorded ? recorded.updates : 0,
+                lastUpdate: recorded ? recorded.lastUpdate : null
+            };
+        }));
 
-//         await new Promise(resolve => setTimeout(resolve, 1000)); // propagation delay
+        res.json({
+            success: true,
+            data: {
+                workers,
+                pagination: paginationInfo(pagination, workerAddresses.length)
+            }
+        });
 
-//         return nextNonce;
-//     } catch (error) {
-//         console.log(`Nonce error ${signer.address}:`, error.message);
-//         const fallbackNonce = await ethers.provider.getTransactionCount(signer.address, "latest");
-//         return fallbackNonce + 1;
-//     }
-// }
+    } catch (error) {
+        logger.error('Error listing workers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list workers',
+            details: error.message
+        });
+    }
+});
 
 // GET /worker/:workerAddress - Get worker details
 router.get('/worker/:workerAddress', async (req, res) => {
@@ -326,148 +411,195 @@ router.get('/worker/:workerAddress', async (req, res) => {
         // Get worker details using getWorkerInfo method
         const workerDetails = await deliveryTrackingContract.getWorkerInfo(workerAddress);
 
-        // According to DeliveryTracking ABI, getWorkerInfo returns: [isRegistered, name, workerType, registrationTime]
-        const [isRegistered, name, workerType, registrationTime] = workerDetails;
+        res.json({
+            success: true,
+            data: formatWorker(workerAddress, workerDetails)
+        });
+
+    } catch (error) {
+        logger.error('Error getting worker details:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get worker details',
+            details: error.message
+        });
+    }
+});
+
+// GET /worker/:workerAddress/access - Whether the address may use the delivery dashboard
+// Requires DeliveryTracking worker authorization and an entry in the delivery address allowlist
+router.get('/worker/:workerAddress/access', async (req, res) => {
+    try {
+        const { workerAddress } = req.params;
+
+        if (!ethers.isAddress(workerAddress)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid Ethereum address'
+            });
+        }
+
+        const [isAuthorized] = await getDeliveryTrackingContract().getWorkerInfo(workerAddress);
+        const isAllowlisted = repositories.deliveryAddresses.isAllowed(workerAddress);
 
         res.json({
             success: true,
             data: {
-                workerAddress,
-                isRegistered: isRegistered,
-                name: name,
-                workerType: workerType,
-                registrationTime: registrationTime.toString()
+                workerAddress: ethers.getAddress(workerAddress),
+                isAuthorized,
+                isAllowlisted,
+                canAccess: isAuthorized && isAllowlisted
             }
         });
 
     } catch (error) {
-        logger.error('Error getting worker details:', error);
+        logger.error('Error checking worker access:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to get worker details',
+            error: 'Failed to check worker access',
             details: error.message
         });
     }
 });
 
-// POST /update-delivery-status - Update delivery status
-// router.post('/update-delivery-status', async (req, res) => {
-//     try {
-//         const { trackingNumber, location, coordinates, status, signature, timeData } = req.body;
-
-//         // Validate required fields
-//         if (!trackingNumber || status === undefined) {
-//             return res.status(400).json({
-//                 success: false,
-//                 error: 'Missing required fields: trackingNumber, status'
-//             });
-//         }
-
-//         // 状态枚举映射
-//         const statusMapping = {
-//             'pending': 0,
-//             'collected': 1,
-//             'in_transit': 2,
-//             'delivered': 3
-//         };
-
-//         // 转换状态为枚举值
-//         const statusEnum = typeof status === 'string' ? statusMapping[status.toLowerCase()] : status;
-//         if (statusEnum === undefined) {
-//             return res.status(400).json({
-//                 success: false,
-//                 error: 'Invalid status. Must be one of: pending, collected, in_transit, delivered or 0-3'
-//             });
-//         }
-
-//         // 设置默认坐标（如果未提供）
-//         const coords = coordinates || {
-//             latitude: 0,
-//             longitude: 0
-//         };
-
-//         // 设置默认时间数据（如果未提供）
-//         const timeProof = timeData || {
-//             ntpServer: "time.google.com",
-//             atomicTime: Math.floor(Date.now() / 1000),
-//             timezone: "UTC"
-//         };
-
-//         // const deliveryTrackingContract = getDeliveryTrackingContract();
-//         // const signerAddress = await signer.getAddress();
-//         logger.info(`Updating delivery status for tracking: ${trackingNumber}, status: ${statusEnum}, location: ${location}`);
-//         const addresses = loadContractAddresses();
-//         const deliveryTracking_ = await ethers.getContractAt("DeliveryTracking", addresses.deliveryTracking);
-//         const nonce = await getNextNonce(signer);
-//         // Execute transaction with nonce retry
-//         const tx = await deliveryTracking_.connect(signer).updateStatus(
-//             trackingNumber,              // 跟踪号
-//             location || '',              // 位置描述
-//             coords,                      // 坐标
-//             statusEnum,                  // 状态枚举值
-//             signature || "0x1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5b6c7d8e9f0a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f4a5b6c7d8e9f0a1b2c3d",           // 签名
-//             timeProof,                   // 时间数据
-//             {
-//                 gasLimit: 600000,
-//                 gasPrice: ethers.parseUnits('30', 'gwei'),
-//                 nonce: nonce
-//             }
-//         );
-
-//         logger.info(`Delivery status update transaction sent: ${tx.hash}`);
-
-//         // Wait for transaction confirmation
-//         await tx.wait();
-
-//         res.json({
-//             success: true,
-//             message: 'Delivery status updated successfully',
-//             data: {
-//                 trackingNumber,
-//                 location: location || '',
-//                 coordinates: coords,
-//                 status: statusEnum,
-//                 signature: signature || '0x',
-//                 timeData: timeProof,
-//                 transactionHash: tx.hash,
-//                 updatedAt: new Date().toISOString()
-//             }
-//         });
-
-//     } catch (error) {
-//         logger.error('Error updating delivery status:', error);
-//         res.status(500).json({
-//             success: false,
-//             error: 'Failed to update delivery status',
-//             details: error.message
-//         });
-//     }
-// });
-
-// GET /delivery-history/:mailId - Get delivery history for a mail
+// DELETE /worker/:workerAddress - Deauthorize a worker (Admin only)
+// The worker's sessions are revoked so the delivery_worker role ends immediately
+router.delete('/worker/:workerAddress', async (req, res) => {
+    try {
+        const { workerAddress } = req.params;
+
+        if (!ethers.isAddress(workerAddress)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid Ethereum address'
+            });
+        }
+
+        const deliveryTrackingContract = getDeliveryTrackingContract();
+        const [isAuthorized] = await deliveryTrackingContract.getWorkerInfo(workerAddress);
+        if (!isAuthorized) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker is not authorized'
+            });
+        }
+
+        const tx = await transactionManager.submit(signer, deliveryTrackingContract, 'deauthorizeWorker', [workerAddress]);
+        const receipt = await tx.wait();
+        const revokedSessions = sessions.revokeAllSessions(workerAddress, `worker_deauthorized_by:${req.auth.userAddress}`);
+
+        logger.info(`Worker ${workerAddress} deauthorized by ${req.auth.userAddress}, transaction: ${receipt.hash}`);
+
+        res.json({
+            success: true,
+            message: 'Worker deauthorized successfully',
+            data: {
+                workerAddress: ethers.getAddress(workerAddress),
+                isAuthorized: false,
+                revokedSessions,
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                gasUsed: receipt.gasUsed.toString()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error deauthorizing worker:', error);
+        const classified = transactionManager.classifyError(error);
+        let errorMessage = classified.type === 'UNKNOWN' ? 'Failed to deauthorize worker' : classified.message;
+        let statusCode = classified.statusCode;
+
+        if (error.message.includes('Worker not authorized')) {
+            errorMessage = 'Worker is not authorized';
+            statusCode = 404;
+        } else if (error.message.includes('OwnableUnauthorizedAccount')) {
+            errorMessage = 'Only contract owner can deauthorize workers';
+            statusCode = 403;
+        }
+
+        res.status(statusCode).json({
+            success: false,
+            error: errorMessage,
+            details: error.message
+        });
+    }
+});
+
+// Helper function to format a DeliveryTracking.StatusUpdate struct
+function formatChainUpdate(update) {
+    return {
+        status: statusName(update.status),
+        statusCode: Number(update.status),
+        timestamp: new Date(Number(update.timestamp) * 1000).toISOString(),
+        location: update.location,
+        coordinates: {
+            latitude: Number(update.coordinates.latitude),
+            longitude: Number(update.coordinates.longitude)
+        },
+        workerAddress: update.workerAddress,
+        signature: update.signature,
+        timeData: {
+            ntpServer: update.proofOfTime.ntpServer,
+            atomicTime: Number(update.proofOfTime.atomicTime),
+            timezone: update.proofOfTime.timezone
+        },
+        timeProofHash: update.timeProofHash,
+        blockNumber: Number(update.blockNumber)
+    };
+}
+
+// Helper function to rebuild history from indexed StatusUpdated/LocationUpdated events
+function readIndexedHistory(trackingNumber) {
+    const events = repositories.contractEvents.find({
+        eventNames: ['StatusUpdated', 'LocationUpdated'],
+        subjectKey: identifierKey(trackingNumber)
+    });
+
+    const locations = new Map();
+    for (const event of events.filter(e => e.eventName === 'LocationUpdated')) {
+        locations.set(event.transactionHash, {
+            latitude: Number(event.args.latitude),
+            longitude: Number(event.args.longitude)
+        });
+    }
+
+    return events.filter(e => e.eventName === 'StatusUpdated').map(event => ({
+        status: statusName(event.args.status),
+        statusCode: Number(event.args.status),
+        timestamp: new Date(Number(event.args.timestamp) * 1000).toISOString(),
+        location: event.args.location,
+        coordinates: locations.get(event.transactionHash) || null,
+        workerAddress: event.actorAddress,
+        timeProofHash: event.args.timeProofHash,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+    }));
+}
+
+// GET /delivery-history/:mailId - Get delivery history for a tracking number
+// Read from DeliveryTracking.getTrackingHistory, falling back to the event index
 router.get('/delivery-history/:mailId', async (req, res) => {
     try {
         const { mailId } = req.params;
 
-        // Get delivery history from in-memory storage
-        const trackingHistory = deliveryStatuses.get(mailId) || [];
-
-        // Format history for response
-        const formattedHistory = trackingHistory.map(update => ({
-            status: update.statusName,
-            timestamp: update.timestamp,
-            location: update.location,
-            coordinates: update.coordinates,
-            signature: update.signature,
-            updateId: update.updateId
-        }));
+        let trackingHistory;
+        let source = 'chain';
+        try {
+            const chainHistory = await getDeliveryTrackingContract().getTrackingHistory(mailId);
+            trackingHistory = chainHistory.map(formatChainUpdate);
+        } catch (error) {
+            logger.warn(`Reading tracking history for ${mailId} from chain failed, using event index: ${error.shortMessage || error.message}`);
+            trackingHistory = readIndexedHistory(mailId);
+            source = 'index';
+        }
 
         res.json({
             success: true,
             data: {
                 mailId,
-                trackingHistory: formattedHistory,
-                totalUpdates: formattedHistory.length
+                source,
+                trackingHistory,
+                totalUpdates: trackingHistory.length
             }
         });
 
@@ -486,17 +618,17 @@ router.get('/current-status/:mailId', async (req, res) => {
     try {
         const { mailId } = req.params;
 
-        // Get delivery history from in-memory storage
-        const trackingHistory = deliveryStatuses.get(mailId) || [];
+        // Get the latest status update from the status repository
+        const latestUpdate = repositories.deliveryStatuses.getLatest(mailId);
 
-        if (trackingHistory.length === 0) {
+        if (!latestUpdate) {
             return res.json({
                 success: true,
                 data: {
                     mailId,
                     currentStatus: {
-                        status: 'pending',
-                        statusCode: 0,
+                        status: statusName(DELIVERY_STATUS.REGISTERED),
+                        statusCode: DELIVERY_STATUS.REGISTERED,
                         location: 'Not yet collected',
                         lastUpdated: null
                     }
@@ -504,9 +636,6 @@ router.get('/current-status/:mailId', async (req, res) => {
             });
         }
 
-        // Get the latest status update
-        const latestUpdate = trackingHistory[trackingHistory.length - 1];
-
         res.json({
             success: true,
             data: {
@@ -533,23 +662,32 @@ router.get('/current-status/:mailId', async (req, res) => {
 });
 
 // GET /performance - Get delivery performance metrics
+// Optional query: from, to (ISO date or unix seconds), workerAddress
 router.get('/performance', async (req, res) => {
     try {
-        logger.info('Getting delivery performance metrics');
-
-        // Mock performance data (should be replaced with actual blockchain queries)
-        const performanceData = {
-            totalDeliveries: Math.floor(Math.random() * 1000) + 500,
-            onTimeDeliveries: Math.floor(Math.random() * 800) + 400,
-            delayedDeliveries: Math.floor(Math.random() * 200) + 50,
-            averageDeliveryTime: Math.floor(Math.random() * 48) + 24, // hours
-            successRate: (Math.random() * 0.2 + 0.8).toFixed(2), // 80-100%
-            lastUpdated: new Date().toISOString()
-        };
+        const filter = parseMetricsQuery(req.query);
+        if (filter.error) {
+            return res.status(400).json({
+                success: false,
+                error: filter.error
+            });
+        }
+
+        logger.info('Getting delivery performance metrics', filter);
+
+        const performanceData = await deliveryMetrics.getPerformance(filter);
 
         res.json({
             success: true,
-            data: performanceData
+            data: {
+                ...performanceData,
+                range: {
+                    from: filter.from !== null ? new Date(filter.from * 1000).toISOString() : null,
+                    to: filter.to !== null ? new Date(filter.to * 1000).toISOString() : null
+                },
+                workerAddress: filter.workerAddress,
+                lastUpdated: new Date().toISOString()
+            }
         });
 
     } catch (error) {
@@ -563,24 +701,33 @@ router.get('/performance', async (req, res) => {
 });
 
 // GET /metrics - Get performance metrics
+// Optional query: from, to (ISO date or unix seconds), workerAddress.
+// Daily/weekly/monthly volumes are counted back from `to` (default now).
 router.get('/metrics', async (req, res) => {
     try {
-        logger.info('Getting performance metrics');
-
-        // Mock metrics data (should be replaced with actual blockchain queries)
-        const metricsData = {
-            dailyDeliveries: Math.floor(Math.random() * 100) + 50,
-            weeklyDeliveries: Math.floor(Math.random() * 700) + 350,
-            monthlyDeliveries: Math.floor(Math.random() * 3000) + 1500,
-            averageProcessingTime: Math.floor(Math.random() * 24) + 12, // hours
-            customerSatisfaction: (Math.random() * 0.3 + 0.7).toFixed(1), // 7.0-10.0
-            workerEfficiency: (Math.random() * 0.2 + 0.8).toFixed(2), // 80-100%
-            lastCalculated: new Date().toISOString()
-        };
+        const filter = parseMetricsQuery(req.query);
+        if (filter.error) {
+            return res.status(400).json({
+                success: false,
+                error: filter.error
+            });
+        }
+
+        logger.info('Getting performance metrics', filter);
+
+        const metricsData = await deliveryMetrics.getVolumeMetrics(filter);
 
         res.json({
             success: true,
-            data: metricsData
+            data: {
+                ...metricsData,
+                range: {
+                    from: filter.from !== null ? new Date(filter.from * 1000).toISOString() : null,
+                    to: filter.to !== null ? new Date(filter.to * 1000).toISOString() : null
+                },
+                workerAddress: filter.workerAddress,
+                lastCalculated: new Date().toISOString()
+            }
         });
 
     } catch (error) {
@@ -593,5 +740,18 @@ router.get('/metrics', async (req, res) => {
     }
 });
 
+// Contract methods each endpoint calls, checked against the ABIs at startup
+router.contractCalls = [
+    { method: 'post', path: '/update-status', calls: ['deliveryTracking.updateStatus'] },
+    { method: 'post', path: '/register-worker', calls: ['deliveryTracking.registerWorker'] },
+    { method: 'get', path: '/workers', calls: ['deliveryTracking.getAuthorizedWorkers', 'deliveryTracking.getWorkerInfo'] },
+    { method: 'get', path: '/worker/:workerAddress', calls: ['deliveryTracking.getWorkerInfo'] },
+    { method: 'get', path: '/worker/:workerAddress/access', calls: ['deliveryTracking.getWorkerInfo'] },
+    { method: 'delete', path: '/worker/:workerAddress', calls: ['deliveryTracking.getWorkerInfo', 'deliveryTracking.deauthorizeWorker'] },
+    { method: 'get', path: '/delivery-history/:mailId', calls: ['deliveryTracking.getTrackingHistory'] },
+    { method: 'get', path: '/performance', calls: ['mailRegistry.getMailByTracking'] },
+    { method: 'get', path: '/metrics', calls: ['mailRegistry.getMailByTracking'] }
+];
+
 router.initializeDependencies = initializeDependencies;
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,14 @@
 const express = require('express');
 const { ethers } = require('ethers');
+const { identifierKey } = require('../services/eventIndexer');
+const { GUARANTEE_STATUSES, SLA_STATUSES, AT_RISK_WINDOW_SECONDS } = require('../services/guaranteeSla');
+const { ROLES } = require('../services/sessions');
+const { parsePagination, paginationInfo } = require('../services/pagination');
+const { SETTLEMENT_STATUSES } = require('../services/penaltySettlement');
 const router = express.Router();
 
 // Import logger and contracts from main server
-let logger, contracts, provider, signer;
+let logger, contracts, provider, signer, transactionManager, repositories, guaranteeDisputes, escrowLedger, guaranteeSla, slaMonitor, penaltySettlement;
 
 // Initialize dependencies (will be set by server.js)
 function initializeDependencies(deps) {
@@ -11,6 +16,13 @@ function initializeDependencies(deps) {
   contracts = deps.contracts;
   provider = deps.provider;
   signer = deps.signer;
+  transactionManager = deps.transactionManager;
+  repositories = deps.repositories;
+  guaranteeDisputes = deps.guaranteeDisputes;
+  escrowLedger = deps.escrowLedger;
+  guaranteeSla = deps.guaranteeSla;
+  slaMonitor = deps.slaMonitor;
+  penaltySettlement = deps.penaltySettlement;
 }
 
 // Helper function to get delivery guarantee contract instance
@@ -29,48 +41,31 @@ function getDeliveryGuaranteeContractReadOnly() {
   return contracts.deliveryGuarantee;
 }
 
-// Helper function for nonce management
-async function getNextNonce(signerAddress) {
-  try {
-    // Get the current nonce from the network
-    const currentNonce = await provider.getTransactionCount(signerAddress, 'pending');
+// Helper function to count guarantees per status from indexed events.
+// Every guarantee starts ACTIVE (GuaranteeCreated) and each later transition
+// emits GuaranteeUpdated, so the newest GuaranteeUpdated is the current status.
+function getGuaranteeStatusBreakdown() {
+  const statuses = new Map();
 
-    logger.info(`Current nonce for ${signerAddress}: ${currentNonce}`);
+  for (const event of repositories.contractEvents.find({ eventName: 'GuaranteeCreated' })) {
+    statuses.set(event.subjectKey, 0);
+  }
+  for (const event of repositories.contractEvents.find({ eventName: 'GuaranteeUpdated' })) {
+    statuses.set(event.subjectKey, Number(event.args.newStatus));
+  }
 
-    return currentNonce;
-  } catch (error) {
-    logger.error('Error getting nonce:', error);
-    throw error;
+  const breakdown = Object.fromEntries(GUARANTEE_STATUSES.map(name => [name, 0]));
+  for (const status of statuses.values()) {
+    breakdown[GUARANTEE_STATUSES[status]]++;
   }
+  return { breakdown, indexedGuarantees: statuses.size };
 }
 
-// Helper function for transaction retry with nonce management
-async function executeWithNonceRetry(transactionFunction, signerAddress, maxRetries = 5) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const nonce = await getNextNonce(signerAddress);
-      logger.info(`Transaction attempt ${attempt}/${maxRetries} with nonce ${nonce}`);
-
-      const result = await transactionFunction(nonce);
-      return result;
-    } catch (error) {
-      logger.error(`Transaction attempt ${attempt} failed:`, error.message);
-
-      // Check for specific errors that require longer delays
-      const isRateLimited = error.message.includes('in-flight transaction limit') ||
-        error.message.includes('nonce too low') ||
-        error.message.includes('replacement transaction underpriced');
-
-      if (attempt === maxRetries) {
-        throw error;
-      }
-
-      // Longer wait for rate limiting issues
-      const waitTime = isRateLimited ? 3000 * attempt : 1000 * attempt;
-      logger.info(`Waiting ${waitTime}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-  }
+// Helper function to sum an indexed wei amount in ETH
+function sumEventAmounts(eventName, field) {
+  const total = repositories.contractEvents.find({ eventName })
+    .reduce((sum, event) => sum + BigInt(event.args[field]), 0n);
+  return ethers.formatEther(total);
 }
 
 // Helper function to validate guarantee parameters
@@ -140,30 +135,23 @@ router.post('/create', async (req, res) => {
     const requiresProofOfTime = req.body.requiresProofOfTime || false;
     const contractTermsHash = ethers.keccak256(ethers.toUtf8Bytes('Standard delivery guarantee terms'));
 
-    // Execute guarantee creation with nonce retry
-    const tx = await executeWithNonceRetry(async (nonce) => {
-      return await deliveryGuarantee.connect(signer).createGuarantee(
-        finalGuaranteeId,
-        mailId,
-        parseInt(guaranteedDeliveryTime),
-        penaltyAmountWei,
-        insuranceAmountWei,
-        escalationContacts,
-        requiresProofOfTime,
-        contractTermsHash,
-        {
-          gasLimit: 800000,
-          gasPrice: ethers.parseUnits('20', 'gwei'),
-          value: penaltyAmountWei, // Send penalty amount with transaction
-          nonce: nonce
-        }
-      );
-    }, await signer.getAddress());
+    // Execute guarantee creation through the shared transaction manager,
+    // sending the penalty amount as escrow
+    const tx = await transactionManager.submit(signer, deliveryGuarantee, 'createGuarantee', [
+      finalGuaranteeId,
+      mailId,
+      parseInt(guaranteedDeliveryTime),
+      penaltyAmountWei,
+      insuranceAmountWei,
+      escalationContacts,
+      requiresProofOfTime,
+      contractTermsHash
+    ], { value: penaltyAmountWei });
 
     // Wait for transaction confirmation
     const receipt = await tx.wait();
 
-    logger.info(`Delivery guarantee created successfully: ${receipt.transactionHash}`);
+    logger.info(`Delivery guarantee created successfully: ${receipt.hash}`);
 
     res.json({
       success: true,
@@ -173,7 +161,7 @@ router.post('/create', async (req, res) => {
         penaltyAmount: penaltyAmount,
         insurance: insurance,
         guaranteedDeliveryTime: new Date(parseInt(guaranteedDeliveryTime) * 1000).toISOString(),
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
         createdAt: new Date().toISOString()
@@ -182,7 +170,7 @@ router.post('/create', async (req, res) => {
 
   } catch (error) {
     logger.error('Delivery guarantee creation failed:', error);
-    res.status(500).json({
+    res.status(transactionManager.classifyError(error).statusCode).json({
       success: false,
       error: 'Delivery guarantee creation failed',
       message: error.message
@@ -195,18 +183,37 @@ router.get('/stats', async (req, res) => {
   try {
     logger.info('Getting guarantee statistics');
 
-    // Mock statistics data
+    const deliveryGuaranteeReadOnly = getDeliveryGuaranteeContractReadOnly();
+
+    // On-chain aggregates: performance counters only cover guarantees that were settled
+    // through updateGuaranteeStatus (fulfilled or breached)
+    const [metrics, totalGuarantees, totalEscrowAmount] = await Promise.all([
+      deliveryGuaranteeReadOnly.getPerformanceMetrics(),
+      deliveryGuaranteeReadOnly.totalGuarantees(),
+      deliveryGuaranteeReadOnly.totalEscrowAmount()
+    ]);
+    const [settledGuarantees, onTimeDeliveries, delayedDeliveries, totalPenaltiesPaid, successRate] = metrics;
+
+    // Per-status counts and payouts from indexed guarantee events
+    const { breakdown, indexedGuarantees } = getGuaranteeStatusBreakdown();
+    const penaltiesClaimed = repositories.contractEvents.count({ eventName: 'PenaltyPaid' });
+    const total = Number(totalGuarantees);
+
     const stats = {
-      totalGuarantees: Math.floor(Math.random() * 1000) + 500,
-      activeGuarantees: Math.floor(Math.random() * 300) + 100,
-      deliveredGuarantees: Math.floor(Math.random() * 600) + 300,
-      expiredGuarantees: Math.floor(Math.random() * 50) + 10,
-      penaltiesClaimed: Math.floor(Math.random() * 20) + 5,
-      totalInsurancePool: (Math.random() * 100 + 50).toFixed(2),
-      totalPenaltiesPaid: (Math.random() * 10 + 2).toFixed(2),
-      averageDeliveryTime: Math.floor(Math.random() * 48) + 12, // hours
-      onTimeDeliveryRate: (Math.random() * 20 + 80).toFixed(1), // percentage
-      disputeRate: (Math.random() * 5 + 1).toFixed(1) // percentage
+      totalGuarantees: total,
+      activeGuarantees: breakdown.ACTIVE,
+      statusBreakdown: breakdown,
+      settledGuarantees: Number(settledGuarantees),
+      onTimeDeliveries: Number(onTimeDeliveries),
+      delayedDeliveries: Number(delayedDeliveries),
+      onTimeDeliveryRate: Number(successRate).toFixed(1), // percentage of settled guarantees
+      penaltiesClaimed: penaltiesClaimed,
+      totalPenaltiesPaid: ethers.formatEther(totalPenaltiesPaid),
+      totalEscrow: ethers.formatEther(totalEscrowAmount), // ETH currently held in escrow
+      totalEscrowReleased: sumEventAmounts('EscrowReleased', 'amount'),
+      disputeRate: (total > 0 ? (breakdown.DISPUTED / total) * 100 : 0).toFixed(1), // percentage
+      // Fewer indexed than on-chain guarantees means the event indexer is still catching up
+      indexedGuarantees: indexedGuarantees
     };
 
     res.json({
@@ -227,6 +234,376 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Helper function to answer a guarantee dispute service error
+function sendDisputeError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.details ? { details: error.details } : {}),
+      ...(error.transaction ? { data: { transaction: error.transaction } } : {})
+    });
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  const classified = transactionManager.classifyError(error);
+  return res.status(classified.statusCode).json({
+    success: false,
+    error: classified.type === 'UNKNOWN' ? fallbackMessage : classified.message,
+    details: error.message
+  });
+}
+
+// Helper function to load a dispute the caller may see: the one who opened it, or an admin
+function findVisibleDispute(req, res) {
+  const dispute = guaranteeDisputes.getDispute(req.params.disputeId);
+  if (!dispute) {
+    res.status(404).json({
+      success: false,
+      error: 'Dispute not found'
+    });
+    return null;
+  }
+  if (req.auth.role !== ROLES.ADMIN && req.auth.userAddress.toLowerCase() !== dispute.openedBy) {
+    res.status(403).json({
+      success: false,
+      error: 'You can only view disputes you opened',
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+  return dispute;
+}
+
+// GET /api/guarantee/disputes - List disputes, newest first
+// Query: status (pending, open or resolved), limit. Admins see every dispute, anyone else their own.
+// Pending disputes (transaction not mined yet) are only listed when asked for.
+router.get('/disputes', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['pending', 'open', 'resolved'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be pending, open or resolved'
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const disputes = guaranteeDisputes.listDisputes({
+      status: status || null,
+      actorAddress: req.auth.userAddress,
+      isAdmin: req.auth.role === ROLES.ADMIN,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        disputes,
+        count: disputes.length,
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('List guarantee disputes failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list guarantee disputes',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/guarantee/disputes/:disputeId - Get a dispute with its attachment list
+router.get('/disputes/:disputeId', async (req, res) => {
+  try {
+    const dispute = findVisibleDispute(req, res);
+    if (!dispute) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: dispute
+    });
+
+  } catch (error) {
+    logger.error('Get guarantee dispute failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get guarantee dispute',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/guarantee/disputes/:disputeId/attachments/:attachmentId - Download dispute evidence
+router.get('/disputes/:disputeId/attachments/:attachmentId', async (req, res) => {
+  try {
+    const dispute = findVisibleDispute(req, res);
+    if (!dispute) {
+      return;
+    }
+
+    const attachment = guaranteeDisputes.getAttachment(dispute.disputeId, parseInt(req.params.attachmentId));
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    res.set('Content-Type', attachment.contentType);
+    res.set('Content-Disposition', `attachment; filename="${attachment.fileName.replace(/["\\\r\n]/g, '_')}"`);
+    res.send(attachment.content);
+
+  } catch (error) {
+    logger.error('Download dispute attachment failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download dispute attachment',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/guarantee/disputes/:disputeId/resolve - Resolve an open dispute (admin)
+// Body: { outcome: upheld | rejected | partial_refund, refundAmount (ETH), notes }.
+// An upheld dispute refunds the full penalty unless refundAmount says otherwise;
+// a partial refund needs refundAmount. Whoever opened the dispute is notified.
+router.post('/disputes/:disputeId/resolve', async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const { outcome, refundAmount, notes } = req.body;
+
+    const { dispute, notification } = await guaranteeDisputes.resolveDispute({
+      disputeId,
+      outcome,
+      refundAmount,
+      notes,
+      actorAddress: req.auth.userAddress
+    });
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved',
+      data: {
+        ...dispute,
+        notified: notification.delivered
+      }
+    });
+
+  } catch (error) {
+    sendDisputeError(res, error, 'Failed to resolve dispute');
+  }
+});
+
+// GET /api/guarantee/sla/at-risk - Shipments within two hours of their deadline or past it, from the last SLA monitor run
+router.get('/sla/at-risk', async (req, res) => {
+  try {
+    const now = Date.now();
+    const shipments = slaMonitor.getAtRisk().map(shipment => ({
+      ...shipment,
+      secondsRemaining: Math.floor((new Date(shipment.deadline).getTime() - now) / 1000)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        shipments,
+        count: shipments.length,
+        atRiskWindowSeconds: AT_RISK_WINDOW_SECONDS,
+        monitor: slaMonitor.getStatus(),
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get at-risk shipments failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get at-risk shipments',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/guarantee/sla/transitions - SLA status transitions sent through monitorSLA, newest first
+// Query: mailId, status (the new SLA status), limit
+router.get('/sla/transitions', async (req, res) => {
+  try {
+    const { mailId, status } = req.query;
+    if (status && !SLA_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${SLA_STATUSES.join(', ')}`
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const transitions = guaranteeSla.listTransitions({
+      mailId: mailId || null,
+      newStatus: status || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        transitions,
+        count: transitions.length,
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('List SLA transitions failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list SLA transitions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/guarantee/escrow/ledger - Escrow ledger of every guarantee, reconciled with the pool
+// Query: page, pageSize, mismatchesOnly=true. Totals and pool-level mismatches always cover
+// every guarantee; the page only limits the per-guarantee entries returned.
+router.get('/escrow/ledger', async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { defaultPageSize: 50, maxPageSize: 200 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error
+      });
+    }
+
+    logger.info('Building escrow ledger');
+
+    const ledger = await escrowLedger.buildLedger();
+    const guarantees = req.query.mismatchesOnly === 'true'
+      ? ledger.guarantees.filter(guarantee => guarantee.mismatches.length > 0)
+      : ledger.guarantees;
+
+    res.json({
+      success: true,
+      data: {
+        ...ledger,
+        mismatchedGuarantees: ledger.guarantees.filter(guarantee => guarantee.mismatches.length > 0).length,
+        guarantees: guarantees.slice(pagination.offset, pagination.offset + pagination.pageSize),
+        pagination: paginationInfo(pagination, guarantees.length),
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Build escrow ledger failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build escrow ledger',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/guarantee/:guaranteeId/escrow - Escrow record of a guarantee with its deposits and releases
+router.get('/:guaranteeId/escrow', async (req, res) => {
+  try {
+    const { guaranteeId } = req.params;
+
+    logger.info(`Getting escrow details for guarantee: ${guaranteeId}`);
+
+    const escrow = await escrowLedger.getEscrow(guaranteeId);
+
+    res.json({
+      success: true,
+      data: {
+        ...escrow,
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    logger.error('Get guarantee escrow failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get guarantee escrow',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/guarantee/settlements - Penalty settlements, most recently updated first
+// Query: status (pending, settled or failed), limit
+router.get('/settlements', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !SETTLEMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${SETTLEMENT_STATUSES.join(', ')}`
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const settlements = penaltySettlement.listSettlements({ status: status || null, limit });
+
+    res.json({
+      success: true,
+      data: {
+        settlements,
+        count: settlements.length,
+        scheduler: penaltySettlement.getStatus(),
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('List penalty settlements failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list penalty settlements',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/guarantee/:guaranteeId/settlement - Penalty settlement of a guarantee
+router.get('/:guaranteeId/settlement', async (req, res) => {
+  try {
+    const settlement = penaltySettlement.getSettlement(req.params.guaranteeId);
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        error: 'No penalty settlement for this guarantee',
+        code: 'SETTLEMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: settlement
+    });
+
+  } catch (error) {
+    logger.error('Get penalty settlement failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get penalty settlement',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/guarantee/:guaranteeId - Get guarantee details
 router.get('/:guaranteeId', async (req, res) => {
   try {
@@ -286,112 +663,38 @@ router.get('/:guaranteeId', async (req, res) => {
   }
 });
 
-// POST /api/guarantee/:guaranteeId/claim-penalty - Claim penalty for overdue delivery
+// POST /api/guarantee/:guaranteeId/claim-penalty - Settle the penalty of a breached guarantee now
+// rather than waiting for the settlement scheduler. Settling twice returns the first settlement.
 router.post('/:guaranteeId/claim-penalty', async (req, res) => {
   try {
     const { guaranteeId } = req.params;
-    const { claimantAddress } = req.body;
 
-    if (!guaranteeId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Guarantee ID is required'
-      });
-    }
+    logger.info(`Penalty claim for guarantee: ${guaranteeId} by: ${req.auth.userAddress}`);
 
-    if (!claimantAddress || !ethers.isAddress(claimantAddress)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid claimant Ethereum address is required'
-      });
-    }
-
-    logger.info(`Claiming penalty for guarantee: ${guaranteeId} by: ${claimantAddress}`);
-
-    // Get contract instance
-    const deliveryGuarantee = getDeliveryGuaranteeContract();
-
-    // First, check guarantee status using read-only contract
-    const deliveryGuaranteeReadOnly = getDeliveryGuaranteeContractReadOnly();
-    const guaranteeData = await deliveryGuaranteeReadOnly.getGuarantee(guaranteeId);
-
-    // Parse the returned tuple based on actual contract return: [mailId, guaranteedDeliveryTime, penaltyAmount, insurance, status, createdAt, deliveredAt, isActive]
-    const [
-      mailId,
-      guaranteedDeliveryTime,
-      penaltyAmount,
-      insurance,
-      status,
-      createdAt,
-      deliveredAt,
-      isActive
-    ] = guaranteeData;
-
-    // Validate claim conditions
-    if (!isActive) {
-      return res.status(400).json({
-        success: false,
-        error: 'Guarantee is not active'
-      });
-    }
-
-    // Check if already delivered (status 2 = delivered)
-    if (Number(status) === 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Mail has already been delivered'
-      });
-    }
-
-    // Check if penalty already paid (status 3 = penalty paid)
-    if (Number(status) === 3) {
-      return res.status(400).json({
-        success: false,
-        error: 'Penalty has already been claimed'
-      });
-    }
-
-    const currentTime = Math.floor(Date.now() / 1000);
-    if (Number(guaranteedDeliveryTime) >= currentTime) {
-      return res.status(400).json({
-        success: false,
-        error: 'Delivery time has not yet expired'
-      });
-    }
-
-    // Execute penalty claim with nonce retry
-    const tx = await executeWithNonceRetry(async (nonce) => {
-      return await deliveryGuarantee.connect(signer).claimPenalty(
-        guaranteeId,
-        {
-          gasLimit: 400000,
-          gasPrice: ethers.parseUnits('20', 'gwei'),
-          nonce: nonce
-        }
-      );
-    }, await signer.getAddress());
-
-    // Wait for transaction confirmation
-    const receipt = await tx.wait();
-
-    logger.info(`Penalty claimed successfully: ${receipt.transactionHash}`);
+    const { settlement, alreadySettled } = await penaltySettlement.settle(guaranteeId, {
+      source: 'claim',
+      requestedBy: req.auth.userAddress
+    });
 
     res.json({
       success: true,
+      message: alreadySettled ? 'Penalty has already been settled' : 'Penalty settled successfully',
       data: {
-        guaranteeId: guaranteeId,
-        claimantAddress: claimantAddress,
-        penaltyAmount: penaltyAmount.toString(),
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        claimedAt: new Date().toISOString()
+        ...settlement,
+        alreadySettled
       }
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
     logger.error('Penalty claim failed:', error);
-    res.status(500).json({
+    res.status(transactionManager.classifyError(error).statusCode).json({
       success: false,
       error: 'Penalty claim failed',
       message: error.message
@@ -456,22 +759,13 @@ router.post('/:guaranteeId/confirm-delivery', async (req, res) => {
       });
     }
 
-    // Execute delivery confirmation with nonce retry
-    const tx = await executeWithNonceRetry(async (nonce) => {
-      return await deliveryGuarantee.connect(signer).confirmDelivery(
-        guaranteeId,
-        {
-          gasLimit: 400000,
-          gasPrice: ethers.parseUnits('20', 'gwei'),
-          nonce: nonce
-        }
-      );
-    }, await signer.getAddress());
+    // Execute delivery confirmation through the shared transaction manager
+    const tx = await transactionManager.submit(signer, deliveryGuarantee, 'confirmDelivery', [guaranteeId]);
 
     // Wait for transaction confirmation
     const receipt = await tx.wait();
 
-    logger.info(`Delivery confirmed successfully: ${receipt.transactionHash}`);
+    logger.info(`Delivery confirmed successfully: ${receipt.hash}`);
 
     res.json({
       success: true,
@@ -479,7 +773,7 @@ router.post('/:guaranteeId/confirm-delivery', async (req, res) => {
         guaranteeId: guaranteeId,
         confirmedBy: confirmedBy,
         deliveryProof: deliveryProof || null,
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
         confirmedAt: new Date().toISOString()
@@ -488,7 +782,7 @@ router.post('/:guaranteeId/confirm-delivery', async (req, res) => {
 
   } catch (error) {
     logger.error('Delivery confirmation failed:', error);
-    res.status(500).json({
+    res.status(transactionManager.classifyError(error).statusCode).json({
       success: false,
       error: 'Delivery confirmation failed',
       message: error.message
@@ -496,6 +790,73 @@ router.post('/:guaranteeId/confirm-delivery', async (req, res) => {
   }
 });
 
+// POST /api/guarantee/:guaranteeId/cancel - Cancel an ACTIVE guarantee and refund its escrow
+// Body: { transactionHash }. Open to the guarantee's customer, the mail sender and admins.
+// cancelGuarantee must come from the customer: when the backend does not hold that key the
+// response is a 400 WALLET_TRANSACTION_REQUIRED with the transaction to send from the
+// customer's wallet; repeat the request with its transactionHash.
+router.post('/:guaranteeId/cancel', async (req, res) => {
+  try {
+    const { guaranteeId } = req.params;
+    const { transactionHash } = req.body;
+
+    const { guarantee, receipt } = await guaranteeDisputes.cancel({
+      guaranteeId,
+      actorAddress: req.auth.userAddress,
+      isAdmin: req.auth.role === ROLES.ADMIN,
+      transactionHash
+    });
+
+    res.json({
+      success: true,
+      message: 'Guarantee cancelled and escrow refunded',
+      data: {
+        guaranteeId,
+        mailId: guarantee.mailId,
+        status: guarantee.status,
+        refundedTo: guarantee.customer,
+        refundAmount: ethers.formatEther(guarantee.penaltyAmount),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        cancelledAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    sendDisputeError(res, error, 'Guarantee cancellation failed');
+  }
+});
+
+// POST /api/guarantee/:guaranteeId/dispute - Dispute a FULFILLED or BREACHED guarantee
+// Body: { reason, attachments: [{ fileName, contentType, content (base64) }] }.
+// Open to the guarantee's customer, the mail sender and admins; one dispute per guarantee.
+router.post('/:guaranteeId/dispute', async (req, res) => {
+  try {
+    const { guaranteeId } = req.params;
+    const { reason, attachments } = req.body;
+
+    const { dispute, receipt } = await guaranteeDisputes.openDispute({
+      guaranteeId,
+      reason,
+      attachments,
+      actorAddress: req.auth.userAddress,
+      isAdmin: req.auth.role === ROLES.ADMIN
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened',
+      data: {
+        ...dispute,
+        blockNumber: receipt.blockNumber
+      }
+    });
+
+  } catch (error) {
+    sendDisputeError(res, error, 'Failed to open dispute');
+  }
+});
+
 // GET /api/guarantee/mail/:mailId - Get all guarantees for a mail item
 router.get('/mail/:mailId', async (req, res) => {
   try {
@@ -510,28 +871,42 @@ router.get('/mail/:mailId', async (req, res) => {
 
     logger.info(`Getting guarantees for mail: ${mailId}`);
 
-    // TODO: This functionality requires querying blockchain events or implementing a separate indexing service
-    // For now, returning mock data as the smart contract doesn't have a getGuaranteesByMail method
-
-    // Mock guarantees for mail (should be replaced with event log queries)
-    const mockGuarantees = [
-      {
-        guaranteeId: 'GUARANTEE_' + Math.random().toString(36).substr(2, 10).toUpperCase(),
-        penaltyAmount: '0.1',
-        insurance: '0.05',
-        isActive: true,
-        isDelivered: Math.random() > 0.5
-      },
-      {
-        guaranteeId: 'GUARANTEE_' + Math.random().toString(36).substr(2, 10).toUpperCase(),
-        penaltyAmount: '0.2',
-        insurance: '0.1',
-        isActive: true,
-        isDelivered: Math.random() > 0.5
+    // Guarantees for a mail item come from indexed GuaranteeCreated events,
+    // since the contract has no getGuaranteesByMail method
+    const createdEvents = repositories.contractEvents.find({
+      eventName: 'GuaranteeCreated',
+      relatedKey: identifierKey(mailId)
+    });
+
+    const deliveryGuaranteeReadOnly = getDeliveryGuaranteeContractReadOnly();
+    const formattedGuarantees = [];
+
+    for (const event of createdEvents) {
+      const { guaranteeId, penaltyAmount, escrowAmount, guaranteedTime } = event.args;
+      const guarantee = {
+        guaranteeId: typeof guaranteeId === 'string' ? guaranteeId : null,
+        guaranteeIdHash: typeof guaranteeId === 'string' ? identifierKey(guaranteeId) : guaranteeId.hash,
+        customer: event.args.customer,
+        penaltyAmount: ethers.formatEther(penaltyAmount),
+        escrowAmount: ethers.formatEther(escrowAmount),
+        guaranteedDeliveryTime: Number(guaranteedTime),
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber,
+        status: null,
+        isActive: null,
+        isDelivered: null
+      };
+
+      // Current status is read from the contract when the guarantee ID is known
+      if (guarantee.guaranteeId) {
+        const [, , , , status, , actualDeliveryTime] = await deliveryGuaranteeReadOnly.getGuarantee(guarantee.guaranteeId);
+        guarantee.status = Number(status);
+        guarantee.isActive = Number(status) === 0;
+        guarantee.isDelivered = Number(actualDeliveryTime) > 0;
       }
-    ];
 
-    const formattedGuarantees = mockGuarantees;
+      formattedGuarantees.push(guarantee);
+    }
 
     res.json({
       success: true,
@@ -579,24 +954,17 @@ router.put('/:guaranteeId/status', async (req, res) => {
     // Get contract instance
     const deliveryGuarantee = getDeliveryGuaranteeContract();
 
-    // Execute status update with nonce retry according to API documentation
-    const tx = await executeWithNonceRetry(async (nonce) => {
-      return await deliveryGuarantee.connect(signer).updateGuaranteeStatus(
-        guaranteeId,                    // 保证ID
-        deliveryTime,                   // 实际送达时间
-        onTime,                        // 是否按时送达
-        {
-          gasLimit: 500000,
-          gasPrice: ethers.parseUnits('20', 'gwei'),
-          nonce: nonce
-        }
-      );
-    }, await signer.getAddress());
+    // Execute status update through the shared transaction manager
+    const tx = await transactionManager.submit(signer, deliveryGuarantee, 'updateGuaranteeStatus', [
+      guaranteeId,                    // 保证ID
+      deliveryTime,                   // 实际送达时间
+      onTime                          // 是否按时送达
+    ]);
 
     // Wait for transaction confirmation
     const receipt = await tx.wait();
 
-    logger.info(`Guarantee status updated successfully: ${receipt.transactionHash}`);
+    logger.info(`Guarantee status updated successfully: ${receipt.hash}`);
 
     res.json({
       success: true,
@@ -604,7 +972,7 @@ router.put('/:guaranteeId/status', async (req, res) => {
         guaranteeId: guaranteeId,
         actualDeliveryTime: deliveryTime,
         deliveredOnTime: onTime,
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
         updatedAt: new Date().toISOString()
@@ -613,7 +981,7 @@ router.put('/:guaranteeId/status', async (req, res) => {
 
   } catch (error) {
     logger.error('Guarantee status update failed:', error);
-    res.status(500).json({
+    res.status(transactionManager.classifyError(error).statusCode).json({
       success: false,
       error: 'Guarantee status update failed',
       message: error.message
@@ -622,5 +990,28 @@ router.put('/:guaranteeId/status', async (req, res) => {
 });
 
 
+// Contract methods each endpoint calls, checked against the ABIs at startup
+router.contractCalls = [
+  { method: 'post', path: '/create', calls: ['deliveryGuarantee.createGuarantee'] },
+  { method: 'get', path: '/stats', calls: ['deliveryGuarantee.getPerformanceMetrics', 'deliveryGuarantee.totalGuarantees', 'deliveryGuarantee.totalEscrowAmount'] },
+  { method: 'get', path: '/disputes', calls: [] },
+  { method: 'get', path: '/disputes/:disputeId', calls: [] },
+  { method: 'get', path: '/disputes/:disputeId/attachments/:attachmentId', calls: [] },
+  { method: 'post', path: '/disputes/:disputeId/resolve', calls: ['deliveryGuarantee.guaranteeExists', 'deliveryGuarantee.getGuarantee'] },
+  { method: 'get', path: '/sla/at-risk', calls: [] },
+  { method: 'get', path: '/sla/transitions', calls: [] },
+  { method: 'get', path: '/escrow/ledger', calls: ['deliveryGuarantee.getEscrowDetails', 'deliveryGuarantee.totalEscrowAmount', 'deliveryGuarantee.totalGuarantees'] },
+  { method: 'get', path: '/:guaranteeId/escrow', calls: ['deliveryGuarantee.guaranteeExists', 'deliveryGuarantee.getEscrowDetails', 'deliveryGuarantee.totalEscrowAmount'] },
+  { method: 'get', path: '/settlements', calls: [] },
+  { method: 'get', path: '/:guaranteeId/settlement', calls: [] },
+  { method: 'get', path: '/:guaranteeId', calls: ['deliveryGuarantee.getGuarantee'] },
+  { method: 'post', path: '/:guaranteeId/claim-penalty', calls: ['deliveryGuarantee.guaranteeExists', 'deliveryGuarantee.getGuarantee', 'mailRegistry.mailExists', 'mailRegistry.getMailDetails', 'deliveryGuarantee.updateGuaranteeStatus'] },
+  { method: 'post', path: '/:guaranteeId/confirm-delivery', calls: ['deliveryGuarantee.getGuarantee', 'deliveryGuarantee.confirmDelivery'] },
+  { method: 'post', path: '/:guaranteeId/cancel', calls: ['deliveryGuarantee.guaranteeExists', 'deliveryGuarantee.getGuarantee', 'mailRegistry.mailExists', 'mailRegistry.getMailDetails', 'deliveryGuarantee.cancelGuarantee'] },
+  { method: 'post', path: '/:guaranteeId/dispute', calls: ['deliveryGuarantee.guaranteeExists', 'deliveryGuarantee.getGuarantee', 'mailRegistry.mailExists', 'mailRegistry.getMailDetails', 'deliveryGuarantee.disputeGuarantee'] },
+  { method: 'get', path: '/mail/:mailId', calls: ['deliveryGuarantee.getGuarantee'] },
+  { method: 'put', path: '/:guaranteeId/status', calls: ['deliveryGuarantee.updateGuaranteeStatus'] }
+];
+
 router.initializeDependencies = initializeDependencies;
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,16 @@
 const express = require('express');
-const { ethers } = require('hardhat');
+const { ethers } = require('ethers');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
+const { DELIVERY_STATUS, parseDeliveryStatus, statusName } = require('../services/deliveryStatus');
+const { identifierKey, recipientKey } = require('../services/eventIndexer');
+const { parsePagination, paginationInfo } = require('../services/pagination');
+const { MAIL_TYPES, parseTimestamp, validateRegistration, registerMailArgs } = require('../services/mailRegistration');
+const { ROLES } = require('../services/sessions');
 
 // Import logger and contracts from main server
-let logger, contracts, provider, userSigner, signer;
+let logger, contracts, provider, userSigner, signer, transactionManager, repositories, mailImports, mailAdmin;
 
 // Initialize dependencies (will be set by server.js)
 function initializeDependencies(deps) {
@@ -14,8 +19,15 @@ function initializeDependencies(deps) {
   provider = deps.provider;
   userSigner = deps.userSigner;
   signer = deps.signer;
+  transactionManager = deps.transactionManager;
+  repositories = deps.repositories;
+  mailImports = deps.mailImports;
+  mailAdmin = deps.mailAdmin;
 }
 
+// Most mail IDs accepted by POST /bulk-status, also the batch size for bulk contract reads
+const MAX_BULK_STATUS_IDS = 300;
+
 function loadContractAddresses() {
   const path = require('path');
   const fs = require('fs');
@@ -40,18 +52,6 @@ function loadContractAddresses() {
   return contractAddresses;
 }
 
-async function getNextNonce(signerAddress) {
-  try {
-    // Use pending nonce to avoid conflicts with in-flight transactions
-    const pendingNonce = await provider.getTransactionCount(signerAddress, 'pending');
-    logger.info(`Using nonce for ${signerAddress}: ${pendingNonce}`);
-    return pendingNonce;
-  } catch (error) {
-    logger.error('Error getting nonce:', error);
-    throw error;
-  }
-}
-
 // Helper function to get mail registry contract instance
 function getMailRegistryContract() {
   if (!contracts.mailRegistry) {
@@ -69,109 +69,21 @@ function getDeliveryTrackingContract() {
 }
 
 
-async function executeWithNonceRetry(transactionFunction, signerAddress, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const nonce = await getNextNonce(signerAddress);
-      logger.info(`Transaction attempt ${attempt}/${maxRetries} with nonce ${nonce}`);
-
-      const tx = await transactionFunction(nonce);
-      return tx;
-    } catch (error) {
-      logger.error(`Transaction attempt ${attempt} failed:`, error.message);
-
-      // Check for specific errors that require retry
-      const shouldRetry = error.message.includes('nonce too low') ||
-        error.message.includes('replacement transaction underpriced') ||
-        error.message.includes('network error');
-
-      if (attempt === maxRetries || !shouldRetry) {
-        throw error;
-      }
-
-      // Short wait before retry to avoid overwhelming the network
-      const waitTime = 1000 * attempt; // 1s, 2s, 3s
-      logger.info(`Waiting ${waitTime}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-  }
-}
-
-
-
 // POST /register - Register a new mail
 router.post('/register', async (req, res) => {
   try {
-    const {
-      mailId,
-      trackingNumber,
-      senderAddress,
-      recipientId,
-      mailType,
-      guaranteedDeliveryTime,
-      requiresTimeProof,
-      metadata
-    } = req.body;
-
-    // Validate required fields
-    if (!mailId || !trackingNumber || !senderAddress || !recipientId || mailType === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: mailId, trackingNumber, senderAddress, recipientId, mailType'
-      });
-    }
-
-    // Validate Ethereum address
-    if (!ethers.isAddress(senderAddress)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid sender address format'
-      });
-    }
-
-    // Validate strings are not empty
-    if (mailId.trim().length === 0 || trackingNumber.trim().length === 0 || recipientId.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'MailId, trackingNumber, and recipientId cannot be empty strings'
-      });
-    }
-
-    // Mail type mapping: convert string mailType to enum number
-    const mailTypeMapping = {
-      'document': 0,
-      'package': 1,
-      'certified': 2,
-      'priority': 3
-    };
-
-    const mailTypeEnum = mailTypeMapping[mailType.toLowerCase()];
-    if (mailTypeEnum === undefined) {
+    const { errors, registration } = validateRegistration(req.body);
+    if (errors) {
       return res.status(400).json({
         success: false,
-        error: `Invalid mailType. Must be one of: ${Object.keys(mailTypeMapping).join(', ')}`
+        error: errors[0],
+        details: errors
       });
     }
 
+    const { mailId, trackingNumber, guaranteedDeliveryTime } = registration;
     const mailRegistry = getMailRegistryContract();
 
-    // Validate and prepare guaranteed delivery time
-    let validGuaranteedDeliveryTime;
-    if (guaranteedDeliveryTime) {
-      validGuaranteedDeliveryTime = parseInt(guaranteedDeliveryTime);
-      // Ensure it's in the future
-      const currentTime = Math.floor(Date.now() / 1000);
-      if (validGuaranteedDeliveryTime <= currentTime) {
-        return res.status(400).json({
-          success: false,
-          error: 'Guaranteed delivery time must be in the future'
-        });
-      }
-    } else {
-      // Default to 24 hours from now
-      validGuaranteedDeliveryTime = Math.floor(Date.now() / 1000) + 86400;
-    }
-
     // Check if mailId already exists (to prevent duplicate error)
     try {
       const existingMail = await mailRegistry.mailExists(mailId);
@@ -186,62 +98,13 @@ router.post('/register', async (req, res) => {
       // Continue anyway as this might be a contract call issue
     }
 
-    // Prepare metadata in the correct format
-    const mailMetadata = {
-      weight: metadata?.weight || "0kg",
-      size: metadata?.size || "Small",
-      priority: Math.min(Math.max(parseInt(metadata?.priority || 0), 0), 2), // Ensure 0-2 range
-      insurance: ethers.parseEther(metadata?.insurance || "0"),
-      requiresSignature: metadata?.requiresSignature || false
-    };
-    
-    logger.info(`Registering mail with ID: ${mailId}, tracking: ${trackingNumber}, delivery time: ${new Date(validGuaranteedDeliveryTime * 1000).toISOString()}`);
-    console.log("Mail metadata:", mailMetadata);
-
-    // const contractAddresses = loadContractAddresses();
-    // const MailRegistry_ = await ethers.getContractAt("MailRegistry", contractAddresses.mailRegistry);
-    // const nonce_ = getNextNonce();
-    // Execute mail registration with nonce retry
-    const tx = await executeWithNonceRetry(async (nonce) => {
-      return await mailRegistry.connect(signer).registerMail(
-        mailId,
-        trackingNumber,
-        senderAddress,
-        recipientId,
-        mailTypeEnum,
-        validGuaranteedDeliveryTime,
-        requiresTimeProof || false,
-        mailMetadata,
-        {
-          gasLimit: 800000, // Increased to handle contract complexity
-          gasPrice: ethers.parseUnits('40', 'gwei'), // Increased for faster confirmation
-          nonce: nonce
-        }
-      );
-    }, await signer.getAddress());
-
-
-    // const tx6 = await executeWithNonceRetry(async (nonce) => {
-    //   return await mailRegistry.connect(user1).registerMail(
-    //     mailId,
-    //     trackingNumber,
-    //     user1.address,
-    //     "RECIPIENT_BOB_001",
-    //     1, // PACKAGE enum
-    //     guaranteedDeliveryTime,
-    //     true, // requires proof of time
-    //     mailMetadata,
-    //     {
-    //       gasLimit: 500000,
-    //       gasPrice: ethers.parseUnits("20", "gwei"),
-    //       nonce: nonce
-    //     }
-    //   );
-    // }, user1);
-
-    // await tx6.wait();
+    logger.info(`Registering mail with ID: ${mailId}, tracking: ${trackingNumber}, delivery time: ${new Date(guaranteedDeliveryTime * 1000).toISOString()}`);
+
+    // Execute mail registration through the shared transaction manager
+    const tx = await transactionManager.submit(signer, mailRegistry, 'registerMail', registerMailArgs(registration));
+
     const receipt = await tx.wait();
-    logger.info(`Mail registered successfully: ${mailId}, transaction: ${receipt.transactionHash}`);
+    logger.info(`Mail registered successfully: ${mailId}, transaction: ${receipt.hash}`);
     
     res.json({
       success: true,
@@ -250,7 +113,7 @@ router.post('/register', async (req, res) => {
         mailId,
         trackingNumber,
         status: 'registered',
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
         registeredAt: new Date().toISOString()
@@ -262,25 +125,9 @@ router.post('/register', async (req, res) => {
     logger.error('Mail registration error:', error);
     
     // Provide more specific error messages based on error type
-    let errorMessage = 'Failed to register mail';
-    let statusCode = 500;
-    
-    if (error.message.includes('nonce too low')) {
-      errorMessage = 'Transaction nonce conflict. Please try again.';
-      statusCode = 409;
-    } else if (error.message.includes('insufficient funds')) {
-      errorMessage = 'Insufficient funds for transaction';
-      statusCode = 400;
-    } else if (error.message.includes('execution reverted')) {
-      errorMessage = 'Blockchain transaction failed - possibly due to contract validation';
-      statusCode = 400;
-    } else if (error.message.includes('network')) {
-      errorMessage = 'Network error. Please check connection and try again.';
-      statusCode = 503;
-    } else if (error.message.includes('timeout')) {
-      errorMessage = 'Transaction timed out. Please try again.';
-      statusCode = 408;
-    }
+    const classified = transactionManager.classifyError(error);
+    const errorMessage = classified.type === 'UNKNOWN' ? 'Failed to register mail' : classified.message;
+    const statusCode = classified.statusCode;
     
     res.status(statusCode).json({
       success: false,
@@ -292,6 +139,112 @@ router.post('/register', async (req, res) => {
 
 
 
+// POST /api/mail/import - Queue a bulk registration from a CSV or JSON manifest
+// Body: { format: 'csv' | 'json', manifest }. Every row is validated first; any
+// invalid row rejects the whole manifest with { row, errors } for each bad row.
+// Blank mailId/trackingNumber are generated, senderAddress defaults to the uploader.
+router.post('/import', async (req, res) => {
+  try {
+    const { format, manifest } = req.body;
+
+    if (!format || manifest === undefined || manifest === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: format, manifest'
+      });
+    }
+
+    const job = await mailImports.createJob({
+      format: String(format).toLowerCase(),
+      manifest,
+      uploaderAddress: req.auth.userAddress
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Import queued with ${job.totalRows} rows`,
+      data: job
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.details ? { details: error.details } : {})
+      });
+    }
+    logger.error('Mail import failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import manifest',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/mail/import - The caller's import jobs, newest first (every job for admins)
+router.get('/import', (req, res) => {
+  try {
+    const jobs = mailImports.listJobs({
+      createdBy: req.auth.role === ROLES.ADMIN ? null : req.auth.userAddress
+    });
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        total: jobs.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('List mail imports failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list mail imports',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/mail/import/:jobId - An import job with the status of every row
+router.get('/import/:jobId', (req, res) => {
+  try {
+    const job = mailImports.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import job not found'
+      });
+    }
+
+    if (req.auth.role !== ROLES.ADMIN && req.auth.userAddress.toLowerCase() !== job.createdBy) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view your own imports',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    logger.error('Get mail import failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get mail import',
+      message: error.message
+    });
+  }
+});
+
+
 // GET /api/mail/:mailId/details - Get mail details
 router.get('/:mailId/details', async (req, res) => {
   try {
@@ -328,6 +281,7 @@ router.get('/:mailId/details', async (req, res) => {
         recipientId: details[2],
         mailType: ['document', 'package', 'certified', 'priority'][Number(details[3])] || 'package',
         status: Number(details[4]),
+        statusName: statusName(details[4]),
         registrationTime: new Date(Number(details[5]) * 1000).toISOString(),
         lastUpdateTime: new Date(Number(details[6]) * 1000).toISOString(),
         guaranteedDeliveryTime: new Date(guaranteedDeliveryTime * 1000).toISOString(),
@@ -347,111 +301,294 @@ router.get('/:mailId/details', async (req, res) => {
 });
 
 
-// GET /api/mail/:mailId/delivery-performance - Get delivery performance
+// Helper function to turn DeliveryTracking history into milestones with per-leg durations.
+// The first leg runs from registration to the first scan.
+function buildMilestones(history, registrationTime, guaranteedDeliveryTime) {
+  let previousTime = registrationTime;
+
+  return history.map(update => {
+    const timestamp = Number(update.timestamp);
+    const milestone = {
+      status: statusName(update.status),
+      statusCode: Number(update.status),
+      timestamp: new Date(timestamp * 1000).toISOString(),
+      location: update.location,
+      coordinates: {
+        latitude: Number(update.coordinates.latitude) / 1000000,
+        longitude: Number(update.coordinates.longitude) / 1000000
+      },
+      workerAddress: update.workerAddress,
+      legDurationSeconds: Math.max(0, timestamp - previousTime),
+      elapsedSeconds: Math.max(0, timestamp - registrationTime),
+      onSchedule: timestamp <= guaranteedDeliveryTime
+    };
+    previousTime = timestamp;
+    return milestone;
+  });
+}
+
+// GET /api/mail/:mailId/delivery-performance - Delivery timeline and SLA compliance for one mail item
+// Milestones come from DeliveryTracking.getTrackingHistory. A mail counts as delivered once either
+// MailRegistry or DeliveryTracking says so; MailRegistry.isDeliveredOnTime decides compliance when
+// the registry has the delivery, otherwise the DeliveryTracking delivery scan is compared with the SLA.
 router.get('/:mailId/delivery-performance', async (req, res) => {
   try {
     const { mailId } = req.params;
 
-    if (!mailId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Mail ID is required'
-      });
-    }
-
     logger.info(`Delivery performance request for: ${mailId}`);
 
-    // Get contract instances
     const mailRegistry = getMailRegistryContract();
     const deliveryTracking = getDeliveryTrackingContract();
 
-    // Get mail details
+    if (!(await mailRegistry.mailExists(mailId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mail not found'
+      });
+    }
+
     const details = await mailRegistry.getMailDetails(mailId);
-    const status = await mailRegistry.getMailStatus(mailId);
-
-    // Mock delivery performance data
-    const registrationTime = new Date(Date.now() - (2 * 24 * 60 * 60 * 1000)); // 2 days ago
-    const guaranteedDeliveryTime = new Date(details[4] * 1000);
-    const actualDeliveryTime = status === 4 ? new Date(Date.now() - (6 * 60 * 60 * 1000)) : null; // 6 hours ago if delivered
-
-    let deliveryStatus, timeAhead, slaCompliance;
-
-    if (actualDeliveryTime) {
-      const timeDiff = guaranteedDeliveryTime.getTime() - actualDeliveryTime.getTime();
-      if (timeDiff > 0) {
-        deliveryStatus = 'delivered_early';
-        timeAhead = `${Math.floor(timeDiff / (1000 * 60 * 60))}h ${Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60))}m`;
-        slaCompliance = 'exceeded';
-      } else {
-        deliveryStatus = 'delivered_late';
-        timeAhead = `${Math.floor(Math.abs(timeDiff) / (1000 * 60 * 60))}h ${Math.floor((Math.abs(timeDiff) % (1000 * 60 * 60)) / (1000 * 60))}m late`;
-        slaCompliance = 'failed';
-      }
+    const trackingNumber = details[0];
+    const registryStatus = Number(details[4]);
+    const registrationTime = Number(details[5]);
+    const guaranteedDeliveryTime = Number(details[7]);
+
+    const history = await deliveryTracking.getTrackingHistory(trackingNumber);
+    const milestones = buildMilestones(history, registrationTime, guaranteedDeliveryTime);
+
+    // getDeliveryPerformance reverts for a tracking number that has never been scanned
+    let tracking = null;
+    if (history.length > 0) {
+      const [totalMilestones, firstScanTime, lastUpdateTime, isDelivered, totalTransitTime] =
+        await deliveryTracking.getDeliveryPerformance(trackingNumber);
+      tracking = {
+        totalMilestones: Number(totalMilestones),
+        firstScanAt: new Date(Number(firstScanTime) * 1000).toISOString(),
+        lastUpdateAt: new Date(Number(lastUpdateTime) * 1000).toISOString(),
+        isDelivered,
+        totalTransitSeconds: isDelivered ? Number(totalTransitTime) : null
+      };
+    }
+
+    let deliveredAt = null;
+    let onTime = null;
+    let onTimeSource = null;
+    if (registryStatus === DELIVERY_STATUS.DELIVERED) {
+      deliveredAt = Number(details[6]);
+      onTime = await mailRegistry.isDeliveredOnTime(mailId);
+      onTimeSource = 'mailRegistry';
+    } else if (tracking && tracking.isDelivered) {
+      const deliveryScan = [...history].reverse().find(update => Number(update.status) === DELIVERY_STATUS.DELIVERED);
+      deliveredAt = Number(deliveryScan ? deliveryScan.timestamp : history[history.length - 1].timestamp);
+      onTime = deliveredAt <= guaranteedDeliveryTime;
+      onTimeSource = 'deliveryTracking';
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    let deliveryStatus, slaCompliance;
+    if (deliveredAt !== null) {
+      deliveryStatus = onTime ? 'delivered_on_time' : 'delivered_late';
+      slaCompliance = onTime ? 'met' : 'missed';
+    } else if (now <= guaranteedDeliveryTime) {
+      deliveryStatus = 'in_progress';
+      slaCompliance = 'on_track';
     } else {
-      const now = new Date();
-      if (now < guaranteedDeliveryTime) {
-        deliveryStatus = 'in_progress';
-        slaCompliance = 'on_track';
-      } else {
-        deliveryStatus = 'overdue';
-        slaCompliance = 'at_risk';
-      }
-      timeAhead = null;
+      deliveryStatus = 'overdue';
+      slaCompliance = 'breached';
     }
 
-    // Mock milestones
-    const milestones = [
-      {
-        event: 'registered',
-        timestamp: registrationTime.toISOString(),
-        location: 'New York Main Post Office',
-        onSchedule: true
-      },
-      {
-        event: 'collected',
-        timestamp: new Date(registrationTime.getTime() + (5 * 60 * 60 * 1000)).toISOString(),
-        location: 'NY Processing Center',
-        onSchedule: true
+    const latest = milestones[milestones.length - 1];
+
+    res.json({
+      success: true,
+      data: {
+        mailId,
+        trackingNumber,
+        status: latest ? latest.status : statusName(registryStatus),
+        statusCode: latest ? latest.statusCode : registryStatus,
+        registryStatus: statusName(registryStatus),
+        registrationTime: new Date(registrationTime * 1000).toISOString(),
+        guaranteedDeliveryTime: new Date(guaranteedDeliveryTime * 1000).toISOString(),
+        actualDeliveryTime: deliveredAt !== null ? new Date(deliveredAt * 1000).toISOString() : null,
+        deliveryStatus,
+        slaCompliance,
+        onTime,
+        onTimeSource,
+        // Positive: ahead of the guaranteed time; negative: late (or overdue when undelivered)
+        slaMarginSeconds: guaranteedDeliveryTime - (deliveredAt !== null ? deliveredAt : now),
+        elapsedSeconds: (deliveredAt !== null ? deliveredAt : now) - registrationTime,
+        currentLocation: latest ? latest.location : null,
+        tracking,
+        milestones
       }
-    ];
-
-    if (status >= 2) {
-      milestones.push({
-        event: 'in_transit',
-        timestamp: new Date(registrationTime.getTime() + (12 * 60 * 60 * 1000)).toISOString(),
-        location: 'Distribution Hub',
-        onSchedule: true
+    });
+
+  } catch (error) {
+    logger.error('Get delivery performance failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get delivery performance',
+      message: error.message
+    });
+  }
+});
+
+// Helper function to send a mail correction error: service errors carry their own status
+// code (plus the unsigned transaction when the sender's wallet must send it), anything
+// else is classified as a transaction error
+function sendMailAdminError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.transaction ? { data: { transaction: error.transaction } } : {})
+    });
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  const classified = transactionManager.classifyError(error);
+  return res.status(classified.statusCode).json({
+    success: false,
+    error: classified.type === 'UNKNOWN' ? fallbackMessage : classified.message,
+    details: error.message
+  });
+}
+
+// PUT /api/mail/:mailId/status - Correct a mail's MailRegistry status
+// Body: { status, reason }. status is a status name or enum value; reason is required.
+router.put('/:mailId/status', async (req, res) => {
+  try {
+    const { mailId } = req.params;
+    const { status, reason } = req.body;
+
+    const statusCode = status === undefined || status === null ? -1 : parseDeliveryStatus(status);
+    if (statusCode === -1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid status is required'
       });
     }
 
-    if (status >= 4) {
-      milestones.push({
-        event: 'delivered',
-        timestamp: actualDeliveryTime.toISOString(),
-        location: 'Recipient Address',
-        onSchedule: deliveryStatus === 'delivered_early'
+    const { change, receipt } = await mailAdmin.updateStatus({
+      mailId,
+      status: statusCode,
+      reason,
+      actorAddress: req.auth.userAddress
+    });
+
+    // Keep the courier's queue in line with the corrected status
+    if (statusCode === DELIVERY_STATUS.DELIVERED) {
+      repositories.assignments.close(mailId);
+    } else if (change.previousValue === statusName(DELIVERY_STATUS.DELIVERED)) {
+      repositories.assignments.reopen(mailId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Mail status updated successfully',
+      data: {
+        mailId,
+        previousStatus: change.previousValue,
+        status: change.newValue,
+        statusCode,
+        reason: change.reason,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        change
+      }
+    });
+
+  } catch (error) {
+    sendMailAdminError(res, error, 'Failed to update mail status');
+  }
+});
+
+// PUT /api/mail/:mailId/guaranteed-delivery-time - Reschedule a mail after an agreed delay
+// Body: { guaranteedDeliveryTime (Unix seconds or ISO 8601), reason, transactionHash }.
+// Senders can only reschedule their own mail. When the backend does not hold the sender's key,
+// the response is a 400 WALLET_TRANSACTION_REQUIRED with the transaction to send from that
+// wallet; repeat the request with its transactionHash. The linked guarantee's SLA is recomputed.
+router.put('/:mailId/guaranteed-delivery-time', async (req, res) => {
+  try {
+    const { mailId } = req.params;
+    const { guaranteedDeliveryTime, reason, transactionHash } = req.body;
+
+    const newTime = guaranteedDeliveryTime === undefined || guaranteedDeliveryTime === null
+      ? NaN
+      : parseTimestamp(guaranteedDeliveryTime);
+    if (isNaN(newTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid guaranteedDeliveryTime is required (Unix seconds or ISO 8601)'
       });
     }
 
+    if (req.auth.role !== ROLES.ADMIN) {
+      const mailRegistry = getMailRegistryContract();
+      if (!(await mailRegistry.mailExists(mailId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Mail not found'
+        });
+      }
+      const [, senderAddress] = await mailRegistry.getMailDetails(mailId);
+      if (senderAddress.toLowerCase() !== req.auth.userAddress.toLowerCase()) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only reschedule mail you sent',
+          code: 'FORBIDDEN'
+        });
+      }
+    }
+
+    const { change, receipt, sla } = await mailAdmin.reschedule({
+      mailId,
+      guaranteedDeliveryTime: newTime,
+      reason,
+      actorAddress: req.auth.userAddress,
+      transactionHash
+    });
+
     res.json({
       success: true,
-      deliveryPerformance: {
-        mailId: mailId,
-        registrationTime: registrationTime.toISOString(),
-        guaranteedDeliveryTime: guaranteedDeliveryTime.toISOString(),
-        actualDeliveryTime: actualDeliveryTime?.toISOString() || null,
-        deliveryStatus: deliveryStatus,
-        timeAhead: timeAhead,
-        slaCompliance: slaCompliance,
-        milestones: milestones
+      message: 'Mail rescheduled successfully',
+      data: {
+        mailId,
+        previousGuaranteedDeliveryTime: change.previousValue,
+        guaranteedDeliveryTime: change.newValue,
+        reason: change.reason,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        sla,
+        change
       }
     });
 
   } catch (error) {
-    logger.error('Get delivery performance failed:', error);
+    sendMailAdminError(res, error, 'Failed to reschedule mail');
+  }
+});
+
+// GET /api/mail/:mailId/changes - Manual status updates and reschedules of a mail, oldest first
+router.get('/:mailId/changes', (req, res) => {
+  try {
+    const { mailId } = req.params;
+    const changes = mailAdmin.listChanges(mailId);
+
+    res.json({
+      success: true,
+      data: {
+        mailId,
+        changes,
+        total: changes.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get mail changes failed:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get delivery performance',
+      error: 'Failed to get mail changes',
       message: error.message
     });
   }
@@ -482,7 +619,7 @@ router.get('/tracking/:trackingNumber', async (req, res) => {
       data: {
         trackingNumber: trackingNumber,
         history: history.map(item => ({
-          status: ['registered', 'collected', 'in_transit', 'out_for_delivery', 'delivered', 'exception'][item.status] || 'unknown',
+          status: statusName(item.status),
           timestamp: new Date(Number(item.timestamp) * 1000).toISOString(),
           location: item.location,
           coordinates: {
@@ -503,5 +640,506 @@ router.get('/tracking/:trackingNumber', async (req, res) => {
   }
 });
 
+// Whether the signed-in user is the recipient: by address, or by the user ID of their account
+function isOwnRecipientId(auth, recipientId) {
+  if (ethers.isAddress(recipientId)) {
+    return recipientId.toLowerCase() === auth.userAddress.toLowerCase();
+  }
+  const user = repositories.users.findByAddress(auth.userAddress);
+  return Boolean(user) && user.userId === recipientId;
+}
+
+// Helper function to find mail registered to a recipient from indexed MailRegistered events, newest first.
+// Wallet-address recipient IDs match regardless of case.
+function findRecipientMail(recipientId) {
+  return repositories.contractEvents.find({ eventName: 'MailRegistered', relatedKey: recipientKey(recipientId), order: 'desc' })
+    .filter(event => typeof event.args.mailId === 'string');
+}
+
+// Helper function to get the newest location update for a tracking number,
+// from indexed StatusUpdated events or the local status history
+function findLatestUpdate(trackingNumber) {
+  const updates = [];
+
+  const [event] = repositories.contractEvents.find({
+    eventName: 'StatusUpdated',
+    subjectKey: identifierKey(trackingNumber),
+    order: 'desc',
+    limit: 1
+  });
+  if (event) {
+    updates.push({ location: event.args.location, time: Number(event.args.timestamp) * 1000 });
+  }
+
+  const local = repositories.deliveryStatuses.getLatest(trackingNumber);
+  if (local) {
+    updates.push({ location: local.location, time: new Date(local.timestamp).getTime() });
+  }
+
+  return updates.sort((a, b) => b.time - a.time)[0] || null;
+}
+
+// Helper function to format getMailDetails output with the latest location update
+function formatMail(mailId, details) {
+  const registrationTime = Number(details[5]) * 1000;
+  const deliveryTime = Number(details[6]) * 1000;
+  const latestUpdate = findLatestUpdate(details[0]);
+  const lastUpdateTime = Math.max(registrationTime, deliveryTime, latestUpdate ? latestUpdate.time : 0);
+
+  return {
+    mailId,
+    trackingNumber: details[0],
+    senderAddress: details[1],
+    recipientId: details[2],
+    mailType: MAIL_TYPES[Number(details[3])] || 'package',
+    status: Number(details[4]),
+    statusName: statusName(details[4]),
+    registrationTime: new Date(registrationTime).toISOString(),
+    guaranteedDeliveryTime: new Date(Number(details[7]) * 1000).toISOString(),
+    deliveredAt: deliveryTime > 0 ? new Date(deliveryTime).toISOString() : null,
+    lastUpdateTime: new Date(lastUpdateTime).toISOString(),
+    currentLocation: latestUpdate ? latestUpdate.location : null,
+    proofOfTimeRequired: Boolean(details[8]),
+    metadataHash: details[9]
+  };
+}
+
+// Helper function to read and format one mail item by ID
+async function loadMail(mailId) {
+  return formatMail(mailId, await getMailRegistryContract().getMailDetails(mailId));
+}
+
+// Helper function to parse a comma-separated ?status= filter into enum values.
+// Returns null when no filter is given, or { error } for unknown statuses.
+function parseStatusFilter(status) {
+  if (!status) {
+    return null;
+  }
+  const statuses = String(status).split(',').map(value => parseDeliveryStatus(value.trim()));
+  return statuses.includes(-1) ? { error: `Invalid status filter: ${status}` } : statuses;
+}
+
+// Helper function to parse a comma-separated ?type= filter into MailType values.
+// Returns null when no filter is given, or { error } for unknown types.
+function parseTypeFilter(type) {
+  if (!type) {
+    return null;
+  }
+  const types = String(type).split(',').map(value => MAIL_TYPES.indexOf(value.trim().toLowerCase()));
+  return types.includes(-1) ? { error: `Invalid type filter: ${type}. Must be one of: ${MAIL_TYPES.join(', ')}` } : types;
+}
+
+// Helper function to map over a list a batch at a time, so long lists are not sent to the node all at once
+async function mapInBatches(items, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += MAX_BULK_STATUS_IDS) {
+    results.push(...await fn(items.slice(i, i + MAX_BULK_STATUS_IDS)));
+  }
+  return results;
+}
+
+// Helper function to drop mail IDs whose current status is not in the filter, using getBulkStatus
+async function filterByStatus(mailIds, statusFilter) {
+  if (!statusFilter || mailIds.length === 0) {
+    return mailIds;
+  }
+  const statuses = await mapInBatches(mailIds, async batch => {
+    const [batchStatuses] = await getMailRegistryContract().getBulkStatus(batch);
+    return batchStatuses.map(Number);
+  });
+  return mailIds.filter((mailId, i) => statusFilter.includes(statuses[i]));
+}
+
+// Helper function to drop mail IDs whose mail type is not in the filter. Types come from
+// indexed MailRegistered events; only mail the index has no type for is read with getMailDetails.
+async function filterByType(mailIds, typeFilter) {
+  if (!typeFilter || mailIds.length === 0) {
+    return mailIds;
+  }
+  const types = new Map();
+
+  for (const mailId of mailIds) {
+    const [event] = repositories.contractEvents.find({
+      eventName: 'MailRegistered',
+      subjectKey: identifierKey(mailId),
+      limit: 1
+    });
+    if (event && event.args.mailType !== undefined) {
+      types.set(mailId, Number(event.args.mailType));
+    }
+  }
+
+  const unindexed = mailIds.filter(mailId => !types.has(mailId));
+  await mapInBatches(unindexed, batch => Promise.all(batch.map(async mailId => {
+    types.set(mailId, Number((await getMailRegistryContract().getMailDetails(mailId))[3]));
+  })));
+
+  return mailIds.filter(mailId => typeFilter.includes(types.get(mailId)));
+}
+
+// Helper function to read every registered mail ID, in registration order
+async function readAllMailIds(total) {
+  const mailIds = [];
+  for (let offset = 0; offset < total; offset += MAX_BULK_STATUS_IDS) {
+    mailIds.push(...await getMailRegistryContract().getAllMailIds(offset, MAX_BULK_STATUS_IDS));
+  }
+  return mailIds;
+}
+
+// Helper function to find tracking numbers for mail IDs, from indexed MailRegistered
+// events or MailRegistry.mailItems. Unknown mail IDs are left out of the map.
+async function resolveTrackingNumbers(mailIds) {
+  const trackingNumbers = new Map();
+
+  for (const mailId of mailIds) {
+    const [event] = repositories.contractEvents.find({
+      eventName: 'MailRegistered',
+      subjectKey: identifierKey(mailId),
+      limit: 1
+    });
+    if (event && typeof event.args.trackingNumber === 'string') {
+      trackingNumbers.set(mailId, event.args.trackingNumber);
+    }
+  }
+
+  const unindexed = mailIds.filter(mailId => !trackingNumbers.has(mailId));
+  await Promise.all(unindexed.map(async mailId => {
+    const item = await getMailRegistryContract().mailItems(mailId);
+    if (item.trackingNumber) {
+      trackingNumbers.set(mailId, item.trackingNumber);
+    }
+  }));
+
+  return trackingNumbers;
+}
+
+// GET /api/mail - Browse every registered mail item, in registration order
+// Optional query: offset, limit (1-100), status and type (comma-separated)
+router.get('/', async (req, res) => {
+  try {
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid offset. Must be a non-negative integer'
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit. Must be between 1 and 100'
+      });
+    }
+
+    const statusFilter = parseStatusFilter(req.query.status);
+    const typeFilter = parseTypeFilter(req.query.type);
+    for (const filter of [statusFilter, typeFilter]) {
+      if (filter && filter.error) {
+        return res.status(400).json({
+          success: false,
+          error: filter.error
+        });
+      }
+    }
+
+    const mailRegistry = getMailRegistryContract();
+    const totalMails = Number(await mailRegistry.getTotalMails());
+
+    let mailIds;
+    let total;
+    if (!statusFilter && !typeFilter) {
+      // getAllMailIds reverts on an offset past the end
+      mailIds = offset < totalMails ? [...await mailRegistry.getAllMailIds(offset, limit)] : [];
+      total = totalMails;
+    } else {
+      // Filters need every ID so the total and the page are exact. The type
+      // filter mostly reads the local index, so it runs before the status filter.
+      let matching = await readAllMailIds(totalMails);
+      matching = await filterByType(matching, typeFilter);
+      matching = await filterByStatus(matching, statusFilter);
+      mailIds = matching.slice(offset, offset + limit);
+      total = matching.length;
+    }
+
+    const mails = await Promise.all(mailIds.map(loadMail));
+
+    res.json({
+      success: true,
+      data: {
+        mails,
+        pagination: {
+          offset,
+          limit,
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List mail failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list mail',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/mail/bulk-status - Current status of up to MAX_BULK_STATUS_IDS mail items
+// Body: { mailIds }. Combines MailRegistry status with the latest DeliveryTracking scan.
+router.post('/bulk-status', async (req, res) => {
+  try {
+    const { mailIds } = req.body;
+
+    if (!Array.isArray(mailIds) || mailIds.length === 0 || mailIds.some(id => typeof id !== 'string' || !id.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'mailIds must be a non-empty array of mail IDs'
+      });
+    }
+
+    if (mailIds.length > MAX_BULK_STATUS_IDS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BULK_STATUS_IDS} mail IDs can be queried at once`
+      });
+    }
+
+    const [statuses, onTimeStatus, proofHashes] = await getMailRegistryContract().getBulkStatus(mailIds);
+    const trackingNumbers = await resolveTrackingNumbers(mailIds);
+
+    // DeliveryTracking only knows items that have been scanned at least once
+    const scans = new Map();
+    const known = mailIds.filter(mailId => trackingNumbers.has(mailId));
+    if (known.length > 0) {
+      const [scanStatuses, lastUpdates, locations] = await getDeliveryTrackingContract()
+        .getBulkStatus(known.map(mailId => trackingNumbers.get(mailId)));
+      known.forEach((mailId, i) => {
+        if (Number(lastUpdates[i]) > 0) {
+          scans.set(mailId, {
+            status: statusName(scanStatuses[i]),
+            statusCode: Number(scanStatuses[i]),
+            location: locations[i],
+            timestamp: new Date(Number(lastUpdates[i]) * 1000).toISOString()
+          });
+        }
+      });
+    }
+
+    const results = mailIds.map((mailId, i) => {
+      if (!trackingNumbers.has(mailId)) {
+        return { mailId, exists: false };
+      }
+      return {
+        mailId,
+        exists: true,
+        trackingNumber: trackingNumbers.get(mailId),
+        status: Number(statuses[i]),
+        statusName: statusName(statuses[i]),
+        onTime: onTimeStatus[i],
+        proofOfTimeHash: proofHashes[i],
+        lastScan: scans.get(mailId) || null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        statuses: results,
+        total: results.length,
+        notFound: results.filter(result => !result.exists).length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get bulk mail status failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bulk mail status',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/mail/recipient/:recipientId - List mail addressed to a recipient, newest first
+// Optional query: status (comma-separated names or codes), page, pageSize
+// Limited to the recipient themselves and admins.
+router.get('/recipient/:recipientId', async (req, res) => {
+  try {
+    const { recipientId } = req.params;
+
+    if (req.auth.role !== ROLES.ADMIN && !isOwnRecipientId(req.auth, recipientId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only list mail addressed to you',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const statusFilter = parseStatusFilter(req.query.status);
+    if (statusFilter && statusFilter.error) {
+      return res.status(400).json({
+        success: false,
+        error: statusFilter.error
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error
+      });
+    }
+
+    logger.info(`Recipient mail request for: ${recipientId}`);
+
+    const registered = findRecipientMail(recipientId);
+    const registrationTransactions = new Map(registered.map(event => [event.args.mailId, event.transactionHash]));
+
+    // The status filter is applied before paging
+    const matching = await filterByStatus(registered.map(event => event.args.mailId), statusFilter);
+    const page = matching.slice(pagination.offset, pagination.offset + pagination.pageSize);
+    const mails = await Promise.all(page.map(async mailId => ({
+      ...(await loadMail(mailId)),
+      registrationTransaction: registrationTransactions.get(mailId)
+    })));
+
+    res.json({
+      success: true,
+      data: {
+        recipientId,
+        mails,
+        pagination: paginationInfo(pagination, matching.length)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get recipient mail failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get recipient mail',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/mail/sender/:address - List mail registered by a sender, newest first
+// Optional query: status (comma-separated names or codes), page, pageSize
+// Limited to the sender themselves and admins.
+router.get('/sender/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    if (req.auth.role !== ROLES.ADMIN && req.auth.userAddress.toLowerCase() !== address.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only list mail you sent',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const statusFilter = parseStatusFilter(req.query.status);
+    if (statusFilter && statusFilter.error) {
+      return res.status(400).json({
+        success: false,
+        error: statusFilter.error
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        error: pagination.error
+      });
+    }
+
+    logger.info(`Sender mail request for: ${address}`);
+
+    // getSenderMails lists mail IDs in registration order
+    const mailIds = [...(await getMailRegistryContract().getSenderMails(address))].reverse();
+    const matching = await filterByStatus(mailIds, statusFilter);
+    const page = matching.slice(pagination.offset, pagination.offset + pagination.pageSize);
+    const mails = await Promise.all(page.map(loadMail));
+
+    res.json({
+      success: true,
+      data: {
+        senderAddress: address,
+        mails,
+        pagination: paginationInfo(pagination, matching.length)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get sender mail failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sender mail',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/mail/by-tracking/:trackingNumber - Look up a mail item by tracking number
+router.get('/by-tracking/:trackingNumber', async (req, res) => {
+  try {
+    const { trackingNumber } = req.params;
+
+    logger.info(`Mail lookup by tracking number: ${trackingNumber}`);
+
+    const mailRegistry = getMailRegistryContract();
+    const mailId = await mailRegistry.trackingToMailId(trackingNumber);
+    if (!mailId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tracking number not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await loadMail(mailId)
+    });
+
+  } catch (error) {
+    logger.error('Get mail by tracking number failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get mail by tracking number',
+      message: error.message
+    });
+  }
+});
+
+// Contract methods each endpoint calls, checked against the ABIs at startup
+router.contractCalls = [
+  { method: 'post', path: '/register', calls: ['mailRegistry.mailExists', 'mailRegistry.registerMail'] },
+  { method: 'post', path: '/import', calls: ['mailRegistry.mailExists', 'mailRegistry.trackingToMailId', 'mailRegistry.registerMail'] },
+  { method: 'get', path: '/import', calls: [] },
+  { method: 'get', path: '/import/:jobId', calls: [] },
+  { method: 'get', path: '/:mailId/details', calls: ['mailRegistry.getMailDetails'] },
+  { method: 'get', path: '/:mailId/delivery-performance', calls: ['mailRegistry.mailExists', 'mailRegistry.getMailDetails', 'mailRegistry.isDeliveredOnTime', 'deliveryTracking.getTrackingHistory', 'deliveryTracking.getDeliveryPerformance'] },
+  { method: 'put', path: '/:mailId/status', calls: ['mailRegistry.mailExists', 'mailRegistry.getMailDetails', 'mailRegistry.updateMailStatus'] },
+  { method: 'put', path: '/:mailId/guaranteed-delivery-time', calls: ['mailRegistry.mailExists', 'mailRegistry.getMailDetails', 'mailRegistry.setGuaranteedDeliveryTime', 'deliveryGuarantee.getGuarantee', 'deliveryGuarantee.slaStatus', 'deliveryGuarantee.monitorSLA'] },
+  { method: 'get', path: '/:mailId/changes', calls: [] },
+  { method: 'get', path: '/tracking/:trackingNumber', calls: ['deliveryTracking.getTrackingHistory'] },
+  { method: 'get', path: '/', calls: ['mailRegistry.getTotalMails', 'mailRegistry.getAllMailIds', 'mailRegistry.getBulkStatus', 'mailRegistry.getMailDetails'] },
+  { method: 'post', path: '/bulk-status', calls: ['mailRegistry.getBulkStatus', 'mailRegistry.mailItems', 'deliveryTracking.getBulkStatus'] },
+  { method: 'get', path: '/recipient/:recipientId', calls: ['mailRegistry.getBulkStatus', 'mailRegistry.getMailDetails'] },
+  { method: 'get', path: '/sender/:address', calls: ['mailRegistry.getSenderMails', 'mailRegistry.getBulkStatus', 'mailRegistry.getMailDetails'] },
+  { method: 'get', path: '/by-tracking/:trackingNumber', calls: ['mailRegistry.trackingToMailId', 'mailRegistry.getMailDetails'] }
+];
+
 router.initializeDependencies = initializeDependencies;
 module.exports = router;
\ No newline at end of file
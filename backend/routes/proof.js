@@ -4,7 +4,7 @@ const crypto = require('crypto');
 const router = express.Router();
 
 // Import logger and contracts from main server
-let logger, contracts, provider, signer;
+let logger, contracts, provider, signer, transactionManager;
 
 // Initialize dependencies (will be set by server.js)
 function initializeDependencies(deps) {
@@ -12,6 +12,7 @@ function initializeDependencies(deps) {
   contracts = deps.contracts;
   provider = deps.provider;
   signer = deps.signer;
+  transactionManager = deps.transactionManager;
 }
 
 // Helper function to get time proof contract instance
@@ -22,43 +23,6 @@ function getTimeProofContract() {
   return contracts.timeProof;
 }
 
-// Helper function for nonce management
-async function getNextNonce(signerAddress) {
-  try {
-    // Get the current nonce from the network
-    const currentNonce = await provider.getTransactionCount(signerAddress, 'pending');
-
-    logger.info(`Current nonce for ${signerAddress}: ${currentNonce}`);
-
-    return currentNonce;
-  } catch (error) {
-    logger.error('Error getting nonce:', error);
-    throw error;
-  }
-}
-
-// Helper function for transaction retry with nonce management
-async function executeWithNonceRetry(transactionFunction, signerAddress, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const nonce = await getNextNonce(signerAddress);
-      logger.info(`Transaction attempt ${attempt}: nonce=${nonce}`);
-
-      const result = await transactionFunction(nonce);
-      return result;
-    } catch (error) {
-      if (error.message.includes('nonce too low') && attempt < maxRetries) {
-        logger.warn(`Nonce conflict on attempt ${attempt}, retrying...`);
-        await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
-        continue;
-      } else {
-        throw error;
-      }
-    }
-  }
-  throw new Error(`Transaction failed after ${maxRetries} attempts`);
-}
-
 // Helper function to generate atomic time signature
 function generateAtomicTimeSignature(timestamp, ntpServer) {
   const data = `${timestamp}_${ntpServer}_${Date.now()}`;
@@ -128,7 +92,7 @@ router.post('/generate', async (req, res) => {
 
   } catch (error) {
     logger.error('Time proof generation failed:', error);
-    res.status(500).json({
+    res.status(transactionManager.classifyError(error).statusCode).json({
       success: false,
       error: 'Time proof generation failed',
       message: error.message
@@ -232,27 +196,20 @@ router.post('/generate-time-proof', async (req, res) => {
     const nonceBytes = ethers.randomBytes(32);
     const proofNonce = ethers.keccak256(nonceBytes);
 
-    // Execute time proof generation with nonce retry
-    const tx = await executeWithNonceRetry(async (nonce) => {
-      return await timeProof.connect(signer).generateTimeProof(
-        mailId,
-        eventTypeEnum,
-        requestedBy,
-        atomicTimeData,
-        certificateChain,
-        proofNonce,
-        {
-          gasLimit: 1000000,
-          gasPrice: ethers.parseUnits(process.env.GAS_PRICE || '20', 'gwei'),
-          nonce: nonce
-        }
-      );
-    }, await signer.address);
+    // Execute time proof generation through the shared transaction manager
+    const tx = await transactionManager.submit(signer, timeProof, 'generateTimeProof', [
+      mailId,
+      eventTypeEnum,
+      requestedBy,
+      atomicTimeData,
+      certificateChain,
+      proofNonce
+    ]);
 
     // Wait for transaction confirmation
     await tx.wait();
 
-    // logger.info(`Time proof generation successful: ${receipt.transactionHash}`);
+    // logger.info(`Time proof generation successful: ${receipt.hash}`);
 
     // Generate proof hash
     // const proofData = {
@@ -261,7 +218,7 @@ router.post('/generate-time-proof', async (req, res) => {
     //   timestamp: timestampUnix,
     //   blockHash,
     //   blockNumber,
-    //   transactionHash: receipt.transactionHash
+    //   transactionHash: receipt.hash
     // };
 
     // const proofHash = ethers.keccak256(
@@ -282,14 +239,14 @@ router.post('/generate-time-proof', async (req, res) => {
     //     ntpServerUsed: ntpServer,
     //     certificateChain: certificateChain,
     //     proofHash: proofHash,
-    //     transactionHash: receipt.transactionHash,
+    //     transactionHash: receipt.hash,
     //     gasUsed: receipt.gasUsed.toString()
     //   }
     // });
 
   } catch (error) {
     logger.error('Time proof generation failed:', error);
-    res.status(500).json({
+    res.status(transactionManager.classifyError(error).statusCode).json({
       success: false,
       error: 'Time proof generation failed',
       message: error.message
@@ -528,25 +485,18 @@ router.post('/record-delivery-time', async (req, res) => {
     // Convert delivery time to timestamp
     const deliveryTimestamp = Math.floor(new Date(deliveryTime).getTime() / 1000);
 
-    // Execute delivery time recording with nonce retry
-    const tx = await executeWithNonceRetry(async (nonce) => {
-      return await timeProof.connect(signer).recordDeliveryTime(
-        mailId,
-        deliveryTimestamp,
-        location,
-        signature || '0x',
-        {
-          gasLimit: 300000,
-          gasPrice: ethers.parseUnits('20', 'gwei'),
-          nonce: nonce
-        }
-      );
-    }, await signer.getAddress());
+    // Execute delivery time recording through the shared transaction manager
+    const tx = await transactionManager.submit(signer, timeProof, 'recordDeliveryTime', [
+      mailId,
+      deliveryTimestamp,
+      location,
+      signature || '0x'
+    ]);
 
     // Wait for transaction confirmation
     const receipt = await tx.wait();
 
-    logger.info(`Delivery time recorded successfully: ${receipt.transactionHash}`);
+    logger.info(`Delivery time recorded successfully: ${receipt.hash}`);
 
     res.json({
       success: true,
@@ -554,7 +504,7 @@ router.post('/record-delivery-time', async (req, res) => {
         mailId: mailId,
         deliveryTime: deliveryTime,
         location: location,
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString()
       }
@@ -562,7 +512,7 @@ router.post('/record-delivery-time', async (req, res) => {
 
   } catch (error) {
     logger.error('Record delivery time failed:', error);
-    res.status(500).json({
+    res.status(transactionManager.classifyError(error).statusCode).json({
       success: false,
       error: 'Failed to record delivery time',
       message: error.message
@@ -669,5 +619,15 @@ router.get('/mail/:mailId', async (req, res) => {
   }
 });
 
+// Contract methods each endpoint calls, checked against the ABIs at startup
+router.contractCalls = [
+  { method: 'post', path: '/generate-time-proof', calls: ['timeProof.authorizedTimestampAuthorities', 'timeProof.generateTimeProof'] },
+  { method: 'get', path: '/verify/:proofHash', calls: ['timeProof.verifyTimeProof', 'timeProof.getTimeProof'] },
+  { method: 'get', path: '/details/:proofHash', calls: ['timeProof.getTimeProof'] },
+  { method: 'post', path: '/batch-verify', calls: ['timeProof.verifyTimeProof'] },
+  { method: 'post', path: '/record-delivery-time', calls: ['timeProof.recordDeliveryTime'] },
+  { method: 'get', path: '/delivery-time/:mailId', calls: ['timeProof.getDeliveryTimeProof'] }
+];
+
 router.initializeDependencies = initializeDependencies;
 module.exports = router;
\ No newline at end of file
@@ -1,13 +1,10 @@
 const express = require('express');
 const { ethers } = require('ethers');
+const { ROLES } = require('../services/sessions');
 const router = express.Router();
 
 // Import logger and contracts from main server
-let logger, contracts, provider, signer, userSigner, workerSigner;
-
-// In-memory user registry for demo purposes
-// In production, this should be a proper database
-const registeredUsers = new Map();
+let logger, contracts, provider, signer, userSigner, workerSigner, transactionManager, repositories, sessions, siwe, userRegistry, passwords;
 
 // Initialize dependencies (will be set by server.js)
 function initializeDependencies(deps) {
@@ -17,6 +14,12 @@ function initializeDependencies(deps) {
   signer = deps.signer;
   userSigner = deps.userSigner;
   workerSigner = deps.workerSigner;
+  transactionManager = deps.transactionManager;
+  repositories = deps.repositories;
+  sessions = deps.sessions;
+  siwe = deps.siwe;
+  userRegistry = deps.userRegistry;
+  passwords = deps.passwords;
 }
 
 // Helper function to get user registry contract instance
@@ -29,149 +32,162 @@ function getUserRegistryContract() {
 
 
 
-// Helper function for nonce management
-async function getNextNonce(signerAddress) {
-  try {
-    const currentNonce = await provider.getTransactionCount(signerAddress, 'pending');
-    logger.info(`Current nonce for ${signerAddress}: ${currentNonce}`);
-    return currentNonce;
-  } catch (error) {
-    logger.error('Error getting nonce:', error);
-    throw error;
+// Helper function to send an account error: UserRegistry and password errors carry
+// their own status code (plus the unsigned transaction when the user's wallet must
+// send it), anything else is classified as a transaction error
+function sendAccountError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.transaction ? { data: { transaction: error.transaction } } : {})
+    });
   }
+  logger.error(`${fallbackMessage}:`, error);
+  const classified = transactionManager.classifyError(error);
+  return res.status(classified.statusCode).json({
+    success: false,
+    error: fallbackMessage,
+    details: classified.message
+  });
 }
 
-async function executeWithNonceRetry(transactionFunction, signerAddress, maxRetries = 5) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const nonce = await getNextNonce(signerAddress);
-      logger.info(`Transaction attempt ${attempt}/${maxRetries} with nonce ${nonce}`);
-
-      const tx = await transactionFunction(nonce);
-      return tx;
-    } catch (error) {
-      logger.error(`Transaction attempt ${attempt} failed:`, error.message);
-
-      const isRateLimited = error.message.includes('in-flight transaction limit') ||
-        error.message.includes('nonce too low') ||
-        error.message.includes('replacement transaction underpriced');
-
-      if (attempt === maxRetries) {
-        throw error;
-      }
+// Helper function to validate registration input; returns an error message or null
+function validateRegistration({ name, email, password, userAddress }) {
+  if (!name || !email || !password) {
+    return 'Missing required fields: name, email, password';
+  }
+  if (userAddress && !ethers.isAddress(userAddress)) {
+    return 'Invalid user address format';
+  }
+  return null;
+}
 
-      const waitTime = isRateLimited ? 3000 * attempt : 1000 * attempt;
-      logger.info(`Waiting ${waitTime}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+// Helper function to reject addresses or emails that already have an off-chain record
+function findDuplicateUser(userAddress, email) {
+  if (repositories.users.existsByAddress(userAddress)) {
+    return 'User with this wallet address is already registered';
   }
+  if (repositories.users.findByEmail(email)) {
+    return 'Email address is already registered';
+  }
+  return null;
 }
 
-// POST /register - Register a new user
-router.post('/register', async (req, res) => {
+// POST /register/prepare - Build the UserRegistry.registerUser transaction for the user's wallet
+// Body: { name, email, password, userAddress }. When the backend holds the key for
+// userAddress, `managed` is true and /register can be called directly.
+router.post('/register/prepare', async (req, res) => {
   try {
     const { name, email, password, userAddress } = req.body;
-    
-    // Validate required fields
-    if (!name || !email || !password) {
+
+    const validationError = validateRegistration(req.body) || (!userAddress && 'Missing required field: userAddress');
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: name, email, password'
+        error: validationError
       });
     }
 
-    // Validate userAddress if provided
-    let actualUserAddress = userAddress;
-    if (userAddress && !ethers.isAddress(userAddress)) {
+    const duplicate = findDuplicateUser(userAddress, email);
+    if (duplicate) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid user address format'
+        error: duplicate
       });
     }
-    
-    // Use provided userAddress or fall back to server address
-    if (!actualUserAddress) {
-      actualUserAddress = await userSigner.getAddress();
-    }
 
-    // Check if this user address is already registered in our system
-    if (registeredUsers.has(actualUserAddress.toLowerCase())) {
+    passwords.validateNewPassword(password);
+    const registration = await userRegistry.prepareRegistration({ userAddress, name, email, password });
+
+    res.json({
+      success: true,
+      data: {
+        userAddress: ethers.getAddress(userAddress),
+        ...registration
+      }
+    });
+
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to prepare user registration');
+  }
+});
+
+// POST /register - Register a new user in UserRegistry and store the off-chain record
+// Body: { name, email, password, userAddress, transactionHash }. transactionHash is the
+// wallet-sent registerUser transaction from /register/prepare; it is not needed for
+// addresses whose key the backend holds.
+router.post('/register', async (req, res) => {
+  try {
+    const { name, email, password, userAddress, transactionHash } = req.body;
+
+    // Validate required fields and userAddress if provided
+    const validationError = validateRegistration(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'User with this wallet address is already registered'
+        error: validationError
       });
     }
 
-    // Check for email conflicts
-    for (const [address, userData] of registeredUsers.entries()) {
-      if (userData.email.toLowerCase() === email.toLowerCase()) {
-        return res.status(400).json({
-          success: false,
-          error: 'Email address is already registered'
-        });
-      }
+    // Use provided userAddress or fall back to server address
+    const actualUserAddress = userAddress || await userSigner.getAddress();
+
+    // Check if this address or email is already registered in our system
+    const duplicate = findDuplicateUser(actualUserAddress, email);
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        error: duplicate
+      });
     }
 
-    // Create password hash
-    const passwordHash = ethers.keccak256(ethers.toUtf8Bytes(password));
+    // Create salted password hash
+    passwords.validateNewPassword(password);
+    const passwordHash = await passwords.hashPassword(password);
     const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Store user registration in memory (for demo purposes)
-    const userRegistration = {
+
+    // Write the registration to UserRegistry, then persist the reconciled record
+    const { user, receipt } = await userRegistry.registerUser({
       userId,
       userAddress: actualUserAddress,
       name,
       email,
-      passwordHash: passwordHash.toString(),
-      registrationTime: new Date().toISOString(),
-      isActive: true
-    };
-
-    registeredUsers.set(actualUserAddress.toLowerCase(), userRegistration);
-
-    logger.info(`User registered successfully: ${actualUserAddress} (${email})`);
+      password,
+      passwordHash,
+      transactionHash
+    });
 
-    // Simulate blockchain transaction for consistency with API
-    const mockTransactionHash = `0x${Math.random().toString(16).substr(2, 64)}`;
-    const mockBlockNumber = Math.floor(Math.random() * 1000000) + 9000000;
+    logger.info(`User registered successfully: ${actualUserAddress} (${email}), transaction: ${receipt.hash}`);
 
     res.json({
       success: true,
       message: 'User registered successfully',
       userId: userId,
       data: {
-        userAddress: actualUserAddress,
-        name,
-        email,
-        transactionHash: mockTransactionHash,
-        blockNumber: mockBlockNumber,
-        registrationTime: userRegistration.registrationTime
+        userAddress: user.userAddress,
+        name: user.name,
+        email: user.email,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        registrationTime: user.registrationTime
       }
     });
 
   } catch (error) {
-    logger.error('Error registering user:', error);
-    
-    // Provide more specific error messages
-    let errorMessage = 'Failed to register user';
-    if (error.message.includes('already registered')) {
-      errorMessage = 'User with this address or email is already registered';
-    } else if (error.message.includes('execution reverted')) {
-      errorMessage = 'Transaction failed - possibly due to duplicate registration or contract restrictions';
-    } else if (error.message.includes('insufficient funds')) {
-      errorMessage = 'Insufficient funds for transaction';
+    // Another instance registered the same address or email first
+    if (error.code === 'DUPLICATE_USER') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
-    
-    res.status(500).json({
-      success: false,
-      error: errorMessage,
-      details: error.message
-    });
+
+    sendAccountError(res, error, 'Failed to register user');
   }
 });
 
-
-
 // GET /:userAddress - Get user details
 router.get('/:userAddress', async (req, res) => {
   try {
@@ -185,10 +201,10 @@ router.get('/:userAddress', async (req, res) => {
       });
     }
 
-    // Get user data from in-memory registry
-    const userData = registeredUsers.get(userAddress.toLowerCase());
+    // UserRegistry is the source of truth; the off-chain record is reconciled with it
+    const { profile, user } = await userRegistry.syncUser(userAddress);
 
-    if (!userData) {
+    if (!profile.isRegistered) {
       return res.status(404).json({
         success: false,
         error: 'User not found'
@@ -198,12 +214,14 @@ router.get('/:userAddress', async (req, res) => {
     res.json({
       success: true,
       data: {
-        userAddress,
-        name: userData.name,
-        email: userData.email,
-        isActive: userData.isActive,
-        registrationTime: userData.registrationTime,
-        userId: userData.userId
+        userAddress: profile.userAddress,
+        name: profile.name,
+        email: profile.email,
+        isActive: profile.isActive && !(user && user.suspendedAt),
+        isSuspended: Boolean(user && user.suspendedAt),
+        registrationTime: profile.registrationTime,
+        lastLoginTime: profile.lastLoginTime,
+        userId: user ? user.userId : null
       }
     });
 
@@ -219,10 +237,28 @@ router.get('/:userAddress', async (req, res) => {
 
 
 
-// POST /authenticate - Authenticate user with signature
+// Helper function to send a session error with its status code
+function sendSessionError(res, error, fallbackMessage) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    details: error.message
+  });
+}
+
+// POST /authenticate - Authenticate user with password and start a session
+// Body: { userAddress, password, role } where role is admin, delivery_worker (or delivery), recipient or sender
 router.post('/authenticate', async (req, res) => {
   try {
-    const { password, userAddress } = req.body;
+    const { password, userAddress, role = 'recipient' } = req.body;
 
     // Validate required fields
     if (!password) {
@@ -248,39 +284,35 @@ router.post('/authenticate', async (req, res) => {
       });
     }
 
-    // Create password hash
-    const passwordHash = ethers.keccak256(ethers.toUtf8Bytes(password));
-
-    // Get user data from in-memory registry
-    const userData = registeredUsers.get(userAddress.toLowerCase());
+    // Get user data from the user repository, reconciled with UserRegistry
+    const { profile, user: userData } = await userRegistry.syncUser(userAddress);
 
-    if (!userData) {
+    if (!userData || !profile.isRegistered) {
       return res.status(400).json({
         success: false,
         error: 'User not registered'
       });
     }
 
-    if (!userData.isActive) {
+    if (!userData.isActive || userData.suspendedAt) {
       return res.status(400).json({
         success: false,
         error: 'User account is inactive'
       });
     }
 
-    // Verify password
-    if (userData.passwordHash !== passwordHash.toString()) {
+    // Verify password (legacy keccak256 hashes are upgraded to scrypt here)
+    if (!(await passwords.checkPassword(userData, password))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid password'
       });
     }
 
-    logger.info(`User authenticated successfully: ${userAddress}`);
+    // Issue access and refresh tokens for the requested role
+    const session = await sessions.createSession(userAddress, role);
 
-    // Simulate blockchain transaction for consistency with API
-    const mockTransactionHash = `0x${Math.random().toString(16).substr(2, 64)}`;
-    const mockBlockNumber = Math.floor(Math.random() * 1000000) + 9000000;
+    logger.info(`User authenticated successfully: ${userAddress} as ${session.role}`);
 
     res.json({
       success: true,
@@ -291,22 +323,405 @@ router.post('/authenticate', async (req, res) => {
         name: userData.name,
         email: userData.email,
         userId: userData.userId,
-        transactionHash: mockTransactionHash,
-        blockNumber: mockBlockNumber,
+        ...session,
+        loginTime: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to authenticate user');
+  }
+});
+
+// GET /siwe/nonce - Issue a single-use nonce for a Sign-In with Ethereum message
+// Query: ?address=0x... ; the response also carries the chain ID and validity window to sign
+router.get('/siwe/nonce', async (req, res) => {
+  try {
+    const { address } = req.query;
+
+    if (!address || !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    const nonce = await siwe.createNonce(ethers.getAddress(address));
+
+    res.json({
+      success: true,
+      data: nonce
+    });
+
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to create sign-in nonce');
+  }
+});
+
+// POST /siwe/verify - Start a session from a signed SIWE (EIP-4361) message, no password needed
+// Body: { message, signature, role }
+router.post('/siwe/verify', async (req, res) => {
+  try {
+    const { message, signature, role = 'recipient' } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: message, signature'
+      });
+    }
+
+    const userAddress = await siwe.verify(message, signature);
+    const session = await sessions.createSession(userAddress, role);
+    const userData = repositories.users.findByAddress(userAddress);
+
+    logger.info(`User signed in with Ethereum: ${userAddress} as ${session.role}`);
+
+    res.json({
+      success: true,
+      message: 'User authenticated successfully',
+      data: {
+        userAddress,
+        authenticated: true,
+        name: userData ? userData.name : null,
+        email: userData ? userData.email : null,
+        userId: userData ? userData.userId : null,
+        ...session,
         loginTime: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    logger.error('Error authenticating user:', error);
+    sendSessionError(res, error, 'Failed to verify sign-in message');
+  }
+});
+
+// POST /refresh - Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: refreshToken'
+      });
+    }
+
+    const session = await sessions.refresh(refreshToken);
+
+    res.json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    sendSessionError(res, error, 'Failed to refresh session');
+  }
+});
+
+// POST /logout - Revoke the current session, or every session of the caller with { allSessions: true }
+router.post('/logout', async (req, res) => {
+  try {
+    const { allSessions } = req.body || {};
+
+    const revokedSessions = allSessions
+      ? sessions.revokeAllSessions(req.auth.userAddress, 'logout')
+      : (sessions.revokeSession(req.auth.sessionId, 'logout') ? 1 : 0);
+
+    logger.info(`User logged out: ${req.auth.userAddress} (${revokedSessions} sessions revoked)`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+      data: {
+        userAddress: req.auth.userAddress,
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error logging out user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      details: error.message
+    });
+  }
+});
+
+// POST /revoke - Revoke every session of a user (admin only)
+router.post('/revoke', async (req, res) => {
+  try {
+    const { userAddress, reason } = req.body;
+
+    if (!userAddress || !ethers.isAddress(userAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    const revokedSessions = sessions.revokeAllSessions(userAddress, reason || `revoked_by:${req.auth.userAddress}`);
+
+    logger.info(`Sessions revoked for ${userAddress} by ${req.auth.userAddress}: ${revokedSessions}`);
+
+    res.json({
+      success: true,
+      data: {
+        userAddress,
+        revokedSessions,
+        revokedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      details: error.message
+    });
+  }
+});
+
+// PUT /:userAddress/profile - Update the display name in UserRegistry (the user or an admin)
+// Body: { name, transactionHash }. Without transactionHash, addresses the backend does not
+// hold a key for get a 400 WALLET_TRANSACTION_REQUIRED with the updateProfile transaction to send.
+router.put('/:userAddress/profile', async (req, res) => {
+  try {
+    const { userAddress } = req.params;
+    const { name, transactionHash } = req.body;
+
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    if (req.auth.role !== ROLES.ADMIN && req.auth.userAddress.toLowerCase() !== userAddress.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own profile',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: name'
+      });
+    }
+
+    const { profile, receipt } = await userRegistry.updateProfile(userAddress, name.trim(), transactionHash);
+
+    logger.info(`Profile updated for ${userAddress}, transaction: ${receipt.hash}`);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        userAddress: profile.userAddress,
+        name: profile.name,
+        email: profile.email,
+        isActive: profile.isActive,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      }
+    });
+
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to update profile');
+  }
+});
+
+// POST /:userAddress/deactivate - Deactivate a user and end their sessions (admin only)
+// Body: { reason, permanent }. By default the account is suspended off-chain and can be
+// reactivated; permanent: true also calls UserRegistry.deactivateUser, which cannot be undone.
+router.post('/:userAddress/deactivate', async (req, res) => {
+  try {
+    const { userAddress } = req.params;
+    const { reason, permanent = false } = req.body || {};
+
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    let receipt = null;
+    if (permanent) {
+      ({ receipt } = await userRegistry.deactivateUser(userAddress));
+    } else {
+      userRegistry.suspendUser(userAddress, reason || `deactivated_by:${req.auth.userAddress}`);
+    }
+    const revokedSessions = sessions.revokeAllSessions(userAddress, `deactivated_by:${req.auth.userAddress}`);
+
+    logger.info(`User ${userAddress} deactivated by ${req.auth.userAddress}${permanent ? `, transaction: ${receipt.hash}` : ' (suspended)'}`);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: {
+        userAddress: ethers.getAddress(userAddress),
+        isActive: false,
+        permanent: Boolean(permanent),
+        revokedSessions,
+        transactionHash: receipt ? receipt.hash : null,
+        blockNumber: receipt ? receipt.blockNumber : null
+      }
+    });
+
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to deactivate user');
+  }
+});
+
+// POST /:userAddress/reactivate - Lift a suspension (admin only)
+router.post('/:userAddress/reactivate', async (req, res) => {
+  try {
+    const { userAddress } = req.params;
+
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    const user = await userRegistry.reactivateUser(userAddress);
+
+    logger.info(`User ${userAddress} reactivated by ${req.auth.userAddress}`);
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: {
+        userAddress: user.userAddress,
+        isActive: true
+      }
+    });
+
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to reactivate user');
+  }
+});
+
+// POST /:userAddress/password - Change the caller's password
+// Body: { currentPassword, newPassword }. Other sessions of the user are revoked.
+router.post('/:userAddress/password', async (req, res) => {
+  try {
+    const { userAddress } = req.params;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!ethers.isAddress(userAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Ethereum address'
+      });
+    }
+
+    if (req.auth.userAddress.toLowerCase() !== userAddress.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only change your own password',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: currentPassword, newPassword'
+      });
+    }
+
+    const user = await passwords.changePassword(userAddress, currentPassword, newPassword);
+    const revokedSessions = sessions.revokeAllSessions(userAddress, 'password_changed', req.auth.sessionId);
+
+    logger.info(`Password changed for ${userAddress} (${revokedSessions} other sessions revoked)`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        userAddress: user.userAddress,
+        passwordUpdatedAt: user.passwordUpdatedAt,
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to change password');
+  }
+});
+
+// POST /password-reset/request - Email a single-use reset link
+// Body: { email }. The response is the same whether or not the email is registered.
+router.post('/password-reset/request', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: email'
+      });
+    }
+
+    await passwords.requestReset(email);
+
+    res.json({
+      success: true,
+      message: 'If the email is registered, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    logger.error('Error requesting password reset:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to authenticate user',
+      error: 'Failed to request password reset',
       details: error.message
     });
   }
 });
 
+// POST /password-reset/confirm - Set a new password with a reset token and end all sessions
+// Body: { token, newPassword }
+router.post('/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: token, newPassword'
+      });
+    }
+
+    const user = await passwords.resetPassword(token, newPassword);
+    const revokedSessions = sessions.revokeAllSessions(user.userAddress, 'password_reset');
+
+    logger.info(`Password reset for ${user.userAddress} (${revokedSessions} sessions revoked)`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      data: {
+        userAddress: user.userAddress,
+        passwordUpdatedAt: user.passwordUpdatedAt,
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    sendAccountError(res, error, 'Failed to reset password');
+  }
+});
+
 // GET /check/:userAddress - Check if user is registered
 router.get('/check/:userAddress', async (req, res) => {
   try {
@@ -320,14 +735,18 @@ router.get('/check/:userAddress', async (req, res) => {
       });
     }
 
-    // Check if user is registered in our in-memory registry
-    const isRegistered = registeredUsers.has(userAddress.toLowerCase());
+    // Check registration and status in UserRegistry
+    const [profile, isActive] = await Promise.all([
+      userRegistry.getProfile(userAddress),
+      userRegistry.isUserActive(userAddress)
+    ]);
 
     res.json({
       success: true,
       data: {
         userAddress,
-        isRegistered
+        isRegistered: profile.isRegistered,
+        isActive
       }
     });
 
@@ -341,5 +760,23 @@ router.get('/check/:userAddress', async (req, res) => {
   }
 });
 
+// Contract methods each endpoint calls (directly or through the account and
+// session services), checked against the ABIs at startup
+const SESSION_CALLS = ['userRegistry.isUserActive', 'deliveryTracking.owner', 'deliveryTracking.getWorkerInfo'];
+const REGISTRATION_CALLS = ['userRegistry.isUserActive', 'userRegistry.getUserByEmail'];
+
+router.contractCalls = [
+  { method: 'post', path: '/register/prepare', calls: REGISTRATION_CALLS },
+  { method: 'post', path: '/register', calls: [...REGISTRATION_CALLS, 'userRegistry.registerUser', 'userRegistry.getUserProfile'] },
+  { method: 'get', path: '/:userAddress', calls: ['userRegistry.getUserProfile'] },
+  { method: 'post', path: '/authenticate', calls: ['userRegistry.getUserProfile', ...SESSION_CALLS] },
+  { method: 'post', path: '/siwe/verify', calls: SESSION_CALLS },
+  { method: 'post', path: '/refresh', calls: SESSION_CALLS },
+  { method: 'put', path: '/:userAddress/profile', calls: ['userRegistry.isUserActive', 'userRegistry.updateProfile', 'userRegistry.getUserProfile'] },
+  { method: 'post', path: '/:userAddress/deactivate', calls: ['userRegistry.isUserActive', 'userRegistry.deactivateUser', 'userRegistry.getUserProfile'] },
+  { method: 'post', path: '/:userAddress/reactivate', calls: ['userRegistry.isUserActive'] },
+  { method: 'get', path: '/check/:userAddress', calls: ['userRegistry.getUserProfile', 'userRegistry.isUserActive'] }
+];
+
 router.initializeDependencies = initializeDependencies;
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Generates shared/deliveryStatus.json, the delivery status model used by the
+// backend and the frontend, from the compiled contracts.
+//
+// The ABI only types enums as uint8, so member names are read from the
+// compiler AST in the build-info file each artifact points to. The ABI is
+// still checked to make sure the enum is part of the contract interface.
+// DeliveryTracking.DeliveryStatus and MailRegistry.MailStatus must agree.
+//
+// Usage: npm run generate:status (after compiling the contracts)
+
+const fs = require('fs');
+const path = require('path');
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', '..', 'Smartcontract', 'artifacts');
+const OUTPUT_PATH = path.join(__dirname, '..', '..', 'shared', 'deliveryStatus.json');
+
+const SOURCES = [
+  { contract: 'DeliveryTracking', enumName: 'DeliveryStatus' },
+  { contract: 'MailRegistry', enumName: 'MailStatus' }
+];
+
+// Words kept lower case in labels ("Out for Delivery")
+const MINOR_WORDS = new Set(['for', 'of', 'to', 'in', 'at']);
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Depth-first search of a solc AST for an enum definition
+function findEnum(node, canonicalName) {
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findEnum(child, canonicalName);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+  if (!node || typeof node !== 'object') {
+    return null;
+  }
+  if (node.nodeType === 'EnumDefinition' && node.canonicalName === canonicalName) {
+    return node;
+  }
+  for (const value of Object.values(node)) {
+    const found = findEnum(value, canonicalName);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function abiUsesEnum(abi, canonicalName) {
+  const internalType = `enum ${canonicalName}`;
+  const usesEnum = (params = []) => params.some(param =>
+    param.internalType === internalType || usesEnum(param.components)
+  );
+  return abi.some(item => usesEnum(item.inputs) || usesEnum(item.outputs));
+}
+
+function readEnumMembers({ contract, enumName }) {
+  const canonicalName = `${contract}.${enumName}`;
+  const artifactDir = path.join(ARTIFACTS_DIR, 'contracts', `${contract}.sol`);
+  const artifact = readJson(path.join(artifactDir, `${contract}.json`));
+
+  if (!abiUsesEnum(artifact.abi, canonicalName)) {
+    throw new Error(`${contract} ABI does not use ${canonicalName}`);
+  }
+
+  // Build-info paths are written with the separator of the machine that compiled
+  const debug = readJson(path.join(artifactDir, `${contract}.dbg.json`));
+  const buildInfo = readJson(path.join(artifactDir, ...debug.buildInfo.split(/[\\/]/)));
+  const source = buildInfo.output.sources[artifact.sourceName];
+  const definition = source && findEnum(source.ast, canonicalName);
+  if (!definition) {
+    throw new Error(`${canonicalName} not found in ${debug.buildInfo}`);
+  }
+
+  return definition.members.map(member => member.name);
+}
+
+function toLabel(key) {
+  return key.toLowerCase().split('_')
+    .map((word, i) => (i > 0 && MINOR_WORDS.has(word) ? word : word[0].toUpperCase() + word.slice(1)))
+    .join(' ');
+}
+
+function main() {
+  const [reference, ...others] = SOURCES.map(source => ({ ...source, members: readEnumMembers(source) }));
+
+  for (const other of others) {
+    if (other.members.join() !== reference.members.join()) {
+      throw new Error(
+        `${other.contract}.${other.enumName} (${other.members.join(', ')}) does not match ` +
+        `${reference.contract}.${reference.enumName} (${reference.members.join(', ')})`
+      );
+    }
+  }
+
+  const model = {
+    generatedBy: 'backend/scripts/generate-status-model.js',
+    contracts: SOURCES.map(({ contract, enumName }) => `${contract}.${enumName}`),
+    statuses: reference.members.map((key, code) => ({
+      code,
+      key,
+      name: key.toLowerCase(),
+      label: toLabel(key)
+    }))
+  };
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, `${JSON.stringify(model, null, 2)}\n`);
+  console.log(`Wrote ${model.statuses.length} statuses to ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
+
+main();
@@ -7,6 +7,24 @@ const { ethers } = require('ethers');
 const { JsonRpcProvider, Wallet, formatEther } = ethers;
 const fs = require('fs');
 const path = require('path');
+const { openDatabase } = require('./db');
+const { createRepositories } = require('./repositories');
+const { createTransactionManager } = require('./services/transactionManager');
+const { createEventIndexer } = require('./services/eventIndexer');
+const { createSessionService, ROLES } = require('./services/sessions');
+const { createSiweService } = require('./services/siwe');
+const { createUserRegistryService } = require('./services/userRegistry');
+const { createPasswordService } = require('./services/passwords');
+const { createNotifier } = require('./services/notifier');
+const { createMailImportService } = require('./services/mailImport');
+const { createGuaranteeSlaService } = require('./services/guaranteeSla');
+const { createMailAdminService } = require('./services/mailAdmin');
+const { createWalletTransactions } = require('./services/walletTransactions');
+const { createGuaranteeDisputeService } = require('./services/guaranteeDisputes');
+const { createEscrowLedgerService } = require('./services/escrowLedger');
+const { createSlaMonitor } = require('./services/slaMonitor');
+const { createPenaltySettlementService } = require('./services/penaltySettlement');
+const { checkContractSupport } = require('./services/contractSupport');
 
 // Load environment variables
 dotenv.config();
@@ -41,7 +59,27 @@ let provider;
 let signer;
 let userSigner;
 let workerSigner;
+let transactionManager;
 let contracts = {};
+let contractSupport;
+
+// Global variables for persistent storage
+let db;
+let repositories;
+let eventIndexer;
+let sessions;
+let siwe;
+let userRegistry;
+let passwords;
+let notifier;
+let mailImports;
+let walletTransactions;
+let guaranteeSla;
+let mailAdmin;
+let guaranteeDisputes;
+let escrowLedger;
+let slaMonitor;
+let penaltySettlement;
 
 // Initialize blockchain connection
 async function initializeBlockchain() {
@@ -50,6 +88,9 @@ async function initializeBlockchain() {
     const rpcUrl = process.env.ETHEREUM_RPC_URL;
     provider = new JsonRpcProvider(rpcUrl);
 
+    // Single transaction manager so every router shares the per-signer nonce queues
+    transactionManager = createTransactionManager({ provider, logger });
+
     // Initialize signers
     if (!process.env.USER_PRIVATE_KEY || !process.env.WORKER_PRIVATE_KEY) {
       throw new Error('USER_PRIVATE_KEY or WORKER_PRIVATE_KEY not set in environment variables');
@@ -115,12 +156,268 @@ async function loadContracts() {
       timeProof: contractAddresses.timeProof,
       deliveryGuarantee: contractAddresses.deliveryGuarantee
     });
+
+    // Check the routers' contract calls against the ABIs and the deployed bytecode
+    contractSupport = await checkContractSupport({
+      contracts,
+      provider,
+      endpoints: routeContractCalls(),
+      logger
+    });
   } catch (error) {
     logger.error('Failed to load contracts:', error);
     throw error;
   }
 }
 
+// Open the database and build the repository layer
+function initializeDatabase() {
+  try {
+    db = openDatabase({
+      filename: process.env.DATABASE_PATH || 'data/blockchain-service.db',
+      logger
+    });
+    repositories = createRepositories(db);
+    logger.info('Database initialization completed');
+  } catch (error) {
+    logger.error('Failed to initialize database:', error);
+    throw error;
+  }
+}
+
+// Build the contract event indexer on top of the loaded contracts and the database
+function initializeEventIndexer() {
+  eventIndexer = createEventIndexer({
+    provider,
+    contracts,
+    repository: repositories.contractEvents,
+    logger
+  });
+}
+
+// Build the account services (UserRegistry, passwords) and the session and
+// Sign-In with Ethereum services; role checks need the loaded contracts.
+// Calls that must come from a particular wallet go through walletTransactions.
+function initializeSessions() {
+  walletTransactions = createWalletTransactions({
+    provider,
+    transactionManager,
+    managedSigners: [signer, userSigner, workerSigner]
+  });
+  notifier = createNotifier({ logger });
+  passwords = createPasswordService({
+    users: repositories.users,
+    resets: repositories.passwordResets,
+    notifier,
+    logger
+  });
+  userRegistry = createUserRegistryService({
+    contracts,
+    transactionManager,
+    walletTransactions,
+    users: repositories.users,
+    signer,
+    logger
+  });
+  sessions = createSessionService({
+    repository: repositories.sessions,
+    deliveryAddresses: repositories.deliveryAddresses,
+    userRegistry,
+    contracts,
+    logger
+  });
+  siwe = createSiweService({
+    repository: repositories.siweNonces,
+    provider,
+    logger
+  });
+}
+
+// The delivery address allowlist started out empty. Until an admin first
+// changes it, seed it with the workers already authorized on chain so they
+// keep the delivery_worker role; later removals are not undone
+async function seedDeliveryAddresses() {
+  if (repositories.deliveryAddresses.listAudit({ limit: 1 }).total > 0 || !contracts.deliveryTracking) {
+    return;
+  }
+  try {
+    const workers = await contracts.deliveryTracking.getAuthorizedWorkers();
+    const actorAddress = await signer.getAddress();
+    for (const address of workers) {
+      repositories.deliveryAddresses.add({ address, actorAddress, reason: 'Seeded from authorized workers' });
+    }
+    logger.info(`Seeded the delivery address allowlist with ${workers.length} authorized worker(s)`);
+  } catch (error) {
+    logger.warn(`Could not seed the delivery address allowlist: ${error.message}`);
+  }
+}
+
+// Build the bulk mail import queue; it registers through the shared transaction manager
+function initializeMailImports() {
+  mailImports = createMailImportService({
+    repository: repositories.mailImports,
+    contracts,
+    signer,
+    transactionManager,
+    logger
+  });
+}
+
+// Build the guarantee SLA service and the MailRegistry correction service that uses it
+function initializeMailAdmin() {
+  guaranteeSla = createGuaranteeSlaService({
+    contracts,
+    repositories,
+    signer,
+    transactionManager,
+    logger
+  });
+  mailAdmin = createMailAdminService({
+    contracts,
+    transactionManager,
+    walletTransactions,
+    repository: repositories.mailChanges,
+    signer,
+    guaranteeSla,
+    logger
+  });
+}
+
+// Build the guarantee dispute service, the escrow ledger, the SLA monitor and penalty settlement
+function initializeGuaranteeServices() {
+  guaranteeDisputes = createGuaranteeDisputeService({
+    contracts,
+    transactionManager,
+    walletTransactions,
+    repository: repositories.guaranteeDisputes,
+    users: repositories.users,
+    signer,
+    notifier,
+    logger
+  });
+  escrowLedger = createEscrowLedgerService({
+    contracts,
+    provider,
+    repositories,
+    eventIndexer,
+    logger
+  });
+  slaMonitor = createSlaMonitor({
+    repositories,
+    guaranteeSla,
+    logger
+  });
+  penaltySettlement = createPenaltySettlementService({
+    contracts,
+    provider,
+    repositories,
+    transactionManager,
+    signer,
+    guaranteeSla,
+    notifier,
+    logger
+  });
+}
+
+// Resolve the bearer token into req.auth = { userAddress, role, sessionId }
+function authenticateRequest(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  try {
+    req.auth = sessions.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 401).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Invalid access token',
+      code: error.code || 'INVALID_TOKEN'
+    });
+  }
+}
+
+// Allow the request when the session role is one of the given roles.
+// Admins pass every check; an empty list only requires a valid session.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const { role } = req.auth;
+    if (roles.length === 0 || role === ROLES.ADMIN || roles.includes(role)) {
+      return next();
+    }
+    logger.warn(`Access denied for ${req.auth.userAddress} (${role}) to ${req.method} ${req.originalUrl}`);
+    res.status(403).json({
+      success: false,
+      error: `This endpoint requires one of the roles: ${[ROLES.ADMIN, ...roles].join(', ')}`,
+      code: 'FORBIDDEN'
+    });
+  };
+}
+
+// Role rules per route. Routes not listed here stay public.
+const ACCESS_RULES = [
+  { method: 'post', path: '/api/user/logout', roles: [] },
+  { method: 'post', path: '/api/user/revoke', roles: [ROLES.ADMIN] },
+  { method: 'put', path: '/api/user/:userAddress/profile', roles: [] },
+  { method: 'post', path: '/api/user/:userAddress/password', roles: [] },
+  { method: 'post', path: '/api/user/:userAddress/deactivate', roles: [ROLES.ADMIN] },
+  { method: 'post', path: '/api/user/:userAddress/reactivate', roles: [ROLES.ADMIN] },
+  { method: 'post', path: '/api/mail/register', roles: [ROLES.SENDER, ROLES.DELIVERY_WORKER] },
+  { method: 'post', path: '/api/mail/import', roles: [ROLES.SENDER, ROLES.DELIVERY_WORKER] },
+  { method: 'get', path: '/api/mail/import', roles: [] },
+  { method: 'get', path: '/api/mail/import/:jobId', roles: [] },
+  { method: 'put', path: '/api/mail/:mailId/status', roles: [ROLES.ADMIN] },
+  { method: 'put', path: '/api/mail/:mailId/guaranteed-delivery-time', roles: [ROLES.ADMIN, ROLES.SENDER] },
+  { method: 'get', path: '/api/mail/:mailId/changes', roles: [ROLES.ADMIN] },
+  { method: 'get', path: '/api/mail', roles: [ROLES.ADMIN, ROLES.DELIVERY_WORKER] },
+  { method: 'get', path: '/api/mail/recipient/:recipientId', roles: [] },
+  { method: 'get', path: '/api/mail/sender/:address', roles: [] },
+  { method: 'post', path: '/api/mail/bulk-status', roles: [ROLES.ADMIN, ROLES.DELIVERY_WORKER] },
+  { method: 'post', path: '/api/proof/generate', roles: [ROLES.SENDER, ROLES.DELIVERY_WORKER] },
+  { method: 'post', path: '/api/proof/generate-time-proof', roles: [ROLES.SENDER, ROLES.DELIVERY_WORKER] },
+  { method: 'post', path: '/api/proof/record-delivery-time', roles: [ROLES.DELIVERY_WORKER] },
+  { method: 'post', path: '/api/guarantee/create', roles: [ROLES.SENDER, ROLES.DELIVERY_WORKER] },
+  { method: 'get', path: '/api/guarantee/disputes', roles: [] },
+  { method: 'get', path: '/api/guarantee/disputes/:disputeId', roles: [] },
+  { method: 'get', path: '/api/guarantee/disputes/:disputeId/attachments/:attachmentId', roles: [] },
+  { method: 'post', path: '/api/guarantee/disputes/:disputeId/resolve', roles: [ROLES.ADMIN] },
+  { method: 'get', path: '/api/guarantee/sla/at-risk', roles: [ROLES.DELIVERY_WORKER] },
+  { method: 'get', path: '/api/guarantee/sla/transitions', roles: [ROLES.DELIVERY_WORKER] },
+  { method: 'get', path: '/api/guarantee/escrow/ledger', roles: [ROLES.ADMIN] },
+  { method: 'get', path: '/api/guarantee/settlements', roles: [ROLES.ADMIN] },
+  { method: 'get', path: '/api/guarantee/:guaranteeId/settlement', roles: [] },
+  { method: 'get', path: '/api/guarantee/:guaranteeId/escrow', roles: [] },
+  { method: 'post', path: '/api/guarantee/:guaranteeId/cancel', roles: [] },
+  { method: 'post', path: '/api/guarantee/:guaranteeId/dispute', roles: [] },
+  { method: 'post', path: '/api/guarantee/:guaranteeId/claim-penalty', roles: [ROLES.SENDER, ROLES.RECIPIENT] },
+  { method: 'post', path: '/api/guarantee/:guaranteeId/confirm-delivery', roles: [ROLES.DELIVERY_WORKER, ROLES.RECIPIENT] },
+  { method: 'put', path: '/api/guarantee/:guaranteeId/status', roles: [ROLES.ADMIN] },
+  { method: 'post', path: '/api/delivery-tracking/update-status', roles: [ROLES.DELIVERY_WORKER] },
+  { method: 'post', path: '/api/delivery-tracking/register-worker', roles: [ROLES.ADMIN] },
+  { method: 'delete', path: '/api/delivery-tracking/worker/:workerAddress', roles: [ROLES.ADMIN] },
+  { method: 'get', path: '/api/admin/delivery-addresses', roles: [ROLES.ADMIN] },
+  { method: 'get', path: '/api/admin/delivery-addresses/audit', roles: [ROLES.ADMIN] },
+  { method: 'post', path: '/api/admin/delivery-addresses', roles: [ROLES.ADMIN] },
+  { method: 'delete', path: '/api/admin/delivery-addresses/:address', roles: [ROLES.ADMIN] },
+  { method: 'post', path: '/api/assignments', roles: [ROLES.ADMIN] },
+  { method: 'get', path: '/api/assignments/worker/:workerAddress', roles: [ROLES.DELIVERY_WORKER, ROLES.ADMIN] },
+  { method: 'get', path: '/api/assignments/:mailId/history', roles: [ROLES.ADMIN] }
+];
+
+// Register the access rules ahead of the routers so they run first
+function applyAccessRules() {
+  for (const rule of ACCESS_RULES) {
+    app[rule.method](rule.path, authenticateRequest, requireRole(...rule.roles));
+  }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -150,7 +447,11 @@ app.get('/blockchain/status', async (req, res) => {
           balance: formatEther(balance)
         },
         blockNumber: blockNumber,
-        contracts: Object.keys(contracts)
+        contracts: Object.keys(contracts),
+        contractSupport: contractSupport || null,
+        indexer: eventIndexer ? eventIndexer.getStatus() : null,
+        slaMonitor: slaMonitor ? slaMonitor.getStatus() : null,
+        penaltySettlement: penaltySettlement ? penaltySettlement.getStatus() : null
       }
     });
   } catch (error) {
@@ -191,6 +492,51 @@ const mailRoutes = require('./routes/mail');
 const proofRoutes = require('./routes/proof');
 const guaranteeRoutes = require('./routes/guarantee');
 const deliveryTrackingRoutes = require('./routes/deliveryTracking');
+const adminRoutes = require('./routes/admin');
+const assignmentRoutes = require('./routes/assignments');
+
+const ROUTE_MOUNTS = [
+  ['/api/user', userRoutes],
+  ['/api/mail', mailRoutes],
+  ['/api/proof', proofRoutes],
+  ['/api/guarantee', guaranteeRoutes],
+  ['/api/delivery-tracking', deliveryTrackingRoutes],
+  ['/api/admin', adminRoutes],
+  ['/api/assignments', assignmentRoutes]
+];
+
+// Contract calls declared by every router, with full paths
+function routeContractCalls() {
+  return ROUTE_MOUNTS.flatMap(([prefix, router]) =>
+    router.contractCalls.map(endpoint => ({ ...endpoint, path: prefix + endpoint.path }))
+  );
+}
+
+// Answer endpoints the deployed contracts cannot serve with 501. Each router
+// gets a guard router with its endpoints in declaration order, so a supported
+// route such as /stats still wins over a later unsupported /:guaranteeId.
+function applyContractSupport() {
+  for (const [prefix, router] of ROUTE_MOUNTS) {
+    const guard = express.Router();
+    for (const endpoint of router.contractCalls) {
+      const unsupported = contractSupport.unsupportedEndpoints.find(candidate =>
+        candidate.method === endpoint.method.toUpperCase() && candidate.path === prefix + endpoint.path
+      );
+      guard[endpoint.method](endpoint.path, (req, res, next) => {
+        if (!unsupported) {
+          return next('router');
+        }
+        res.status(501).json({
+          success: false,
+          error: 'Endpoint not supported by the deployed contracts',
+          code: 'UNSUPPORTED_BY_CONTRACT',
+          details: unsupported.reasons
+        });
+      });
+    }
+    app.use(prefix, guard);
+  }
+}
 
 // Function to initialize route dependencies
 function initializeRoutes() {
@@ -202,7 +548,22 @@ function initializeRoutes() {
     provider: provider,
     signer: signer,
     userSigner: userSigner,
-    workerSigner: workerSigner
+    workerSigner: workerSigner,
+    transactionManager: transactionManager,
+    repositories: repositories,
+    eventIndexer: eventIndexer,
+    sessions: sessions,
+    siwe: siwe,
+    userRegistry: userRegistry,
+    passwords: passwords,
+    notifier: notifier,
+    mailImports: mailImports,
+    guaranteeSla: guaranteeSla,
+    mailAdmin: mailAdmin,
+    guaranteeDisputes: guaranteeDisputes,
+    escrowLedger: escrowLedger,
+    slaMonitor: slaMonitor,
+    penaltySettlement: penaltySettlement
   };
 
   logger.info('Calling initializeDependencies for all routes...');
@@ -211,14 +572,20 @@ function initializeRoutes() {
   proofRoutes.initializeDependencies(dependencies);
   guaranteeRoutes.initializeDependencies(dependencies);
   deliveryTrackingRoutes.initializeDependencies(dependencies);
+  adminRoutes.initializeDependencies(dependencies);
+  assignmentRoutes.initializeDependencies(dependencies);
+
+  logger.info('Applying route access rules...');
+  applyAccessRules();
+
+  logger.info('Disabling endpoints the deployed contracts do not support...');
+  applyContractSupport();
 
   logger.info('Registering API routes...');
   // Use routes
-  app.use('/api/user', userRoutes);
-  app.use('/api/mail', mailRoutes);
-  app.use('/api/proof', proofRoutes);
-  app.use('/api/guarantee', guaranteeRoutes);
-  app.use('/api/delivery-tracking', deliveryTrackingRoutes);
+  for (const [prefix, router] of ROUTE_MOUNTS) {
+    app.use(prefix, router);
+  }
 
   // 404 handler - must be after all routes
   app.use('*', (req, res) => {
@@ -247,7 +614,14 @@ app.use((error, req, res, next) => {
 // Start server
 async function startServer() {
   try {
+    initializeDatabase();
     await initializeBlockchain();
+    initializeEventIndexer();
+    initializeSessions();
+    await seedDeliveryAddresses();
+    initializeMailImports();
+    initializeMailAdmin();
+    initializeGuaranteeServices();
     initializeRoutes();
 
     app.listen(PORT, () => {
@@ -256,6 +630,18 @@ async function startServer() {
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
       console.log(`⛓️  Blockchain status: http://localhost:${PORT}/blockchain/status`);
     });
+
+    // Backfill and follow contract events in the background
+    eventIndexer.start();
+
+    // Resume bulk imports an earlier run left unfinished
+    mailImports.start();
+
+    // Move guarantees to AT_RISK or DELAYED as their deadlines approach
+    slaMonitor.start();
+
+    // Pay the penalties of guarantees that passed their deadline undelivered
+    penaltySettlement.start();
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -263,13 +649,33 @@ async function startServer() {
 }
 
 // Graceful shutdown
+function closeResources() {
+  if (eventIndexer) {
+    eventIndexer.stop();
+  }
+  if (mailImports) {
+    mailImports.stop();
+  }
+  if (slaMonitor) {
+    slaMonitor.stop();
+  }
+  if (penaltySettlement) {
+    penaltySettlement.stop();
+  }
+  if (db && db.open) {
+    db.close();
+  }
+}
+
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  closeResources();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  closeResources();
   process.exit(0);
 });
 
@@ -0,0 +1,86 @@
+// Startup check of the loaded contracts against what the routers call.
+//
+// Every router lists the contract methods each of its endpoints uses
+// (router.contractCalls, as 'contractName.method'). At startup each method is
+// looked up in the contract's ABI and every contract address is checked for
+// deployed bytecode. Endpoints whose calls cannot succeed are reported on
+// /blockchain/status and answered with 501 instead of failing with
+// "no matching fragment" at request time.
+
+// Check one contract: an address, bytecode at it, and the methods the routers need
+async function checkContract(contract, methods, provider) {
+  if (!contract) {
+    return { address: null, deployed: false, missingMethods: [...methods], error: 'Contract not loaded' };
+  }
+
+  const missingMethods = [...methods].filter(method => !contract.interface.getFunction(method));
+  const result = { address: contract.target, deployed: null, missingMethods };
+
+  try {
+    result.deployed = (await provider.getCode(contract.target)) !== '0x';
+  } catch (error) {
+    // Unknown rather than missing; the endpoints are left enabled
+    result.error = `Could not read bytecode: ${error.shortMessage || error.message}`;
+  }
+
+  return result;
+}
+
+// endpoints: [{ method, path, calls: ['contractName.method', ...] }]
+async function checkContractSupport({ contracts, provider, endpoints, logger }) {
+  const methodsByContract = {};
+  for (const name of Object.keys(contracts)) {
+    methodsByContract[name] = new Set();
+  }
+  for (const endpoint of endpoints) {
+    for (const call of endpoint.calls) {
+      const [name, method] = call.split('.');
+      (methodsByContract[name] = methodsByContract[name] || new Set()).add(method);
+    }
+  }
+
+  const contractReport = {};
+  for (const [name, methods] of Object.entries(methodsByContract)) {
+    contractReport[name] = await checkContract(contracts[name], methods, provider);
+    const { address, deployed, missingMethods } = contractReport[name];
+    if (deployed === false) {
+      logger.error(`No contract bytecode for ${name} at ${address || '(no address)'}`);
+    }
+    if (missingMethods.length > 0) {
+      logger.error(`${name} ABI is missing methods used by the routers: ${missingMethods.join(', ')}`);
+    }
+  }
+
+  const unsupportedEndpoints = [];
+  for (const endpoint of endpoints) {
+    const reasons = [];
+    for (const call of endpoint.calls) {
+      const [name, method] = call.split('.');
+      const contract = contractReport[name];
+      if (contract.deployed === false) {
+        reasons.push(`${name} is not deployed at ${contract.address || '(no address)'}`);
+      } else if (contract.missingMethods.includes(method)) {
+        reasons.push(`${name}.${method} is not in the contract ABI`);
+      }
+    }
+    if (reasons.length > 0) {
+      unsupportedEndpoints.push({
+        method: endpoint.method.toUpperCase(),
+        path: endpoint.path,
+        reasons: [...new Set(reasons)]
+      });
+    }
+  }
+
+  for (const endpoint of unsupportedEndpoints) {
+    logger.warn(`Endpoint ${endpoint.method} ${endpoint.path} is unsupported: ${endpoint.reasons.join('; ')}`);
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    contracts: contractReport,
+    unsupportedEndpoints
+  };
+}
+
+module.exports = { checkContractSupport };
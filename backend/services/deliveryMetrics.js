@@ -0,0 +1,202 @@
+const { identifierKey } = require('./eventIndexer');
+const { DELIVERY_STATUS } = require('./deliveryStatus');
+
+// Delivery performance computed from recorded status history.
+//
+// Status updates come from two places: StatusUpdated events indexed from
+// DeliveryTracking, and updates recorded locally by /update-status. Both are
+// merged per tracking number. /update-status sends its transaction from the
+// backend worker signer, so its own StatusUpdated events are skipped in favour
+// of the local row, which names the worker who made the update. Registration and guaranteed delivery times come
+// from indexed MailRegistered events, falling back to
+// MailRegistry.getMailByTracking for mail the index has not seen.
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+function toSeconds(isoTimestamp) {
+  return Math.floor(new Date(isoTimestamp).getTime() / 1000);
+}
+
+function average(values) {
+  if (values.length === 0) {
+    return 0;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function inRange(timestamp, { from, to }) {
+  return (from === null || timestamp >= from) && (to === null || timestamp <= to);
+}
+
+function createDeliveryMetrics({ contracts, repositories, logger }) {
+  // Fold one status update into the per-tracking-number summary
+  function record(deliveries, key, trackingNumber, update) {
+    if (!deliveries.has(key)) {
+      deliveries.set(key, {
+        trackingNumber: null,
+        firstUpdateAt: null,
+        deliveredAt: null,
+        deliveredBy: null,
+        updates: []
+      });
+    }
+    const delivery = deliveries.get(key);
+
+    if (typeof trackingNumber === 'string') {
+      delivery.trackingNumber = trackingNumber;
+    }
+    if (delivery.firstUpdateAt === null || update.timestamp < delivery.firstUpdateAt) {
+      delivery.firstUpdateAt = update.timestamp;
+    }
+    if (update.delivered && (delivery.deliveredAt === null || update.timestamp < delivery.deliveredAt)) {
+      delivery.deliveredAt = update.timestamp;
+      delivery.deliveredBy = update.workerAddress;
+    }
+    delivery.updates.push(update);
+  }
+
+  // Status history per tracking number, keyed by the tracking number's topic hash
+  function collectStatusHistory(workerAddress) {
+    const deliveries = new Map();
+    const localUpdates = repositories.deliveryStatuses.list();
+    const recordedLocally = new Set(localUpdates.filter(update => update.transactionHash)
+      .map(update => update.transactionHash.toLowerCase()));
+
+    const chainUpdates = repositories.contractEvents.find({
+      eventName: 'StatusUpdated',
+      actorAddress: workerAddress || undefined
+    });
+    for (const event of chainUpdates) {
+      if (recordedLocally.has(event.transactionHash.toLowerCase())) {
+        continue;
+      }
+      record(deliveries, event.subjectKey, event.args.trackingNumber, {
+        timestamp: Number(event.args.timestamp),
+        delivered: Number(event.args.status) === DELIVERY_STATUS.DELIVERED,
+        workerAddress: event.actorAddress
+      });
+    }
+
+    const workerUpdates = workerAddress
+      ? localUpdates.filter(update => update.workerAddress === workerAddress.toLowerCase())
+      : localUpdates;
+    for (const update of workerUpdates) {
+      record(deliveries, identifierKey(update.trackingNumber), update.trackingNumber, {
+        timestamp: toSeconds(update.timestamp),
+        delivered: update.status === DELIVERY_STATUS.DELIVERED,
+        workerAddress: update.workerAddress
+      });
+    }
+
+    return deliveries;
+  }
+
+  // Registration and guaranteed delivery times, keyed by tracking number hash
+  function collectRegisteredMail() {
+    const mail = new Map();
+    for (const event of repositories.contractEvents.find({ eventName: 'MailRegistered' })) {
+      if (typeof event.args.trackingNumber !== 'string') {
+        continue;
+      }
+      mail.set(identifierKey(event.args.trackingNumber), {
+        registrationTime: Number(event.args.registrationTime),
+        guaranteedDeliveryTime: Number(event.args.guaranteedDeliveryTime)
+      });
+    }
+    return mail;
+  }
+
+  async function lookupMail(trackingNumber) {
+    try {
+      const [, , , , registrationTime, guaranteedDeliveryTime] = await contracts.mailRegistry.getMailByTracking(trackingNumber);
+      return {
+        registrationTime: Number(registrationTime),
+        guaranteedDeliveryTime: Number(guaranteedDeliveryTime)
+      };
+    } catch (error) {
+      logger.warn(`No on-chain mail data for tracking number ${trackingNumber}: ${error.shortMessage || error.message}`);
+      return null;
+    }
+  }
+
+  // Deliveries completed inside the range, joined with their mail data
+  async function collectDeliveries({ from, to, workerAddress }) {
+    const history = collectStatusHistory(workerAddress);
+    const registeredMail = collectRegisteredMail();
+    const deliveries = [];
+
+    for (const [key, delivery] of history) {
+      if (delivery.deliveredAt === null || !inRange(delivery.deliveredAt, { from, to })) {
+        continue;
+      }
+
+      let mail = registeredMail.get(key) || null;
+      if (!mail && delivery.trackingNumber) {
+        mail = await lookupMail(delivery.trackingNumber);
+      }
+
+      let onTime = null;
+      if (mail) {
+        onTime = mail.guaranteedDeliveryTime === 0 || delivery.deliveredAt <= mail.guaranteedDeliveryTime;
+      }
+
+      deliveries.push({ ...delivery, mail, onTime });
+    }
+
+    return { history, deliveries };
+  }
+
+  // Totals, on-time versus delayed and average delivery time for a range
+  async function getPerformance({ from = null, to = null, workerAddress = null } = {}) {
+    const { deliveries } = await collectDeliveries({ from, to, workerAddress });
+
+    const onTimeDeliveries = deliveries.filter(d => d.onTime === true).length;
+    const delayedDeliveries = deliveries.filter(d => d.onTime === false).length;
+    const matched = onTimeDeliveries + delayedDeliveries;
+    const deliveryHours = deliveries
+      .filter(d => d.mail && d.mail.registrationTime > 0)
+      .map(d => (d.deliveredAt - d.mail.registrationTime) / HOUR);
+
+    return {
+      totalDeliveries: deliveries.length,
+      onTimeDeliveries,
+      delayedDeliveries,
+      // Deliveries whose mail item could not be found, so on-time status is unknown
+      unmatchedDeliveries: deliveries.length - matched,
+      averageDeliveryTime: Number(average(deliveryHours).toFixed(2)), // hours
+      successRate: (matched > 0 ? onTimeDeliveries / matched : 0).toFixed(2)
+    };
+  }
+
+  // Daily/weekly/monthly volumes and processing time, counted back from `to`
+  async function getVolumeMetrics({ from = null, to = null, workerAddress = null } = {}) {
+    const end = to === null ? Math.floor(Date.now() / 1000) : to;
+    const { history, deliveries } = await collectDeliveries({ from, to: end, workerAddress });
+
+    const countSince = (seconds) => deliveries.filter(d => d.deliveredAt > end - seconds).length;
+    const matched = deliveries.filter(d => d.onTime !== null);
+    const processingHours = deliveries.map(d => (d.deliveredAt - d.firstUpdateAt) / HOUR);
+
+    const range = { from, to: end };
+    const updatesInRange = [];
+    for (const delivery of history.values()) {
+      updatesInRange.push(...delivery.updates.filter(update => inRange(update.timestamp, range)));
+    }
+
+    return {
+      dailyDeliveries: countSince(DAY),
+      weeklyDeliveries: countSince(7 * DAY),
+      monthlyDeliveries: countSince(30 * DAY),
+      totalDeliveries: deliveries.length,
+      averageProcessingTime: Number(average(processingHours).toFixed(2)), // hours, first scan to delivery
+      workerEfficiency: (matched.length > 0 ? matched.filter(d => d.onTime).length / matched.length : 0).toFixed(2),
+      totalStatusUpdates: updatesInRange.length,
+      activeWorkers: new Set(updatesInRange.map(update => update.workerAddress).filter(Boolean)).size
+    };
+  }
+
+  return { getPerformance, getVolumeMetrics };
+}
+
+module.exports = { createDeliveryMetrics };
@@ -0,0 +1,37 @@
+const model = require('../../shared/deliveryStatus.json');
+
+// Delivery status model shared with the frontend. shared/deliveryStatus.json
+// is generated from DeliveryTracking.DeliveryStatus / MailRegistry.MailStatus
+// by scripts/generate-status-model.js; regenerate it when the enums change.
+
+// Status names indexed by enum value
+const DELIVERY_STATUSES = model.statuses.map(status => status.name);
+
+// Enum values by key, e.g. DELIVERY_STATUS.DELIVERED === 4
+const DELIVERY_STATUS = Object.fromEntries(model.statuses.map(status => [status.key, status.code]));
+
+// Older names still accepted from clients
+const STATUS_ALIASES = {
+  pending: 'registered'
+};
+
+// Map a status name or enum value to the enum value; -1 if unknown
+function parseDeliveryStatus(status) {
+  if (typeof status === 'number' || typeof status === 'bigint' || /^\d+$/.test(String(status))) {
+    const value = Number(status);
+    return Number.isInteger(value) && value >= 0 && value < DELIVERY_STATUSES.length ? value : -1;
+  }
+  const name = String(status).toLowerCase();
+  return DELIVERY_STATUSES.indexOf(STATUS_ALIASES[name] || name);
+}
+
+function statusName(code) {
+  return DELIVERY_STATUSES[Number(code)] || 'unknown';
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  DELIVERY_STATUS,
+  parseDeliveryStatus,
+  statusName
+};
@@ -0,0 +1,249 @@
+const { ethers } = require('ethers');
+const { identifierKey } = require('./eventIndexer');
+
+// Escrow ledger of delivery guarantees, for auditing the penalty pool.
+//
+// - Every guarantee deposits its escrow once (EscrowDeposited) and releases
+//   it at most once (EscrowReleased): to the customer on cancellation or
+//   on-time delivery, or as the penalty on a breach.
+// - The ledger replays those indexed events per guarantee and checks them
+//   against getEscrowDetails, then checks the total still held against
+//   totalEscrowAmount and the contract's balance.
+// - Chain reads are made at the last indexed block so a lagging indexer does
+//   not show up as a mismatch. Nodes that no longer serve that block's state
+//   are read at the latest block instead, and the result says so.
+
+const DEFAULTS = {
+  readBatchSize: parseInt(process.env.ESCROW_LEDGER_READ_BATCH_SIZE || '25')
+};
+
+function escrowError(message, code, statusCode = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function createEscrowLedgerService({ contracts, provider, repositories, eventIndexer, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  function getDeliveryGuaranteeContract() {
+    if (!contracts.deliveryGuarantee) {
+      throw new Error('DeliveryGuarantee contract not initialized');
+    }
+    return contracts.deliveryGuarantee;
+  }
+
+  // Block to reconcile at: the last indexed block when the node still serves its state
+  async function chooseBlockTag() {
+    const { lastIndexedBlock } = eventIndexer.getStatus();
+    if (lastIndexedBlock === null) {
+      return { blockTag: 'latest', blockNumber: null, matchesIndex: false };
+    }
+    try {
+      await getDeliveryGuaranteeContract().totalEscrowAmount({ blockTag: lastIndexedBlock });
+      return { blockTag: lastIndexedBlock, blockNumber: lastIndexedBlock, matchesIndex: true };
+    } catch (error) {
+      logger.warn(`Escrow ledger falling back to the latest block; state at block ${lastIndexedBlock} unavailable: ${error.shortMessage || error.message}`);
+      return { blockTag: 'latest', blockNumber: null, matchesIndex: false };
+    }
+  }
+
+  // Indexed deposits and releases grouped per guarantee (keyed by guarantee ID hash), oldest first
+  function collectEscrowEvents(guaranteeId = null) {
+    const events = repositories.contractEvents.find({
+      eventNames: ['EscrowDeposited', 'EscrowReleased'],
+      ...(guaranteeId ? { subjectKey: identifierKey(guaranteeId) } : {})
+    });
+
+    const entries = new Map();
+    for (const event of events) {
+      if (!entries.has(event.subjectKey)) {
+        entries.set(event.subjectKey, { guaranteeIdHash: event.subjectKey, guaranteeId: null, deposits: [], releases: [] });
+      }
+      const entry = entries.get(event.subjectKey);
+      if (typeof event.args.guaranteeId === 'string') {
+        entry.guaranteeId = event.args.guaranteeId;
+      }
+      const common = { transactionHash: event.transactionHash, blockNumber: event.blockNumber };
+      if (event.eventName === 'EscrowDeposited') {
+        entry.deposits.push({ amount: BigInt(event.args.amount), token: event.args.token, depositor: event.args.depositor, ...common });
+      } else {
+        entry.releases.push({ amount: BigInt(event.args.amount), recipient: event.args.recipient, isPenalty: event.args.isPenalty, ...common });
+      }
+    }
+    return [...entries.values()];
+  }
+
+  function formatEscrow(escrow) {
+    return {
+      amount: ethers.formatEther(escrow.amount),
+      token: escrow.token === ethers.ZeroAddress ? 'ETH' : escrow.token,
+      isReleased: escrow.isReleased,
+      releaseTime: escrow.releaseTime ? new Date(escrow.releaseTime * 1000).toISOString() : null,
+      releaseAuthority: escrow.releaseAuthority
+    };
+  }
+
+  // Compare one guarantee's events with its on-chain escrow record (null when the ID is unknown)
+  function reconcileEntry(entry, onChain) {
+    const deposited = entry.deposits.reduce((sum, deposit) => sum + deposit.amount, 0n);
+    const released = entry.releases.reduce((sum, release) => sum + release.amount, 0n);
+    const mismatches = [];
+
+    if (entry.deposits.length === 0) {
+      mismatches.push('No indexed EscrowDeposited event');
+    }
+    if (entry.deposits.length > 1) {
+      mismatches.push(`Escrow deposited ${entry.deposits.length} times`);
+    }
+    if (entry.releases.length > 1) {
+      mismatches.push(`Escrow released ${entry.releases.length} times`);
+    }
+    if (released > deposited) {
+      mismatches.push(`Released ${ethers.formatEther(released)} ETH but only ${ethers.formatEther(deposited)} ETH was deposited`);
+    }
+    if (onChain) {
+      if (onChain.amount !== deposited) {
+        mismatches.push(`On-chain escrow of ${ethers.formatEther(onChain.amount)} ETH differs from the ${ethers.formatEther(deposited)} ETH deposited`);
+      }
+      if (onChain.isReleased !== entry.releases.length > 0) {
+        mismatches.push(onChain.isReleased
+          ? 'Escrow is released on chain but no EscrowReleased event is indexed'
+          : 'An EscrowReleased event is indexed but the escrow is not released on chain');
+      }
+    }
+
+    return {
+      guaranteeId: entry.guaranteeId,
+      guaranteeIdHash: entry.guaranteeIdHash,
+      deposited: ethers.formatEther(deposited),
+      released: ethers.formatEther(released),
+      held: ethers.formatEther(deposited - released),
+      deposits: entry.deposits.map(deposit => ({ ...deposit, amount: ethers.formatEther(deposit.amount) })),
+      releases: entry.releases.map(release => ({ ...release, amount: ethers.formatEther(release.amount) })),
+      onChain: onChain && formatEscrow(onChain),
+      mismatches
+    };
+  }
+
+  async function readEscrowDetails(guaranteeId, blockTag) {
+    const [amount, token, isReleased, releaseTime, releaseAuthority] =
+      await getDeliveryGuaranteeContract().getEscrowDetails(guaranteeId, { blockTag });
+    return { amount, token, isReleased, releaseTime: Number(releaseTime), releaseAuthority };
+  }
+
+  // Current escrow record of one guarantee, plus its ledger entry reconciled at the indexed block
+  async function getEscrow(guaranteeId) {
+    const deliveryGuarantee = getDeliveryGuaranteeContract();
+    if (!(await deliveryGuarantee.guaranteeExists(guaranteeId))) {
+      throw escrowError('Guarantee not found', 'GUARANTEE_NOT_FOUND', 404);
+    }
+
+    const current = await readEscrowDetails(guaranteeId, 'latest');
+    const at = await chooseBlockTag();
+    let indexed = current;
+    if (at.blockTag !== 'latest') {
+      // Reverts when the guarantee was created after the last indexed block
+      indexed = await readEscrowDetails(guaranteeId, at.blockTag).catch(() => null);
+    }
+
+    const [entry] = collectEscrowEvents(guaranteeId);
+    const ledger = reconcileEntry(
+      entry || { guaranteeIdHash: identifierKey(guaranteeId), guaranteeId, deposits: [], releases: [] },
+      indexed
+    );
+
+    return {
+      guaranteeId,
+      ...formatEscrow(current),
+      ledger: {
+        deposited: ledger.deposited,
+        released: ledger.released,
+        held: ledger.held,
+        deposits: ledger.deposits,
+        releases: ledger.releases
+      },
+      reconciledAt: {
+        blockNumber: at.blockNumber,
+        matchesIndex: at.matchesIndex
+      },
+      // Nothing to reconcile yet when the guarantee is newer than the index
+      mismatches: entry || indexed ? ledger.mismatches : []
+    };
+  }
+
+  // Ledger of every indexed guarantee plus the reconciliation of the pool totals
+  async function buildLedger() {
+    const deliveryGuarantee = getDeliveryGuaranteeContract();
+    const at = await chooseBlockTag();
+    const entries = collectEscrowEvents();
+
+    const guarantees = [];
+    for (let i = 0; i < entries.length; i += config.readBatchSize) {
+      const batch = entries.slice(i, i + config.readBatchSize);
+      guarantees.push(...await Promise.all(batch.map(async entry => {
+        const onChain = entry.guaranteeId ? await readEscrowDetails(entry.guaranteeId, at.blockTag) : null;
+        return reconcileEntry(entry, onChain);
+      })));
+    }
+
+    const [totalEscrowAmount, totalGuarantees, balance] = await Promise.all([
+      deliveryGuarantee.totalEscrowAmount({ blockTag: at.blockTag }),
+      deliveryGuarantee.totalGuarantees({ blockTag: at.blockTag }),
+      provider.getBalance(deliveryGuarantee.target, at.blockTag)
+    ]);
+
+    // Pool totals from the events themselves
+    let deposited = 0n;
+    let released = 0n;
+    let releasedAsPenalty = 0n;
+    for (const entry of entries) {
+      for (const deposit of entry.deposits) {
+        deposited += deposit.amount;
+      }
+      for (const release of entry.releases) {
+        released += release.amount;
+        releasedAsPenalty += release.isPenalty ? release.amount : 0n;
+      }
+    }
+    const held = deposited - released;
+    const indexedGuarantees = guarantees.filter(g => g.deposits.length > 0).length;
+
+    const mismatches = [];
+    if (totalEscrowAmount !== held) {
+      mismatches.push(`totalEscrowAmount of ${ethers.formatEther(totalEscrowAmount)} ETH differs from the ${ethers.formatEther(held)} ETH the ledger holds`);
+    }
+    if (balance < totalEscrowAmount) {
+      mismatches.push(`Contract balance of ${ethers.formatEther(balance)} ETH is below totalEscrowAmount of ${ethers.formatEther(totalEscrowAmount)} ETH`);
+    }
+    if (indexedGuarantees !== Number(totalGuarantees)) {
+      mismatches.push(`${indexedGuarantees} of ${Number(totalGuarantees)} guarantees have an indexed deposit`);
+    }
+
+    return {
+      reconciledAt: {
+        blockNumber: at.blockNumber,
+        matchesIndex: at.matchesIndex
+      },
+      totals: {
+        deposited: ethers.formatEther(deposited),
+        released: ethers.formatEther(released),
+        releasedAsPenalty: ethers.formatEther(releasedAsPenalty),
+        held: ethers.formatEther(held),
+        totalEscrowAmount: ethers.formatEther(totalEscrowAmount),
+        contractBalance: ethers.formatEther(balance),
+        difference: ethers.formatEther(totalEscrowAmount - held),
+        totalGuarantees: Number(totalGuarantees),
+        indexedGuarantees
+      },
+      balanced: mismatches.length === 0 && guarantees.every(g => g.mismatches.length === 0),
+      mismatches,
+      guarantees
+    };
+  }
+
+  return { getEscrow, buildLedger };
+}
+
+module.exports = { createEscrowLedgerService };
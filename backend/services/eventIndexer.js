@@ -0,0 +1,394 @@
+const { ethers } = require('ethers');
+
+// Background indexer for contract events.
+//
+// - Backfills from INDEXER_START_BLOCK, then polls for new blocks, staying
+//   INDEXER_CONFIRMATIONS blocks behind the head.
+// - Every batch of events is stored together with its checkpoint, so a
+//   restart resumes exactly where the last batch ended. Changing the indexed
+//   contracts or events restarts the backfill; stored events are deduplicated.
+// - Before each poll the checkpoint's block hash is compared with the chain.
+//   On a mismatch the index is rolled back to the newest block whose hash
+//   still matches (at most INDEXER_REORG_DEPTH blocks) and re-indexed.
+// - Indexed string arguments (mail IDs, tracking numbers, guarantee IDs) only
+//   appear in logs as keccak256 hashes; their plain-text values are recovered
+//   from the calldata of the transaction that emitted the event.
+// - A few non-indexed arguments get a key of their own (RELATED_KEYS), so
+//   that e.g. a recipient's mail can be found without scanning every event.
+//   Call arguments an event lacks (CALL_ARGS) are copied from the calldata.
+
+const CHECKPOINT_NAME = 'contract-events';
+
+// Events to index, per key in the server's contracts object
+const INDEXED_EVENTS = {
+  mailRegistry: ['MailRegistered', 'MailStatusUpdated'],
+  deliveryTracking: ['StatusUpdated', 'LocationUpdated'],
+  deliveryGuarantee: ['GuaranteeCreated', 'GuaranteeUpdated', 'PenaltyPaid', 'EscrowDeposited', 'EscrowReleased'],
+  timeProof: ['TimeProofGenerated']
+};
+
+// Events whose related key comes from a non-indexed argument
+const RELATED_KEYS = {
+  MailRegistered: args => recipientKey(args.recipientId)
+};
+
+// Calldata arguments stored with events that do not carry them: the mail
+// type is only passed to registerMail
+const CALL_ARGS = {
+  MailRegistered: { method: 'registerMail', args: ['mailType'] }
+};
+
+const DEFAULTS = {
+  enabled: process.env.INDEXER_ENABLED !== 'false',
+  startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0'),
+  batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000'),
+  confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '2'),
+  reorgDepth: parseInt(process.env.INDEXER_REORG_DEPTH || '64'),
+  pollIntervalMs: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000')
+};
+
+// Key under which an indexed string argument (mail ID, tracking number,
+// guarantee ID) is stored: the keccak256 hash that appears in the log topic
+function identifierKey(value) {
+  return ethers.id(String(value));
+}
+
+// Key of a mail recipient ID; wallet-address recipients match regardless of case
+function recipientKey(recipientId) {
+  return identifierKey(ethers.isAddress(recipientId) ? recipientId.toLowerCase() : recipientId);
+}
+
+// Convert decoded event values into JSON-safe values
+function serializeValue(value) {
+  if (value instanceof ethers.Indexed) {
+    return { hash: value.hash };
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, serializeValue);
+  }
+  return value;
+}
+
+// Collect every string in a decoded calldata argument list, including strings nested in tuples
+function collectStrings(values, found = []) {
+  for (const value of values) {
+    if (typeof value === 'string') {
+      found.push(value);
+    } else if (Array.isArray(value)) {
+      collectStrings(Array.from(value), found);
+    }
+  }
+  return found;
+}
+
+function isRangeError(error) {
+  return /range|limit|too many|10000|response size/i.test(error.shortMessage || error.message || '');
+}
+
+function createEventIndexer({ provider, contracts, repository, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  // lower-cased contract address -> { contractName, contractInterface, eventNames }
+  const sources = new Map();
+  const topics = [];
+  const contractAddresses = {};
+  const indexedEvents = {};
+
+  for (const [contractName, eventNames] of Object.entries(INDEXED_EVENTS)) {
+    const contract = contracts[contractName];
+    if (!contract) {
+      continue;
+    }
+    const address = contract.target.toLowerCase();
+    contractAddresses[contractName] = address;
+    indexedEvents[contractName] = eventNames;
+    sources.set(address, { contractName, contractInterface: contract.interface, eventNames });
+    for (const eventName of eventNames) {
+      topics.push(contract.interface.getEvent(eventName).topicHash);
+    }
+  }
+
+  const state = {
+    running: false,
+    stopped: false,
+    syncing: false,
+    timer: null,
+    batchSize: config.batchSize,
+    headBlock: null,
+    lastSyncedAt: null,
+    lastError: null
+  };
+
+  function decodeLog(log) {
+    const source = sources.get(log.address.toLowerCase());
+    if (!source) {
+      return null;
+    }
+
+    const parsed = source.contractInterface.parseLog(log);
+    if (!parsed || !source.eventNames.includes(parsed.name)) {
+      return null;
+    }
+
+    const args = {};
+    const keys = [];
+    let actorAddress = null;
+
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = serializeValue(value);
+
+      if (input.indexed && (input.type === 'string' || input.type === 'bytes32')) {
+        keys.push(value instanceof ethers.Indexed ? value.hash : value.toLowerCase());
+      }
+      if (input.type === 'address' && !actorAddress) {
+        actorAddress = value;
+      }
+    });
+
+    return {
+      contractName: source.contractName,
+      contractAddress: log.address,
+      eventName: parsed.name,
+      subjectKey: keys[0] || null,
+      relatedKey: keys[1] || (RELATED_KEYS[parsed.name] ? RELATED_KEYS[parsed.name](args) : null),
+      actorAddress,
+      args,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index
+    };
+  }
+
+  // Recover plain-text values of hashed event arguments from the calldata
+  // of the transactions that emitted them, and copy CALL_ARGS onto their events
+  async function resolveIdentifiers(events) {
+    const wanted = new Set();
+    const transactionHashes = new Set();
+
+    for (const event of events) {
+      for (const value of Object.values(event.args)) {
+        if (value && typeof value === 'object' && value.hash) {
+          wanted.add(value.hash);
+          transactionHashes.add(event.transactionHash);
+        }
+      }
+      if (CALL_ARGS[event.eventName]) {
+        transactionHashes.add(event.transactionHash);
+      }
+    }
+
+    const identifiers = new Map();
+    for (const hash of transactionHashes) {
+      try {
+        const tx = await provider.getTransaction(hash);
+        const source = tx && tx.to && sources.get(tx.to.toLowerCase());
+        if (!source) {
+          continue;
+        }
+        const call = source.contractInterface.parseTransaction({ data: tx.data, value: tx.value });
+        if (!call) {
+          continue;
+        }
+        for (const value of collectStrings(Array.from(call.args))) {
+          const key = ethers.id(value);
+          if (wanted.has(key)) {
+            identifiers.set(key, value);
+          }
+        }
+        for (const event of events.filter(candidate => candidate.transactionHash === hash)) {
+          const callArgs = CALL_ARGS[event.eventName];
+          if (callArgs && callArgs.method === call.name) {
+            for (const name of callArgs.args) {
+              event.args[name] = serializeValue(call.args[name]);
+            }
+          }
+        }
+      } catch (error) {
+        logger.warn(`Could not resolve identifiers from transaction ${hash}: ${error.message}`);
+      }
+    }
+    return identifiers;
+  }
+
+  function newCheckpoint(blockNumber, blockHash) {
+    return { name: CHECKPOINT_NAME, blockNumber, blockHash, contractAddresses, eventNames: indexedEvents };
+  }
+
+  function loadCheckpoint() {
+    const checkpoint = repository.getCheckpoint(CHECKPOINT_NAME);
+    const sameSources = checkpoint &&
+      JSON.stringify(checkpoint.contractAddresses) === JSON.stringify(contractAddresses) &&
+      JSON.stringify(checkpoint.eventNames) === JSON.stringify(indexedEvents);
+
+    if (checkpoint && sameSources) {
+      return checkpoint;
+    }
+    if (checkpoint) {
+      logger.warn('Indexed contracts or events changed since the last indexer run, backfilling from the start block');
+    }
+    return newCheckpoint(config.startBlock - 1, null);
+  }
+
+  // Roll back to the newest recorded block that is still on the canonical chain
+  async function handleReorg(checkpoint) {
+    const floor = Math.max(checkpoint.blockNumber - config.reorgDepth, config.startBlock - 1);
+    let ancestor = null;
+
+    for (const recorded of repository.getRecentBlocks(floor)) {
+      const block = await provider.getBlock(recorded.blockNumber);
+      if (block && block.hash === recorded.blockHash) {
+        ancestor = recorded;
+        break;
+      }
+    }
+
+    if (!ancestor) {
+      const block = floor >= 0 ? await provider.getBlock(floor) : null;
+      ancestor = { blockNumber: floor, blockHash: block ? block.hash : '' };
+    }
+
+    const rolledBack = newCheckpoint(ancestor.blockNumber, ancestor.blockHash);
+    const removed = repository.rollback(rolledBack);
+    logger.warn(`Chain reorganization detected at block ${checkpoint.blockNumber}; rolled back to block ${ancestor.blockNumber} and removed ${removed} events`);
+    return rolledBack;
+  }
+
+  async function indexRange(fromBlock, toBlock) {
+    const block = await provider.getBlock(toBlock);
+    const logs = await provider.getLogs({
+      address: Array.from(sources.keys()),
+      topics: [topics],
+      fromBlock,
+      toBlock
+    });
+
+    // A log from the last block with a different hash means the chain moved under us
+    if (logs.some(log => log.blockNumber === toBlock && log.blockHash !== block.hash)) {
+      throw new Error(`Block ${toBlock} changed while indexing, retrying on next poll`);
+    }
+
+    const events = logs.map(decodeLog).filter(Boolean);
+    const identifiers = await resolveIdentifiers(events);
+
+    const blocks = new Map();
+    for (const event of events) {
+      blocks.set(event.blockNumber, event.blockHash);
+    }
+    blocks.set(toBlock, block.hash);
+
+    repository.saveBatch({
+      checkpoint: newCheckpoint(toBlock, block.hash),
+      events,
+      blocks: Array.from(blocks, ([blockNumber, blockHash]) => ({ blockNumber, blockHash })),
+      identifiers,
+      pruneBelow: toBlock - config.reorgDepth
+    });
+
+    if (events.length > 0) {
+      logger.info(`Indexed ${events.length} contract events from blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  // Index everything between the checkpoint and the confirmed head
+  async function syncOnce() {
+    if (state.syncing || sources.size === 0) {
+      return;
+    }
+    state.syncing = true;
+
+    try {
+      let checkpoint = loadCheckpoint();
+
+      if (checkpoint.blockHash) {
+        const block = await provider.getBlock(checkpoint.blockNumber);
+        if (!block || block.hash !== checkpoint.blockHash) {
+          checkpoint = await handleReorg(checkpoint);
+        }
+      }
+
+      state.headBlock = await provider.getBlockNumber();
+      const target = state.headBlock - config.confirmations;
+      let fromBlock = checkpoint.blockNumber + 1;
+
+      while (fromBlock <= target && !state.stopped) {
+        const toBlock = Math.min(fromBlock + state.batchSize - 1, target);
+        try {
+          await indexRange(fromBlock, toBlock);
+        } catch (error) {
+          if (toBlock > fromBlock && isRangeError(error)) {
+            state.batchSize = Math.max(1, Math.floor((toBlock - fromBlock + 1) / 2));
+            logger.warn(`Provider rejected block range ${fromBlock}-${toBlock}, reducing batch size to ${state.batchSize}`);
+            continue;
+          }
+          throw error;
+        }
+        fromBlock = toBlock + 1;
+      }
+
+      state.lastSyncedAt = new Date().toISOString();
+      state.lastError = null;
+    } finally {
+      state.syncing = false;
+    }
+  }
+
+  async function poll() {
+    try {
+      await syncOnce();
+    } catch (error) {
+      state.lastError = error.message;
+      logger.error('Event indexer sync failed:', error);
+    }
+    if (state.running) {
+      state.timer = setTimeout(poll, config.pollIntervalMs);
+    }
+  }
+
+  function start() {
+    if (!config.enabled) {
+      logger.info('Event indexer disabled (INDEXER_ENABLED=false)');
+      return;
+    }
+    if (state.running) {
+      return;
+    }
+    state.running = true;
+    state.stopped = false;
+    logger.info(`Event indexer started for ${Object.keys(contractAddresses).join(', ')}`);
+    poll();
+  }
+
+  function stop() {
+    state.running = false;
+    state.stopped = true;
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+  }
+
+  function getStatus() {
+    const checkpoint = repository.getCheckpoint(CHECKPOINT_NAME);
+    const lastIndexedBlock = checkpoint ? checkpoint.blockNumber : null;
+    return {
+      enabled: config.enabled,
+      running: state.running,
+      syncing: state.syncing,
+      lastIndexedBlock,
+      headBlock: state.headBlock,
+      lag: state.headBlock !== null && lastIndexedBlock !== null ? state.headBlock - lastIndexedBlock : null,
+      totalEvents: repository.count(),
+      lastSyncedAt: state.lastSyncedAt,
+      lastError: state.lastError
+    };
+  }
+
+  return { start, stop, syncOnce, getStatus };
+}
+
+module.exports = { createEventIndexer, identifierKey, recipientKey, INDEXED_EVENTS };
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { GUARANTEE_STATUSES } = require('./guaranteeSla');
+
+// Cancellation of delivery guarantees and disputes over settled ones.
+//
+// - cancelGuarantee is customer-only on chain and refunds the escrow, so it
+//   goes through walletTransactions as the guarantee's customer.
+// - disputeGuarantee moves a FULFILLED or BREACHED guarantee to DISPUTED. The
+//   contract accepts it from the customer or the owner; it is sent from the
+//   backend signer (the owner) once the caller has been checked here. The
+//   dispute is stored as 'pending' before the transaction is sent and opened
+//   once it is mined, so a mined dispute is never left without its record. A
+//   pending dispute whose attempt failed or was abandoned is reconciled with
+//   the guarantee's status on chain.
+// - The contract has no way to resolve a dispute, and the escrow has already
+//   been released by the time a guarantee can be disputed. Admin resolutions
+//   (upheld, rejected, partial refund) and the refund owed are therefore
+//   recorded in guarantee_disputes, and the customer is notified.
+
+const DEFAULTS = {
+  maxReasonLength: 1000,
+  pendingTimeoutMs: parseInt(process.env.DISPUTE_PENDING_TIMEOUT_MS || '600000'),
+  maxAttachments: parseInt(process.env.DISPUTE_MAX_ATTACHMENTS || '5'),
+  maxAttachmentBytes: parseInt(process.env.DISPUTE_MAX_ATTACHMENT_BYTES || String(1024 * 1024)),
+  attachmentTypes: ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'text/plain']
+};
+
+const DISPUTABLE_STATUSES = ['FULFILLED', 'BREACHED'];
+const DISPUTE_OUTCOMES = ['upheld', 'rejected', 'partial_refund'];
+
+function disputeError(message, code, statusCode = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function createGuaranteeDisputeService({ contracts, transactionManager, walletTransactions, repository, users, signer, notifier, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  function getDeliveryGuaranteeContract() {
+    if (!contracts.deliveryGuarantee) {
+      throw new Error('DeliveryGuarantee contract not initialized');
+    }
+    return contracts.deliveryGuarantee;
+  }
+
+  async function loadGuarantee(guaranteeId) {
+    const deliveryGuarantee = getDeliveryGuaranteeContract();
+    if (!(await deliveryGuarantee.guaranteeExists(guaranteeId))) {
+      throw disputeError('Guarantee not found', 'GUARANTEE_NOT_FOUND', 404);
+    }
+    const [mailId, guaranteedTime, penaltyAmount, customer, status, , actualDeliveryTime, penaltyPaid] =
+      await deliveryGuarantee.getGuarantee(guaranteeId);
+    return {
+      guaranteeId,
+      mailId,
+      guaranteedTime: Number(guaranteedTime),
+      penaltyAmount,
+      customer,
+      status: GUARANTEE_STATUSES[Number(status)],
+      actualDeliveryTime: Number(actualDeliveryTime),
+      penaltyPaid
+    };
+  }
+
+  // The guarantee's customer, the sender of its mail, or an admin
+  async function assertParticipant(guarantee, actorAddress, isAdmin, action) {
+    if (isAdmin || sameAddress(guarantee.customer, actorAddress)) {
+      return;
+    }
+    const mailRegistry = contracts.mailRegistry;
+    if (mailRegistry && (await mailRegistry.mailExists(guarantee.mailId))) {
+      const [, senderAddress] = await mailRegistry.getMailDetails(guarantee.mailId);
+      if (sameAddress(senderAddress, actorAddress)) {
+        return;
+      }
+    }
+    throw disputeError(`Only the guarantee's customer or the mail sender can ${action} it`, 'FORBIDDEN', 403);
+  }
+
+  function validateText(value, label, maxLength) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw disputeError(`${label} cannot be empty`, `${label.toUpperCase()}_REQUIRED`);
+    }
+    if (value.trim().length > maxLength) {
+      throw disputeError(`${label} must be at most ${maxLength} characters`, `${label.toUpperCase()}_TOO_LONG`);
+    }
+    return value.trim();
+  }
+
+  // Decode { fileName, contentType, content (base64) } attachments, collecting every problem
+  function decodeAttachments(attachments = []) {
+    if (!Array.isArray(attachments)) {
+      throw disputeError('attachments must be an array', 'INVALID_ATTACHMENTS');
+    }
+    if (attachments.length > config.maxAttachments) {
+      throw disputeError(`At most ${config.maxAttachments} attachments are allowed`, 'TOO_MANY_ATTACHMENTS');
+    }
+
+    const details = [];
+    const decoded = attachments.map((attachment, i) => {
+      const { fileName, contentType, content } = attachment || {};
+      const errors = [];
+      if (typeof fileName !== 'string' || fileName.trim() === '') {
+        errors.push('fileName is required');
+      }
+      if (!config.attachmentTypes.includes(contentType)) {
+        errors.push(`contentType must be one of: ${config.attachmentTypes.join(', ')}`);
+      }
+      const buffer = typeof content === 'string' ? Buffer.from(content, 'base64') : Buffer.alloc(0);
+      if (buffer.length === 0) {
+        errors.push('content must be non-empty base64');
+      } else if (buffer.length > config.maxAttachmentBytes) {
+        errors.push(`content is larger than ${config.maxAttachmentBytes} bytes`);
+      }
+      if (errors.length > 0) {
+        details.push({ attachment: i, errors });
+      }
+      return { fileName: String(fileName || '').trim().slice(0, 255), contentType, content: buffer };
+    });
+
+    if (details.length > 0) {
+      const error = disputeError('Invalid attachments', 'INVALID_ATTACHMENTS');
+      error.details = details;
+      throw error;
+    }
+    return decoded;
+  }
+
+  // Cancel an ACTIVE guarantee and refund its escrow to the customer
+  async function cancel({ guaranteeId, actorAddress, isAdmin, transactionHash }) {
+    const guarantee = await loadGuarantee(guaranteeId);
+    await assertParticipant(guarantee, actorAddress, isAdmin, 'cancel');
+
+    // A wallet-sent cancellation has already been mined when the guarantee is read
+    if (!transactionHash) {
+      if (guarantee.status !== 'ACTIVE') {
+        throw disputeError(`Only ACTIVE guarantees can be cancelled; this one is ${guarantee.status}`, 'INVALID_GUARANTEE_STATUS', 409);
+      }
+      if (guarantee.actualDeliveryTime > 0) {
+        throw disputeError('Cannot cancel a guarantee after delivery', 'ALREADY_DELIVERED', 409);
+      }
+    }
+
+    const receipt = await walletTransactions.sendAs(
+      getDeliveryGuaranteeContract(),
+      guarantee.customer,
+      'cancelGuarantee',
+      [guaranteeId],
+      transactionHash
+    );
+
+    logger.info(`Guarantee ${guaranteeId} cancelled by ${actorAddress}: ${receipt.hash}`);
+
+    return { guarantee: { ...guarantee, status: 'CANCELLED' }, receipt };
+  }
+
+  // Settle a pending dispute whose transaction is not (or no longer) in flight:
+  // open it if the guarantee is DISPUTED on chain, otherwise drop it.
+  // Returns the opened dispute, or null when it was dropped.
+  function reconcilePending(dispute, guarantee) {
+    if (guarantee && guarantee.status === 'DISPUTED') {
+      logger.warn(`Guarantee ${dispute.guaranteeId} is disputed on chain; opening pending dispute ${dispute.disputeId}`);
+      return repository.markOpen(dispute.disputeId);
+    }
+    repository.removePending(dispute.disputeId);
+    return null;
+  }
+
+  // Dispute a FULFILLED or BREACHED guarantee with a reason and evidence
+  async function openDispute({ guaranteeId, reason, attachments, actorAddress, isAdmin }) {
+    const trimmedReason = validateText(reason, 'Reason', config.maxReasonLength);
+    const evidence = decodeAttachments(attachments);
+
+    const guarantee = await loadGuarantee(guaranteeId);
+    await assertParticipant(guarantee, actorAddress, isAdmin, 'dispute');
+
+    let existing = repository.findByGuarantee(guaranteeId);
+    if (existing && existing.status === 'pending' && Date.now() - Date.parse(existing.createdAt) > config.pendingTimeoutMs) {
+      existing = reconcilePending(existing, guarantee);
+    }
+    if (existing && existing.status === 'pending') {
+      throw disputeError('A dispute on this guarantee is already being opened', 'DISPUTE_PENDING', 409);
+    }
+    if (existing) {
+      throw disputeError('This guarantee has already been disputed', 'DISPUTE_EXISTS', 409);
+    }
+    if (!DISPUTABLE_STATUSES.includes(guarantee.status)) {
+      throw disputeError(`Only FULFILLED or BREACHED guarantees can be disputed; this one is ${guarantee.status}`, 'INVALID_GUARANTEE_STATUS', 409);
+    }
+
+    let dispute;
+    try {
+      dispute = repository.create({
+        disputeId: `DSP_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        guaranteeId,
+        mailId: guarantee.mailId,
+        openedBy: actorAddress,
+        reason: trimmedReason,
+        attachments: evidence
+      });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw disputeError('This guarantee has already been disputed', 'DISPUTE_EXISTS', 409);
+      }
+      throw error;
+    }
+
+    let receipt;
+    try {
+      receipt = await transactionManager.execute(signer, getDeliveryGuaranteeContract(), 'disputeGuarantee', [guaranteeId, trimmedReason]);
+    } catch (error) {
+      // The transaction can still have been mined, e.g. when waiting for it timed out
+      reconcilePending(dispute, await loadGuarantee(guaranteeId).catch(() => null));
+      throw error;
+    }
+    repository.markOpen(dispute.disputeId, { transactionHash: receipt.hash, blockNumber: receipt.blockNumber });
+
+    logger.info(`Dispute ${dispute.disputeId} opened on guarantee ${guaranteeId} by ${actorAddress}`);
+
+    return { dispute: getDispute(dispute.disputeId), receipt };
+  }
+
+  // Record an admin's decision on an open dispute and tell whoever opened it
+  async function resolveDispute({ disputeId, outcome, refundAmount, notes, actorAddress }) {
+    const dispute = repository.find(disputeId);
+    if (!dispute) {
+      throw disputeError('Dispute not found', 'DISPUTE_NOT_FOUND', 404);
+    }
+    if (dispute.status === 'pending') {
+      throw disputeError('Dispute is not open yet; its transaction has not been mined', 'DISPUTE_PENDING', 409);
+    }
+    if (dispute.status !== 'open') {
+      throw disputeError('Dispute has already been resolved', 'DISPUTE_RESOLVED', 409);
+    }
+    if (!DISPUTE_OUTCOMES.includes(outcome)) {
+      throw disputeError(`outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`, 'INVALID_OUTCOME');
+    }
+    const trimmedNotes = validateText(notes, 'Notes', config.maxReasonLength);
+
+    // Refunds are in ETH and capped at the guarantee's penalty amount
+    const { penaltyAmount } = await loadGuarantee(dispute.guaranteeId);
+    let refundWei = 0n;
+    if (outcome === 'upheld') {
+      refundWei = penaltyAmount;
+    }
+    if (outcome !== 'rejected' && refundAmount !== undefined && refundAmount !== null && refundAmount !== '') {
+      try {
+        refundWei = ethers.parseEther(String(refundAmount));
+      } catch (error) {
+        throw disputeError('refundAmount must be an amount in ETH', 'INVALID_REFUND_AMOUNT');
+      }
+    }
+    if (outcome === 'partial_refund' && (refundWei <= 0n || refundWei >= penaltyAmount)) {
+      throw disputeError(`A partial refund must be more than 0 and less than the penalty of ${ethers.formatEther(penaltyAmount)} ETH`, 'INVALID_REFUND_AMOUNT');
+    }
+    if (refundWei > penaltyAmount) {
+      throw disputeError(`Refund cannot exceed the penalty of ${ethers.formatEther(penaltyAmount)} ETH`, 'INVALID_REFUND_AMOUNT');
+    }
+
+    const resolved = repository.resolve(disputeId, {
+      outcome,
+      refundAmount: ethers.formatEther(refundWei),
+      notes: trimmedNotes,
+      resolvedBy: actorAddress
+    });
+    if (!resolved) {
+      throw disputeError('Dispute has already been resolved', 'DISPUTE_RESOLVED', 409);
+    }
+
+    logger.info(`Dispute ${disputeId} resolved as ${outcome} by ${actorAddress} (refund ${resolved.refundAmount} ETH)`);
+
+    const opener = users.findByAddress(resolved.openedBy);
+    const notification = opener && opener.email
+      ? await notifier.notify({
+        to: opener.email,
+        subject: 'Your delivery guarantee dispute has been resolved',
+        message: `Dispute ${disputeId} on guarantee ${resolved.guaranteeId} was resolved as ${outcome.replace('_', ' ')}. ` +
+          (refundWei > 0n ? `A refund of ${resolved.refundAmount} ETH has been approved. ` : '') +
+          `Notes: ${trimmedNotes}`,
+        data: { type: 'guarantee_dispute_resolved', disputeId, guaranteeId: resolved.guaranteeId, outcome, refundAmount: resolved.refundAmount }
+      })
+      : { delivered: false, channel: null };
+
+    return { dispute: getDispute(disputeId), notification };
+  }
+
+  // A dispute with its attachment list, or null
+  function getDispute(disputeId) {
+    const dispute = repository.find(disputeId);
+    return dispute ? { ...dispute, attachments: repository.listAttachments(disputeId) } : null;
+  }
+
+  // Admins see every dispute; anyone else only the disputes they opened
+  function listDisputes({ status, actorAddress, isAdmin, limit }) {
+    return repository.list({ status, openedBy: isAdmin ? null : actorAddress, limit });
+  }
+
+  function getAttachment(disputeId, attachmentId) {
+    return repository.findAttachment(disputeId, attachmentId);
+  }
+
+  return { cancel, openDispute, resolveDispute, getDispute, listDisputes, getAttachment };
+}
+
+module.exports = {
+  createGuaranteeDisputeService,
+  DISPUTE_OUTCOMES
+};
@@ -0,0 +1,154 @@
+const { identifierKey } = require('./eventIndexer');
+
+// SLA state of delivery guarantees.
+//
+// - DeliveryGuarantee.monitorSLA(mailId, currentTime) moves a mail's SLA
+//   status between ON_TIME, AT_RISK (two hours or less left) and DELAYED. It
+//   evaluates the first guarantee created for the mail, which must be ACTIVE.
+// - A guarantee's guaranteed time is fixed on chain. When the mail is
+//   rescheduled (MailRegistry.setGuaranteedDeliveryTime, recorded in
+//   mail_changes) the rescheduled time is the deadline that counts. Because
+//   monitorSLA takes the current time from its caller, it is passed the time
+//   that leaves exactly as long before the guarantee's own deadline as there
+//   really is before the rescheduled one.
+// - Every transition refreshSla drives is recorded in sla_transitions from the
+//   SLAStatusUpdated event in its receipt.
+
+// DeliveryGuarantee.GuaranteeStatus and SLAStatus, in enum order
+const GUARANTEE_STATUSES = ['ACTIVE', 'FULFILLED', 'BREACHED', 'DISPUTED', 'CANCELLED'];
+const SLA_STATUSES = ['ON_TIME', 'AT_RISK', 'DELAYED', 'EXCEEDED_EXPECTATIONS'];
+
+// Same warning window as monitorSLA
+const AT_RISK_WINDOW_SECONDS = 7200;
+
+// SLA status monitorSLA should report with the given time left before the deadline
+function expectedSlaStatus(deadline, now) {
+  const remaining = deadline - now;
+  if (remaining <= 0) {
+    return 'DELAYED';
+  }
+  if (remaining <= AT_RISK_WINDOW_SECONDS) {
+    return 'AT_RISK';
+  }
+  return 'ON_TIME';
+}
+
+function createGuaranteeSlaService({ contracts, repositories, signer, transactionManager, logger }) {
+  function getDeliveryGuaranteeContract() {
+    if (!contracts.deliveryGuarantee) {
+      throw new Error('DeliveryGuarantee contract not initialized');
+    }
+    return contracts.deliveryGuarantee;
+  }
+
+  // ID of the guarantee monitorSLA evaluates for a mail (the first one created),
+  // or null when the index has none with a known ID
+  function findMonitoredGuaranteeId(mailId) {
+    const [event] = repositories.contractEvents.find({
+      eventName: 'GuaranteeCreated',
+      relatedKey: identifierKey(mailId),
+      limit: 1
+    });
+    return event && typeof event.args.guaranteeId === 'string' ? event.args.guaranteeId : null;
+  }
+
+  // Deadline in Unix seconds: the latest reschedule, otherwise the guarantee's own time
+  function effectiveDeadline(mailId, guaranteedTime) {
+    const reschedule = repositories.mailChanges.latest(mailId, 'reschedule');
+    return reschedule ? Math.floor(new Date(reschedule.newValue).getTime() / 1000) : guaranteedTime;
+  }
+
+  // Current and expected SLA state of a mail's monitored guarantee, or null without one
+  async function getSlaState(mailId, now = Math.floor(Date.now() / 1000)) {
+    const guaranteeId = findMonitoredGuaranteeId(mailId);
+    if (!guaranteeId) {
+      return null;
+    }
+
+    const deliveryGuarantee = getDeliveryGuaranteeContract();
+    const [, guaranteedTime, , customer, status] = await deliveryGuarantee.getGuarantee(guaranteeId);
+    const slaStatus = SLA_STATUSES[Number(await deliveryGuarantee.slaStatus(mailId))];
+    const deadline = effectiveDeadline(mailId, Number(guaranteedTime));
+
+    return {
+      mailId,
+      guaranteeId,
+      customer,
+      guaranteeStatus: GUARANTEE_STATUSES[Number(status)],
+      guaranteedTime: Number(guaranteedTime),
+      deadline,
+      secondsRemaining: deadline - now,
+      slaStatus,
+      expectedSlaStatus: expectedSlaStatus(deadline, now)
+    };
+  }
+
+  // Bring the on-chain SLA status of a mail in line with its deadline.
+  // Returns the SLA state plus { changed, previousSlaStatus, transactionHash, transition }, or null without a guarantee.
+  async function refreshSla(mailId, now = Math.floor(Date.now() / 1000)) {
+    const state = await getSlaState(mailId, now);
+    if (!state) {
+      return null;
+    }
+    if (state.guaranteeStatus !== 'ACTIVE' || state.slaStatus === state.expectedSlaStatus) {
+      return { ...state, changed: false, previousSlaStatus: state.slaStatus, transactionHash: null, transition: null };
+    }
+
+    const deliveryGuarantee = getDeliveryGuaranteeContract();
+    const evaluationTime = Math.max(0, now + (state.guaranteedTime - state.deadline));
+    const receipt = await transactionManager.execute(signer, deliveryGuarantee, 'monitorSLA', [mailId, evaluationTime]);
+
+    logger.info(`SLA for mail ${mailId} (guarantee ${state.guaranteeId}) moved from ${state.slaStatus} to ${state.expectedSlaStatus}: ${receipt.hash}`);
+
+    const transition = recordTransition(state, receipt);
+
+    return {
+      ...state,
+      changed: true,
+      previousSlaStatus: state.slaStatus,
+      slaStatus: transition ? transition.newStatus : state.expectedSlaStatus,
+      transactionHash: receipt.hash,
+      transition
+    };
+  }
+
+  // Store the SLAStatusUpdated event a monitorSLA receipt carries, or null when it has none
+  function recordTransition(state, receipt) {
+    const deliveryGuarantee = getDeliveryGuaranteeContract();
+    const event = receipt.logs
+      .filter(log => log.address.toLowerCase() === deliveryGuarantee.target.toLowerCase())
+      .map(log => deliveryGuarantee.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === 'SLAStatusUpdated');
+    if (!event) {
+      logger.warn(`monitorSLA for mail ${state.mailId} emitted no SLAStatusUpdated event: ${receipt.hash}`);
+      return null;
+    }
+
+    return repositories.slaTransitions.record({
+      mailId: state.mailId,
+      guaranteeId: state.guaranteeId,
+      previousStatus: state.slaStatus,
+      newStatus: SLA_STATUSES[Number(event.args.newStatus)],
+      deadline: new Date(state.deadline * 1000).toISOString(),
+      secondsRemaining: state.secondsRemaining,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      emittedAt: new Date(Number(event.args.timestamp) * 1000).toISOString()
+    });
+  }
+
+  // Transitions recorded by refreshSla, newest first
+  function listTransitions(filters) {
+    return repositories.slaTransitions.list(filters);
+  }
+
+  return { getSlaState, refreshSla, listTransitions, effectiveDeadline };
+}
+
+module.exports = {
+  createGuaranteeSlaService,
+  expectedSlaStatus,
+  GUARANTEE_STATUSES,
+  SLA_STATUSES,
+  AT_RISK_WINDOW_SECONDS
+};
@@ -0,0 +1,144 @@
+const { DELIVERY_STATUS, statusName } = require('./deliveryStatus');
+
+// Manual corrections to registered mail on the MailRegistry contract.
+//
+// - updateMailStatus has no access control on chain and is sent from the
+//   backend signer.
+// - setGuaranteedDeliveryTime is sender-only, so it goes through
+//   walletTransactions: directly for senders the backend holds a key for,
+//   otherwise as a transaction the sender's wallet sends.
+// - Every change is recorded in mail_changes with its reason and actor. A
+//   reschedule then refreshes the SLA status of the mail's guarantee.
+
+const DEFAULTS = {
+  maxReasonLength: 500
+};
+
+function mailAdminError(message, code, statusCode = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function createMailAdminService({ contracts, transactionManager, walletTransactions, repository, signer, guaranteeSla, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  function getMailRegistryContract() {
+    if (!contracts.mailRegistry) {
+      throw new Error('MailRegistry contract not initialized');
+    }
+    return contracts.mailRegistry;
+  }
+
+  function validateReason(reason) {
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      throw mailAdminError('A reason is required', 'REASON_REQUIRED');
+    }
+    if (reason.trim().length > config.maxReasonLength) {
+      throw mailAdminError(`Reason must be at most ${config.maxReasonLength} characters`, 'REASON_TOO_LONG');
+    }
+    return reason.trim();
+  }
+
+  async function loadMail(mailId) {
+    const mailRegistry = getMailRegistryContract();
+    if (!(await mailRegistry.mailExists(mailId))) {
+      throw mailAdminError('Mail not found', 'MAIL_NOT_FOUND', 404);
+    }
+    return mailRegistry.getMailDetails(mailId);
+  }
+
+  // Correct a mail's MailRegistry status
+  async function updateStatus({ mailId, status, reason, actorAddress }) {
+    const trimmedReason = validateReason(reason);
+    const details = await loadMail(mailId);
+    const previousStatus = Number(details[4]);
+
+    if (previousStatus === status) {
+      throw mailAdminError(`Mail is already ${statusName(status)}`, 'STATUS_UNCHANGED', 409);
+    }
+
+    const receipt = await transactionManager.execute(signer, getMailRegistryContract(), 'updateMailStatus', [mailId, status]);
+    const change = repository.record({
+      mailId,
+      action: 'status_update',
+      previousValue: statusName(previousStatus),
+      newValue: statusName(status),
+      reason: trimmedReason,
+      actorAddress,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    });
+
+    logger.info(`Mail ${mailId} status changed from ${statusName(previousStatus)} to ${statusName(status)} by ${actorAddress}: ${trimmedReason}`);
+
+    return { change, receipt };
+  }
+
+  // Move a mail's guaranteed delivery time (Unix seconds) and refresh its guarantee's SLA status
+  async function reschedule({ mailId, guaranteedDeliveryTime, reason, actorAddress, transactionHash }) {
+    const trimmedReason = validateReason(reason);
+    const details = await loadMail(mailId);
+    const senderAddress = details[1];
+    const previousTime = Number(details[7]);
+
+    if (transactionHash && repository.findByTransaction(transactionHash)) {
+      throw mailAdminError('This transaction has already been recorded', 'TRANSACTION_ALREADY_RECORDED', 409);
+    }
+    if (!transactionHash) {
+      if (Number(details[4]) === DELIVERY_STATUS.DELIVERED) {
+        throw mailAdminError('Cannot reschedule mail that has been delivered', 'MAIL_DELIVERED', 409);
+      }
+      if (guaranteedDeliveryTime <= Math.floor(Date.now() / 1000)) {
+        throw mailAdminError('Guaranteed delivery time must be in the future', 'INVALID_GUARANTEED_TIME');
+      }
+    }
+
+    const receipt = await walletTransactions.sendAs(
+      getMailRegistryContract(),
+      senderAddress,
+      'setGuaranteedDeliveryTime',
+      [mailId, guaranteedDeliveryTime],
+      transactionHash
+    );
+
+    // A wallet-sent transaction may already be mined when the mail was read
+    const previousReschedule = repository.latest(mailId, 'reschedule');
+    const previousValue = previousTime !== guaranteedDeliveryTime
+      ? new Date(previousTime * 1000).toISOString()
+      : previousReschedule ? previousReschedule.newValue : null;
+
+    const change = repository.record({
+      mailId,
+      action: 'reschedule',
+      previousValue,
+      newValue: new Date(guaranteedDeliveryTime * 1000).toISOString(),
+      reason: trimmedReason,
+      actorAddress,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber
+    });
+
+    logger.info(`Mail ${mailId} rescheduled to ${change.newValue} by ${actorAddress}: ${trimmedReason}`);
+
+    // The reschedule stands even if the SLA refresh fails; the error is reported instead
+    let sla;
+    try {
+      sla = await guaranteeSla.refreshSla(mailId);
+    } catch (error) {
+      logger.warn(`Could not refresh SLA for rescheduled mail ${mailId}: ${error.shortMessage || error.message}`);
+      sla = { error: error.shortMessage || error.message };
+    }
+
+    return { change, receipt, sla };
+  }
+
+  function listChanges(mailId) {
+    return repository.list(mailId);
+  }
+
+  return { updateStatus, reschedule, listChanges };
+}
+
+module.exports = { createMailAdminService };
@@ -0,0 +1,421 @@
+const crypto = require('crypto');
+const { validateRegistration, registerMailArgs } = require('./mailRegistration');
+
+// Bulk mail registration from uploaded manifests.
+//
+// - A manifest is CSV (a header row, then one mail per line) or a JSON array
+//   of registrations shaped like the POST /api/mail/register body. Every row
+//   is validated before anything is stored, including duplicates within the
+//   manifest and IDs already registered on-chain; one bad row rejects the
+//   whole manifest with the errors of every row.
+// - Accepted manifests become jobs, registered on-chain one job at a time in
+//   upload order. Up to IMPORT_MAX_IN_FLIGHT registrations wait for their
+//   receipts at once; the transaction manager keeps their nonces in order.
+// - Each row is persisted with its transaction hash as it progresses, and
+//   jobs left unfinished by a restart resume on start(). A row whose mail ID
+//   already exists on-chain counts as registered, so a resumed job never
+//   registers the same mail twice.
+
+const SOURCE_FORMATS = ['csv', 'json'];
+
+// CSV columns; the metadata fields are flat columns in a CSV manifest
+const CSV_COLUMNS = [
+  'mailId', 'trackingNumber', 'senderAddress', 'recipientId', 'mailType',
+  'guaranteedDeliveryTime', 'requiresTimeProof',
+  'weight', 'size', 'priority', 'insurance', 'requiresSignature'
+];
+const METADATA_COLUMNS = ['weight', 'size', 'priority', 'insurance', 'requiresSignature'];
+
+const DEFAULTS = {
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS || '500'),
+  maxInFlight: parseInt(process.env.IMPORT_MAX_IN_FLIGHT || '5'),
+  lookupBatchSize: 50
+};
+
+function importError(message, code, statusCode = 400, details = undefined) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+}
+
+// Split CSV text into records of fields. Handles quoted fields, "" escapes,
+// and LF or CRLF line endings; blank lines are skipped.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw importError('Malformed CSV: unterminated quoted field', 'INVALID_MANIFEST');
+  }
+  record.push(field);
+  records.push(record);
+
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Turn CSV text into registration inputs keyed by the header row
+function csvRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw importError('Manifest is empty', 'INVALID_MANIFEST');
+  }
+
+  const columns = header.map(name => name.trim());
+  const unknown = columns.filter(name => !CSV_COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    throw importError(`Unknown CSV columns: ${unknown.join(', ')}. Allowed columns: ${CSV_COLUMNS.join(', ')}`, 'INVALID_MANIFEST');
+  }
+
+  return records.map(fields => {
+    const input = { metadata: {} };
+    columns.forEach((name, i) => {
+      const value = fields[i] === undefined ? '' : fields[i].trim();
+      if (METADATA_COLUMNS.includes(name)) {
+        input.metadata[name] = value;
+      } else {
+        input[name] = value;
+      }
+    });
+    return input;
+  });
+}
+
+function jsonRows(manifest) {
+  let rows = manifest;
+  if (typeof manifest === 'string') {
+    try {
+      rows = JSON.parse(manifest);
+    } catch (error) {
+      throw importError(`Malformed JSON: ${error.message}`, 'INVALID_MANIFEST');
+    }
+  }
+  if (!Array.isArray(rows)) {
+    throw importError('A JSON manifest must be an array of registrations', 'INVALID_MANIFEST');
+  }
+  return rows.map(row => (row && typeof row === 'object' && !Array.isArray(row) ? row : null));
+}
+
+function generateMailId() {
+  return `MAIL_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function generateTrackingNumber() {
+  return `TN${Date.now()}_${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function createMailImportService({ repository, contracts, signer, transactionManager, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+  const state = {
+    queue: [],
+    running: false,
+    processing: null
+  };
+
+  function getMailRegistryContract() {
+    if (!contracts.mailRegistry) {
+      throw new Error('MailRegistry contract not initialized');
+    }
+    return contracts.mailRegistry;
+  }
+
+  // Rows whose mail ID or tracking number is already registered on-chain
+  async function findRegistered(registrations) {
+    const mailRegistry = getMailRegistryContract();
+    const registered = new Map();
+
+    for (let start = 0; start < registrations.length; start += config.lookupBatchSize) {
+      const batch = registrations.slice(start, start + config.lookupBatchSize);
+      const results = await Promise.all(batch.map(async ({ mailId, trackingNumber }) => {
+        const [exists, existingMailId] = await Promise.all([
+          mailRegistry.mailExists(mailId),
+          mailRegistry.trackingToMailId(trackingNumber)
+        ]);
+        const errors = [];
+        if (exists) {
+          errors.push(`Mail ID ${mailId} is already registered`);
+        }
+        if (existingMailId) {
+          errors.push(`Tracking number ${trackingNumber} is already registered to mail ${existingMailId}`);
+        }
+        return errors;
+      }));
+      results.forEach((errors, i) => {
+        if (errors.length > 0) {
+          registered.set(start + i, errors);
+        }
+      });
+    }
+
+    return registered;
+  }
+
+  // Parse and validate a whole manifest. Returns the validated registrations,
+  // or throws INVALID_MANIFEST with { row, errors } for every rejected row.
+  async function validateManifest({ format, manifest, uploaderAddress }) {
+    if (!SOURCE_FORMATS.includes(format)) {
+      throw importError(`Invalid format. Must be one of: ${SOURCE_FORMATS.join(', ')}`, 'INVALID_MANIFEST');
+    }
+    if (format === 'csv' && typeof manifest !== 'string') {
+      throw importError('A CSV manifest must be sent as text', 'INVALID_MANIFEST');
+    }
+
+    const inputs = format === 'csv' ? csvRows(manifest) : jsonRows(manifest);
+    if (inputs.length === 0) {
+      throw importError('Manifest contains no rows', 'INVALID_MANIFEST');
+    }
+    if (inputs.length > config.maxRows) {
+      throw importError(`Manifest has ${inputs.length} rows; at most ${config.maxRows} are allowed per import`, 'INVALID_MANIFEST');
+    }
+
+    const rowErrors = new Map();
+    const registrations = inputs.map((input, i) => {
+      if (!input) {
+        rowErrors.set(i, ['Row must be an object']);
+        return null;
+      }
+      const { errors, registration } = validateRegistration({
+        ...input,
+        mailId: isBlank(input.mailId) ? generateMailId() : input.mailId,
+        trackingNumber: isBlank(input.trackingNumber) ? generateTrackingNumber() : input.trackingNumber,
+        senderAddress: isBlank(input.senderAddress) ? uploaderAddress : input.senderAddress
+      });
+      if (errors) {
+        rowErrors.set(i, errors);
+      }
+      return registration || null;
+    });
+
+    // Duplicates within the manifest; the first occurrence is kept
+    const seenMailIds = new Map();
+    const seenTrackingNumbers = new Map();
+    registrations.forEach((registration, i) => {
+      if (!registration) {
+        return;
+      }
+      const errors = [];
+      if (seenMailIds.has(registration.mailId)) {
+        errors.push(`Duplicate mailId ${registration.mailId} (also on row ${seenMailIds.get(registration.mailId) + 1})`);
+      } else {
+        seenMailIds.set(registration.mailId, i);
+      }
+      if (seenTrackingNumbers.has(registration.trackingNumber)) {
+        errors.push(`Duplicate trackingNumber ${registration.trackingNumber} (also on row ${seenTrackingNumbers.get(registration.trackingNumber) + 1})`);
+      } else {
+        seenTrackingNumbers.set(registration.trackingNumber, i);
+      }
+      if (errors.length > 0) {
+        rowErrors.set(i, [...(rowErrors.get(i) || []), ...errors]);
+      }
+    });
+
+    // Only check the chain once the manifest itself is clean
+    if (rowErrors.size === 0) {
+      for (const [i, errors] of await findRegistered(registrations)) {
+        rowErrors.set(i, errors);
+      }
+    }
+
+    if (rowErrors.size > 0) {
+      const details = [...rowErrors.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([i, errors]) => ({ row: i + 1, errors }));
+      throw importError(`Manifest validation failed: ${details.length} of ${inputs.length} rows rejected`, 'INVALID_MANIFEST', 400, details);
+    }
+
+    return registrations;
+  }
+
+  // A job with its rows and row counts per status
+  function getJob(jobId) {
+    const job = repository.findJob(jobId);
+    if (!job) {
+      return null;
+    }
+    return {
+      ...job,
+      counts: repository.countRows(jobId),
+      rows: repository.getRows(jobId)
+    };
+  }
+
+  function listJobs({ createdBy = null, limit } = {}) {
+    return repository.listJobs({ createdBy, limit }).map(job => ({
+      ...job,
+      counts: repository.countRows(job.jobId)
+    }));
+  }
+
+  // Record a failed row, unless its mail turns out to be registered after all
+  // (e.g. an earlier attempt was mined after the process restarted)
+  async function failRow(jobId, row, error) {
+    try {
+      if (await getMailRegistryContract().mailExists(row.mailId)) {
+        repository.updateRow(jobId, row.row, { status: 'registered' });
+        return;
+      }
+    } catch (checkError) {
+      logger.warn(`Could not re-check mail ${row.mailId} after a failed import: ${checkError.message}`);
+    }
+
+    const classified = transactionManager.classifyError(error);
+    repository.updateRow(jobId, row.row, {
+      status: 'failed',
+      error: classified.type === 'UNKNOWN' ? error.shortMessage || error.message : classified.message
+    });
+  }
+
+  async function registerRow(jobId, row) {
+    const mailRegistry = getMailRegistryContract();
+    try {
+      if (await mailRegistry.mailExists(row.mailId)) {
+        repository.updateRow(jobId, row.row, { status: 'registered' });
+        return null;
+      }
+
+      repository.updateRow(jobId, row.row, { status: 'submitting' });
+      const tx = await transactionManager.submit(signer, mailRegistry, 'registerMail', registerMailArgs(row.registration));
+      repository.updateRow(jobId, row.row, { status: 'submitted', transactionHash: tx.hash });
+
+      // Wait for the receipt in the background so further rows can be broadcast
+      return tx.wait()
+        .then(receipt => {
+          repository.updateRow(jobId, row.row, {
+            status: 'registered',
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+          });
+        })
+        .catch(error => failRow(jobId, row, error));
+    } catch (error) {
+      await failRow(jobId, row, error);
+      return null;
+    }
+  }
+
+  async function processJob(jobId) {
+    repository.setJobStatus(jobId, 'processing');
+    logger.info(`Processing mail import ${jobId}`);
+
+    const inFlight = new Set();
+    for (const row of repository.getRows(jobId)) {
+      if (!state.running) {
+        break;
+      }
+      if (row.status === 'registered' || row.status === 'failed') {
+        continue;
+      }
+      while (inFlight.size >= config.maxInFlight) {
+        await Promise.race(inFlight);
+      }
+      const pending = await registerRow(jobId, row);
+      if (pending) {
+        const tracked = pending.finally(() => inFlight.delete(tracked));
+        inFlight.add(tracked);
+      }
+    }
+    await Promise.all(inFlight);
+
+    if (!state.running) {
+      return;
+    }
+
+    const counts = repository.countRows(jobId);
+    const status = counts.failed ? 'completed_with_errors' : 'completed';
+    repository.setJobStatus(jobId, status, { completed: true });
+    logger.info(`Mail import ${jobId} ${status}: ${counts.registered || 0} registered, ${counts.failed || 0} failed`);
+  }
+
+  async function drain() {
+    if (state.processing || !state.running) {
+      return;
+    }
+    while (state.queue.length > 0 && state.running) {
+      const jobId = state.queue.shift();
+      state.processing = jobId;
+      try {
+        await processJob(jobId);
+      } catch (error) {
+        logger.error(`Mail import ${jobId} stopped unexpectedly:`, error);
+        repository.setJobStatus(jobId, 'failed', { completed: true });
+      }
+    }
+    state.processing = null;
+  }
+
+  // Validate a manifest, store it as a job and queue it for registration
+  async function createJob({ format, manifest, uploaderAddress }) {
+    const registrations = await validateManifest({ format, manifest, uploaderAddress });
+    const job = repository.createJob({
+      jobId: `IMPORT_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      sourceFormat: format,
+      createdBy: uploaderAddress,
+      registrations
+    });
+
+    logger.info(`Mail import ${job.jobId} queued by ${uploaderAddress} with ${job.totalRows} rows`);
+    state.queue.push(job.jobId);
+    drain();
+
+    return getJob(job.jobId);
+  }
+
+  // Resume jobs a previous run left unfinished, then process new ones as they arrive
+  function start() {
+    if (state.running) {
+      return;
+    }
+    state.running = true;
+    const unfinished = repository.listUnfinishedJobs().map(job => job.jobId);
+    if (unfinished.length > 0) {
+      logger.info(`Resuming ${unfinished.length} unfinished mail import(s)`);
+    }
+    state.queue.push(...unfinished.filter(jobId => !state.queue.includes(jobId)));
+    drain();
+  }
+
+  // Stop taking rows; jobs in progress stay 'processing' and resume on the next start()
+  function stop() {
+    state.running = false;
+  }
+
+  return { createJob, getJob, listJobs, start, stop };
+}
+
+module.exports = { createMailImportService };
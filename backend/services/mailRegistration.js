@@ -0,0 +1,129 @@
+const { ethers } = require('ethers');
+
+// Validation of MailRegistry.registerMail input, shared by
+// POST /api/mail/register and the bulk manifest import.
+//
+// A validated registration is plain JSON (insurance stays an ETH string), so
+// import rows can be stored as-is and turned into contract arguments when
+// they are submitted.
+
+// MailRegistry.MailType, in enum order
+const MAIL_TYPES = ['document', 'package', 'certified', 'priority'];
+
+// Default delivery window when no guaranteed delivery time is given
+const DEFAULT_DELIVERY_WINDOW_SECONDS = 86400;
+
+// Unix seconds, or an ISO 8601 date; NaN when neither
+function parseTimestamp(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    return Number(value);
+  }
+  return Math.floor(new Date(value).getTime() / 1000);
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return ['true', '1', 'yes'].includes(String(value).trim().toLowerCase());
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Validate one registration. Returns { errors } with every problem found, or
+// { registration } ready for registerMailArgs.
+function validateRegistration(input, { now = Math.floor(Date.now() / 1000) } = {}) {
+  const errors = [];
+  const { mailId, trackingNumber, senderAddress, recipientId, mailType, guaranteedDeliveryTime, requiresTimeProof } = input;
+  const metadata = input.metadata || {};
+
+  const missing = ['mailId', 'trackingNumber', 'senderAddress', 'recipientId', 'mailType']
+    .filter(field => isBlank(input[field]));
+  if (missing.length > 0) {
+    errors.push(`Missing required fields: ${missing.join(', ')}`);
+  }
+
+  if (!isBlank(senderAddress) && !ethers.isAddress(senderAddress)) {
+    errors.push('Invalid sender address format');
+  }
+
+  const mailTypeEnum = isBlank(mailType) ? -1 : MAIL_TYPES.indexOf(String(mailType).trim().toLowerCase());
+  if (!isBlank(mailType) && mailTypeEnum === -1) {
+    errors.push(`Invalid mailType. Must be one of: ${MAIL_TYPES.join(', ')}`);
+  }
+
+  let guaranteedTime = now + DEFAULT_DELIVERY_WINDOW_SECONDS;
+  if (!isBlank(guaranteedDeliveryTime)) {
+    guaranteedTime = parseTimestamp(guaranteedDeliveryTime);
+    if (isNaN(guaranteedTime)) {
+      errors.push('Invalid guaranteedDeliveryTime. Must be Unix seconds or an ISO 8601 date');
+    } else if (guaranteedTime <= now) {
+      errors.push('Guaranteed delivery time must be in the future');
+    }
+  }
+
+  const priority = isBlank(metadata.priority) ? 0 : Number(metadata.priority);
+  if (!Number.isInteger(priority) || priority < 0 || priority > 2) {
+    errors.push('Invalid metadata.priority. Must be 0, 1 or 2');
+  }
+
+  const insurance = isBlank(metadata.insurance) ? '0' : String(metadata.insurance).trim();
+  try {
+    ethers.parseEther(insurance);
+  } catch (error) {
+    errors.push('Invalid metadata.insurance. Must be an amount in ETH');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    registration: {
+      mailId: String(mailId).trim(),
+      trackingNumber: String(trackingNumber).trim(),
+      senderAddress: ethers.getAddress(senderAddress),
+      recipientId: String(recipientId).trim(),
+      mailType: MAIL_TYPES[mailTypeEnum],
+      guaranteedDeliveryTime: guaranteedTime,
+      requiresTimeProof: isBlank(requiresTimeProof) ? false : parseBoolean(requiresTimeProof),
+      metadata: {
+        weight: isBlank(metadata.weight) ? '0kg' : String(metadata.weight),
+        size: isBlank(metadata.size) ? 'Small' : String(metadata.size),
+        priority,
+        insurance,
+        requiresSignature: isBlank(metadata.requiresSignature) ? false : parseBoolean(metadata.requiresSignature)
+      }
+    }
+  };
+}
+
+// Arguments for MailRegistry.registerMail from a validated registration
+function registerMailArgs(registration) {
+  const { metadata } = registration;
+  return [
+    registration.mailId,
+    registration.trackingNumber,
+    registration.senderAddress,
+    registration.recipientId,
+    MAIL_TYPES.indexOf(registration.mailType),
+    registration.guaranteedDeliveryTime,
+    registration.requiresTimeProof,
+    {
+      weight: metadata.weight,
+      size: metadata.size,
+      priority: metadata.priority,
+      insurance: ethers.parseEther(metadata.insurance),
+      requiresSignature: metadata.requiresSignature
+    }
+  ];
+}
+
+module.exports = {
+  MAIL_TYPES,
+  parseTimestamp,
+  validateRegistration,
+  registerMailArgs
+};
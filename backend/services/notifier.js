@@ -0,0 +1,43 @@
+// Outgoing notifications (password resets, account notices).
+//
+// Messages are POSTed as JSON to NOTIFICATION_WEBHOOK_URL, which hands them
+// to whatever mail/SMS gateway the deployment uses. Without a webhook only
+// the recipient and subject are logged: bodies can carry secrets such as
+// password reset links, so they are never written to the log.
+
+const DEFAULTS = {
+  webhookUrl: process.env.NOTIFICATION_WEBHOOK_URL || null,
+  timeoutMs: parseInt(process.env.NOTIFICATION_TIMEOUT_MS || '10000')
+};
+
+function createNotifier({ logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  // Deliver one notification; returns { delivered, channel } and never throws
+  async function notify({ to, subject, message, data = {} }) {
+    if (!config.webhookUrl) {
+      logger.info(`Notification for ${to} not delivered (no webhook configured): ${subject}`);
+      return { delivered: false, channel: 'log' };
+    }
+
+    try {
+      const response = await fetch(config.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to, subject, message, data, sentAt: new Date().toISOString() }),
+        signal: AbortSignal.timeout(config.timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`webhook responded with HTTP ${response.status}`);
+      }
+      return { delivered: true, channel: 'webhook' };
+    } catch (error) {
+      logger.error(`Failed to deliver notification "${subject}" to ${to}: ${error.message}`);
+      return { delivered: false, channel: 'webhook', error: error.message };
+    }
+  }
+
+  return { notify };
+}
+
+module.exports = { createNotifier };
@@ -0,0 +1,28 @@
+// ?page=&pageSize= handling shared by the list endpoints. Pages are 1-based
+// and responses carry { page, pageSize, total, totalPages }.
+
+// Validate the query; returns { page, pageSize, offset } or { error }
+function parsePagination(query, { defaultPageSize = 20, maxPageSize = 100 } = {}) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? defaultPageSize : Number(query.pageSize);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'Invalid page. Must be a positive integer' };
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > maxPageSize) {
+    return { error: `Invalid pageSize. Must be between 1 and ${maxPageSize}` };
+  }
+
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+function paginationInfo({ page, pageSize }, total) {
+  return {
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize)
+  };
+}
+
+module.exports = { parsePagination, paginationInfo };
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ethers } = require('ethers');
+
+// Password hashing and password reset.
+//
+// - Passwords are stored as salted scrypt hashes in the form
+//   scrypt$N$r$p$<salt>$<hash> (base64). Hashes from before the move to
+//   scrypt are bare keccak256 values; they still verify and are upgraded the
+//   next time the user signs in.
+// - Reset tokens are random, single-use and short-lived. Only their SHA-256
+//   hash is stored, and requesting one never reveals whether an email exists.
+// - Passwords are an off-chain credential only; UserRegistry keeps the
+//   commitment written at registration.
+
+const SCRYPT = {
+  N: 16384,
+  r: 8,
+  p: 1,
+  keyLength: 64,
+  saltLength: 16
+};
+
+const DEFAULTS = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '6'),
+  resetTokenTtlSeconds: parseInt(process.env.PASSWORD_RESET_TTL_SECONDS || '1800'),
+  resetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'
+};
+
+const scrypt = promisify(crypto.scrypt);
+
+function passwordError(message, code, statusCode = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isLegacyHash(storedHash) {
+  return /^0x[0-9a-fA-F]{64}$/.test(storedHash);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SCRYPT.saltLength);
+  const key = await scrypt(password, salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, storedHash) {
+  if (!storedHash) {
+    return false;
+  }
+  if (isLegacyHash(storedHash)) {
+    return ethers.keccak256(ethers.toUtf8Bytes(password)) === storedHash.toLowerCase();
+  }
+
+  const [scheme, N, r, p, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Whether a stored hash should be replaced with one using the current parameters
+function needsRehash(storedHash) {
+  return isLegacyHash(storedHash) || !storedHash.startsWith(`scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$`);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createPasswordService({ users, resets, notifier, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  function validateNewPassword(password) {
+    if (typeof password !== 'string' || password.length < config.minLength) {
+      throw passwordError(`Password must be at least ${config.minLength} characters long`, 'WEAK_PASSWORD');
+    }
+  }
+
+  // Store a new password hash and retire any outstanding reset tokens
+  async function setPassword(userAddress, password) {
+    validateNewPassword(password);
+    const user = users.updatePassword(userAddress, await hashPassword(password));
+    resets.invalidateForAddress(userAddress);
+    return user;
+  }
+
+  // Check the password; legacy hashes are upgraded on success
+  async function checkPassword(user, password) {
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      return false;
+    }
+    if (needsRehash(user.passwordHash)) {
+      users.updatePassword(user.userAddress, await hashPassword(password));
+      logger.info(`Upgraded password hash for ${user.userAddress} to scrypt`);
+    }
+    return true;
+  }
+
+  async function changePassword(userAddress, currentPassword, newPassword) {
+    const user = users.findByAddress(userAddress);
+    if (!user) {
+      throw passwordError('User not found', 'USER_NOT_FOUND', 404);
+    }
+    if (!(await verifyPassword(currentPassword || '', user.passwordHash))) {
+      throw passwordError('Current password is incorrect', 'INVALID_PASSWORD', 401);
+    }
+    if (currentPassword === newPassword) {
+      throw passwordError('New password must be different', 'WEAK_PASSWORD');
+    }
+    return setPassword(userAddress, newPassword);
+  }
+
+  // Issue a reset token and send it to the account's email. Unknown or
+  // suspended accounts are ignored silently so the response is the same.
+  async function requestReset(email) {
+    resets.purgeExpired();
+
+    const user = users.findByEmail(email);
+    if (!user || !user.isActive || user.suspendedAt) {
+      logger.info(`Password reset requested for unknown or inactive email ${email}`);
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const record = resets.create({
+      tokenHash: hashToken(token),
+      userAddress: user.userAddress,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.resetTokenTtlSeconds * 1000).toISOString()
+    });
+
+    await notifier.notify({
+      to: user.email,
+      subject: 'Reset your password',
+      message: `Use this link within ${Math.round(config.resetTokenTtlSeconds / 60)} minutes to choose a new password: ${config.resetUrl}?token=${token}`,
+      data: { type: 'password_reset', userAddress: user.userAddress, expiresAt: record.expiresAt }
+    });
+
+    logger.info(`Password reset token issued for ${user.userAddress}`);
+  }
+
+  // Consume a reset token and set the new password; returns the user
+  async function resetPassword(token, newPassword) {
+    validateNewPassword(newPassword);
+
+    const record = typeof token === 'string' ? resets.find(hashToken(token)) : null;
+    if (!record || record.usedAt) {
+      throw passwordError('Invalid or already used reset token', 'INVALID_RESET_TOKEN');
+    }
+    if (new Date(record.expiresAt).getTime() <= Date.now()) {
+      throw passwordError('Reset token has expired', 'INVALID_RESET_TOKEN');
+    }
+    if (!resets.consume(record.tokenHash)) {
+      throw passwordError('Invalid or already used reset token', 'INVALID_RESET_TOKEN');
+    }
+
+    return setPassword(record.userAddress, newPassword);
+  }
+
+  return {
+    hashPassword,
+    checkPassword,
+    changePassword,
+    requestReset,
+    resetPassword,
+    validateNewPassword
+  };
+}
+
+module.exports = { createPasswordService, hashPassword, verifyPassword };
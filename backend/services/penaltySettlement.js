@@ -0,0 +1,368 @@
+const { ethers } = require('ethers');
+const { identifierKey } = require('./eventIndexer');
+const { GUARANTEE_STATUSES } = require('./guaranteeSla');
+const { DELIVERY_STATUS } = require('./deliveryStatus');
+
+// Automatic penalty settlement of breached delivery guarantees.
+//
+// - DeliveryGuarantee has no claim method: a penalty is paid when the owner
+//   marks the guarantee late through updateGuaranteeStatus(id, time, false),
+//   which releases the escrow to the customer (_payPenalty).
+// - A breach is confirmed from chain data before anything is sent: the
+//   guarantee is ACTIVE with no actualDeliveryTime and its penalty unpaid, the
+//   latest block is past its deadline (the mail's reschedule, if any), and
+//   MailRegistry does not show the mail delivered on time.
+// - Every settlement claims the guarantee's row in penalty_settlements first.
+//   A pending claim is a lease of SETTLEMENT_LEASE_MS: other attempts are
+//   refused until it is marked settled or failed, or the lease runs out (the
+//   attempt died mid-way). A failed or expired attempt is retried on the next
+//   run, and the breach check before paying sees a penalty an earlier attempt
+//   already paid, which is recorded instead of being sent again.
+// - The customer and the guarantee's escalation contacts (from the
+//   createGuarantee call) are notified once the penalty is paid.
+
+const DEFAULTS = {
+  enabled: process.env.SETTLEMENT_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.SETTLEMENT_INTERVAL_MS || '300000'),
+  graceSeconds: parseInt(process.env.SETTLEMENT_GRACE_SECONDS || '0'),
+  leaseMs: parseInt(process.env.SETTLEMENT_LEASE_MS || '900000')
+};
+
+// GuaranteeStatus.ACTIVE as indexed in GuaranteeUpdated.newStatus
+const ACTIVE_STATUS = '0';
+
+const SETTLEMENT_STATUSES = ['pending', 'settled', 'failed'];
+
+function settlementError(message, code, statusCode = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function createPenaltySettlementService({ contracts, provider, repositories, transactionManager, signer, guaranteeSla, notifier, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+  const repository = repositories.penaltySettlements;
+
+  const state = {
+    running: false,
+    settling: new Set(),
+    timer: null,
+    lastRunAt: null,
+    lastRun: null,
+    lastError: null,
+    // guaranteeId -> last reason a due guarantee was not settled, so each is logged once
+    skipped: new Map()
+  };
+
+  function getDeliveryGuaranteeContract() {
+    if (!contracts.deliveryGuarantee) {
+      throw new Error('DeliveryGuarantee contract not initialized');
+    }
+    return contracts.deliveryGuarantee;
+  }
+
+  async function loadGuarantee(guaranteeId) {
+    const deliveryGuarantee = getDeliveryGuaranteeContract();
+    if (!(await deliveryGuarantee.guaranteeExists(guaranteeId))) {
+      throw settlementError('Guarantee not found', 'GUARANTEE_NOT_FOUND', 404);
+    }
+    const [mailId, guaranteedTime, penaltyAmount, customer, status, , actualDeliveryTime, penaltyPaid] =
+      await deliveryGuarantee.getGuarantee(guaranteeId);
+    return {
+      guaranteeId,
+      mailId,
+      guaranteedTime: Number(guaranteedTime),
+      penaltyAmount,
+      customer,
+      status: GUARANTEE_STATUSES[Number(status)],
+      actualDeliveryTime: Number(actualDeliveryTime),
+      penaltyPaid
+    };
+  }
+
+  // Check on chain that the guarantee is breached and unpaid. Returns the guarantee with its
+  // deadline and the delivery time to record (the late MailRegistry delivery time, or 0).
+  async function confirmBreach(guaranteeId) {
+    const guarantee = await loadGuarantee(guaranteeId);
+    const deadline = guaranteeSla.effectiveDeadline(guarantee.mailId, guarantee.guaranteedTime);
+
+    if (guarantee.penaltyPaid) {
+      return { ...guarantee, deadline, deliveryTime: guarantee.actualDeliveryTime };
+    }
+    if (guarantee.status !== 'ACTIVE') {
+      throw settlementError(`Only ACTIVE guarantees can be settled; this one is ${guarantee.status}`, 'INVALID_GUARANTEE_STATUS', 409);
+    }
+    if (guarantee.actualDeliveryTime > 0) {
+      throw settlementError('The guarantee already has a delivery time recorded', 'ALREADY_DELIVERED', 409);
+    }
+
+    const block = await provider.getBlock('latest');
+    if (block.timestamp <= deadline + config.graceSeconds) {
+      throw settlementError(`Guaranteed delivery time ${new Date(deadline * 1000).toISOString()} has not passed`, 'NOT_BREACHED', 409);
+    }
+
+    let deliveryTime = 0;
+    const mailRegistry = contracts.mailRegistry;
+    if (mailRegistry && (await mailRegistry.mailExists(guarantee.mailId))) {
+      const details = await mailRegistry.getMailDetails(guarantee.mailId);
+      if (Number(details[4]) === DELIVERY_STATUS.DELIVERED && Number(details[6]) > 0) {
+        deliveryTime = Number(details[6]);
+        if (deliveryTime <= deadline) {
+          throw settlementError('The mail was delivered on time; confirm the delivery instead', 'DELIVERED_ON_TIME', 409);
+        }
+      }
+    }
+
+    return { ...guarantee, deadline, deliveryTime };
+  }
+
+  // Escalation contacts passed to createGuarantee; the contract does not expose them
+  async function findEscalationContacts(guaranteeId) {
+    const [event] = repositories.contractEvents.find({
+      eventName: 'GuaranteeCreated',
+      subjectKey: identifierKey(guaranteeId),
+      limit: 1
+    });
+    if (!event) {
+      return [];
+    }
+    try {
+      const tx = await provider.getTransaction(event.transactionHash);
+      const call = tx && getDeliveryGuaranteeContract().interface.parseTransaction({ data: tx.data, value: tx.value });
+      return call && call.name === 'createGuarantee' ? Array.from(call.args.escalationContacts) : [];
+    } catch (error) {
+      logger.warn(`Could not read escalation contacts of guarantee ${guaranteeId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Email the customer and every escalation contact (an email address or a user's wallet address)
+  async function notifySettlement(guarantee, settlement) {
+    const recipients = new Map();
+    const customer = repositories.users.findByAddress(guarantee.customer);
+    if (customer && customer.email) {
+      recipients.set(customer.email.toLowerCase(), customer.email);
+    }
+    for (const contact of await findEscalationContacts(guarantee.guaranteeId)) {
+      const user = ethers.isAddress(contact) ? repositories.users.findByAddress(contact) : null;
+      const email = user ? user.email : contact.includes('@') ? contact.trim() : null;
+      if (email) {
+        recipients.set(email.toLowerCase(), email);
+      } else {
+        logger.warn(`No email for escalation contact ${contact} of guarantee ${guarantee.guaranteeId}`);
+      }
+    }
+
+    const notifications = [];
+    for (const to of recipients.values()) {
+      try {
+        const result = await notifier.notify({
+          to,
+          subject: 'Delivery guarantee breached: penalty paid',
+          message: `Mail ${guarantee.mailId} was not delivered by its guaranteed time of ${settlement.deadline}. ` +
+            `The penalty of ${settlement.penaltyAmount} ETH on guarantee ${guarantee.guaranteeId} has been paid to ${guarantee.customer}.`,
+          data: {
+            type: 'guarantee_penalty_settled',
+            guaranteeId: guarantee.guaranteeId,
+            mailId: guarantee.mailId,
+            penaltyAmount: settlement.penaltyAmount,
+            transactionHash: settlement.transactionHash
+          }
+        });
+        notifications.push({ to, delivered: result.delivered, channel: result.channel });
+      } catch (error) {
+        logger.warn(`Settlement notification for guarantee ${guarantee.guaranteeId} to ${to} failed: ${error.message}`);
+        notifications.push({ to, delivered: false, channel: null });
+      }
+    }
+    return repository.recordNotifications(guarantee.guaranteeId, notifications);
+  }
+
+  // Transaction that paid a penalty outside this service, from the index
+  function findPenaltyPayment(guaranteeId) {
+    const [event] = repositories.contractEvents.find({
+      eventName: 'PenaltyPaid',
+      subjectKey: identifierKey(guaranteeId),
+      limit: 1
+    });
+    return event ? { transactionHash: event.transactionHash, blockNumber: event.blockNumber } : { transactionHash: null, blockNumber: null };
+  }
+
+  // Settle one guarantee's penalty. Returns { settlement, alreadySettled }.
+  async function settle(guaranteeId, { source, requestedBy = null } = {}) {
+    const existing = repository.findByGuarantee(guaranteeId);
+    if (existing && existing.status === 'settled') {
+      return { settlement: existing, alreadySettled: true };
+    }
+    if (state.settling.has(guaranteeId)) {
+      throw settlementError('This guarantee is already being settled', 'SETTLEMENT_IN_PROGRESS', 409);
+    }
+    state.settling.add(guaranteeId);
+
+    try {
+      const guarantee = await confirmBreach(guaranteeId);
+      const claimed = repository.claim({
+        guaranteeId,
+        mailId: guarantee.mailId,
+        customer: guarantee.customer,
+        penaltyAmount: ethers.formatEther(guarantee.penaltyAmount),
+        deadline: new Date(guarantee.deadline * 1000).toISOString(),
+        actualDeliveryTime: guarantee.deliveryTime ? new Date(guarantee.deliveryTime * 1000).toISOString() : null,
+        source,
+        requestedBy,
+        leaseExpiredBefore: new Date(Date.now() - config.leaseMs).toISOString()
+      });
+      if (!claimed) {
+        const current = repository.findByGuarantee(guaranteeId);
+        if (current.status !== 'settled') {
+          throw settlementError('This guarantee is already being settled', 'SETTLEMENT_IN_PROGRESS', 409);
+        }
+        return { settlement: current, alreadySettled: true };
+      }
+
+      let payment;
+      if (guarantee.penaltyPaid) {
+        // Paid by an earlier attempt that did not get to record it, or outside this service
+        payment = findPenaltyPayment(guaranteeId);
+        logger.info(`Penalty of guarantee ${guaranteeId} was already paid on chain; recording it`);
+      } else {
+        try {
+          const receipt = await transactionManager.execute(signer, getDeliveryGuaranteeContract(), 'updateGuaranteeStatus', [guaranteeId, guarantee.deliveryTime, false]);
+          payment = { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (error) {
+          repository.markFailed(guaranteeId, error.shortMessage || error.message);
+          throw error;
+        }
+        logger.info(`Penalty of ${claimed.penaltyAmount} ETH on guarantee ${guaranteeId} paid to ${guarantee.customer}: ${payment.transactionHash}`);
+      }
+
+      const settlement = repository.markSettled(guaranteeId, payment);
+      state.skipped.delete(guaranteeId);
+      return { settlement: await notifySettlement(guarantee, settlement), alreadySettled: false };
+    } finally {
+      state.settling.delete(guaranteeId);
+    }
+  }
+
+  // Guarantees still ACTIVE in the index whose deadline has passed and that have no settlement yet
+  function findDueGuaranteeIds(now) {
+    const finalStatus = new Map();
+    for (const event of repositories.contractEvents.find({ eventName: 'GuaranteeUpdated' })) {
+      finalStatus.set(event.subjectKey, String(event.args.newStatus));
+    }
+
+    const due = [];
+    for (const event of repositories.contractEvents.find({ eventName: 'GuaranteeCreated' })) {
+      const { guaranteeId, mailId, guaranteedTime } = event.args;
+      const status = finalStatus.get(event.subjectKey);
+      if (typeof guaranteeId !== 'string' || (status !== undefined && status !== ACTIVE_STATUS)) {
+        continue;
+      }
+      const deadline = typeof mailId === 'string'
+        ? guaranteeSla.effectiveDeadline(mailId, Number(guaranteedTime))
+        : Number(guaranteedTime);
+      const settlement = repository.findByGuarantee(guaranteeId);
+      if (deadline + config.graceSeconds < now && !(settlement && settlement.status === 'settled')) {
+        due.push(guaranteeId);
+      }
+    }
+    return due;
+  }
+
+  // Settle every due guarantee, one transaction at a time
+  async function runOnce(now = Math.floor(Date.now() / 1000)) {
+    const summary = { due: 0, settled: 0, skipped: 0, failures: 0 };
+    const guaranteeIds = findDueGuaranteeIds(now);
+    summary.due = guaranteeIds.length;
+
+    for (const guaranteeId of guaranteeIds) {
+      try {
+        const { alreadySettled } = await settle(guaranteeId, { source: 'scheduler' });
+        if (!alreadySettled) {
+          summary.settled++;
+        }
+      } catch (error) {
+        if (error.statusCode && error.statusCode < 500) {
+          summary.skipped++;
+          if (state.skipped.get(guaranteeId) !== error.code) {
+            state.skipped.set(guaranteeId, error.code);
+            logger.info(`Not settling guarantee ${guaranteeId}: ${error.message}`);
+          }
+        } else {
+          summary.failures++;
+          logger.warn(`Settlement of guarantee ${guaranteeId} failed: ${error.shortMessage || error.message}`);
+        }
+      }
+    }
+
+    state.lastRunAt = new Date().toISOString();
+    state.lastRun = summary;
+    state.lastError = null;
+    if (summary.settled > 0 || summary.failures > 0) {
+      logger.info(`Penalty settlement run: ${summary.settled} settled, ${summary.failures} failed of ${summary.due} due`);
+    }
+    return summary;
+  }
+
+  async function tick() {
+    try {
+      await runOnce();
+    } catch (error) {
+      state.lastError = error.message;
+      logger.error('Penalty settlement run failed:', error);
+    }
+    if (state.running) {
+      state.timer = setTimeout(tick, config.intervalMs);
+    }
+  }
+
+  function start() {
+    if (!config.enabled) {
+      logger.info('Penalty settlement disabled (SETTLEMENT_ENABLED=false)');
+      return;
+    }
+    if (state.running) {
+      return;
+    }
+    state.running = true;
+    logger.info(`Penalty settlement started, checking for breached guarantees every ${config.intervalMs}ms`);
+    tick();
+  }
+
+  function stop() {
+    state.running = false;
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+  }
+
+  function getSettlement(guaranteeId) {
+    return repository.findByGuarantee(guaranteeId);
+  }
+
+  function listSettlements(filters) {
+    return repository.list(filters);
+  }
+
+  function getStatus() {
+    return {
+      enabled: config.enabled,
+      running: state.running,
+      intervalMs: config.intervalMs,
+      graceSeconds: config.graceSeconds,
+      settling: state.settling.size,
+      lastRunAt: state.lastRunAt,
+      lastRun: state.lastRun,
+      lastError: state.lastError
+    };
+  }
+
+  return { settle, runOnce, start, stop, getSettlement, listSettlements, getStatus };
+}
+
+module.exports = {
+  createPenaltySettlementService,
+  SETTLEMENT_STATUSES
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+
+// Session tokens for the REST API.
+//
+// - Access tokens are short-lived HS256 JWTs carrying the wallet address
+//   (sub), the role granted for this session and the session ID (sid).
+// - Refresh tokens are opaque `<sessionId>.<secret>` strings; only a SHA-256
+//   hash is stored. Every refresh rotates the token, and presenting an old
+//   one revokes the whole session (token reuse detection).
+// - Revoking a session invalidates its access tokens immediately because
+//   every authenticated request checks the session row.
+// - The delivery_worker role needs both DeliveryTracking worker authorization
+//   and an entry in the admin-managed delivery address allowlist.
+
+const ROLES = {
+  ADMIN: 'admin',
+  DELIVERY_WORKER: 'delivery_worker',
+  RECIPIENT: 'recipient',
+  SENDER: 'sender'
+};
+
+// Role names used by the frontend sign-in form
+const ROLE_ALIASES = {
+  delivery: ROLES.DELIVERY_WORKER
+};
+
+const DEFAULTS = {
+  secret: process.env.SESSION_TOKEN_SECRET,
+  accessTokenTtlSeconds: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900'),
+  refreshTokenTtlSeconds: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '604800'),
+  adminAddresses: (process.env.ADMIN_ADDRESSES || '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean)
+};
+
+function normalizeRole(role) {
+  if (!role) {
+    return null;
+  }
+  const name = String(role).toLowerCase();
+  const normalized = ROLE_ALIASES[name] || name;
+  return Object.values(ROLES).includes(normalized) ? normalized : null;
+}
+
+function sessionError(message, code, statusCode = 401) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSessionService({ repository, deliveryAddresses, userRegistry, contracts, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  let secret = config.secret;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('SESSION_TOKEN_SECRET not set; using a random secret. Sessions will not survive a restart or work across instances.');
+  }
+
+  function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  }
+
+  function signAccessToken(session) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url({ alg: 'HS256', typ: 'JWT' });
+    const payload = base64url({
+      sub: session.userAddress,
+      role: session.role,
+      sid: session.sessionId,
+      type: 'access',
+      iat: now,
+      exp: now + config.accessTokenTtlSeconds
+    });
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+  }
+
+  function newRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  function refreshExpiry() {
+    return new Date(Date.now() + config.refreshTokenTtlSeconds * 1000).toISOString();
+  }
+
+  function tokenResponse(session, refreshToken) {
+    return {
+      accessToken: signAccessToken(session),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: config.accessTokenTtlSeconds,
+      refreshExpiresAt: session.expiresAt,
+      role: session.role,
+      userAddress: session.userAddress
+    };
+  }
+
+  // Whether the address may act in the given role right now
+  async function isRoleAllowed(userAddress, role) {
+    const address = userAddress.toLowerCase();
+
+    switch (role) {
+      case ROLES.ADMIN: {
+        if (config.adminAddresses.includes(address)) {
+          return true;
+        }
+        const owner = await contracts.deliveryTracking.owner();
+        return owner.toLowerCase() === address;
+      }
+      case ROLES.DELIVERY_WORKER: {
+        if (!deliveryAddresses.isAllowed(address)) {
+          return false;
+        }
+        const [isAuthorized] = await contracts.deliveryTracking.getWorkerInfo(userAddress);
+        return isAuthorized;
+      }
+      case ROLES.RECIPIENT:
+      case ROLES.SENDER:
+        return userRegistry.isAccountActive(userAddress);
+      default:
+        return false;
+    }
+  }
+
+  // Start a session for an already-authenticated address
+  async function createSession(userAddress, requestedRole) {
+    const role = normalizeRole(requestedRole);
+    if (!role) {
+      throw sessionError(`Invalid role. Must be one of: ${Object.values(ROLES).join(', ')}`, 'INVALID_ROLE', 400);
+    }
+    if (!(await isRoleAllowed(userAddress, role))) {
+      throw sessionError(`Address is not authorized for the ${role} role`, 'ROLE_NOT_ALLOWED', 403);
+    }
+
+    const sessionId = crypto.randomUUID();
+    const refreshToken = newRefreshToken(sessionId);
+    const session = repository.create({
+      sessionId,
+      userAddress,
+      role,
+      refreshTokenHash: hashToken(refreshToken),
+      createdAt: new Date().toISOString(),
+      expiresAt: refreshExpiry()
+    });
+
+    logger.info(`Session ${sessionId} started for ${userAddress} as ${role}`);
+    return tokenResponse(session, refreshToken);
+  }
+
+  // Verify signature, expiry and session state; returns { userAddress, role, sessionId }
+  function verifyAccessToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw sessionError('Malformed access token', 'INVALID_TOKEN');
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw sessionError('Invalid access token signature', 'INVALID_TOKEN');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.type !== 'access') {
+      throw sessionError('Not an access token', 'INVALID_TOKEN');
+    }
+    if (claims.exp <= Math.floor(Date.now() / 1000)) {
+      throw sessionError('Access token expired', 'TOKEN_EXPIRED');
+    }
+
+    const session = repository.findById(claims.sid);
+    if (!session || session.revokedAt) {
+      throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    return { userAddress: claims.sub, role: claims.role, sessionId: claims.sid };
+  }
+
+  // Exchange a refresh token for a new token pair, rotating the refresh token
+  async function refresh(refreshToken) {
+    const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : null;
+    const session = sessionId ? repository.findById(sessionId) : null;
+
+    if (!session || session.revokedAt) {
+      throw sessionError('Invalid refresh token', 'INVALID_TOKEN');
+    }
+    if (new Date(session.expiresAt) <= new Date()) {
+      throw sessionError('Refresh token expired', 'TOKEN_EXPIRED');
+    }
+
+    // Rotate first: the compare-and-swap on the presented token's hash is the
+    // only check, so of two requests with the same token exactly one wins and
+    // the other is treated as reuse
+    const nextRefreshToken = newRefreshToken(sessionId);
+    const rotated = repository.rotateRefreshToken(sessionId, hashToken(refreshToken), hashToken(nextRefreshToken), refreshExpiry());
+    if (!rotated) {
+      repository.revoke(sessionId, 'refresh_token_reuse');
+      logger.warn(`Refresh token reuse detected for session ${sessionId}; session revoked`);
+      throw sessionError('Refresh token has already been used', 'INVALID_TOKEN');
+    }
+
+    // Roles can be lost in the meantime (e.g. a worker deauthorized on chain)
+    if (!(await isRoleAllowed(session.userAddress, session.role))) {
+      repository.revoke(sessionId, 'role_revoked');
+      throw sessionError(`Address is no longer authorized for the ${session.role} role`, 'ROLE_NOT_ALLOWED', 403);
+    }
+
+    return tokenResponse(repository.findById(sessionId), nextRefreshToken);
+  }
+
+  function revokeSession(sessionId, reason = 'logout') {
+    return repository.revoke(sessionId, reason) > 0;
+  }
+
+  function revokeAllSessions(userAddress, reason = 'revoked', exceptSessionId = null) {
+    return repository.revokeAllForAddress(userAddress, reason, exceptSessionId);
+  }
+
+  return {
+    createSession,
+    verifyAccessToken,
+    refresh,
+    revokeSession,
+    revokeAllSessions,
+    isRoleAllowed
+  };
+}
+
+module.exports = { createSessionService, normalizeRole, ROLES };
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Sign-In with Ethereum (EIP-4361).
+//
+// The client asks for a nonce, builds the SIWE message, signs it with the
+// wallet (personal_sign) and posts message + signature back. Verification
+// checks the message fields against this deployment (domain, URI, chain ID),
+// its validity window, the signature, and finally consumes the nonce so the
+// same signed message can never be replayed.
+
+const DEFAULTS = {
+  domains: (process.env.SIWE_DOMAINS || 'localhost:5173').split(',').map(d => d.trim()).filter(Boolean),
+  chainId: process.env.SIWE_CHAIN_ID ? parseInt(process.env.SIWE_CHAIN_ID) : null,
+  nonceTtlSeconds: parseInt(process.env.SIWE_NONCE_TTL_SECONDS || '300'),
+  clockSkewSeconds: 60,
+  statement: 'Sign in to the blockchain mail delivery service.'
+};
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_NAMES = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+function siweError(message, code = 'INVALID_SIWE_MESSAGE', statusCode = 401) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Parse an EIP-4361 message into its fields
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') {
+    throw siweError('SIWE message must be a string', 'INVALID_SIWE_MESSAGE', 400);
+  }
+
+  const lines = message.split('\n');
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw siweError('Malformed SIWE message header', 'INVALID_SIWE_MESSAGE', 400);
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null,
+    resources: []
+  };
+
+  let index = 3;
+  if (lines[2] !== '') {
+    throw siweError('Malformed SIWE message body', 'INVALID_SIWE_MESSAGE', 400);
+  }
+  if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+    fields.statement = lines[index];
+    if (lines[index + 1] !== '') {
+      throw siweError('Malformed SIWE statement', 'INVALID_SIWE_MESSAGE', 400);
+    }
+    index += 2;
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === 'Resources:') {
+      fields.resources = lines.slice(index + 1).map(resource => resource.replace(/^- /, ''));
+      break;
+    }
+    const separator = line.indexOf(': ');
+    const name = FIELD_NAMES[line.slice(0, separator)];
+    if (separator === -1 || !name) {
+      throw siweError(`Unexpected SIWE message line: ${line}`, 'INVALID_SIWE_MESSAGE', 400);
+    }
+    fields[name] = line.slice(separator + 2);
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[required]) {
+      throw siweError(`SIWE message is missing ${required}`, 'INVALID_SIWE_MESSAGE', 400);
+    }
+  }
+
+  return fields;
+}
+
+function parseTime(value, name) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw siweError(`Invalid ${name} in SIWE message`, 'INVALID_SIWE_MESSAGE', 400);
+  }
+  return time;
+}
+
+function createSiweService({ repository, provider, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+  let expectedChainId = config.chainId;
+
+  async function getChainId() {
+    if (expectedChainId === null) {
+      const network = await provider.getNetwork();
+      expectedChainId = Number(network.chainId);
+    }
+    return expectedChainId;
+  }
+
+  // Issue a nonce for the address, plus the values the client should put in its message
+  async function createNonce(userAddress) {
+    repository.purgeExpired();
+
+    const now = Date.now();
+    const record = repository.create({
+      nonce: crypto.randomBytes(16).toString('hex'),
+      userAddress,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.nonceTtlSeconds * 1000).toISOString()
+    });
+
+    return {
+      nonce: record.nonce,
+      chainId: await getChainId(),
+      statement: config.statement,
+      version: '1',
+      issuedAt: record.createdAt,
+      expirationTime: record.expiresAt
+    };
+  }
+
+  // Verify a signed SIWE message; returns the checksummed signer address
+  async function verify(message, signature) {
+    const fields = parseSiweMessage(message);
+    const now = Date.now();
+    const skew = config.clockSkewSeconds * 1000;
+
+    if (!ethers.isAddress(fields.address) || ethers.getAddress(fields.address) !== fields.address) {
+      throw siweError('SIWE message address must be an EIP-55 checksummed address');
+    }
+    if (!config.domains.includes(fields.domain)) {
+      throw siweError(`SIWE domain ${fields.domain} is not allowed`);
+    }
+    let uriHost;
+    try {
+      uriHost = new URL(fields.uri).host;
+    } catch (error) {
+      throw siweError('Invalid URI in SIWE message', 'INVALID_SIWE_MESSAGE', 400);
+    }
+    if (uriHost !== fields.domain) {
+      throw siweError('SIWE URI does not match the signing domain');
+    }
+    if (fields.version !== '1') {
+      throw siweError(`Unsupported SIWE version ${fields.version}`);
+    }
+    if (parseInt(fields.chainId) !== await getChainId()) {
+      throw siweError(`SIWE message is for chain ${fields.chainId}, expected ${await getChainId()}`);
+    }
+    if (parseTime(fields.issuedAt, 'issuedAt') > now + skew) {
+      throw siweError('SIWE message is issued in the future');
+    }
+    if (fields.expirationTime && parseTime(fields.expirationTime, 'expirationTime') <= now) {
+      throw siweError('SIWE message has expired', 'SIWE_EXPIRED');
+    }
+    if (fields.notBefore && parseTime(fields.notBefore, 'notBefore') > now + skew) {
+      throw siweError('SIWE message is not valid yet');
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw siweError('Invalid signature');
+    }
+    if (recovered !== fields.address) {
+      throw siweError('Signature does not match the SIWE message address');
+    }
+
+    // The nonce is checked last so a bad request cannot burn someone else's nonce
+    const record = repository.find(fields.nonce);
+    if (!record || record.userAddress !== fields.address.toLowerCase()) {
+      throw siweError('Unknown SIWE nonce', 'INVALID_NONCE');
+    }
+    if (new Date(record.expiresAt).getTime() <= now) {
+      throw siweError('SIWE nonce has expired', 'SIWE_EXPIRED');
+    }
+    if (record.usedAt || !repository.consume(fields.nonce)) {
+      logger.warn(`SIWE nonce replay rejected for ${fields.address}`);
+      throw siweError('SIWE nonce has already been used', 'INVALID_NONCE');
+    }
+
+    return fields.address;
+  }
+
+  return { createNonce, verify };
+}
+
+module.exports = { createSiweService, parseSiweMessage };
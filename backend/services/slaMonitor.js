@@ -0,0 +1,177 @@
+const { identifierKey } = require('./eventIndexer');
+const { AT_RISK_WINDOW_SECONDS } = require('./guaranteeSla');
+
+// Scheduled SLA monitoring of active delivery guarantees.
+//
+// - Nothing on chain calls DeliveryGuarantee.monitorSLA, so every
+//   SLA_MONITOR_INTERVAL_MS the monitor runs guaranteeSla.refreshSla for each
+//   mail whose monitored guarantee is still ACTIVE in the event index.
+//   refreshSla only sends monitorSLA when the status should change, and
+//   records the resulting SLAStatusUpdated transition.
+// - Each run keeps a snapshot of the shipments within the two-hour AT_RISK
+//   window or already past their deadline, for the dashboards. Runs never
+//   overlap; a failure on one mail does not stop the others.
+
+const DEFAULTS = {
+  enabled: process.env.SLA_MONITOR_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.SLA_MONITOR_INTERVAL_MS || '60000'),
+  concurrency: parseInt(process.env.SLA_MONITOR_CONCURRENCY || '10')
+};
+
+// GuaranteeStatus.ACTIVE as indexed in GuaranteeUpdated.newStatus
+const ACTIVE_STATUS = '0';
+
+function createSlaMonitor({ repositories, guaranteeSla, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  const state = {
+    running: false,
+    checking: false,
+    timer: null,
+    lastRunAt: null,
+    lastRunDurationMs: null,
+    lastRun: null,
+    lastError: null,
+    atRisk: []
+  };
+
+  // Mail IDs whose first guarantee (the one monitorSLA evaluates) has not left
+  // ACTIVE according to the index. The chain is checked again by refreshSla.
+  function findMonitoredMailIds() {
+    const finalStatus = new Map();
+    for (const event of repositories.contractEvents.find({ eventName: 'GuaranteeUpdated' })) {
+      finalStatus.set(event.subjectKey, String(event.args.newStatus));
+    }
+
+    const mailIds = new Map();
+    for (const event of repositories.contractEvents.find({ eventName: 'GuaranteeCreated' })) {
+      if (typeof event.args.mailId !== 'string' || mailIds.has(event.relatedKey)) {
+        continue;
+      }
+      const status = finalStatus.get(event.subjectKey);
+      mailIds.set(event.relatedKey, status === undefined || status === ACTIVE_STATUS ? event.args.mailId : null);
+    }
+    return [...mailIds.values()].filter(Boolean);
+  }
+
+  function findTrackingNumber(mailId) {
+    const [event] = repositories.contractEvents.find({
+      eventName: 'MailRegistered',
+      subjectKey: identifierKey(mailId),
+      limit: 1
+    });
+    return event && typeof event.args.trackingNumber === 'string' ? event.args.trackingNumber : null;
+  }
+
+  // Check every monitored mail once; returns a summary of the run
+  async function runOnce(now = Math.floor(Date.now() / 1000)) {
+    if (state.checking) {
+      return null;
+    }
+    state.checking = true;
+    const startedAt = Date.now();
+
+    try {
+      const mailIds = findMonitoredMailIds();
+      const summary = { checked: 0, transitions: 0, failures: 0 };
+      const atRisk = [];
+
+      for (let i = 0; i < mailIds.length; i += config.concurrency) {
+        const batch = mailIds.slice(i, i + config.concurrency);
+        await Promise.all(batch.map(async mailId => {
+          try {
+            const sla = await guaranteeSla.refreshSla(mailId, now);
+            if (!sla) {
+              return;
+            }
+            summary.checked++;
+            if (sla.changed) {
+              summary.transitions++;
+            }
+            if (sla.guaranteeStatus === 'ACTIVE' && sla.secondsRemaining <= AT_RISK_WINDOW_SECONDS) {
+              atRisk.push({
+                mailId,
+                trackingNumber: findTrackingNumber(mailId),
+                guaranteeId: sla.guaranteeId,
+                customer: sla.customer,
+                deadline: new Date(sla.deadline * 1000).toISOString(),
+                secondsRemaining: sla.secondsRemaining,
+                slaStatus: sla.slaStatus
+              });
+            }
+          } catch (error) {
+            summary.failures++;
+            logger.warn(`SLA check failed for mail ${mailId}: ${error.shortMessage || error.message}`);
+          }
+        }));
+      }
+
+      state.atRisk = atRisk.sort((a, b) => a.secondsRemaining - b.secondsRemaining);
+      state.lastRun = summary;
+      state.lastError = null;
+      if (summary.transitions > 0 || summary.failures > 0) {
+        logger.info(`SLA monitor checked ${summary.checked} guarantee(s): ${summary.transitions} transition(s), ${summary.failures} failure(s)`);
+      }
+      return summary;
+    } finally {
+      state.lastRunAt = new Date(startedAt).toISOString();
+      state.lastRunDurationMs = Date.now() - startedAt;
+      state.checking = false;
+    }
+  }
+
+  async function tick() {
+    try {
+      await runOnce();
+    } catch (error) {
+      state.lastError = error.message;
+      logger.error('SLA monitor run failed:', error);
+    }
+    if (state.running) {
+      state.timer = setTimeout(tick, config.intervalMs);
+    }
+  }
+
+  function start() {
+    if (!config.enabled) {
+      logger.info('SLA monitor disabled (SLA_MONITOR_ENABLED=false)');
+      return;
+    }
+    if (state.running) {
+      return;
+    }
+    state.running = true;
+    logger.info(`SLA monitor started, checking active guarantees every ${config.intervalMs}ms`);
+    tick();
+  }
+
+  function stop() {
+    state.running = false;
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+  }
+
+  // Shipments from the last run that are at risk or past their deadline, most urgent first
+  function getAtRisk() {
+    return state.atRisk;
+  }
+
+  function getStatus() {
+    return {
+      enabled: config.enabled,
+      running: state.running,
+      checking: state.checking,
+      intervalMs: config.intervalMs,
+      lastRunAt: state.lastRunAt,
+      lastRunDurationMs: state.lastRunDurationMs,
+      lastRun: state.lastRun,
+      lastError: state.lastError
+    };
+  }
+
+  return { start, stop, runOnce, getAtRisk, getStatus };
+}
+
+module.exports = { createSlaMonitor };
@@ -0,0 +1,255 @@
+const { ethers } = require('ethers');
+
+// Shared transaction manager used by every router that writes to a contract.
+//
+// - One ordered nonce queue per signer: transactions from the same signer are
+//   broadcast one at a time and take consecutive nonces, so concurrent
+//   requests never collide or leave gaps.
+// - Gas limits come from estimateGas plus a safety buffer instead of
+//   hard-coded values.
+// - Errors are classified once here so routers report them consistently.
+// - A transaction that is not mined within TX_STUCK_TIMEOUT_MS is replaced
+//   with the same nonce and bumped fees.
+
+const DEFAULTS = {
+  maxSendAttempts: parseInt(process.env.TX_MAX_SEND_ATTEMPTS || '5'),
+  gasBufferPercent: BigInt(process.env.TX_GAS_BUFFER_PERCENT || '20'),
+  stuckTimeoutMs: parseInt(process.env.TX_STUCK_TIMEOUT_MS || '180000'),
+  maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || '3'),
+  feeBumpPercent: BigInt(process.env.TX_FEE_BUMP_PERCENT || '15')
+};
+
+const ERROR_TYPES = {
+  NONCE_CONFLICT: 'NONCE_CONFLICT',
+  REPLACEMENT_UNDERPRICED: 'REPLACEMENT_UNDERPRICED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  REVERTED: 'REVERTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NETWORK: 'NETWORK',
+  TIMEOUT: 'TIMEOUT',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// Map a provider/contract error to a stable type, HTTP status and message
+function classifyError(error) {
+  const message = (error && (error.shortMessage || error.message)) || '';
+  const text = message.toLowerCase();
+  const code = error && error.code;
+
+  if (code === 'NONCE_EXPIRED' || text.includes('nonce too low') || text.includes('nonce has already been used') || text.includes('already known')) {
+    return { type: ERROR_TYPES.NONCE_CONFLICT, retryable: true, statusCode: 409, message: 'Transaction nonce conflict. Please try again.' };
+  }
+  if (code === 'REPLACEMENT_UNDERPRICED' || text.includes('replacement transaction underpriced')) {
+    return { type: ERROR_TYPES.REPLACEMENT_UNDERPRICED, retryable: true, statusCode: 409, message: 'Transaction nonce conflict. Please try again.' };
+  }
+  if (code === 'INSUFFICIENT_FUNDS' || text.includes('insufficient funds')) {
+    return { type: ERROR_TYPES.INSUFFICIENT_FUNDS, retryable: false, statusCode: 400, message: 'Insufficient funds for transaction' };
+  }
+  if (code === 'CALL_EXCEPTION' || text.includes('execution reverted')) {
+    const reason = error.reason ? `: ${error.reason}` : '';
+    return { type: ERROR_TYPES.REVERTED, retryable: false, statusCode: 400, message: `Blockchain transaction failed - contract reverted${reason}` };
+  }
+  if (text.includes('in-flight transaction limit') || text.includes('rate limit') || text.includes('too many requests')) {
+    return { type: ERROR_TYPES.RATE_LIMITED, retryable: true, statusCode: 429, message: 'Blockchain provider is rate limiting requests. Please try again.' };
+  }
+  if (code === 'TIMEOUT' || text.includes('timeout')) {
+    return { type: ERROR_TYPES.TIMEOUT, retryable: true, statusCode: 408, message: 'Transaction timed out. Please try again.' };
+  }
+  if (code === 'NETWORK_ERROR' || code === 'SERVER_ERROR' || code === 'ECONNRESET' || text.includes('network')) {
+    return { type: ERROR_TYPES.NETWORK, retryable: true, statusCode: 503, message: 'Network error. Please check connection and try again.' };
+  }
+  return { type: ERROR_TYPES.UNKNOWN, retryable: false, statusCode: 500, message: message || 'Transaction failed' };
+}
+
+function bump(value, percent) {
+  return value + (value * percent) / 100n + 1n;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createTransactionManager({ provider, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  // address (lower-case) -> { nextNonce, queue }
+  const signerStates = new Map();
+
+  function getSignerState(address) {
+    const key = address.toLowerCase();
+    if (!signerStates.has(key)) {
+      signerStates.set(key, { nextNonce: null, queue: Promise.resolve() });
+    }
+    return signerStates.get(key);
+  }
+
+  // Run a task after every earlier task for the same signer has settled
+  function enqueue(state, task) {
+    const run = state.queue.then(task);
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  async function getFeeOverrides() {
+    if (process.env.GAS_PRICE) {
+      return { gasPrice: ethers.parseUnits(process.env.GAS_PRICE, 'gwei') };
+    }
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas != null && feeData.maxPriorityFeePerGas != null) {
+      return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  // Fees for a replacement must beat both the stuck transaction and the current network price
+  async function getReplacementFees(previous) {
+    const current = await getFeeOverrides();
+    if (previous.gasPrice != null) {
+      const bumped = bump(previous.gasPrice, config.feeBumpPercent);
+      const network = current.gasPrice || current.maxFeePerGas || 0n;
+      return { gasPrice: bumped > network ? bumped : network };
+    }
+    const maxFee = bump(previous.maxFeePerGas, config.feeBumpPercent);
+    const priorityFee = bump(previous.maxPriorityFeePerGas, config.feeBumpPercent);
+    return {
+      maxFeePerGas: current.maxFeePerGas && current.maxFeePerGas > maxFee ? current.maxFeePerGas : maxFee,
+      maxPriorityFeePerGas: current.maxPriorityFeePerGas && current.maxPriorityFeePerGas > priorityFee ? current.maxPriorityFeePerGas : priorityFee
+    };
+  }
+
+  async function estimateGasLimit(contractFunction, args, overrides) {
+    const estimate = await contractFunction.estimateGas(...args, overrides);
+    return (estimate * (100n + config.gasBufferPercent)) / 100n;
+  }
+
+  // Broadcast a populated request with the next nonce from the signer's queue.
+  // Nonce conflicts resync from the node; other retryable errors back off.
+  async function broadcast(signer, address, state, request, label) {
+    for (let attempt = 1; attempt <= config.maxSendAttempts; attempt++) {
+      if (state.nextNonce === null) {
+        state.nextNonce = await provider.getTransactionCount(address, 'pending');
+      }
+      const nonce = state.nextNonce;
+
+      try {
+        const fees = await getFeeOverrides();
+        logger.info(`Sending ${label} from ${address} (attempt ${attempt}/${config.maxSendAttempts}, nonce ${nonce})`);
+        const tx = await signer.sendTransaction({ ...request, ...fees, nonce });
+        state.nextNonce = nonce + 1;
+        return { tx, request: { ...request, nonce }, fees };
+      } catch (error) {
+        const classified = classifyError(error);
+        logger.warn(`Sending ${label} failed on attempt ${attempt}: ${classified.type} - ${error.shortMessage || error.message}`);
+
+        // The node is the source of truth after any failed broadcast
+        state.nextNonce = null;
+
+        if (!classified.retryable || attempt === config.maxSendAttempts) {
+          throw error;
+        }
+
+        const waitTime = classified.type === ERROR_TYPES.RATE_LIMITED ? 3000 * attempt : 1000 * attempt;
+        await sleep(waitTime);
+      }
+    }
+  }
+
+  async function findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  function assertSucceeded(receipt, transaction) {
+    if (receipt.status === 0) {
+      throw ethers.makeError('transaction execution reverted', 'CALL_EXCEPTION', {
+        action: 'sendTransaction',
+        data: null,
+        reason: null,
+        invocation: null,
+        revert: null,
+        transaction,
+        receipt
+      });
+    }
+    return receipt;
+  }
+
+  // Wait for the transaction (or one of its replacements) to be mined,
+  // replacing it with bumped fees whenever it sits in the mempool too long
+  async function waitForReceipt(signer, address, state, sent, label, confirmations = 1) {
+    const hashes = [sent.tx.hash];
+    let latest = sent;
+
+    for (let replacement = 0; ; replacement++) {
+      try {
+        const receipt = await provider.waitForTransaction(hashes[hashes.length - 1], confirmations, config.stuckTimeoutMs);
+        return assertSucceeded(receipt, latest.request);
+      } catch (error) {
+        if (error.code !== 'TIMEOUT') {
+          throw error;
+        }
+      }
+
+      const minedEarlier = await findReceipt(hashes);
+      if (minedEarlier) {
+        return assertSucceeded(minedEarlier, latest.request);
+      }
+
+      if (replacement >= config.maxReplacements) {
+        throw ethers.makeError(`${label} still pending after ${config.maxReplacements} replacements`, 'TIMEOUT', {
+          operation: 'waitForReceipt',
+          reason: 'stuck',
+          timeout: config.stuckTimeoutMs
+        });
+      }
+
+      try {
+        const fees = await getReplacementFees(latest.fees);
+        logger.warn(`${label} (${hashes[hashes.length - 1]}) looks stuck; replacing nonce ${latest.request.nonce} with bumped fees`);
+        const tx = await enqueue(state, () => signer.sendTransaction({ ...latest.request, ...fees }));
+        hashes.push(tx.hash);
+        latest = { tx, request: latest.request, fees };
+      } catch (error) {
+        // A nonce conflict here means one of the earlier transactions was mined
+        if (classifyError(error).type !== ERROR_TYPES.NONCE_CONFLICT) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Submit contract[method](...args) from the given signer.
+  // Resolves once the transaction is broadcast; call wait() on the result to
+  // get the receipt, exactly like an ethers ContractTransactionResponse.
+  async function submit(signer, contract, method, args = [], overrides = {}) {
+    const address = await signer.getAddress();
+    const state = getSignerState(address);
+    const contractFunction = contract.connect(signer).getFunction(method);
+
+    const gasLimit = overrides.gasLimit || await estimateGasLimit(contractFunction, args, overrides);
+    const request = await contractFunction.populateTransaction(...args, { ...overrides, gasLimit });
+
+    const sent = await enqueue(state, () => broadcast(signer, address, state, request, method));
+
+    return {
+      hash: sent.tx.hash,
+      nonce: sent.request.nonce,
+      wait: (confirmations) => waitForReceipt(signer, address, state, sent, method, confirmations)
+    };
+  }
+
+  // Submit and wait for the receipt in one call
+  async function execute(signer, contract, method, args = [], overrides = {}) {
+    const tx = await submit(signer, contract, method, args, overrides);
+    return tx.wait();
+  }
+
+  return { submit, execute, classifyError };
+}
+
+module.exports = { createTransactionManager, classifyError, ERROR_TYPES };
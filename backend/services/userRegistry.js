@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// Reads and writes user accounts on the UserRegistry contract.
+//
+// - UserRegistry keys everything on msg.sender, so registerUser and
+//   updateProfile must come from the user's own address. They go through
+//   walletTransactions: addresses whose key the backend holds are sent through
+//   the transaction manager; any other address gets an unsigned transaction to
+//   send from its wallet, and the resulting transaction hash is checked
+//   against the expected call before the off-chain record is touched.
+// - deactivateUser is owner-only, sent from the backend signer, and cannot be
+//   undone on chain. Reversible deactivation is an off-chain suspension.
+// - getUserProfile/isUserActive are the source of truth. The off-chain user
+//   record (password hash, user ID) is reconciled with them on every read.
+// - registerUser requires a non-zero password hash, but contract storage is
+//   public. The chain only gets an HMAC keyed with PASSWORD_COMMITMENT_SECRET,
+//   which cannot be brute-forced without the secret; passwords are verified
+//   against the off-chain scrypt hash only.
+
+const DEFAULTS = {
+  commitmentSecret: process.env.PASSWORD_COMMITMENT_SECRET
+};
+
+function registryError(message, code, statusCode = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Password commitment stored on chain: an HMAC under a server-side secret, so
+// the public value reveals nothing about the password
+function chainPasswordHash(secret, userAddress, password) {
+  const message = ethers.solidityPacked(['address', 'string'], [ethers.getAddress(userAddress), password]);
+  return '0x' + crypto.createHmac('sha256', secret).update(ethers.getBytes(message)).digest('hex');
+}
+
+function toProfile(userAddress, result) {
+  const [name, email, isActive, registrationTime, lastLoginTime] = result;
+  return {
+    userAddress: ethers.getAddress(userAddress),
+    name,
+    email,
+    isActive,
+    isRegistered: registrationTime > 0n,
+    registrationTime: registrationTime > 0n ? new Date(Number(registrationTime) * 1000).toISOString() : null,
+    lastLoginTime: lastLoginTime > 0n ? new Date(Number(lastLoginTime) * 1000).toISOString() : null
+  };
+}
+
+function createUserRegistryService({ contracts, transactionManager, walletTransactions, users, signer, logger, options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  let commitmentSecret = config.commitmentSecret;
+  if (!commitmentSecret) {
+    commitmentSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('PASSWORD_COMMITMENT_SECRET not set; using a random secret. Wallet registrations prepared before a restart will not verify.');
+  }
+
+  function getContract() {
+    if (!contracts.userRegistry) {
+      throw new Error('UserRegistry contract not initialized');
+    }
+    return contracts.userRegistry;
+  }
+
+  // Run a msg.sender-scoped call for the user: directly when the backend
+  // holds the key, otherwise by verifying the hash of the wallet-sent transaction
+  function sendAsUser(userAddress, method, args, transactionHash) {
+    return walletTransactions.sendAs(getContract(), userAddress, method, args, transactionHash);
+  }
+
+  async function getProfile(userAddress) {
+    return toProfile(userAddress, await getContract().getUserProfile(userAddress));
+  }
+
+  async function isUserActive(userAddress) {
+    return getContract().isUserActive(userAddress);
+  }
+
+  // Active in UserRegistry and not suspended off-chain
+  async function isAccountActive(userAddress) {
+    const user = users.findByAddress(userAddress);
+    if (user && user.suspendedAt) {
+      return false;
+    }
+    return isUserActive(userAddress);
+  }
+
+  // On-chain profile plus the off-chain record brought in line with it
+  async function syncUser(userAddress) {
+    const profile = await getProfile(userAddress);
+    let user = users.findByAddress(userAddress);
+
+    if (user && profile.isRegistered && (user.name !== profile.name || user.isActive !== profile.isActive)) {
+      logger.info(`Reconciling off-chain record for ${userAddress} with UserRegistry`);
+      user = users.syncFromChain(userAddress, profile);
+    } else if (user && !profile.isRegistered) {
+      logger.warn(`User ${userAddress} has an off-chain record but is not registered in UserRegistry`);
+    }
+
+    return { profile, user };
+  }
+
+  // Reject addresses or emails UserRegistry already knows about
+  async function assertCanRegister(userAddress, email) {
+    const contract = getContract();
+    if (await contract.isUserActive(userAddress)) {
+      throw registryError('User with this wallet address is already registered', 'DUPLICATE_USER');
+    }
+    if ((await contract.getUserByEmail(email)) !== ethers.ZeroAddress) {
+      throw registryError('Email address is already registered', 'DUPLICATE_USER');
+    }
+  }
+
+  // registerUser transaction for wallets the backend does not control
+  async function prepareRegistration({ userAddress, name, email, password }) {
+    await assertCanRegister(userAddress, email);
+    const managed = Boolean(await walletTransactions.findManagedSigner(userAddress));
+    return {
+      managed,
+      transaction: managed ? null : await walletTransactions.buildTransaction(getContract(), userAddress, 'registerUser', [name, email, chainPasswordHash(commitmentSecret, userAddress, password)])
+    };
+  }
+
+  // Register on chain, then store the off-chain record with the chain's registration time
+  async function registerUser({ userId, userAddress, name, email, password, passwordHash, transactionHash }) {
+    if (!transactionHash) {
+      await assertCanRegister(userAddress, email);
+    }
+
+    const receipt = await sendAsUser(userAddress, 'registerUser', [name, email, chainPasswordHash(commitmentSecret, userAddress, password)], transactionHash);
+    const profile = await getProfile(userAddress);
+    if (!profile.isRegistered || profile.email !== email) {
+      throw registryError('UserRegistry does not show the registration', 'REGISTRATION_NOT_FOUND', 409);
+    }
+
+    const user = users.create({
+      userId,
+      userAddress: profile.userAddress,
+      name: profile.name,
+      email: profile.email,
+      passwordHash,
+      registrationTime: profile.registrationTime,
+      isActive: profile.isActive,
+      registrationTxHash: receipt.hash,
+      chainSyncedAt: new Date().toISOString()
+    });
+
+    return { user, profile, receipt };
+  }
+
+  async function updateProfile(userAddress, name, transactionHash) {
+    if (!(await isUserActive(userAddress))) {
+      throw registryError('User not registered or inactive', 'USER_INACTIVE');
+    }
+    const receipt = await sendAsUser(userAddress, 'updateProfile', [name], transactionHash);
+    const { profile, user } = await syncUser(userAddress);
+    return { profile, user, receipt };
+  }
+
+  async function deactivateUser(userAddress) {
+    if (!(await isUserActive(userAddress))) {
+      throw registryError('User not active', 'USER_INACTIVE');
+    }
+    const receipt = await transactionManager.execute(signer, getContract(), 'deactivateUser', [userAddress]);
+    const { profile, user } = await syncUser(userAddress);
+    return { profile, user, receipt };
+  }
+
+  function suspendUser(userAddress, reason) {
+    const user = users.findByAddress(userAddress);
+    if (!user) {
+      throw registryError('User not found', 'USER_NOT_FOUND', 404);
+    }
+    if (user.suspendedAt) {
+      throw registryError('User is already deactivated', 'USER_INACTIVE', 409);
+    }
+    return users.setSuspension(userAddress, true, reason);
+  }
+
+  // Lift a suspension; accounts deactivated in UserRegistry stay inactive for good
+  async function reactivateUser(userAddress) {
+    const user = users.findByAddress(userAddress);
+    if (!user) {
+      throw registryError('User not found', 'USER_NOT_FOUND', 404);
+    }
+    if (!(await isUserActive(userAddress))) {
+      throw registryError('User was deactivated in UserRegistry, which cannot be undone', 'USER_DEACTIVATED_ON_CHAIN', 409);
+    }
+    if (!user.suspendedAt) {
+      throw registryError('User is already active', 'USER_ACTIVE', 409);
+    }
+    return users.setSuspension(userAddress, false);
+  }
+
+  return {
+    getProfile,
+    isUserActive,
+    isAccountActive,
+    suspendUser,
+    reactivateUser,
+    syncUser,
+    prepareRegistration,
+    registerUser,
+    updateProfile,
+    deactivateUser
+  };
+}
+
+module.exports = { createUserRegistryService, chainPasswordHash };
@@ -0,0 +1,99 @@
+const { ethers } = require('ethers');
+
+// Contract calls that must come from a particular address (msg.sender checks).
+//
+// When the backend holds the address's key the call goes through the
+// transaction manager. Otherwise the caller gets a WALLET_TRANSACTION_REQUIRED
+// error carrying the unsigned transaction; once it has been sent from the
+// wallet, its hash is checked against the expected call before the caller
+// records anything.
+
+const DEFAULTS = {
+  walletTxTimeoutMs: parseInt(process.env.WALLET_TX_TIMEOUT_MS || process.env.USER_WALLET_TX_TIMEOUT_MS || '120000')
+};
+
+function walletError(message, code, statusCode = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Comparable form of a call argument: decoded uints are bigints where callers
+// pass numbers, and decoded addresses are checksummed
+function normalizeArg(value) {
+  if (typeof value === 'bigint' || typeof value === 'number') {
+    return value.toString();
+  }
+  if (typeof value === 'string' && ethers.isHexString(value)) {
+    return value.toLowerCase();
+  }
+  return value;
+}
+
+function createWalletTransactions({ provider, transactionManager, managedSigners = [], options = {} }) {
+  const config = { ...DEFAULTS, ...options };
+
+  // Backend-held signer for the address, if any
+  async function findManagedSigner(address) {
+    for (const candidate of managedSigners.filter(Boolean)) {
+      if ((await candidate.getAddress()).toLowerCase() === address.toLowerCase()) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // Unsigned transaction for the wallet to send
+  async function buildTransaction(contract, fromAddress, method, args) {
+    const network = await provider.getNetwork();
+    return {
+      from: ethers.getAddress(fromAddress),
+      to: contract.target,
+      data: contract.interface.encodeFunctionData(method, args),
+      chainId: network.chainId.toString()
+    };
+  }
+
+  // Check that a wallet-sent transaction is exactly the expected call and wait for it
+  async function verifyWalletTransaction(contract, fromAddress, method, args, transactionHash) {
+    const tx = await provider.getTransaction(transactionHash);
+    if (!tx) {
+      throw walletError(`Transaction ${transactionHash} not found`, 'TRANSACTION_NOT_FOUND', 404);
+    }
+    if (!tx.to || tx.to.toLowerCase() !== contract.target.toLowerCase() || tx.from.toLowerCase() !== fromAddress.toLowerCase()) {
+      throw walletError(`Transaction was not sent from ${fromAddress} to the expected contract`, 'TRANSACTION_MISMATCH');
+    }
+
+    const call = contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+    const sameArgs = call && call.args.length === args.length &&
+      args.every((arg, i) => normalizeArg(call.args[i]) === normalizeArg(arg));
+    if (!call || call.name !== method || !sameArgs) {
+      throw walletError(`Transaction is not the expected ${method} call`, 'TRANSACTION_MISMATCH');
+    }
+
+    const receipt = await provider.waitForTransaction(transactionHash, 1, config.walletTxTimeoutMs);
+    if (receipt.status === 0) {
+      throw walletError(`${method} transaction reverted`, 'TRANSACTION_REVERTED');
+    }
+    return receipt;
+  }
+
+  // Run contract[method](...args) as fromAddress and return the receipt
+  async function sendAs(contract, fromAddress, method, args, transactionHash) {
+    const managed = await findManagedSigner(fromAddress);
+    if (managed) {
+      return transactionManager.execute(managed, contract, method, args);
+    }
+    if (!transactionHash) {
+      const error = walletError(`${method} must be sent from ${fromAddress}`, 'WALLET_TRANSACTION_REQUIRED');
+      error.transaction = await buildTransaction(contract, fromAddress, method, args);
+      throw error;
+    }
+    return verifyWalletTransaction(contract, fromAddress, method, args, transactionHash);
+  }
+
+  return { findManagedSigner, buildTransaction, verifyWalletTransaction, sendAs };
+}
+
+module.exports = { createWalletTransactions };
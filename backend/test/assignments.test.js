@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DELIVERY_STATUS } = require('../services/deliveryStatus');
+const { createTestRepositories } = require('./helpers');
+
+const WORKER = '0x2222222222222222222222222222222222222222';
+const OTHER_WORKER = '0x4444444444444444444444444444444444444444';
+const DISPATCHER = '0x3333333333333333333333333333333333333333';
+
+function assign(repositories, mailId, workerAddress = WORKER) {
+  return repositories.assignments.assign({
+    mailId,
+    trackingNumber: `TRK-${mailId}`,
+    workerAddress,
+    priority: 'normal',
+    estimatedDelivery: new Date(Date.now() + 3600 * 1000).toISOString(),
+    assignedBy: DISPATCHER
+  });
+}
+
+function recordUpdate(repositories, { trackingNumber = 'TRK-M1', status, timestamp, workerAddress = WORKER }) {
+  repositories.deliveryStatuses.append({
+    trackingNumber,
+    location: 'Hub',
+    coordinates: { latitude: 0, longitude: 0 },
+    status,
+    statusName: String(status),
+    signature: '0x',
+    timeProof: { ntpServer: 'time.google.com', atomicTime: 0, timezone: 'UTC' },
+    timestamp,
+    updateId: `update_${trackingNumber}_${timestamp}`,
+    workerAddress
+  });
+}
+
+describe('assignment queue', () => {
+  let repositories;
+
+  beforeEach(() => {
+    ({ repositories } = createTestRepositories());
+  });
+
+  it('lists only open assignments of the worker', () => {
+    assign(repositories, 'M1');
+    assign(repositories, 'M2');
+    assign(repositories, 'M3', OTHER_WORKER);
+
+    assert.equal(repositories.assignments.closeByTrackingNumber('TRK-M1'), true);
+
+    assert.deepEqual(repositories.assignments.listByWorker(WORKER.toUpperCase().replace('0X', '0x')).map(a => a.mailId), ['M2']);
+    assert.ok(repositories.assignments.find('M1').closedAt);
+  });
+
+  it('closes an assignment once and reopens it after a corrected delivery', () => {
+    assign(repositories, 'M1');
+
+    assert.equal(repositories.assignments.close('M1', '2026-01-01T00:00:00.000Z'), true);
+    assert.equal(repositories.assignments.close('M1'), false);
+    assert.equal(repositories.assignments.find('M1').closedAt, '2026-01-01T00:00:00.000Z');
+
+    repositories.assignments.reopen('M1');
+    assert.deepEqual(repositories.assignments.listByWorker(WORKER).map(a => a.mailId), ['M1']);
+  });
+
+  it('opens a closed assignment again when the mail is reassigned', () => {
+    assign(repositories, 'M1');
+    repositories.assignments.close('M1');
+
+    assign(repositories, 'M1', OTHER_WORKER);
+
+    assert.equal(repositories.assignments.find('M1').closedAt, null);
+    assert.deepEqual(repositories.assignments.listByWorker(OTHER_WORKER).map(a => a.mailId), ['M1']);
+  });
+});
+
+describe('completed deliveries', () => {
+  it('counts only the worker\'s deliveries since the given time', () => {
+    const { repositories } = createTestRepositories();
+    recordUpdate(repositories, { status: DELIVERY_STATUS.DELIVERED, timestamp: '2026-03-01T23:59:59.000Z' });
+    recordUpdate(repositories, { status: DELIVERY_STATUS.DELIVERED, timestamp: '2026-03-02T08:00:00.000Z' });
+    recordUpdate(repositories, { status: DELIVERY_STATUS.DELIVERED, timestamp: '2026-03-02T09:00:00.000Z', trackingNumber: 'TRK-M2' });
+    recordUpdate(repositories, { status: DELIVERY_STATUS.IN_TRANSIT, timestamp: '2026-03-02T10:00:00.000Z' });
+    recordUpdate(repositories, { status: DELIVERY_STATUS.DELIVERED, timestamp: '2026-03-02T11:00:00.000Z', workerAddress: OTHER_WORKER });
+
+    assert.equal(repositories.deliveryStatuses.countByWorkerSince(WORKER, DELIVERY_STATUS.DELIVERED, '2026-03-02T00:00:00.000Z'), 2);
+    assert.equal(repositories.deliveryStatuses.countByWorkerSince(WORKER.toUpperCase().replace('0X', '0x'), DELIVERY_STATUS.DELIVERED, '2026-03-03T00:00:00.000Z'), 0);
+  });
+});
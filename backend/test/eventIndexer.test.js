@@ -0,0 +1,251 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createEventIndexer, identifierKey, recipientKey } = require('../services/eventIndexer');
+const { createTestRepositories, createTestLogger } = require('./helpers');
+
+const MAIL_REGISTRY = '0x00000000000000000000000000000000000000aa';
+const DELIVERY_TRACKING = '0x00000000000000000000000000000000000000bb';
+const SENDER = '0x1111111111111111111111111111111111111111';
+
+const mailRegistryInterface = new ethers.Interface([
+  'event MailRegistered(string indexed mailId, string trackingNumber, address indexed senderAddress, string recipientId, uint256 registrationTime, uint256 guaranteedDeliveryTime)',
+  'event MailStatusUpdated(string indexed mailId, uint8 previousStatus, uint8 newStatus, uint256 timestamp)',
+  'function registerMail(string mailId, string trackingNumber, address senderAddress, string recipientId, uint8 mailType)'
+]);
+const deliveryTrackingInterface = new ethers.Interface([
+  'event StatusUpdated(string indexed trackingNumber, uint8 status, string location, uint256 timestamp)',
+  'event LocationUpdated(string indexed trackingNumber, string location, uint256 timestamp)',
+  'function updateStatus(string trackingNumber, uint8 status, string location)'
+]);
+
+// In-memory chain: blocks with hashes, logs, and the transactions that emitted them.
+// fork(n) gives every block from n on a new hash and drops its logs.
+function createFakeChain(head) {
+  const blockHashes = new Map();
+  const logs = [];
+  const transactions = new Map();
+  let fork = 0;
+
+  function hashOf(blockNumber) {
+    if (!blockHashes.has(blockNumber)) {
+      blockHashes.set(blockNumber, ethers.id(`block-${blockNumber}-${fork}`));
+    }
+    return blockHashes.get(blockNumber);
+  }
+
+  const chain = {
+    head,
+    emit(blockNumber, address, contractInterface, eventName, eventArgs, functionName, callArgs) {
+      const transactionHash = ethers.id(`tx-${logs.length}-${fork}`);
+      const { data, topics } = contractInterface.encodeEventLog(eventName, eventArgs);
+      transactions.set(transactionHash, { to: address, data: contractInterface.encodeFunctionData(functionName, callArgs), value: 0n });
+      logs.push({ address, data, topics, blockNumber, blockHash: hashOf(blockNumber), transactionHash, index: logs.length });
+    },
+    fork(fromBlock) {
+      fork++;
+      for (const blockNumber of [...blockHashes.keys()].filter(number => number >= fromBlock)) {
+        blockHashes.delete(blockNumber);
+      }
+      for (let i = logs.length - 1; i >= 0; i--) {
+        if (logs[i].blockNumber >= fromBlock) {
+          logs.splice(i, 1);
+        }
+      }
+    },
+    provider: {
+      getBlockNumber: async () => chain.head,
+      getBlock: async blockNumber => (blockNumber <= chain.head ? { number: blockNumber, hash: hashOf(blockNumber) } : null),
+      getTransaction: async hash => transactions.get(hash) || null,
+      async getLogs({ address, topics, fromBlock, toBlock }) {
+        return logs.filter(log => address.includes(log.address.toLowerCase()) &&
+          topics[0].includes(log.topics[0]) &&
+          log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+      }
+    }
+  };
+  return chain;
+}
+
+function registerMail(chain, blockNumber, mailId, recipientId = 'recipient-1', mailType = 1) {
+  const trackingNumber = `TRK-${mailId}`;
+  chain.emit(blockNumber, MAIL_REGISTRY, mailRegistryInterface, 'MailRegistered',
+    [mailId, trackingNumber, SENDER, recipientId, 1000, 2000],
+    'registerMail', [mailId, trackingNumber, SENDER, recipientId, mailType]);
+}
+
+function updateStatus(chain, blockNumber, trackingNumber) {
+  chain.emit(blockNumber, DELIVERY_TRACKING, deliveryTrackingInterface, 'StatusUpdated',
+    [trackingNumber, 2, 'Hub', 3000],
+    'updateStatus', [trackingNumber, 2, 'Hub']);
+}
+
+const mailRegistry = { target: MAIL_REGISTRY, interface: mailRegistryInterface };
+const deliveryTracking = { target: DELIVERY_TRACKING, interface: deliveryTrackingInterface };
+
+describe('event indexer', () => {
+  let db, repositories, logger, chain;
+
+  function createIndexer(contracts = { mailRegistry }) {
+    return createEventIndexer({
+      provider: chain.provider,
+      contracts,
+      repository: repositories.contractEvents,
+      logger,
+      options: { startBlock: 1, batchSize: 4, confirmations: 0, reorgDepth: 20 }
+    });
+  }
+
+  function mailIds() {
+    return repositories.contractEvents.find({ eventName: 'MailRegistered' }).map(event => event.args.mailId);
+  }
+
+  beforeEach(() => {
+    ({ db, repositories } = createTestRepositories());
+    logger = createTestLogger();
+    chain = createFakeChain(10);
+  });
+
+  it('indexes events and recovers hashed identifiers from calldata', async () => {
+    registerMail(chain, 3, 'MAIL-1');
+    registerMail(chain, 9, 'MAIL-2');
+
+    await createIndexer().syncOnce();
+
+    const [event] = repositories.contractEvents.find({ eventName: 'MailRegistered', subjectKey: identifierKey('MAIL-1') });
+    assert.equal(event.args.mailId, 'MAIL-1');
+    assert.equal(event.args.trackingNumber, 'TRK-MAIL-1');
+    assert.equal(event.actorAddress, SENDER.toLowerCase());
+    assert.deepEqual(mailIds(), ['MAIL-1', 'MAIL-2']);
+    assert.equal(repositories.contractEvents.getCheckpoint('contract-events').blockNumber, 10);
+  });
+
+  it('keys registered mail by recipient, ignoring the case of address recipients', async () => {
+    const recipient = ethers.getAddress('0xabcdefabcdefabcdefabcdefabcdefabcdefabcd');
+    registerMail(chain, 2, 'MAIL-1', recipient);
+    registerMail(chain, 3, 'MAIL-2', recipient.toLowerCase());
+    registerMail(chain, 4, 'MAIL-3', 'recipient-1');
+    registerMail(chain, 5, 'MAIL-4', 'RECIPIENT-1');
+
+    await createIndexer().syncOnce();
+
+    const recipientMail = recipientId => repositories.contractEvents.find({ eventName: 'MailRegistered', relatedKey: recipientKey(recipientId) })
+      .map(event => event.args.mailId);
+    assert.deepEqual(recipientMail(recipient), ['MAIL-1', 'MAIL-2']);
+    assert.deepEqual(recipientMail(recipient.toLowerCase()), ['MAIL-1', 'MAIL-2']);
+    assert.deepEqual(recipientMail('recipient-1'), ['MAIL-3']);
+  });
+
+  it('copies the mail type from the registerMail calldata', async () => {
+    registerMail(chain, 3, 'MAIL-1', 'recipient-1', 2);
+
+    await createIndexer().syncOnce();
+
+    const [event] = repositories.contractEvents.find({ eventName: 'MailRegistered' });
+    assert.equal(event.args.mailType, '2');
+  });
+
+  it('fills in what it derives for events indexed before on the next backfill', async () => {
+    registerMail(chain, 3, 'MAIL-1', 'recipient-1', 2);
+    await createIndexer().syncOnce();
+
+    // What migrations 018 and 019 do to an index built before recipient keys and mail types
+    const [stored] = repositories.contractEvents.find({ eventName: 'MailRegistered' });
+    const { mailType, ...args } = stored.args;
+    assert.equal(mailType, '2');
+    db.prepare('UPDATE contract_events SET related_key = NULL, args = ?').run(JSON.stringify({ ...args, mailId: { hash: identifierKey('MAIL-1') } }));
+    db.prepare("UPDATE indexer_checkpoints SET event_names = '{}'").run();
+    await createIndexer().syncOnce();
+
+    const [event] = repositories.contractEvents.find({ eventName: 'MailRegistered', relatedKey: recipientKey('recipient-1') });
+    assert.equal(event.args.mailId, 'MAIL-1');
+    assert.equal(event.args.mailType, '2');
+    assert.equal(repositories.contractEvents.count({ eventName: 'MailRegistered' }), 1);
+  });
+
+  it('keeps the hash when the calldata does not contain the identifier', async () => {
+    chain.emit(4, MAIL_REGISTRY, mailRegistryInterface, 'MailRegistered',
+      ['MAIL-X', 'TRK-X', SENDER, 'recipient-1', 1000, 2000],
+      'registerMail', ['OTHER', 'TRK-X', SENDER, 'recipient-1', 0]);
+
+    await createIndexer().syncOnce();
+
+    const [event] = repositories.contractEvents.find({ eventName: 'MailRegistered' });
+    assert.deepEqual(event.args.mailId, { hash: identifierKey('MAIL-X') });
+  });
+
+  it('resumes from its checkpoint', async () => {
+    registerMail(chain, 3, 'MAIL-1');
+    const indexer = createIndexer();
+    await indexer.syncOnce();
+
+    chain.head = 14;
+    registerMail(chain, 12, 'MAIL-2');
+    await indexer.syncOnce();
+
+    assert.deepEqual(mailIds(), ['MAIL-1', 'MAIL-2']);
+    assert.equal(repositories.contractEvents.getCheckpoint('contract-events').blockNumber, 14);
+  });
+
+  it('rolls back to the newest block still on the chain after a reorg', async () => {
+    registerMail(chain, 3, 'MAIL-1');
+    registerMail(chain, 8, 'MAIL-ORPHANED');
+    const indexer = createIndexer();
+    await indexer.syncOnce();
+
+    // indexed_blocks holds 3 and 8 (events) and 4, 8, 10 (batch ends); blocks
+    // 7 and up are replaced, so 4 is the newest block still on the chain
+    chain.fork(7);
+    chain.head = 12;
+    registerMail(chain, 9, 'MAIL-2');
+    await indexer.syncOnce();
+
+    assert.deepEqual(mailIds(), ['MAIL-1', 'MAIL-2']);
+    const checkpoint = repositories.contractEvents.getCheckpoint('contract-events');
+    assert.equal(checkpoint.blockNumber, 12);
+    assert.equal(checkpoint.blockHash, (await chain.provider.getBlock(12)).hash);
+    assert.ok(logger.entries.some(entry => entry.level === 'warn' && /rolled back to block 4 and removed 1 events/.test(entry.message)));
+  });
+
+  it('rolls back to the start block when no recorded block survived', async () => {
+    registerMail(chain, 3, 'MAIL-1');
+    const indexer = createIndexer();
+    await indexer.syncOnce();
+
+    chain.fork(1);
+    registerMail(chain, 5, 'MAIL-2');
+    await indexer.syncOnce();
+
+    assert.deepEqual(mailIds(), ['MAIL-2']);
+  });
+
+  it('backfills from the start block when the indexed contracts change', async () => {
+    registerMail(chain, 3, 'MAIL-1');
+    updateStatus(chain, 5, 'TRK-MAIL-1');
+    await createIndexer({ mailRegistry }).syncOnce();
+    assert.equal(repositories.contractEvents.count({ eventName: 'StatusUpdated' }), 0);
+
+    await createIndexer({ mailRegistry, deliveryTracking }).syncOnce();
+
+    const [statusUpdate] = repositories.contractEvents.find({ eventName: 'StatusUpdated' });
+    assert.equal(statusUpdate.args.trackingNumber, 'TRK-MAIL-1');
+    assert.deepEqual(mailIds(), ['MAIL-1']);
+    assert.ok(logger.entries.some(entry => /backfilling from the start block/.test(entry.message)));
+  });
+
+  it('halves the batch size when the provider rejects the block range', async () => {
+    registerMail(chain, 3, 'MAIL-1');
+    const getLogs = chain.provider.getLogs;
+    chain.provider.getLogs = async filter => {
+      if (filter.toBlock - filter.fromBlock >= 2) {
+        throw new Error('query returned more than 10000 results');
+      }
+      return getLogs(filter);
+    };
+
+    await createIndexer().syncOnce();
+
+    assert.deepEqual(mailIds(), ['MAIL-1']);
+    assert.equal(repositories.contractEvents.getCheckpoint('contract-events').blockNumber, 10);
+  });
+});
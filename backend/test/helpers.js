@@ -0,0 +1,18 @@
+const { openDatabase } = require('../db');
+const { createRepositories } = require('../repositories');
+
+// Shared fixtures for the backend tests: a migrated in-memory database and a
+// logger that keeps test output quiet
+
+function createTestRepositories() {
+  const db = openDatabase({ filename: ':memory:' });
+  return { db, repositories: createRepositories(db) };
+}
+
+function createTestLogger() {
+  const entries = [];
+  const log = level => (...args) => entries.push({ level, message: args.join(' ') });
+  return { entries, debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') };
+}
+
+module.exports = { createTestRepositories, createTestLogger };
@@ -0,0 +1,211 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createPenaltySettlementService } = require('../services/penaltySettlement');
+const { identifierKey } = require('../services/eventIndexer');
+const { createTestRepositories, createTestLogger } = require('./helpers');
+
+const CUSTOMER = '0x1111111111111111111111111111111111111111';
+const NOW = Math.floor(Date.now() / 1000);
+
+function isoSecondsAgo(seconds) {
+  return new Date(Date.now() - seconds * 1000).toISOString();
+}
+
+function claimInput(overrides = {}) {
+  return {
+    guaranteeId: 'G1',
+    mailId: 'M1',
+    customer: CUSTOMER,
+    penaltyAmount: '0.1',
+    deadline: isoSecondsAgo(600),
+    source: 'scheduler',
+    ...overrides
+  };
+}
+
+describe('penalty settlement claims', () => {
+  let settlements;
+
+  beforeEach(() => {
+    settlements = createTestRepositories().repositories.penaltySettlements;
+  });
+
+  it('claims a guarantee that has no settlement yet', () => {
+    const claimed = settlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+
+    assert.equal(claimed.status, 'pending');
+    assert.equal(claimed.attempts, 1);
+  });
+
+  it('does not re-claim a pending settlement whose lease has not expired', () => {
+    settlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+
+    assert.equal(settlements.claim(claimInput({ source: 'claim', leaseExpiredBefore: isoSecondsAgo(60) })), null);
+    assert.equal(settlements.findByGuarantee('G1').source, 'scheduler');
+  });
+
+  it('re-claims a pending settlement whose lease has expired', () => {
+    settlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+
+    const claimed = settlements.claim(claimInput({ source: 'claim', leaseExpiredBefore: new Date(Date.now() + 1000).toISOString() }));
+    assert.equal(claimed.attempts, 2);
+    assert.equal(claimed.source, 'claim');
+  });
+
+  it('re-claims a failed settlement and clears its error', () => {
+    settlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+    settlements.markFailed('G1', 'nonce too low');
+
+    const claimed = settlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+    assert.equal(claimed.status, 'pending');
+    assert.equal(claimed.attempts, 2);
+    assert.equal(claimed.error, null);
+  });
+
+  it('never re-claims a settled guarantee', () => {
+    settlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+    settlements.markSettled('G1', { transactionHash: '0xpaid', blockNumber: 10 });
+
+    assert.equal(settlements.claim(claimInput({ leaseExpiredBefore: new Date(Date.now() + 1000).toISOString() })), null);
+    assert.equal(settlements.findByGuarantee('G1').transactionHash, '0xpaid');
+  });
+});
+
+describe('penalty settlement service', () => {
+  let repositories, guarantee, sent, failNextSend, penaltySettlement;
+
+  function createService(options = {}) {
+    const deliveryGuarantee = {
+      guaranteeExists: async id => id === 'G1',
+      getGuarantee: async () => [
+        guarantee.mailId, BigInt(guarantee.guaranteedTime), ethers.parseEther('0.1'), CUSTOMER,
+        BigInt(guarantee.status), 0n, BigInt(guarantee.actualDeliveryTime), guarantee.penaltyPaid
+      ]
+    };
+    const transactionManager = {
+      async execute(signer, contract, method, args) {
+        // Let concurrent callers reach the contract call before this one finishes
+        await new Promise(resolve => setImmediate(resolve));
+        if (failNextSend) {
+          failNextSend = false;
+          throw new Error('nonce too low');
+        }
+        sent.push({ method, args });
+        Object.assign(guarantee, { status: 2, penaltyPaid: true });
+        return { hash: `0xpaid${sent.length}`, blockNumber: 20 };
+      }
+    };
+    return createPenaltySettlementService({
+      contracts: { deliveryGuarantee },
+      provider: { getBlock: async () => ({ timestamp: NOW }), getTransaction: async () => null },
+      repositories,
+      transactionManager,
+      signer: {},
+      guaranteeSla: { effectiveDeadline: (mailId, guaranteedTime) => guaranteedTime },
+      notifier: { notify: async () => ({ delivered: true, channel: 'log' }) },
+      logger: createTestLogger(),
+      options: { enabled: false, ...options }
+    });
+  }
+
+  beforeEach(() => {
+    ({ repositories } = createTestRepositories());
+    guarantee = { mailId: 'M1', guaranteedTime: NOW - 600, status: 0, actualDeliveryTime: 0, penaltyPaid: false };
+    sent = [];
+    failNextSend = false;
+    repositories.contractEvents.saveBatch({
+      checkpoint: { name: 'contract-events', blockNumber: 10, blockHash: '0x10', contractAddresses: {}, eventNames: {} },
+      blocks: [],
+      events: [{
+        contractName: 'deliveryGuarantee',
+        contractAddress: '0x00000000000000000000000000000000000000bb',
+        eventName: 'GuaranteeCreated',
+        subjectKey: identifierKey('G1'),
+        relatedKey: identifierKey('M1'),
+        actorAddress: CUSTOMER,
+        args: { guaranteeId: 'G1', mailId: 'M1', guaranteedTime: String(NOW - 600) },
+        blockNumber: 5,
+        blockHash: '0x05',
+        transactionHash: '0xcreate',
+        logIndex: 0
+      }]
+    });
+    penaltySettlement = createService();
+  });
+
+  it('sends updateGuaranteeStatus(id, deliveryTime, false) exactly once', async () => {
+    const results = await Promise.allSettled([
+      penaltySettlement.settle('G1', { source: 'claim', requestedBy: CUSTOMER }),
+      penaltySettlement.runOnce(NOW),
+      penaltySettlement.settle('G1', { source: 'claim', requestedBy: CUSTOMER })
+    ]);
+    await penaltySettlement.runOnce(NOW);
+    const again = await penaltySettlement.settle('G1', { source: 'claim' });
+
+    assert.deepEqual(sent, [{ method: 'updateGuaranteeStatus', args: ['G1', 0, false] }]);
+    assert.equal(results[0].status, 'fulfilled');
+    assert.equal(again.alreadySettled, true);
+    assert.equal(penaltySettlement.getSettlement('G1').status, 'settled');
+  });
+
+  it('pays once when two instances settle the same guarantee at the same time', async () => {
+    const results = await Promise.allSettled([
+      penaltySettlement.settle('G1', { source: 'scheduler' }),
+      createService().settle('G1', { source: 'claim' })
+    ]);
+
+    assert.equal(sent.length, 1);
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.code, 'SETTLEMENT_IN_PROGRESS');
+  });
+
+  it('refuses a settlement another instance holds an unexpired claim on', async () => {
+    repositories.penaltySettlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+
+    await assert.rejects(penaltySettlement.settle('G1', { source: 'claim' }), { code: 'SETTLEMENT_IN_PROGRESS', statusCode: 409 });
+    assert.equal(sent.length, 0);
+  });
+
+  it('takes over a claim whose lease has expired', async () => {
+    repositories.penaltySettlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const { settlement } = await createService({ leaseMs: 0 }).settle('G1', { source: 'claim' });
+
+    assert.equal(settlement.status, 'settled');
+    assert.equal(settlement.attempts, 2);
+    assert.equal(sent.length, 1);
+  });
+
+  it('records a penalty an expired attempt already paid instead of paying it again', async () => {
+    repositories.penaltySettlements.claim(claimInput({ leaseExpiredBefore: isoSecondsAgo(60) }));
+    Object.assign(guarantee, { status: 2, penaltyPaid: true });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const { settlement } = await createService({ leaseMs: 0 }).settle('G1', { source: 'scheduler' });
+
+    assert.equal(settlement.status, 'settled');
+    assert.equal(sent.length, 0);
+  });
+
+  it('retries a failed settlement on the next run', async () => {
+    failNextSend = true;
+
+    const first = await penaltySettlement.runOnce(NOW);
+    assert.equal(first.failures, 1);
+    assert.equal(penaltySettlement.getSettlement('G1').status, 'failed');
+
+    const second = await penaltySettlement.runOnce(NOW);
+    assert.equal(second.settled, 1);
+    assert.equal(sent.length, 1);
+  });
+
+  it('does not settle a guarantee before its deadline', async () => {
+    guarantee.guaranteedTime = NOW + 600;
+
+    await assert.rejects(penaltySettlement.settle('G1', { source: 'claim' }), { code: 'NOT_BREACHED' });
+    assert.equal(sent.length, 0);
+    assert.equal(penaltySettlement.getSettlement('G1'), null);
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionService, ROLES } = require('../services/sessions');
+const { createTestRepositories, createTestLogger } = require('./helpers');
+
+const USER = '0x1111111111111111111111111111111111111111';
+const WORKER = '0x2222222222222222222222222222222222222222';
+const OWNER = '0x3333333333333333333333333333333333333333';
+
+function setup(options = {}) {
+  const { repositories } = createTestRepositories();
+  const workers = new Set([WORKER.toLowerCase()]);
+  const contracts = {
+    deliveryTracking: {
+      owner: async () => OWNER,
+      getWorkerInfo: async address => [workers.has(address.toLowerCase()), 'Worker', 'courier']
+    }
+  };
+  const userRegistry = { isAccountActive: async () => true };
+  const sessions = createSessionService({
+    repository: repositories.sessions,
+    deliveryAddresses: repositories.deliveryAddresses,
+    userRegistry,
+    contracts,
+    logger: createTestLogger(),
+    options: { secret: 'test-secret', ...options }
+  });
+  return { sessions, repositories, workers };
+}
+
+// Refresh tokens are `<sessionId>.<secret>`
+function sessionIdOf(tokens) {
+  return tokens.refreshToken.split('.')[0];
+}
+
+// Change a JWT's claims but keep its original signature
+function withPayload(token, changes) {
+  const [header, payload, signature] = token.split('.');
+  const claims = { ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')), ...changes };
+  return `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+}
+
+describe('access tokens', () => {
+  it('accepts a token it signed', async () => {
+    const { sessions } = setup();
+    const tokens = await sessions.createSession(USER, 'recipient');
+
+    const auth = sessions.verifyAccessToken(tokens.accessToken);
+    assert.equal(auth.userAddress, USER);
+    assert.equal(auth.role, ROLES.RECIPIENT);
+    assert.equal(auth.sessionId, sessionIdOf(tokens));
+  });
+
+  it('rejects an expired token', async () => {
+    const { sessions } = setup({ accessTokenTtlSeconds: -1 });
+    const tokens = await sessions.createSession(USER, 'recipient');
+
+    assert.throws(() => sessions.verifyAccessToken(tokens.accessToken), { code: 'TOKEN_EXPIRED' });
+  });
+
+  it('rejects a token whose claims were changed', async () => {
+    const { sessions } = setup();
+    const tokens = await sessions.createSession(USER, 'recipient');
+
+    assert.throws(() => sessions.verifyAccessToken(withPayload(tokens.accessToken, { role: ROLES.ADMIN })), { code: 'INVALID_TOKEN' });
+    assert.throws(() => sessions.verifyAccessToken(withPayload(tokens.accessToken, { exp: 4102444800 })), { code: 'INVALID_TOKEN' });
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const { sessions } = setup();
+    const { sessions: other } = setup({ secret: 'another-secret' });
+    const tokens = await other.createSession(USER, 'recipient');
+
+    assert.throws(() => sessions.verifyAccessToken(tokens.accessToken), { code: 'INVALID_TOKEN' });
+  });
+
+  it('rejects malformed tokens and refresh tokens', async () => {
+    const { sessions } = setup();
+    const tokens = await sessions.createSession(USER, 'recipient');
+
+    assert.throws(() => sessions.verifyAccessToken('not-a-token'), { code: 'INVALID_TOKEN' });
+    assert.throws(() => sessions.verifyAccessToken(tokens.refreshToken), { code: 'INVALID_TOKEN' });
+  });
+
+  it('rejects tokens of a revoked session', async () => {
+    const { sessions } = setup();
+    const tokens = await sessions.createSession(USER, 'recipient');
+    sessions.revokeSession(sessionIdOf(tokens));
+
+    assert.throws(() => sessions.verifyAccessToken(tokens.accessToken), { code: 'SESSION_REVOKED' });
+  });
+});
+
+describe('refresh tokens', () => {
+  let context;
+
+  beforeEach(() => {
+    context = setup();
+  });
+
+  it('rotates the refresh token on every refresh', async () => {
+    const first = await context.sessions.createSession(USER, 'recipient');
+    const second = await context.sessions.refresh(first.refreshToken);
+
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(context.sessions.verifyAccessToken(second.accessToken).sessionId, sessionIdOf(first));
+  });
+
+  it('rejects a reused refresh token and revokes the session', async () => {
+    const first = await context.sessions.createSession(USER, 'recipient');
+    const second = await context.sessions.refresh(first.refreshToken);
+
+    await assert.rejects(context.sessions.refresh(first.refreshToken), { code: 'INVALID_TOKEN' });
+    assert.equal(context.repositories.sessions.findById(sessionIdOf(first)).revokedReason, 'refresh_token_reuse');
+    await assert.rejects(context.sessions.refresh(second.refreshToken), { code: 'INVALID_TOKEN' });
+  });
+
+  it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+    const first = await context.sessions.createSession(USER, 'recipient');
+    const results = await Promise.allSettled([
+      context.sessions.refresh(first.refreshToken),
+      context.sessions.refresh(first.refreshToken)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  });
+
+  it('rejects unknown and forged refresh tokens', async () => {
+    const first = await context.sessions.createSession(USER, 'recipient');
+
+    await assert.rejects(context.sessions.refresh('unknown.token'), { code: 'INVALID_TOKEN' });
+    await assert.rejects(context.sessions.refresh(`${sessionIdOf(first)}.forged`), { code: 'INVALID_TOKEN' });
+  });
+
+  it('revokes the session when the role has been lost', async () => {
+    context.repositories.deliveryAddresses.add({ address: WORKER, actorAddress: OWNER });
+    const tokens = await context.sessions.createSession(WORKER, 'delivery');
+    context.workers.clear();
+
+    await assert.rejects(context.sessions.refresh(tokens.refreshToken), { code: 'ROLE_NOT_ALLOWED', statusCode: 403 });
+    assert.equal(context.repositories.sessions.findById(sessionIdOf(tokens)).revokedReason, 'role_revoked');
+  });
+});
+
+describe('role resolution', () => {
+  it('grants admin to the DeliveryTracking owner and configured addresses only', async () => {
+    const { sessions } = setup({ adminAddresses: [USER.toLowerCase()] });
+
+    assert.equal(await sessions.isRoleAllowed(OWNER, ROLES.ADMIN), true);
+    assert.equal(await sessions.isRoleAllowed(USER, ROLES.ADMIN), true);
+    assert.equal(await sessions.isRoleAllowed(WORKER, ROLES.ADMIN), false);
+  });
+
+  it('requires both worker authorization and an allowlist entry for delivery workers', async () => {
+    const { sessions, repositories } = setup();
+
+    assert.equal(await sessions.isRoleAllowed(WORKER, ROLES.DELIVERY_WORKER), false);
+    repositories.deliveryAddresses.add({ address: WORKER, actorAddress: OWNER });
+    assert.equal(await sessions.isRoleAllowed(WORKER, ROLES.DELIVERY_WORKER), true);
+    repositories.deliveryAddresses.add({ address: USER, actorAddress: OWNER });
+    assert.equal(await sessions.isRoleAllowed(USER, ROLES.DELIVERY_WORKER), false);
+  });
+
+  it('refuses to start a session for a role the address does not hold', async () => {
+    const { sessions } = setup();
+
+    await assert.rejects(sessions.createSession(WORKER, 'admin'), { code: 'ROLE_NOT_ALLOWED', statusCode: 403 });
+    await assert.rejects(sessions.createSession(USER, 'superuser'), { code: 'INVALID_ROLE', statusCode: 400 });
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createSiweService, parseSiweMessage } = require('../services/siwe');
+const { createTestRepositories, createTestLogger } = require('./helpers');
+
+const DOMAIN = 'app.example.com';
+const CHAIN_ID = 11155111;
+
+// An EIP-4361 message; fields can be overridden or dropped (null)
+function buildMessage(fields) {
+  const values = {
+    domain: DOMAIN,
+    statement: 'Sign in to the blockchain mail delivery service.',
+    uri: `https://${DOMAIN}`,
+    version: '1',
+    chainId: CHAIN_ID,
+    issuedAt: new Date().toISOString(),
+    ...fields
+  };
+  const lines = [
+    `${values.domain} wants you to sign in with your Ethereum account:`,
+    values.address,
+    '',
+    values.statement,
+    '',
+    `URI: ${values.uri}`,
+    `Version: ${values.version}`,
+    `Chain ID: ${values.chainId}`,
+    `Nonce: ${values.nonce}`,
+    `Issued At: ${values.issuedAt}`
+  ];
+  if (values.expirationTime) {
+    lines.push(`Expiration Time: ${values.expirationTime}`);
+  }
+  return lines.join('\n');
+}
+
+describe('SIWE verification', () => {
+  let repositories, siwe, wallet;
+
+  beforeEach(() => {
+    ({ repositories } = createTestRepositories());
+    siwe = createSiweService({
+      repository: repositories.siweNonces,
+      provider: { getNetwork: async () => ({ chainId: BigInt(CHAIN_ID) }) },
+      logger: createTestLogger(),
+      options: { domains: [DOMAIN] }
+    });
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  async function signIn(fields = {}) {
+    const { nonce } = await siwe.createNonce(wallet.address);
+    const message = buildMessage({ address: wallet.address, nonce, ...fields });
+    return { nonce, message, signature: await wallet.signMessage(message) };
+  }
+
+  it('accepts a correctly signed message and consumes its nonce', async () => {
+    const { nonce, message, signature } = await signIn();
+
+    assert.equal(await siwe.verify(message, signature), wallet.address);
+    assert.ok(repositories.siweNonces.find(nonce).usedAt);
+  });
+
+  it('rejects a replayed message', async () => {
+    const { message, signature } = await signIn();
+    await siwe.verify(message, signature);
+
+    await assert.rejects(siwe.verify(message, signature), { code: 'INVALID_NONCE' });
+  });
+
+  for (const [name, fields] of [
+    ['domain', { domain: 'evil.example.com', uri: 'https://evil.example.com' }],
+    ['URI', { uri: 'https://evil.example.com' }],
+    ['chain ID', { chainId: 1 }]
+  ]) {
+    it(`rejects a ${name} mismatch without consuming the nonce`, async () => {
+      const { nonce, message, signature } = await signIn(fields);
+
+      await assert.rejects(siwe.verify(message, signature), { code: 'INVALID_SIWE_MESSAGE' });
+      assert.equal(repositories.siweNonces.find(nonce).usedAt, null);
+    });
+  }
+
+  it('rejects a nonce that was not issued to the signer', async () => {
+    const other = ethers.Wallet.createRandom();
+    const { nonce } = await siwe.createNonce(other.address);
+    const message = buildMessage({ address: wallet.address, nonce });
+
+    await assert.rejects(siwe.verify(message, await wallet.signMessage(message)), { code: 'INVALID_NONCE' });
+    assert.equal(repositories.siweNonces.find(nonce).usedAt, null);
+  });
+
+  it('rejects a nonce that was never issued', async () => {
+    const message = buildMessage({ address: wallet.address, nonce: 'unknown' });
+
+    await assert.rejects(siwe.verify(message, await wallet.signMessage(message)), { code: 'INVALID_NONCE' });
+  });
+
+  it('does not consume the nonce when the signature is wrong', async () => {
+    const { nonce, message } = await signIn();
+    const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+    await assert.rejects(siwe.verify(message, signature), { code: 'INVALID_SIWE_MESSAGE' });
+    assert.equal(repositories.siweNonces.find(nonce).usedAt, null);
+
+    // The owner can still sign in with the same nonce afterwards
+    assert.equal(await siwe.verify(message, await wallet.signMessage(message)), wallet.address);
+  });
+
+  it('rejects an expired message without consuming the nonce', async () => {
+    const { nonce, message, signature } = await signIn({ expirationTime: new Date(Date.now() - 1000).toISOString() });
+
+    await assert.rejects(siwe.verify(message, signature), { code: 'SIWE_EXPIRED' });
+    assert.equal(repositories.siweNonces.find(nonce).usedAt, null);
+  });
+});
+
+describe('parseSiweMessage', () => {
+  it('reads every field of a well-formed message', () => {
+    const address = ethers.Wallet.createRandom().address;
+    const fields = parseSiweMessage(buildMessage({ address, nonce: 'abc123', expirationTime: '2030-01-01T00:00:00.000Z' }));
+
+    assert.equal(fields.domain, DOMAIN);
+    assert.equal(fields.address, address);
+    assert.equal(fields.uri, `https://${DOMAIN}`);
+    assert.equal(fields.chainId, String(CHAIN_ID));
+    assert.equal(fields.nonce, 'abc123');
+    assert.equal(fields.expirationTime, '2030-01-01T00:00:00.000Z');
+  });
+
+  it('rejects malformed messages', () => {
+    const message = buildMessage({ address: ethers.ZeroAddress, nonce: 'abc123' });
+
+    assert.throws(() => parseSiweMessage(message.replace('wants you to sign in', 'asks')), { statusCode: 400 });
+    assert.throws(() => parseSiweMessage(message.replace('Nonce: abc123\n', '')), /missing nonce/);
+    assert.throws(() => parseSiweMessage(`${message}\nUnknown: value`), /Unexpected SIWE message line/);
+    assert.throws(() => parseSiweMessage(42), { statusCode: 400 });
+  });
+});
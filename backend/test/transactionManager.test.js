@@ -0,0 +1,198 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createTransactionManager, classifyError, ERROR_TYPES } = require('../services/transactionManager');
+const { createTestLogger } = require('./helpers');
+
+const GWEI = 1000000000n;
+
+// Signer that records every request and answers with sequential hashes.
+// failures: errors to throw from the next sendTransaction calls, in order
+function createStubSigner(address, { failures = [] } = {}) {
+  const sent = [];
+  return {
+    sent,
+    getAddress: async () => address,
+    async sendTransaction(request) {
+      if (failures.length > 0) {
+        throw failures.shift();
+      }
+      sent.push(request);
+      return { hash: `${address.slice(0, 6)}-tx${sent.length}` };
+    }
+  };
+}
+
+// Provider with a pending nonce per address and receipts keyed by hash.
+// stuck: hashes whose waitForTransaction times out
+function createStubProvider({ nonces = {}, stuck = new Set(), receipts = {} } = {}) {
+  const calls = { getTransactionCount: 0 };
+  return {
+    calls,
+    async getTransactionCount(address) {
+      calls.getTransactionCount++;
+      return nonces[address.toLowerCase()] || 0;
+    },
+    getFeeData: async () => ({ maxFeePerGas: 100n * GWEI, maxPriorityFeePerGas: 2n * GWEI, gasPrice: null }),
+    async waitForTransaction(hash) {
+      if (stuck.has(hash)) {
+        throw ethers.makeError('timeout', 'TIMEOUT', {});
+      }
+      return receipts[hash] || { hash, status: 1, blockNumber: 1 };
+    },
+    getTransactionReceipt: async hash => receipts[hash] || null
+  };
+}
+
+const contract = {
+  connect() {
+    return this;
+  },
+  getFunction: method => ({
+    estimateGas: async () => 100000n,
+    populateTransaction: async (...args) => {
+      const overrides = args.pop();
+      return { to: '0xcontract', data: `${method}(${args.join(',')})`, gasLimit: overrides.gasLimit };
+    }
+  })
+};
+
+function setup(providerOptions, options = {}) {
+  const provider = createStubProvider(providerOptions);
+  const manager = createTransactionManager({ provider, logger: createTestLogger(), options: { maxSendAttempts: 2, ...options } });
+  return { provider, manager };
+}
+
+describe('nonce queue', () => {
+  it('gives concurrent transactions from one signer consecutive nonces', async () => {
+    const signer = createStubSigner('0xaaaa');
+    const { provider, manager } = setup({ nonces: { '0xaaaa': 7 } });
+
+    const sent = await Promise.all([1, 2, 3].map(i => manager.submit(signer, contract, 'registerMail', [i])));
+
+    assert.deepEqual(sent.map(tx => tx.nonce), [7, 8, 9]);
+    assert.deepEqual(signer.sent.map(request => request.data), ['registerMail(1)', 'registerMail(2)', 'registerMail(3)']);
+    assert.equal(provider.calls.getTransactionCount, 1);
+  });
+
+  it('keeps a separate queue per signer', async () => {
+    const first = createStubSigner('0xaaaa');
+    const second = createStubSigner('0xbbbb');
+    const { manager } = setup({ nonces: { '0xaaaa': 3, '0xbbbb': 40 } });
+
+    const sent = await Promise.all([
+      manager.submit(first, contract, 'updateStatus', []),
+      manager.submit(second, contract, 'updateStatus', []),
+      manager.submit(first, contract, 'updateStatus', [])
+    ]);
+
+    assert.deepEqual(sent.map(tx => tx.nonce), [3, 40, 4]);
+  });
+
+  it('resyncs the nonce from the node after a nonce conflict', async () => {
+    const failures = [];
+    const signer = createStubSigner('0xaaaa', { failures });
+    const nonces = { '0xaaaa': 5 };
+    const { provider, manager } = setup({ nonces });
+    assert.equal((await manager.submit(signer, contract, 'registerMail', [])).nonce, 5);
+
+    // Nonce 6 was used outside the manager, so the cached nonce is stale
+    nonces['0xaaaa'] = 7;
+    failures.push(new Error('nonce too low'));
+    const tx = await manager.submit(signer, contract, 'registerMail', []);
+
+    assert.equal(tx.nonce, 7);
+    assert.equal(provider.calls.getTransactionCount, 2);
+  });
+
+  it('does not retry errors that are not retryable', async () => {
+    const signer = createStubSigner('0xaaaa', { failures: [new Error('insufficient funds for gas * price + value')] });
+    const { manager } = setup();
+
+    await assert.rejects(manager.submit(signer, contract, 'registerMail', []), /insufficient funds/);
+    assert.equal(signer.sent.length, 0);
+
+    // A failure does not block later transactions from the same signer
+    assert.equal((await manager.submit(signer, contract, 'registerMail', [])).nonce, 0);
+  });
+
+  it('adds the gas buffer to the estimate', async () => {
+    const signer = createStubSigner('0xaaaa');
+    const { manager } = setup({}, { gasBufferPercent: 20n });
+
+    await manager.submit(signer, contract, 'registerMail', []);
+
+    assert.equal(signer.sent[0].gasLimit, 120000n);
+  });
+});
+
+describe('stuck transactions', () => {
+  it('replaces a stuck transaction with the same nonce and bumped fees', async () => {
+    const signer = createStubSigner('0xaaaa');
+    const { manager } = setup({ stuck: new Set(['0xaaaa-tx1']) }, { feeBumpPercent: 15n });
+
+    const receipt = await manager.execute(signer, contract, 'updateGuaranteeStatus', ['G1']);
+
+    assert.equal(receipt.hash, '0xaaaa-tx2');
+    assert.equal(signer.sent.length, 2);
+    assert.equal(signer.sent[1].nonce, signer.sent[0].nonce);
+    assert.equal(signer.sent[1].maxFeePerGas, 115n * GWEI + 1n);
+    assert.equal(signer.sent[1].maxPriorityFeePerGas, (2n * GWEI * 115n) / 100n + 1n);
+  });
+
+  it('returns the original receipt when it was mined while being replaced', async () => {
+    const signer = createStubSigner('0xaaaa');
+    const mined = { hash: '0xaaaa-tx1', status: 1, blockNumber: 12 };
+    const { manager } = setup({ stuck: new Set(['0xaaaa-tx1']), receipts: { '0xaaaa-tx1': mined } });
+
+    assert.equal(await manager.execute(signer, contract, 'registerMail', []), mined);
+    assert.equal(signer.sent.length, 1);
+  });
+
+  it('gives up after the configured number of replacements', async () => {
+    const signer = createStubSigner('0xaaaa');
+    const { manager } = setup({ stuck: new Set(['0xaaaa-tx1', '0xaaaa-tx2', '0xaaaa-tx3']) }, { maxReplacements: 2 });
+
+    await assert.rejects(manager.execute(signer, contract, 'registerMail', []), { code: 'TIMEOUT' });
+    assert.equal(signer.sent.length, 3);
+  });
+
+  it('reports a reverted receipt as a contract revert', async () => {
+    const signer = createStubSigner('0xaaaa');
+    const { manager } = setup({ receipts: { '0xaaaa-tx1': { hash: '0xaaaa-tx1', status: 0 } } });
+
+    const error = await manager.execute(signer, contract, 'registerMail', []).catch(caught => caught);
+    assert.equal(classifyError(error).type, ERROR_TYPES.REVERTED);
+  });
+});
+
+describe('classifyError', () => {
+  const cases = [
+    [{ message: 'nonce too low' }, ERROR_TYPES.NONCE_CONFLICT, 409, true],
+    [{ code: 'NONCE_EXPIRED', message: 'x' }, ERROR_TYPES.NONCE_CONFLICT, 409, true],
+    [{ message: 'replacement transaction underpriced' }, ERROR_TYPES.REPLACEMENT_UNDERPRICED, 409, true],
+    [{ code: 'INSUFFICIENT_FUNDS', message: 'x' }, ERROR_TYPES.INSUFFICIENT_FUNDS, 400, false],
+    [{ code: 'CALL_EXCEPTION', message: 'x', reason: 'Mail already exists' }, ERROR_TYPES.REVERTED, 400, false],
+    [{ message: 'Too Many Requests' }, ERROR_TYPES.RATE_LIMITED, 429, true],
+    [{ code: 'TIMEOUT', message: 'x' }, ERROR_TYPES.TIMEOUT, 408, true],
+    [{ code: 'NETWORK_ERROR', message: 'x' }, ERROR_TYPES.NETWORK, 503, true],
+    [{ message: 'something else' }, ERROR_TYPES.UNKNOWN, 500, false]
+  ];
+
+  for (const [error, type, statusCode, retryable] of cases) {
+    it(`classifies ${error.code || error.message} as ${type}`, () => {
+      const classified = classifyError(error);
+      assert.equal(classified.type, type);
+      assert.equal(classified.statusCode, statusCode);
+      assert.equal(classified.retryable, retryable);
+    });
+  }
+
+  it('includes the revert reason in the message', () => {
+    assert.match(classifyError({ code: 'CALL_EXCEPTION', reason: 'Mail already exists' }).message, /Mail already exists/);
+  });
+
+  it('prefers the short message of ethers errors', () => {
+    assert.equal(classifyError({ shortMessage: 'could not coalesce error', message: 'long text' }).message, 'could not coalesce error');
+  });
+});
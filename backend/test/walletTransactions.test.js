@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createWalletTransactions } = require('../services/walletTransactions');
+
+const CONTRACT = '0x00000000000000000000000000000000000000aa';
+const USER = ethers.getAddress('0x1111111111111111111111111111111111111111');
+const ADDRESS_ARG = ethers.getAddress('0xabcdefabcdefabcdefabcdefabcdefabcdefabcd');
+
+const contract = {
+  target: CONTRACT,
+  interface: new ethers.Interface([
+    'function setGuaranteedDeliveryTime(string mailId, uint256 time)',
+    'function assign(string mailId, address worker)'
+  ])
+};
+
+// Provider that knows the given wallet-sent transactions and mines them all
+function setup(transactions, managedSigners = []) {
+  const executed = [];
+  const provider = {
+    getNetwork: async () => ({ chainId: 31337n }),
+    getTransaction: async hash => transactions[hash] || null,
+    waitForTransaction: async hash => ({ hash, status: 1 })
+  };
+  const transactionManager = {
+    async execute(signer, target, method, args) {
+      executed.push({ method, args });
+      return { hash: '0xmanaged', status: 1 };
+    }
+  };
+  return { executed, walletTransactions: createWalletTransactions({ provider, transactionManager, managedSigners }) };
+}
+
+function walletTx(method, args, from = USER) {
+  return { from, to: CONTRACT, data: contract.interface.encodeFunctionData(method, args), value: 0n };
+}
+
+describe('wallet transactions', () => {
+  it('sends through the transaction manager for a managed address', async () => {
+    const signer = { getAddress: async () => USER };
+    const { executed, walletTransactions } = setup({}, [null, signer]);
+
+    const receipt = await walletTransactions.sendAs(contract, USER.toLowerCase(), 'setGuaranteedDeliveryTime', ['M1', 100]);
+
+    assert.equal(receipt.hash, '0xmanaged');
+    assert.deepEqual(executed, [{ method: 'setGuaranteedDeliveryTime', args: ['M1', 100] }]);
+  });
+
+  it('returns the unsigned transaction for a wallet address', async () => {
+    const { walletTransactions } = setup({});
+
+    const error = await walletTransactions.sendAs(contract, USER, 'setGuaranteedDeliveryTime', ['M1', 100]).catch(caught => caught);
+
+    assert.equal(error.code, 'WALLET_TRANSACTION_REQUIRED');
+    assert.deepEqual(error.transaction, {
+      from: USER,
+      to: CONTRACT,
+      data: contract.interface.encodeFunctionData('setGuaranteedDeliveryTime', ['M1', 100]),
+      chainId: '31337'
+    });
+  });
+
+  it('accepts a wallet transaction whose arguments differ only in representation', async () => {
+    const { walletTransactions } = setup({
+      '0x01': walletTx('setGuaranteedDeliveryTime', ['M1', 100]),
+      '0x02': walletTx('assign', ['M1', ADDRESS_ARG])
+    });
+
+    await walletTransactions.sendAs(contract, USER, 'setGuaranteedDeliveryTime', ['M1', 100n], '0x01');
+    const receipt = await walletTransactions.sendAs(contract, USER.toLowerCase(), 'assign', ['M1', ADDRESS_ARG.toLowerCase()], '0x02');
+
+    assert.equal(receipt.hash, '0x02');
+  });
+
+  it('rejects a wallet transaction that is not the expected call', async () => {
+    const { walletTransactions } = setup({
+      '0x01': walletTx('setGuaranteedDeliveryTime', ['M1', 200]),
+      '0x02': walletTx('setGuaranteedDeliveryTime', ['M1', 100], ADDRESS_ARG)
+    });
+
+    await assert.rejects(walletTransactions.sendAs(contract, USER, 'setGuaranteedDeliveryTime', ['M1', 100], '0x01'), { code: 'TRANSACTION_MISMATCH' });
+    await assert.rejects(walletTransactions.sendAs(contract, USER, 'setGuaranteedDeliveryTime', ['M1', 100], '0x02'), { code: 'TRANSACTION_MISMATCH' });
+    await assert.rejects(walletTransactions.sendAs(contract, USER, 'setGuaranteedDeliveryTime', ['M1', 100], '0x03'), { code: 'TRANSACTION_NOT_FOUND', statusCode: 404 });
+  });
+});
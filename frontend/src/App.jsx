@@ -3,6 +3,7 @@ import { WalletProvider } from './contexts/WalletContext.jsx'
 import HomePage from './components/HomePage.jsx'
 import SignInPage from './components/SignInPage.jsx'
 import SignUpPage from './components/SignUpPage.jsx'
+import ResetPasswordPage from './components/ResetPasswordPage.jsx'
 import DeliveryDashboard from './components/DeliveryDashboard.jsx'
 import RecipientDashboard from './components/RecipientDashboard.jsx'
 import AdminDashboard from './components/AdminDashboard.jsx'
@@ -17,6 +18,7 @@ function App() {
             <Route path="/" element={<HomePage />} />
             <Route path="/signin" element={<SignInPage />} />
             <Route path="/signup" element={<SignUpPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
             <Route path="/delivery-dashboard" element={<DeliveryDashboard />} />
             <Route path="/recipient-dashboard" element={<RecipientDashboard />} />
             <Route path="/admin-dashboard" element={<AdminDashboard />} />
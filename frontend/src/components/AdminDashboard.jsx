@@ -2,13 +2,82 @@ import { Button } from '@/components/ui/button.jsx'
 import { useNavigate } from 'react-router-dom'
 import { useState, useEffect } from 'react'
 import { useWallet } from '../contexts/WalletContext.jsx'
-import { workerAPI, deliveryAPI, guaranteeAPI, adminAPI, handleAPIError } from '../services/api.js'
-import { Settings, Plus, Trash2, ArrowLeft, User, Wallet, LogOut, Shield, Check, X, Loader2, BarChart3, AlertTriangle, Clock } from 'lucide-react'
+import { workerAPI, deliveryAPI, guaranteeAPI, adminAPI, mailAPI, handleAPIError } from '../services/api.js'
+import { DELIVERY_STATUSES, statusLabel } from '@/lib/deliveryStatus.js'
+import { formatTimeRemaining, slaBadgeClass } from '@/lib/slaStatus.js'
+import { Settings, Plus, Trash2, ArrowLeft, User, Wallet, LogOut, Shield, Check, X, Loader2, BarChart3, AlertTriangle, Clock, Package, ChevronUp, ChevronDown, Scale, Download, Landmark } from 'lucide-react'
+
+const WORKER_PAGE_SIZE = 10
+const ADDRESS_AUDIT_SIZE = 10
+const SHIPMENT_PAGE_SIZE = 25
+const MAIL_TYPES = ['document', 'package', 'certified', 'priority']
+
+const SHIPMENT_COLUMNS = [
+  { key: 'trackingNumber', label: 'Tracking Number' },
+  { key: 'mailType', label: 'Type' },
+  { key: 'statusCode', label: 'Status' },
+  { key: 'lastLocation', label: 'Last Location' },
+  { key: 'lastUpdate', label: 'Last Update' },
+  { key: 'guaranteedDeliveryTime', label: 'Guaranteed By' }
+]
+
+// Combine a mail list entry with its latest DeliveryTracking scan
+const formatShipment = (mail, lastScan) => ({
+  mailId: mail.mailId,
+  trackingNumber: mail.trackingNumber,
+  mailType: mail.mailType,
+  statusCode: mail.status,
+  lastLocation: lastScan?.location || mail.currentLocation || '',
+  lastUpdate: lastScan?.timestamp || mail.lastUpdateTime,
+  guaranteedDeliveryTime: mail.guaranteedDeliveryTime
+})
+
+// Sort comparator for the shipments table; ISO timestamps sort as strings
+const compareShipments = ({ key, direction }) => (a, b) => {
+  const order = typeof a[key] === 'number' ? a[key] - b[key] : String(a[key]).localeCompare(String(b[key]))
+  return direction === 'asc' ? order : -order
+}
+
+const DISPUTE_OUTCOMES = [
+  { value: 'upheld', label: 'Uphold (refund full penalty)' },
+  { value: 'partial_refund', label: 'Partial refund' },
+  { value: 'rejected', label: 'Reject' }
+]
+const EMPTY_RESOLUTION = { outcome: 'upheld', refundAmount: '', notes: '' }
+
+const ESCROW_PAGE_SIZE = 50
+const ESCROW_TOTALS = [
+  { key: 'deposited', label: 'Deposited' },
+  { key: 'released', label: 'Released' },
+  { key: 'releasedAsPenalty', label: 'Paid as Penalties' },
+  { key: 'held', label: 'Held (ledger)' },
+  { key: 'totalEscrowAmount', label: 'totalEscrowAmount' },
+  { key: 'contractBalance', label: 'Contract Balance' }
+]
+
+const formatWorker = (worker) => ({
+  address: worker.workerAddress,
+  name: worker.name || 'Unknown',
+  type: worker.workerType || 'delivery',
+  registeredAt: worker.registrationTime,
+  totalUpdates: worker.totalUpdates,
+  recordedUpdates: worker.recordedUpdates,
+  lastUpdate: worker.lastUpdate
+})
 
 function AdminDashboard() {
   const navigate = useNavigate()
   const { account, shortenAddress, disconnect, isConnected } = useWallet()
   const [registeredWorkers, setRegisteredWorkers] = useState([])
+  const [workerPage, setWorkerPage] = useState(1)
+  const [workerPagination, setWorkerPagination] = useState({ page: 1, totalPages: 1, total: 0 })
+  const [revokingWorker, setRevokingWorker] = useState('')
+  const [assigningWorker, setAssigningWorker] = useState('')
+  const [assignMailId, setAssignMailId] = useState('')
+  const [assignPriority, setAssignPriority] = useState('')
+  const [assignEta, setAssignEta] = useState('')
+  const [assignDeliveryAddress, setAssignDeliveryAddress] = useState('')
+  const [isAssigning, setIsAssigning] = useState(false)
   const [newWorkerAddress, setNewWorkerAddress] = useState('')
   const [newWorkerName, setNewWorkerName] = useState('')
   const [newWorkerType, setNewWorkerType] = useState('delivery')
@@ -24,12 +93,32 @@ function AdminDashboard() {
     onTimeRate: 0,
     averageDeliveryTime: 0,
     penaltiesClaimed: 0,
-    totalInsurancePool: 0
+    totalEscrow: 0,
+    guaranteeStatusBreakdown: {}
   })
   const [activeTab, setActiveTab] = useState('workers')
   const [isAddingAddress, setIsAddingAddress] = useState(false)
   const [newAddress, setNewAddress] = useState('')
+  const [newAddressLabel, setNewAddressLabel] = useState('')
   const [validDeliveryAddresses, setValidDeliveryAddresses] = useState([])
+  const [addressAudit, setAddressAudit] = useState([])
+  const [shipments, setShipments] = useState([])
+  const [shipmentPagination, setShipmentPagination] = useState({ offset: 0, limit: SHIPMENT_PAGE_SIZE, total: 0 })
+  const [shipmentFilters, setShipmentFilters] = useState({ status: '', type: '' })
+  const [shipmentSort, setShipmentSort] = useState({ key: 'lastUpdate', direction: 'desc' })
+  const [isLoadingShipments, setIsLoadingShipments] = useState(false)
+  const [atRiskShipments, setAtRiskShipments] = useState([])
+  const [disputes, setDisputes] = useState([])
+  const [disputeFilter, setDisputeFilter] = useState('open')
+  const [isLoadingDisputes, setIsLoadingDisputes] = useState(false)
+  const [selectedDispute, setSelectedDispute] = useState(null)
+  const [resolution, setResolution] = useState(EMPTY_RESOLUTION)
+  const [isResolving, setIsResolving] = useState(false)
+  const [escrowLedger, setEscrowLedger] = useState(null)
+  const [escrowPage, setEscrowPage] = useState(1)
+  const [escrowMismatchesOnly, setEscrowMismatchesOnly] = useState(false)
+  const [isLoadingEscrow, setIsLoadingEscrow] = useState(false)
+  const [settlements, setSettlements] = useState([])
 
   // Redirect if not connected
   useEffect(() => {
@@ -49,11 +138,12 @@ function AdminDashboard() {
     setIsLoading(true)
     try {
       // Load system statistics, workers, and valid addresses from backend
-      const [performanceData, guaranteeStats, workersData, validAddressesData] = await Promise.allSettled([
+      const [performanceData, guaranteeStats, workersData, validAddressesData, addressAuditData] = await Promise.allSettled([
         deliveryAPI.getPerformance(),
         guaranteeAPI.getStats(),
-        workerAPI.getAllWorkers(),
-        adminAPI.getValidAddresses()
+        workerAPI.getAllWorkers({ page: 1, pageSize: WORKER_PAGE_SIZE }),
+        adminAPI.getValidAddresses(),
+        adminAPI.getAddressAudit({ pageSize: ADDRESS_AUDIT_SIZE })
       ])
 
       // Update system statistics
@@ -76,29 +166,32 @@ function AdminDashboard() {
           activeGuarantees: guaranteeData.activeGuarantees || 0,
           totalGuarantees: guaranteeData.totalGuarantees || 0,
           penaltiesClaimed: guaranteeData.penaltiesClaimed || 0,
-          totalInsurancePool: parseFloat(guaranteeData.totalInsurancePool || 0)
+          totalEscrow: parseFloat(guaranteeData.totalEscrow || 0),
+          guaranteeStatusBreakdown: guaranteeData.statusBreakdown || {}
         }))
       }
 
       // Load registered workers from backend
       if (workersData.status === 'fulfilled' && workersData.value.success) {
-        const formattedWorkers = workersData.value.data?.map(worker => ({
-          address: worker.workerAddress,
-          name: worker.name || 'Unknown',
-          type: worker.workerType || 'delivery',
-          registeredAt: worker.createdAt || new Date().toISOString()
-        })) || []
-        setRegisteredWorkers(formattedWorkers)
+        setRegisteredWorkers(workersData.value.data.workers.map(formatWorker))
+        setWorkerPagination(workersData.value.data.pagination)
+        setWorkerPage(1)
       } else {
         setRegisteredWorkers([])
       }
 
       // Load valid delivery addresses from backend
       if (validAddressesData.status === 'fulfilled' && validAddressesData.value.success) {
-        setValidDeliveryAddresses(validAddressesData.value.data || [])
+        setValidDeliveryAddresses(validAddressesData.value.data.addresses)
       } else {
         setValidDeliveryAddresses([])
       }
+
+      if (addressAuditData.status === 'fulfilled' && addressAuditData.value.success) {
+        setAddressAudit(addressAuditData.value.data.entries)
+      } else {
+        setAddressAudit([])
+      }
     } catch (error) {
       console.error('Error loading system data:', error)
     } finally {
@@ -106,6 +199,178 @@ function AdminDashboard() {
     }
   }
 
+  const loadWorkers = async (page = workerPage) => {
+    try {
+      const response = await workerAPI.getAllWorkers({ page, pageSize: WORKER_PAGE_SIZE })
+      if (response.success) {
+        setRegisteredWorkers(response.data.workers.map(formatWorker))
+        setWorkerPagination(response.data.pagination)
+        setWorkerPage(page)
+      }
+    } catch (error) {
+      console.error('Error loading workers:', error)
+    }
+  }
+
+  const loadShipments = async (offset = 0, filters = shipmentFilters) => {
+    setIsLoadingShipments(true)
+    try {
+      const query = { offset, limit: SHIPMENT_PAGE_SIZE }
+      if (filters.status) {
+        query.status = filters.status
+      }
+      if (filters.type) {
+        query.type = filters.type
+      }
+
+      const response = await mailAPI.listMails(query)
+      if (response.success) {
+        const { mails, pagination } = response.data
+
+        // Latest on-chain scan (location) for every shipment on the page
+        let lastScans = {}
+        if (mails.length > 0) {
+          const statusResponse = await mailAPI.getBulkStatus(mails.map(mail => mail.mailId))
+          if (statusResponse.success) {
+            lastScans = Object.fromEntries(statusResponse.data.statuses.map(item => [item.mailId, item.lastScan]))
+          }
+        }
+
+        setShipments(mails.map(mail => formatShipment(mail, lastScans[mail.mailId])))
+        setShipmentPagination(pagination)
+        setShipmentFilters(filters)
+      }
+    } catch (error) {
+      console.error('Error loading shipments:', error)
+      alert(`Failed to load shipments: ${handleAPIError(error)}`)
+    } finally {
+      setIsLoadingShipments(false)
+    }
+  }
+
+  const toggleShipmentSort = (key) => {
+    setShipmentSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }))
+  }
+
+  // Shipments the SLA monitor found within two hours of their guaranteed deadline, or past it
+  const loadAtRiskShipments = async () => {
+    try {
+      const response = await guaranteeAPI.getAtRiskShipments()
+      if (response.success) {
+        setAtRiskShipments(response.data.shipments)
+      }
+    } catch (error) {
+      console.error('Error loading at-risk shipments:', error)
+    }
+  }
+
+  const loadDisputes = async (status = disputeFilter) => {
+    setIsLoadingDisputes(true)
+    try {
+      const response = await guaranteeAPI.listDisputes(status)
+      if (response.success) {
+        setDisputes(response.data.disputes)
+        setDisputeFilter(status)
+      }
+    } catch (error) {
+      console.error('Error loading disputes:', error)
+      alert(`Failed to load disputes: ${handleAPIError(error)}`)
+    } finally {
+      setIsLoadingDisputes(false)
+    }
+  }
+
+  const loadEscrowLedger = async (page = 1, mismatchesOnly = escrowMismatchesOnly) => {
+    setIsLoadingEscrow(true)
+    try {
+      const response = await guaranteeAPI.getEscrowLedger({ page, pageSize: ESCROW_PAGE_SIZE, mismatchesOnly })
+      if (response.success) {
+        setEscrowLedger(response.data)
+        setEscrowPage(page)
+        setEscrowMismatchesOnly(mismatchesOnly)
+      }
+    } catch (error) {
+      console.error('Error loading escrow ledger:', error)
+      alert(`Failed to load escrow ledger: ${handleAPIError(error)}`)
+    } finally {
+      setIsLoadingEscrow(false)
+    }
+  }
+
+  const loadSettlements = async () => {
+    try {
+      const response = await guaranteeAPI.listSettlements()
+      if (response.success) {
+        setSettlements(response.data.settlements)
+      }
+    } catch (error) {
+      console.error('Error loading penalty settlements:', error)
+    }
+  }
+
+  // Open a dispute with its evidence list, or close it when it is already open
+  const toggleDispute = async (disputeId) => {
+    if (selectedDispute?.disputeId === disputeId) {
+      setSelectedDispute(null)
+      return
+    }
+    try {
+      const response = await guaranteeAPI.getDispute(disputeId)
+      if (response.success) {
+        setSelectedDispute(response.data)
+        setResolution(EMPTY_RESOLUTION)
+      }
+    } catch (error) {
+      alert(`Failed to load dispute: ${handleAPIError(error)}`)
+    }
+  }
+
+  const downloadAttachment = async (disputeId, attachment) => {
+    try {
+      const blob = await guaranteeAPI.getDisputeAttachment(disputeId, attachment.attachmentId)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = attachment.fileName
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      alert(`Failed to download attachment: ${handleAPIError(error)}`)
+    }
+  }
+
+  const handleResolveDispute = async () => {
+    if (!resolution.notes.trim()) {
+      alert('Please add notes explaining the decision')
+      return
+    }
+    if (resolution.outcome === 'partial_refund' && !resolution.refundAmount) {
+      alert('Please enter the refund amount')
+      return
+    }
+
+    setIsResolving(true)
+    try {
+      const response = await guaranteeAPI.resolveDispute(selectedDispute.disputeId, {
+        outcome: resolution.outcome,
+        refundAmount: resolution.outcome === 'rejected' ? undefined : resolution.refundAmount || undefined,
+        notes: resolution.notes.trim()
+      })
+      if (response.success) {
+        alert(`Dispute resolved${Number(response.data.refundAmount) > 0 ? `: refund ${response.data.refundAmount} ETH` : ''}`)
+        setSelectedDispute(null)
+        loadDisputes()
+      }
+    } catch (error) {
+      alert(`Failed to resolve dispute: ${handleAPIError(error)}`)
+    } finally {
+      setIsResolving(false)
+    }
+  }
+
   const handleDisconnect = () => {
     disconnect()
     navigate('/signin')
@@ -141,14 +406,7 @@ function AdminDashboard() {
       if (response.success) {
         alert(`Worker registered successfully!\nAddress: ${newWorkerAddress}\nName: ${newWorkerName}\nType: ${newWorkerType}`)
         
-        // Add to local state
-        const newWorker = {
-          address: newWorkerAddress,
-          name: newWorkerName,
-          type: newWorkerType,
-          registeredAt: new Date().toISOString()
-        }
-        setRegisteredWorkers(prev => [...prev, newWorker])
+        await loadWorkers()
         
         // Reset form
         setNewWorkerAddress('')
@@ -165,25 +423,65 @@ function AdminDashboard() {
   }
 
   const removeWorker = async (addressToRemove) => {
-    if (confirm(`Are you sure you want to remove worker with address ${addressToRemove}?`)) {
+    if (confirm(`Are you sure you want to revoke worker ${addressToRemove}? They will lose delivery access immediately.`)) {
+      setRevokingWorker(addressToRemove)
       try {
-        // In a real implementation, you would call an API to remove from blockchain
-        // For now, just remove from local state
-        const updatedWorkers = registeredWorkers.filter(worker => worker.address !== addressToRemove)
-        setRegisteredWorkers(updatedWorkers)
-        
-        // If there's a remove worker API endpoint, uncomment below:
-        // const response = await workerAPI.removeWorker(addressToRemove)
-        // if (!response.success) {
-        //   alert(`Failed to remove worker: ${response.error}`)
-        //   return
-        // }
-        
-        alert(`Worker ${addressToRemove} has been removed successfully`)
+        const response = await workerAPI.removeWorker(addressToRemove)
+        if (response.success) {
+          // Step back a page when the last worker on this page was revoked
+          const page = registeredWorkers.length === 1 && workerPage > 1 ? workerPage - 1 : workerPage
+          await loadWorkers(page)
+          alert(`Worker ${addressToRemove} has been revoked`)
+        }
       } catch (error) {
         const errorMessage = handleAPIError(error)
-        alert(`Failed to remove worker: ${errorMessage}`)
+        alert(`Failed to revoke worker: ${errorMessage}`)
+      } finally {
+        setRevokingWorker('')
+      }
+    }
+  }
+
+  const resetAssignForm = () => {
+    setAssigningWorker('')
+    setAssignMailId('')
+    setAssignPriority('')
+    setAssignEta('')
+    setAssignDeliveryAddress('')
+  }
+
+  const assignMail = async () => {
+    if (!assignMailId.trim()) {
+      alert('Please enter a mail ID')
+      return
+    }
+
+    setIsAssigning(true)
+    try {
+      const assignment = { mailId: assignMailId.trim(), workerAddress: assigningWorker }
+      if (assignPriority) {
+        assignment.priority = assignPriority
+      }
+      if (assignEta) {
+        assignment.estimatedDelivery = new Date(assignEta).toISOString()
       }
+      if (assignDeliveryAddress.trim()) {
+        assignment.deliveryAddress = assignDeliveryAddress.trim()
+      }
+
+      const response = await adminAPI.assignMail(assignment)
+      if (response.success) {
+        const { previousWorkerAddress } = response.data
+        alert(previousWorkerAddress && previousWorkerAddress !== assigningWorker.toLowerCase()
+          ? `Mail ${assignment.mailId} reassigned from ${shortenAddress(previousWorkerAddress)} to ${shortenAddress(assigningWorker)}`
+          : `Mail ${assignment.mailId} assigned to ${shortenAddress(assigningWorker)}`)
+        resetAssignForm()
+      }
+    } catch (error) {
+      const errorMessage = handleAPIError(error)
+      alert(`Failed to assign mail: ${errorMessage}`)
+    } finally {
+      setIsAssigning(false)
     }
   }
 
@@ -198,20 +496,19 @@ function AdminDashboard() {
       return
     }
 
-    if (validDeliveryAddresses.includes(newAddress)) {
+    if (validDeliveryAddresses.some(entry => entry.address === newAddress.toLowerCase())) {
       alert('This address is already in the list')
       return
     }
 
     try {
-      const response = await adminAPI.addValidAddress(newAddress)
+      const response = await adminAPI.addValidAddress(newAddress, newAddressLabel.trim() || undefined)
       if (response.success) {
-        setValidDeliveryAddresses(prev => [...prev, newAddress])
+        await loadAddresses()
         setNewAddress('')
+        setNewAddressLabel('')
         setIsAddingAddress(false)
         alert('Delivery address added successfully!')
-      } else {
-        alert(`Failed to add address: ${response.error || 'Unknown error'}`)
       }
     } catch (error) {
       const errorMessage = handleAPIError(error)
@@ -220,19 +517,32 @@ function AdminDashboard() {
   }
 
   const removeDeliveryAddress = async (addressToRemove) => {
-    if (confirm(`Are you sure you want to remove address ${addressToRemove}?`)) {
-      try {
-        const response = await adminAPI.removeValidAddress(addressToRemove)
-        if (response.success) {
-          setValidDeliveryAddresses(prev => prev.filter(addr => addr !== addressToRemove))
-          alert('Address removed successfully!')
-        } else {
-          alert(`Failed to remove address: ${response.error || 'Unknown error'}`)
-        }
-      } catch (error) {
-        const errorMessage = handleAPIError(error)
-        alert(`Failed to remove address: ${errorMessage}`)
+    const reason = prompt(`Remove ${addressToRemove} from the delivery allowlist? Optionally enter a reason:`)
+    if (reason === null) {
+      return
+    }
+    try {
+      const response = await adminAPI.removeValidAddress(addressToRemove, reason.trim() || undefined)
+      if (response.success) {
+        await loadAddresses()
+        alert('Address removed successfully!')
       }
+    } catch (error) {
+      const errorMessage = handleAPIError(error)
+      alert(`Failed to remove address: ${errorMessage}`)
+    }
+  }
+
+  const loadAddresses = async () => {
+    try {
+      const [addressesResponse, auditResponse] = await Promise.all([
+        adminAPI.getValidAddresses(),
+        adminAPI.getAddressAudit({ pageSize: ADDRESS_AUDIT_SIZE })
+      ])
+      setValidDeliveryAddresses(addressesResponse.data.addresses)
+      setAddressAudit(auditResponse.data.entries)
+    } catch (error) {
+      console.error('Error loading delivery addresses:', error)
     }
   }
 
@@ -293,6 +603,47 @@ function AdminDashboard() {
           >
             Delivery Addresses
           </button>
+          <button
+            onClick={() => {
+              setActiveTab('shipments')
+              loadShipments(0)
+              loadAtRiskShipments()
+            }}
+            className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+              activeTab === 'shipments'
+                ? 'bg-white text-gray-900 shadow-sm'
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            Shipments
+          </button>
+          <button
+            onClick={() => {
+              setActiveTab('disputes')
+              loadDisputes()
+            }}
+            className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+              activeTab === 'disputes'
+                ? 'bg-white text-gray-900 shadow-sm'
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            Disputes
+          </button>
+          <button
+            onClick={() => {
+              setActiveTab('escrow')
+              loadEscrowLedger(1)
+              loadSettlements()
+            }}
+            className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+              activeTab === 'escrow'
+                ? 'bg-white text-gray-900 shadow-sm'
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            Escrow
+          </button>
           <button
             onClick={() => setActiveTab('stats')}
             className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
@@ -400,7 +751,7 @@ function AdminDashboard() {
               {/* Workers List */}
               <div className="space-y-4">
                 <h3 className="text-lg font-medium text-gray-800">
-                  Registered Workers ({registeredWorkers.length})
+                  Registered Workers ({workerPagination.total})
                 </h3>
                 
                 {registeredWorkers.length === 0 ? (
@@ -412,29 +763,135 @@ function AdminDashboard() {
                 ) : (
                   <div className="space-y-3">
                     {registeredWorkers.map((worker, index) => (
-                      <div key={index} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                        <div className="flex items-center space-x-3">
-                          <User className="w-5 h-5 text-purple-600" />
-                          <div>
-                            <span className="font-medium text-gray-800">{worker.name}</span>
-                            <span className="mx-2 text-gray-400">•</span>
-                            <span className="text-sm text-gray-600 capitalize">{worker.type}</span>
-                            <div className="text-xs text-gray-500 font-mono">{worker.address}</div>
+                      <div key={index} className="p-4 bg-gray-50 rounded-lg">
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center space-x-3">
+                            <User className="w-5 h-5 text-purple-600" />
+                            <div>
+                              <span className="font-medium text-gray-800">{worker.name}</span>
+                              <span className="mx-2 text-gray-400">•</span>
+                              <span className="text-sm text-gray-600 capitalize">{worker.type}</span>
+                              <div className="text-xs text-gray-500 font-mono">{worker.address}</div>
+                              <div className="text-xs text-gray-500 mt-1">
+                                {worker.recordedUpdates} status updates
+                                {worker.totalUpdates > 0 && ` • ${worker.totalUpdates} signed on chain`}
+                                {worker.lastUpdate && ` • last ${new Date(worker.lastUpdate).toLocaleString()}`}
+                              </div>
+                            </div>
+                          </div>
+                          <div className="flex space-x-2">
+                            <Button
+                              onClick={() => {
+                                resetAssignForm()
+                                setAssigningWorker(worker.address)
+                              }}
+                              variant="outline"
+                              size="sm"
+                              className="text-purple-600 hover:text-purple-700 hover:bg-purple-50"
+                            >
+                              <Package className="w-4 h-4 mr-1" />
+                              Assign Mail
+                            </Button>
+                            <Button
+                              onClick={() => removeWorker(worker.address)}
+                              disabled={revokingWorker === worker.address}
+                              variant="outline"
+                              size="sm"
+                              className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                            >
+                              {revokingWorker === worker.address ? (
+                                <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                              ) : (
+                                <Trash2 className="w-4 h-4 mr-1" />
+                              )}
+                              Revoke
+                            </Button>
                           </div>
                         </div>
-                        <Button
-                          onClick={() => removeWorker(worker.address)}
-                          variant="outline"
-                          size="sm"
-                          className="text-red-600 hover:text-red-700 hover:bg-red-50"
-                        >
-                          <Trash2 className="w-4 h-4 mr-1" />
-                          Remove
-                        </Button>
+
+                        {/* Assign Mail Form */}
+                        {assigningWorker === worker.address && (
+                          <div className="grid md:grid-cols-2 gap-3 mt-4 pt-4 border-t">
+                            <input
+                              type="text"
+                              value={assignMailId}
+                              onChange={(e) => setAssignMailId(e.target.value)}
+                              placeholder="Mail ID"
+                              className="p-2 border rounded-lg focus:ring-2 focus:ring-purple-500"
+                            />
+                            <select
+                              value={assignPriority}
+                              onChange={(e) => setAssignPriority(e.target.value)}
+                              className="p-2 border rounded-lg focus:ring-2 focus:ring-purple-500"
+                            >
+                              <option value="">Registered priority</option>
+                              <option value="high">High</option>
+                              <option value="normal">Normal</option>
+                              <option value="low">Low</option>
+                            </select>
+                            <input
+                              type="datetime-local"
+                              value={assignEta}
+                              onChange={(e) => setAssignEta(e.target.value)}
+                              title="ETA (defaults to the guaranteed delivery time)"
+                              className="p-2 border rounded-lg focus:ring-2 focus:ring-purple-500"
+                            />
+                            <input
+                              type="text"
+                              value={assignDeliveryAddress}
+                              onChange={(e) => setAssignDeliveryAddress(e.target.value)}
+                              placeholder="Delivery address (optional)"
+                              className="p-2 border rounded-lg focus:ring-2 focus:ring-purple-500"
+                            />
+                            <div className="flex space-x-3 md:col-span-2">
+                              <Button
+                                onClick={assignMail}
+                                disabled={isAssigning}
+                                size="sm"
+                                className="bg-green-600 hover:bg-green-700"
+                              >
+                                {isAssigning ? (
+                                  <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                                ) : (
+                                  <Check className="w-4 h-4 mr-1" />
+                                )}
+                                Assign
+                              </Button>
+                              <Button onClick={resetAssignForm} variant="outline" size="sm">
+                                <X className="w-4 h-4 mr-1" />
+                                Cancel
+                              </Button>
+                            </div>
+                          </div>
+                        )}
                       </div>
                     ))}
                   </div>
                 )}
+
+                {workerPagination.totalPages > 1 && (
+                  <div className="flex items-center justify-between pt-2">
+                    <Button
+                      onClick={() => loadWorkers(workerPage - 1)}
+                      disabled={workerPage <= 1}
+                      variant="outline"
+                      size="sm"
+                    >
+                      Previous
+                    </Button>
+                    <span className="text-sm text-gray-600">
+                      Page {workerPagination.page} of {workerPagination.totalPages}
+                    </span>
+                    <Button
+                      onClick={() => loadWorkers(workerPage + 1)}
+                      disabled={workerPage >= workerPagination.totalPages}
+                      variant="outline"
+                      size="sm"
+                    >
+                      Next
+                    </Button>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -468,6 +925,13 @@ function AdminDashboard() {
                       placeholder="Enter Ethereum wallet address (0x...)"
                       className="flex-1 p-3 border rounded-lg focus:ring-2 focus:ring-purple-500"
                     />
+                    <input
+                      type="text"
+                      value={newAddressLabel}
+                      onChange={(e) => setNewAddressLabel(e.target.value)}
+                      placeholder="Label (optional)"
+                      className="w-48 p-3 border rounded-lg focus:ring-2 focus:ring-purple-500"
+                    />
                     <Button 
                       onClick={addDeliveryAddress}
                       className="bg-green-600 hover:bg-green-700"
@@ -479,6 +943,7 @@ function AdminDashboard() {
                       onClick={() => {
                         setIsAddingAddress(false)
                         setNewAddress('')
+                        setNewAddressLabel('')
                       }}
                       variant="outline"
                     >
@@ -506,15 +971,20 @@ function AdminDashboard() {
                   </div>
                 ) : (
                   <div className="space-y-3">
-                    {validDeliveryAddresses.map((address, index) => (
-                      <div key={index} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                    {validDeliveryAddresses.map((entry) => (
+                      <div key={entry.address} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                         <div className="flex items-center space-x-3">
                           <Wallet className="w-5 h-5 text-purple-600" />
-                          <span className="font-mono text-gray-800">{address}</span>
-                          <span className="text-sm text-gray-500">({shortenAddress(address)})</span>
+                          <div>
+                            <span className="font-mono text-gray-800">{entry.address}</span>
+                            {entry.label && <span className="ml-2 text-sm text-gray-600">{entry.label}</span>}
+                            <div className="text-xs text-gray-500">
+                              Added by {shortenAddress(entry.addedBy)} on {new Date(entry.addedAt).toLocaleString()}
+                            </div>
+                          </div>
                         </div>
                         <Button
-                          onClick={() => removeDeliveryAddress(address)}
+                          onClick={() => removeDeliveryAddress(entry.address)}
                           variant="outline"
                           size="sm"
                           className="text-red-600 hover:text-red-700 hover:bg-red-50"
@@ -527,6 +997,516 @@ function AdminDashboard() {
                   </div>
                 )}
               </div>
+
+              {/* Allowlist Audit Trail */}
+              {addressAudit.length > 0 && (
+                <div className="space-y-2 mt-6">
+                  <h3 className="text-lg font-medium text-gray-800 flex items-center">
+                    <Clock className="w-5 h-5 mr-2 text-purple-600" />
+                    Recent Changes
+                  </h3>
+                  {addressAudit.map((entry) => (
+                    <div key={entry.id} className="text-sm text-gray-600 flex items-center justify-between p-2 border-b">
+                      <span>
+                        <span className={entry.action === 'added' ? 'text-green-700' : 'text-red-700'}>
+                          {entry.action === 'added' ? 'Added' : 'Removed'}
+                        </span>
+                        {' '}<span className="font-mono">{shortenAddress(entry.address)}</span>
+                        {' '}by <span className="font-mono">{shortenAddress(entry.actorAddress)}</span>
+                        {entry.reason && <span className="text-gray-500"> ({entry.reason})</span>}
+                      </span>
+                      <span className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Shipments Tab */}
+          {activeTab === 'shipments' && atRiskShipments.length > 0 && (
+            <div className="bg-white rounded-lg p-6 shadow-lg border-l-4 border-orange-500">
+              <h2 className="text-xl font-semibold text-gray-800 flex items-center mb-4">
+                <AlertTriangle className="w-5 h-5 mr-2 text-orange-600" />
+                At-Risk Shipments ({atRiskShipments.length})
+              </h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-left text-gray-600">
+                      <th className="py-2 pr-4 font-medium">Tracking #</th>
+                      <th className="py-2 pr-4 font-medium">Guarantee</th>
+                      <th className="py-2 pr-4 font-medium">Customer</th>
+                      <th className="py-2 pr-4 font-medium">Guaranteed By</th>
+                      <th className="py-2 pr-4 font-medium">Time Left</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {atRiskShipments.map(shipment => (
+                      <tr key={shipment.mailId} className="border-b">
+                        <td className="py-2 pr-4">
+                          <div className="font-mono text-gray-800">{shipment.trackingNumber || '—'}</div>
+                          <div className="text-xs text-gray-500">{shipment.mailId}</div>
+                        </td>
+                        <td className="py-2 pr-4 font-mono">{shipment.guaranteeId}</td>
+                        <td className="py-2 pr-4">{shortenAddress(shipment.customer)}</td>
+                        <td className="py-2 pr-4">{new Date(shipment.deadline).toLocaleString()}</td>
+                        <td className="py-2 pr-4">
+                          <span className={`px-2 py-0.5 rounded text-xs ${slaBadgeClass(shipment.secondsRemaining)}`}>
+                            {formatTimeRemaining(shipment.secondsRemaining)}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'shipments' && (
+            <div className="bg-white rounded-lg p-6 shadow-lg">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                  <Package className="w-6 h-6 mr-2 text-purple-600" />
+                  Shipments ({shipmentPagination.total})
+                </h2>
+                <div className="flex space-x-3">
+                  <select
+                    value={shipmentFilters.status}
+                    onChange={(e) => loadShipments(0, { ...shipmentFilters, status: e.target.value })}
+                    className="p-2 border rounded-lg text-sm focus:ring-2 focus:ring-purple-500"
+                  >
+                    <option value="">All statuses</option>
+                    {DELIVERY_STATUSES.map(status => (
+                      <option key={status.name} value={status.name}>{status.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={shipmentFilters.type}
+                    onChange={(e) => loadShipments(0, { ...shipmentFilters, type: e.target.value })}
+                    className="p-2 border rounded-lg text-sm capitalize focus:ring-2 focus:ring-purple-500"
+                  >
+                    <option value="">All types</option>
+                    {MAIL_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {isLoadingShipments ? (
+                <div className="text-center py-8">
+                  <Loader2 className="w-8 h-8 text-purple-600 mx-auto mb-2 animate-spin" />
+                  <p className="text-gray-600">Loading shipments...</p>
+                </div>
+              ) : shipments.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  <Package className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+                  <p>No shipments found</p>
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b text-left text-gray-600">
+                        {SHIPMENT_COLUMNS.map(column => (
+                          <th key={column.key} className="py-2 pr-4 font-medium">
+                            <button
+                              onClick={() => toggleShipmentSort(column.key)}
+                              className="flex items-center hover:text-gray-900"
+                            >
+                              {column.label}
+                              {shipmentSort.key === column.key && (shipmentSort.direction === 'asc'
+                                ? <ChevronUp className="w-4 h-4 ml-1" />
+                                : <ChevronDown className="w-4 h-4 ml-1" />)}
+                            </button>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[...shipments].sort(compareShipments(shipmentSort)).map(shipment => (
+                        <tr
+                          key={shipment.mailId}
+                          className={`border-b ${atRiskShipments.some(risk => risk.mailId === shipment.mailId) ? 'bg-orange-50' : 'hover:bg-gray-50'}`}
+                        >
+                          <td className="py-2 pr-4">
+                            <div className="font-mono text-gray-800">{shipment.trackingNumber}</div>
+                            <div className="text-xs text-gray-500">{shipment.mailId}</div>
+                          </td>
+                          <td className="py-2 pr-4 capitalize">{shipment.mailType}</td>
+                          <td className="py-2 pr-4">{statusLabel(shipment.statusCode)}</td>
+                          <td className="py-2 pr-4">{shipment.lastLocation || '—'}</td>
+                          <td className="py-2 pr-4">{new Date(shipment.lastUpdate).toLocaleString()}</td>
+                          <td className="py-2 pr-4">{new Date(shipment.guaranteedDeliveryTime).toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {shipmentPagination.total > SHIPMENT_PAGE_SIZE && (
+                <div className="flex items-center justify-between pt-4">
+                  <Button
+                    onClick={() => loadShipments(shipmentPagination.offset - SHIPMENT_PAGE_SIZE)}
+                    disabled={shipmentPagination.offset === 0 || isLoadingShipments}
+                    variant="outline"
+                    size="sm"
+                  >
+                    Previous
+                  </Button>
+                  <span className="text-sm text-gray-600">
+                    {shipmentPagination.offset + 1}–{Math.min(shipmentPagination.offset + SHIPMENT_PAGE_SIZE, shipmentPagination.total)} of {shipmentPagination.total}
+                  </span>
+                  <Button
+                    onClick={() => loadShipments(shipmentPagination.offset + SHIPMENT_PAGE_SIZE)}
+                    disabled={shipmentPagination.offset + SHIPMENT_PAGE_SIZE >= shipmentPagination.total || isLoadingShipments}
+                    variant="outline"
+                    size="sm"
+                  >
+                    Next
+                  </Button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Dispute Queue Tab */}
+          {activeTab === 'disputes' && (
+            <div className="bg-white rounded-lg p-6 shadow-lg">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                  <Scale className="w-6 h-6 mr-2 text-purple-600" />
+                  Guarantee Disputes
+                </h2>
+                <select
+                  value={disputeFilter}
+                  onChange={(e) => loadDisputes(e.target.value)}
+                  className="p-2 border rounded-lg text-sm"
+                >
+                  <option value="open">Open</option>
+                  <option value="resolved">Resolved</option>
+                  <option value="">All</option>
+                </select>
+              </div>
+
+              {isLoadingDisputes ? (
+                <div className="text-center py-8">
+                  <Loader2 className="w-8 h-8 text-purple-600 mx-auto mb-2 animate-spin" />
+                  <p className="text-gray-600">Loading disputes...</p>
+                </div>
+              ) : disputes.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  <Scale className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+                  <p>No {disputeFilter} disputes</p>
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {disputes.map(dispute => (
+                    <div key={dispute.disputeId} className="border rounded-lg p-4">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <p className="font-medium text-gray-800">
+                            {dispute.guaranteeId}
+                            <span className="ml-2 text-xs text-gray-500 font-normal">Mail {dispute.mailId}</span>
+                          </p>
+                          <p className="text-sm text-gray-600">{dispute.reason}</p>
+                          <p className="text-xs text-gray-500">
+                            Opened by {shortenAddress(dispute.openedBy)} on {new Date(dispute.createdAt).toLocaleString()}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-3">
+                          <span className={`px-2 py-0.5 rounded text-xs ${
+                            dispute.status === 'open' ? 'bg-yellow-100 text-yellow-800' :
+                            dispute.outcome === 'rejected' ? 'bg-gray-100 text-gray-800' :
+                            'bg-green-100 text-green-800'
+                          }`}>
+                            {dispute.status === 'open' ? 'open' : dispute.outcome.replace(/_/g, ' ')}
+                          </span>
+                          <Button variant="outline" size="sm" onClick={() => toggleDispute(dispute.disputeId)}>
+                            {selectedDispute?.disputeId === dispute.disputeId ? 'Close' : dispute.status === 'open' ? 'Review' : 'View'}
+                          </Button>
+                        </div>
+                      </div>
+
+                      {selectedDispute?.disputeId === dispute.disputeId && (
+                        <div className="mt-4 pt-4 border-t space-y-4">
+                          <div>
+                            <h4 className="text-sm font-medium text-gray-700 mb-2">Evidence</h4>
+                            {selectedDispute.attachments.length === 0 ? (
+                              <p className="text-sm text-gray-500">No attachments</p>
+                            ) : (
+                              <div className="flex flex-wrap gap-2">
+                                {selectedDispute.attachments.map(attachment => (
+                                  <Button
+                                    key={attachment.attachmentId}
+                                    variant="outline"
+                                    size="sm"
+                                    onClick={() => downloadAttachment(selectedDispute.disputeId, attachment)}
+                                  >
+                                    <Download className="w-4 h-4 mr-1" />
+                                    {attachment.fileName} ({Math.ceil(attachment.size / 1024)} KB)
+                                  </Button>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+
+                          {selectedDispute.status === 'resolved' ? (
+                            <div className="text-sm text-gray-600 space-y-1">
+                              <p><strong>Outcome:</strong> {selectedDispute.outcome.replace(/_/g, ' ')}</p>
+                              <p><strong>Refund:</strong> {selectedDispute.refundAmount} ETH</p>
+                              <p><strong>Notes:</strong> {selectedDispute.resolutionNotes}</p>
+                              <p><strong>Resolved:</strong> {new Date(selectedDispute.resolvedAt).toLocaleString()} by {shortenAddress(selectedDispute.resolvedBy)}</p>
+                            </div>
+                          ) : (
+                            <div className="bg-gray-50 rounded-lg p-4 grid gap-3">
+                              <div className="grid md:grid-cols-2 gap-3">
+                                <div>
+                                  <label className="block text-sm font-medium text-gray-700 mb-1">Outcome</label>
+                                  <select
+                                    value={resolution.outcome}
+                                    onChange={(e) => setResolution(prev => ({ ...prev, outcome: e.target.value }))}
+                                    className="w-full p-2 border rounded-md"
+                                  >
+                                    {DISPUTE_OUTCOMES.map(outcome => (
+                                      <option key={outcome.value} value={outcome.value}>{outcome.label}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                                {resolution.outcome !== 'rejected' && (
+                                  <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                      Refund (ETH){resolution.outcome === 'upheld' && ' — leave blank for the full penalty'}
+                                    </label>
+                                    <input
+                                      type="number"
+                                      min="0"
+                                      step="0.001"
+                                      value={resolution.refundAmount}
+                                      onChange={(e) => setResolution(prev => ({ ...prev, refundAmount: e.target.value }))}
+                                      className="w-full p-2 border rounded-md"
+                                    />
+                                  </div>
+                                )}
+                              </div>
+                              <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                                <textarea
+                                  value={resolution.notes}
+                                  onChange={(e) => setResolution(prev => ({ ...prev, notes: e.target.value }))}
+                                  rows={3}
+                                  className="w-full p-2 border rounded-md"
+                                  placeholder="Explain the decision; this is sent to the customer"
+                                />
+                              </div>
+                              <div className="flex space-x-2">
+                                <Button
+                                  onClick={handleResolveDispute}
+                                  disabled={isResolving || !resolution.notes.trim()}
+                                  className="bg-purple-600 hover:bg-purple-700"
+                                >
+                                  {isResolving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Check className="w-4 h-4 mr-2" />}
+                                  Resolve Dispute
+                                </Button>
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Escrow Ledger Tab */}
+          {activeTab === 'escrow' && (
+            <div className="bg-white rounded-lg p-6 shadow-lg">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                  <Landmark className="w-6 h-6 mr-2 text-purple-600" />
+                  Escrow Ledger
+                </h2>
+                <label className="flex items-center text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={escrowMismatchesOnly}
+                    onChange={(e) => loadEscrowLedger(1, e.target.checked)}
+                    className="mr-2"
+                  />
+                  Mismatches only
+                </label>
+              </div>
+
+              {isLoadingEscrow && !escrowLedger ? (
+                <div className="text-center py-8">
+                  <Loader2 className="w-8 h-8 text-purple-600 mx-auto mb-2 animate-spin" />
+                  <p className="text-gray-600">Reconciling escrow...</p>
+                </div>
+              ) : escrowLedger && (
+                <div className="space-y-6">
+                  <div className={`rounded-lg p-4 text-sm ${escrowLedger.balanced ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                    <p className="font-medium flex items-center">
+                      {escrowLedger.balanced ? <Check className="w-4 h-4 mr-2" /> : <AlertTriangle className="w-4 h-4 mr-2" />}
+                      {escrowLedger.balanced
+                        ? 'Escrow pool reconciles with every guarantee'
+                        : `${escrowLedger.mismatchedGuarantees} guarantee(s) and ${escrowLedger.mismatches.length} pool check(s) do not reconcile`}
+                    </p>
+                    {escrowLedger.mismatches.length > 0 && (
+                      <ul className="list-disc ml-8 mt-2">
+                        {escrowLedger.mismatches.map(mismatch => <li key={mismatch}>{mismatch}</li>)}
+                      </ul>
+                    )}
+                    <p className="text-xs mt-2 opacity-75">
+                      {escrowLedger.reconciledAt.matchesIndex
+                        ? `Reconciled at indexed block ${escrowLedger.reconciledAt.blockNumber}`
+                        : 'Reconciled at the latest block; recent events may not be indexed yet'}
+                    </p>
+                  </div>
+
+                  <div className="grid md:grid-cols-3 lg:grid-cols-6 gap-4">
+                    {ESCROW_TOTALS.map(total => (
+                      <div key={total.key} className="border rounded-lg p-4 text-center">
+                        <p className="text-lg font-bold text-gray-800">{escrowLedger.totals[total.key]} ETH</p>
+                        <p className="text-xs text-gray-600">{total.label}</p>
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    {escrowLedger.totals.indexedGuarantees} of {escrowLedger.totals.totalGuarantees} guarantees indexed
+                  </p>
+
+                  {escrowLedger.guarantees.length === 0 ? (
+                    <div className="text-center py-8 text-gray-500">
+                      <Landmark className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+                      <p>{escrowMismatchesOnly ? 'No mismatched guarantees' : 'No escrow deposits indexed'}</p>
+                    </div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b text-left text-gray-600">
+                            <th className="py-2 pr-4 font-medium">Guarantee</th>
+                            <th className="py-2 pr-4 font-medium">Deposited</th>
+                            <th className="py-2 pr-4 font-medium">Released</th>
+                            <th className="py-2 pr-4 font-medium">Held</th>
+                            <th className="py-2 pr-4 font-medium">On Chain</th>
+                            <th className="py-2 pr-4 font-medium">Mismatches</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {escrowLedger.guarantees.map(guarantee => (
+                            <tr
+                              key={guarantee.guaranteeIdHash}
+                              className={`border-b ${guarantee.mismatches.length > 0 ? 'bg-red-50' : 'hover:bg-gray-50'}`}
+                            >
+                              <td className="py-2 pr-4 font-mono text-gray-800">
+                                {guarantee.guaranteeId || shortenAddress(guarantee.guaranteeIdHash)}
+                              </td>
+                              <td className="py-2 pr-4">{guarantee.deposited} ETH</td>
+                              <td className="py-2 pr-4">
+                                {guarantee.released} ETH
+                                {guarantee.releases.some(release => release.isPenalty) && (
+                                  <span className="ml-2 px-2 py-0.5 rounded text-xs bg-orange-100 text-orange-800">penalty</span>
+                                )}
+                              </td>
+                              <td className="py-2 pr-4">{guarantee.held} ETH</td>
+                              <td className="py-2 pr-4">
+                                {guarantee.onChain
+                                  ? `${guarantee.onChain.amount} ETH, ${guarantee.onChain.isReleased ? 'released' : 'held'}`
+                                  : '—'}
+                              </td>
+                              <td className="py-2 pr-4 text-red-700">
+                                {guarantee.mismatches.length === 0 ? (
+                                  <Check className="w-4 h-4 text-green-600" />
+                                ) : (
+                                  guarantee.mismatches.map(mismatch => <div key={mismatch}>{mismatch}</div>)
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  {escrowLedger.pagination.totalPages > 1 && (
+                    <div className="flex items-center justify-between">
+                      <Button
+                        onClick={() => loadEscrowLedger(escrowPage - 1)}
+                        disabled={escrowPage <= 1 || isLoadingEscrow}
+                        variant="outline"
+                        size="sm"
+                      >
+                        Previous
+                      </Button>
+                      <span className="text-sm text-gray-600">
+                        Page {escrowPage} of {escrowLedger.pagination.totalPages}
+                      </span>
+                      <Button
+                        onClick={() => loadEscrowLedger(escrowPage + 1)}
+                        disabled={escrowPage >= escrowLedger.pagination.totalPages || isLoadingEscrow}
+                        variant="outline"
+                        size="sm"
+                      >
+                        Next
+                      </Button>
+                    </div>
+                  )}
+
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-800 mb-3">Penalty Settlements ({settlements.length})</h3>
+                    {settlements.length === 0 ? (
+                      <p className="text-sm text-gray-500">No penalties settled yet</p>
+                    ) : (
+                      <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="border-b text-left text-gray-600">
+                              <th className="py-2 pr-4 font-medium">Guarantee</th>
+                              <th className="py-2 pr-4 font-medium">Penalty</th>
+                              <th className="py-2 pr-4 font-medium">Deadline</th>
+                              <th className="py-2 pr-4 font-medium">Status</th>
+                              <th className="py-2 pr-4 font-medium">Source</th>
+                              <th className="py-2 pr-4 font-medium">Notified</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {settlements.map(settlement => (
+                              <tr key={settlement.guaranteeId} className={`border-b ${settlement.status === 'failed' ? 'bg-red-50' : ''}`}>
+                                <td className="py-2 pr-4">
+                                  <div className="font-mono text-gray-800">{settlement.guaranteeId}</div>
+                                  <div className="text-xs text-gray-500">Mail {settlement.mailId}</div>
+                                </td>
+                                <td className="py-2 pr-4">{settlement.penaltyAmount} ETH</td>
+                                <td className="py-2 pr-4">{new Date(settlement.deadline).toLocaleString()}</td>
+                                <td className="py-2 pr-4">
+                                  <span className={`px-2 py-0.5 rounded text-xs ${
+                                    settlement.status === 'settled' ? 'bg-green-100 text-green-800' :
+                                    settlement.status === 'failed' ? 'bg-red-100 text-red-800' :
+                                    'bg-yellow-100 text-yellow-800'
+                                  }`}>
+                                    {settlement.status}
+                                  </span>
+                                  {settlement.error && <div className="text-xs text-red-700 mt-1">{settlement.error}</div>}
+                                </td>
+                                <td className="py-2 pr-4 capitalize">{settlement.source}</td>
+                                <td className="py-2 pr-4">
+                                  {settlement.notifications.filter(notification => notification.delivered).length} of {settlement.notifications.length}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
@@ -576,8 +1556,8 @@ function AdminDashboard() {
                 </div>
                 <div className="bg-white rounded-lg p-6 shadow-lg text-center">
                   <Wallet className="w-8 h-8 text-indigo-600 mx-auto mb-2" />
-                  <p className="text-2xl font-bold text-gray-800">{systemStats.totalInsurancePool.toFixed(2)} ETH</p>
-                  <p className="text-sm text-gray-600">Insurance Pool</p>
+                  <p className="text-2xl font-bold text-gray-800">{systemStats.totalEscrow.toFixed(2)} ETH</p>
+                  <p className="text-sm text-gray-600">Escrow Held</p>
                 </div>
               </div>
               
@@ -603,8 +1583,11 @@ function AdminDashboard() {
                       <p>• System status: {isLoading ? 'Loading...' : 'Active'}</p>
                       <p>• Blockchain integration: Active</p>
                       <p>• Average delivery time: {systemStats.averageDeliveryTime} hours</p>
-                      <p>• Total insurance pool: {systemStats.totalInsurancePool.toFixed(3)} ETH</p>
+                      <p>• Total escrow held: {systemStats.totalEscrow.toFixed(3)} ETH</p>
                       <p>• Penalties claimed: {systemStats.penaltiesClaimed}</p>
+                      {Object.entries(systemStats.guaranteeStatusBreakdown).map(([status, count]) => (
+                        <p key={status}>• {status.charAt(0) + status.slice(1).toLowerCase()} guarantees: {count}</p>
+                      ))}
                     </div>
                   </div>
                 </div>
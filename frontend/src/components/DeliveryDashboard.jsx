@@ -3,12 +3,54 @@ import { useNavigate } from 'react-router-dom'
 import { useState, useEffect } from 'react'
 import { useWallet } from '../contexts/WalletContext.jsx'
 import { mailAPI, deliveryAPI, workerAPI, guaranteeAPI, generateMailId, generateTrackingNumber, handleAPIError } from '../services/api.js'
-import { Truck, Plus, Edit, ArrowLeft, Package, MapPin, Clock, User, Wallet, LogOut, AlertTriangle, Shield, Loader2, CheckCircle } from 'lucide-react'
+import { DELIVERY_STATUSES, statusLabel } from '@/lib/deliveryStatus.js'
+import { formatTimeRemaining, slaBadgeClass } from '@/lib/slaStatus.js'
+import { Truck, Plus, Edit, ArrowLeft, Package, MapPin, Clock, User, Wallet, LogOut, AlertTriangle, Shield, Loader2, CheckCircle, Upload, Search } from 'lucide-react'
+
+const IMPORT_POLL_INTERVAL_MS = 3000
+const FINISHED_IMPORT_STATUSES = ['completed', 'completed_with_errors', 'failed']
+const IMPORT_COLUMNS = [
+  'mailId', 'trackingNumber', 'senderAddress', 'recipientId', 'mailType', 'guaranteedDeliveryTime',
+  'requiresTimeProof', 'weight', 'size', 'priority', 'insurance', 'requiresSignature'
+]
+
+// DeliveryGuarantee.GuaranteeStatus, in enum order
+const GUARANTEE_STATUS_NAMES = ['ACTIVE', 'FULFILLED', 'BREACHED', 'DISPUTED', 'CANCELLED']
+const DISPUTABLE_GUARANTEE_STATUSES = ['FULFILLED', 'BREACHED']
+const DISPUTE_ATTACHMENT_ACCEPT = '.pdf,.png,.jpg,.jpeg,.gif,.txt'
+
+// Badge colours for guarantee statuses
+const guaranteeStatusClass = (status) => {
+  if (status === 'ACTIVE' || status === 'FULFILLED') return 'bg-green-100 text-green-800'
+  if (status === 'BREACHED') return 'bg-red-100 text-red-800'
+  if (status === 'DISPUTED') return 'bg-yellow-100 text-yellow-800'
+  return 'bg-gray-100 text-gray-800'
+}
+
+// Evidence file as the { fileName, contentType, content (base64) } the dispute API takes
+const readAttachment = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve({
+    fileName: file.name,
+    contentType: file.type || 'application/octet-stream',
+    content: reader.result.split(',')[1]
+  })
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
+// Badge colours for import job and row statuses
+const importStatusClass = (status) => {
+  if (status === 'registered' || status === 'completed') return 'bg-green-100 text-green-800'
+  if (status === 'failed' || status === 'completed_with_errors') return 'bg-red-100 text-red-800'
+  if (status === 'queued') return 'bg-gray-100 text-gray-800'
+  return 'bg-blue-100 text-blue-800'
+}
 
 function DeliveryDashboard() {
   const navigate = useNavigate()
   const [activeTab, setActiveTab] = useState('overview')
-  const { account, shortenAddress, disconnect, isConnected } = useWallet()
+  const { account, shortenAddress, disconnect, isConnected, sendWalletTransaction } = useWallet()
   const [isValidDeliveryAddress, setIsValidDeliveryAddress] = useState(false)
   const [isCheckingAddress, setIsCheckingAddress] = useState(true)
   
@@ -37,7 +79,26 @@ function DeliveryDashboard() {
   
   // Package list state
   const [packages, setPackages] = useState([])
+  const [completedToday, setCompletedToday] = useState(0)
   const [isLoading, setIsLoading] = useState(false)
+  const [atRiskShipments, setAtRiskShipments] = useState([])
+
+  // Manifest import state
+  const [importFile, setImportFile] = useState(null)
+  const [importErrors, setImportErrors] = useState([])
+  const [importJob, setImportJob] = useState(null)
+  const [importJobs, setImportJobs] = useState([])
+  const [isImporting, setIsImporting] = useState(false)
+
+  // Guarantee cancellation and dispute state
+  const [guaranteeMailId, setGuaranteeMailId] = useState('')
+  const [mailGuarantees, setMailGuarantees] = useState(null)
+  const [isLoadingGuarantees, setIsLoadingGuarantees] = useState(false)
+  const [guaranteeAction, setGuaranteeAction] = useState('')
+  const [disputeGuaranteeId, setDisputeGuaranteeId] = useState('')
+  const [disputeReason, setDisputeReason] = useState('')
+  const [disputeFiles, setDisputeFiles] = useState([])
+  const [myDisputes, setMyDisputes] = useState([])
 
   // Check if current address is valid for delivery access
   useEffect(() => {
@@ -54,6 +115,7 @@ function DeliveryDashboard() {
       if (isValid) {
         setIsValidDeliveryAddress(true)
         loadRecentPackages()
+        loadAtRiskShipments()
       } else {
         setIsValidDeliveryAddress(false)
         setTimeout(() => {
@@ -71,6 +133,26 @@ function DeliveryDashboard() {
     }
   }
 
+  // Poll the current import job until every row has settled
+  useEffect(() => {
+    if (!importJob || FINISHED_IMPORT_STATUSES.includes(importJob.status)) {
+      return
+    }
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response = await mailAPI.getImportJob(importJob.jobId)
+        if (response.success) {
+          setImportJob(response.data)
+        }
+      } catch (error) {
+        console.error('Error polling import job:', error)
+        // A new object re-runs this effect, so polling continues after a failed request
+        setImportJob(job => ({ ...job }))
+      }
+    }, IMPORT_POLL_INTERVAL_MS)
+    return () => clearTimeout(timeoutId)
+  }, [importJob])
+
   // Redirect if not connected
   useEffect(() => {
     if (!isConnected) {
@@ -110,15 +192,19 @@ function DeliveryDashboard() {
       // Get packages assigned to this delivery worker
       const response = await deliveryAPI.getAssignedPackages(account)
       if (response.success && response.data) {
-        const formattedPackages = response.data.map(pkg => ({
-          id: pkg.trackingNumber || pkg.mailId,
-          recipient: pkg.metadata?.recipientName || 'Unknown',
-          address: pkg.metadata?.deliveryAddress || 'Unknown',
-          status: pkg.status || 'Unknown',
-          createTime: pkg.createdAt ? new Date(pkg.createdAt).toLocaleString() : 'Unknown',
-          updateTime: pkg.updatedAt ? new Date(pkg.updatedAt).toLocaleString() : 'Unknown'
+        const formattedPackages = response.data.assignedPackages.map(pkg => ({
+          id: pkg.trackingNumber,
+          mailId: pkg.mailId,
+          recipient: shortenAddress(pkg.recipientId),
+          address: pkg.deliveryAddress || 'Unknown',
+          status: statusLabel(pkg.status),
+          priority: pkg.priority,
+          eta: new Date(pkg.estimatedDelivery).toLocaleString(),
+          createTime: new Date(pkg.assignedAt).toLocaleString(),
+          updateTime: pkg.lastUpdate ? new Date(pkg.lastUpdate).toLocaleString() : 'No updates yet'
         }))
         setPackages(formattedPackages)
+        setCompletedToday(response.data.completedToday)
       } else {
         setPackages([])
       }
@@ -130,6 +216,18 @@ function DeliveryDashboard() {
     }
   }
 
+  // Shipments the SLA monitor found within two hours of their guaranteed deadline, or past it
+  const loadAtRiskShipments = async () => {
+    try {
+      const response = await guaranteeAPI.getAtRiskShipments()
+      if (response.success) {
+        setAtRiskShipments(response.data.shipments)
+      }
+    } catch (error) {
+      console.error('Error loading at-risk shipments:', error)
+    }
+  }
+
   // Handle form submission
   const handleCreateExpressSubmit = async (e) => {
     e.preventDefault()
@@ -267,11 +365,11 @@ function DeliveryDashboard() {
         trackingNumber: selectedPackageId,
         location: currentLocation,
         coordinates: {
-          latitude: 40712800, // Default NYC coordinates - in real app, use actual GPS
-          longitude: -74006000
+          latitude: 40.7128, // Default NYC coordinates in degrees - in real app, use actual GPS
+          longitude: -74.0060
         },
         status: newStatus,
-        signature: '0x' + '1'.repeat(130), // Mock signature - would be real cryptographic signature
+        workerAddress: account,
         timeData: {
           ntpServer: 'time.google.com',
           atomicTime: Math.floor(Date.now() / 1000),
@@ -288,12 +386,8 @@ function DeliveryDashboard() {
       if (response.success) {
         alert(`Status updated successfully for ${selectedPackageId}`)
         
-        // Update local package state
-        setPackages(prev => prev.map(pkg => 
-          pkg.id === selectedPackageId 
-            ? { ...pkg, status: newStatus, updateTime: new Date().toLocaleString() }
-            : pkg
-        ))
+        // Reload the queue so delivered packages drop out and today's count updates
+        loadRecentPackages()
         
         // Reset form
         setSelectedPackageId('')
@@ -310,11 +404,182 @@ function DeliveryDashboard() {
     }
   }
 
+  // Load this worker's recent manifest imports
+  const loadImportJobs = async () => {
+    try {
+      const response = await mailAPI.listImportJobs()
+      if (response.success) {
+        setImportJobs(response.data.jobs)
+      }
+    } catch (error) {
+      console.error('Error loading import jobs:', error)
+    }
+  }
+
+  const handleImportFileChange = (e) => {
+    setImportFile(e.target.files[0] || null)
+    setImportErrors([])
+  }
+
+  // Upload the selected manifest; rejected rows are listed instead of importing anything
+  const handleImportSubmit = async () => {
+    if (!importFile) {
+      alert('Please select a CSV or JSON manifest')
+      return
+    }
+
+    setIsImporting(true)
+    setImportErrors([])
+    try {
+      const format = importFile.name.toLowerCase().endsWith('.json') ? 'json' : 'csv'
+      const manifest = await importFile.text()
+      const response = await mailAPI.importManifest(format, manifest)
+
+      if (response.success) {
+        setImportJob(response.data)
+        setImportFile(null)
+        loadImportJobs()
+      }
+    } catch (error) {
+      if (Array.isArray(error.details)) {
+        setImportErrors(error.details)
+      } else {
+        alert(`Failed to import manifest: ${handleAPIError(error)}`)
+      }
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  // Show a previous import with its per-row results
+  const handleViewImportJob = async (jobId) => {
+    try {
+      const response = await mailAPI.getImportJob(jobId)
+      if (response.success) {
+        setImportJob(response.data)
+      }
+    } catch (error) {
+      alert(`Failed to load import: ${handleAPIError(error)}`)
+    }
+  }
+
+  // Load the disputes this user has opened
+  const loadMyDisputes = async () => {
+    try {
+      const response = await guaranteeAPI.listDisputes()
+      if (response.success) {
+        setMyDisputes(response.data.disputes)
+      }
+    } catch (error) {
+      console.error('Error loading disputes:', error)
+    }
+  }
+
+  // Look up every guarantee on a mail item with its current status
+  const loadMailGuarantees = async (mailId = guaranteeMailId) => {
+    if (!mailId.trim()) {
+      alert('Please enter a mail ID')
+      return
+    }
+
+    setIsLoadingGuarantees(true)
+    try {
+      const response = await guaranteeAPI.getMailGuarantees(mailId.trim())
+      if (response.success) {
+        setMailGuarantees(response.data)
+      }
+    } catch (error) {
+      alert(`Failed to load guarantees: ${handleAPIError(error)}`)
+      setMailGuarantees(null)
+    } finally {
+      setIsLoadingGuarantees(false)
+    }
+  }
+
+  // Cancel an ACTIVE guarantee. When the backend cannot sign for the guarantee's customer,
+  // the prepared cancelGuarantee transaction is sent from the connected wallet instead.
+  const handleCancelGuarantee = async (guaranteeId) => {
+    if (!window.confirm(`Cancel guarantee ${guaranteeId}? The escrow is refunded to the customer.`)) {
+      return
+    }
+
+    setGuaranteeAction(guaranteeId)
+    try {
+      let response
+      try {
+        response = await guaranteeAPI.cancel(guaranteeId)
+      } catch (error) {
+        if (error.code !== 'WALLET_TRANSACTION_REQUIRED') {
+          throw error
+        }
+        const transactionHash = await sendWalletTransaction(error.data.transaction)
+        response = await guaranteeAPI.cancel(guaranteeId, transactionHash)
+      }
+
+      if (response.success) {
+        alert(`Guarantee cancelled. ${response.data.refundAmount} ETH refunded to ${shortenAddress(response.data.refundedTo)}`)
+        loadMailGuarantees()
+      }
+    } catch (error) {
+      const message = error.code === 'ACTION_REJECTED' || error.code === 4001
+        ? 'Cancellation was rejected in your wallet'
+        : handleAPIError(error)
+      alert(`Failed to cancel guarantee: ${message}`)
+    } finally {
+      setGuaranteeAction('')
+    }
+  }
+
+  const resetDisputeForm = () => {
+    setDisputeGuaranteeId('')
+    setDisputeReason('')
+    setDisputeFiles([])
+  }
+
+  // Open a dispute with the reason and any evidence files
+  const handleOpenDispute = async () => {
+    if (!disputeReason.trim()) {
+      alert('Please describe why you are disputing this guarantee')
+      return
+    }
+
+    setGuaranteeAction(disputeGuaranteeId)
+    try {
+      const attachments = await Promise.all(disputeFiles.map(readAttachment))
+      const response = await guaranteeAPI.openDispute(disputeGuaranteeId, disputeReason.trim(), attachments)
+
+      if (response.success) {
+        alert(`Dispute ${response.data.disputeId} opened. An administrator will review it.`)
+        resetDisputeForm()
+        loadMailGuarantees()
+        loadMyDisputes()
+      }
+    } catch (error) {
+      const details = Array.isArray(error.details)
+        ? '\n' + error.details.map(item => `Attachment ${item.attachment + 1}: ${item.errors.join(', ')}`).join('\n')
+        : ''
+      alert(`Failed to open dispute: ${handleAPIError(error)}${details}`)
+    } finally {
+      setGuaranteeAction('')
+    }
+  }
+
   // Reset form when switching tabs
   const handleTabChange = (tab) => {
     if (tab !== 'create') {
       resetCreateForm()
     }
+    if (tab === 'import') {
+      loadImportJobs()
+    } else {
+      setImportFile(null)
+      setImportErrors([])
+    }
+    if (tab === 'guarantees') {
+      loadMyDisputes()
+    } else {
+      resetDisputeForm()
+    }
     if (tab !== 'update') {
       setSelectedPackageId('')
       setNewStatus('collected')
@@ -364,9 +629,43 @@ function DeliveryDashboard() {
         </div>
       </div>
 
+      {/* At-Risk Shipments */}
+      {atRiskShipments.length > 0 && (
+        <div className="bg-white rounded-lg p-6 shadow-lg border-l-4 border-orange-500">
+          <h3 className="text-xl font-semibold text-gray-800 flex items-center mb-4">
+            <AlertTriangle className="w-5 h-5 mr-2 text-orange-600" />
+            At-Risk Shipments ({atRiskShipments.length})
+          </h3>
+          <div className="space-y-2">
+            {atRiskShipments.map(shipment => (
+              <div key={shipment.mailId} className="flex items-center justify-between p-3 border rounded-lg">
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {shipment.trackingNumber || shipment.mailId}
+                    {packages.some(pkg => pkg.mailId === shipment.mailId) && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs bg-blue-100 text-blue-800">assigned to you</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">Guaranteed by {new Date(shipment.deadline).toLocaleString()}</p>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-sm ${slaBadgeClass(shipment.secondsRemaining)}`}>
+                  {formatTimeRemaining(shipment.secondsRemaining)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Recent Express List */}
       <div className="bg-white rounded-lg p-6 shadow-lg">
-        <h3 className="text-xl font-semibold text-gray-800 mb-4">Recently Processed Express</h3>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold text-gray-800">Assigned Express ({packages.length})</h3>
+          <span className="flex items-center text-sm text-gray-600">
+            <CheckCircle className="w-4 h-4 mr-1 text-green-600" />
+            {completedToday} delivered today
+          </span>
+        </div>
         {isLoading ? (
           <div className="text-center py-8">
             <Loader2 className="w-8 h-8 text-blue-600 mx-auto mb-2 animate-spin" />
@@ -385,9 +684,21 @@ function DeliveryDashboard() {
                 <div className="flex items-center space-x-4">
                   <Package className="w-8 h-8 text-blue-600" />
                   <div>
-                    <p className="font-medium text-gray-800">Express Number: {pkg.id}</p>
+                    <p className="font-medium text-gray-800">
+                      Express Number: {pkg.id}
+                      {pkg.priority && (
+                        <span className={`ml-2 px-2 py-0.5 rounded text-xs capitalize ${
+                          pkg.priority === 'high' ? 'bg-red-100 text-red-800' :
+                          pkg.priority === 'low' ? 'bg-gray-100 text-gray-700' :
+                          'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {pkg.priority}
+                        </span>
+                      )}
+                    </p>
                     <p className="text-sm text-gray-600">Recipient: {pkg.recipient}</p>
                     <p className="text-xs text-gray-500">Address: {pkg.address}</p>
+                    {pkg.eta && <p className="text-xs text-gray-500">ETA: {pkg.eta}</p>}
                   </div>
                 </div>
                 <div className="text-right">
@@ -652,11 +963,9 @@ function DeliveryDashboard() {
             className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-green-500"
             required
           >
-            <option value="collected">Collected</option>
-            <option value="in_transit">In Transit</option>
-            <option value="out_for_delivery">Out for Delivery</option>
-            <option value="delivered">Delivered</option>
-            <option value="exception">Exception</option>
+            {DELIVERY_STATUSES.map((status) => (
+              <option key={status.name} value={status.name}>{status.label}</option>
+            ))}
           </select>
         </div>
         <div>
@@ -709,6 +1018,289 @@ function DeliveryDashboard() {
     </div>
   )
 
+  const renderImportForm = () => (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg p-6 shadow-lg">
+        <h3 className="text-xl font-semibold text-gray-800 mb-2">Import Express Manifest</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Upload a CSV file with a header row, or a JSON array of express orders. Only recipientId and mailType
+          are required: blank IDs are generated and the sender defaults to your address. Every row is checked
+          before anything is registered.
+        </p>
+        <p className="text-xs text-gray-500 mb-4">
+          CSV columns: <span className="font-mono">{IMPORT_COLUMNS.join(', ')}</span>
+        </p>
+        <input
+          key={importFile ? importFile.name : 'empty'}
+          type="file"
+          accept=".csv,.json"
+          onChange={handleImportFileChange}
+          className="w-full p-3 border rounded-lg"
+        />
+
+        {importErrors.length > 0 && (
+          <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="font-medium text-red-800 mb-2">
+              {importErrors.length} row{importErrors.length === 1 ? '' : 's'} rejected. Fix the manifest and upload it again.
+            </p>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-red-700">
+                  <th className="py-1 pr-4 font-medium">Row</th>
+                  <th className="py-1 font-medium">Errors</th>
+                </tr>
+              </thead>
+              <tbody>
+                {importErrors.map(rowError => (
+                  <tr key={rowError.row} className="border-b border-red-100 align-top">
+                    <td className="py-1 pr-4">{rowError.row}</td>
+                    <td className="py-1">
+                      {rowError.errors.map(message => <div key={message}>{message}</div>)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex space-x-4 pt-4">
+          <Button
+            onClick={handleImportSubmit}
+            className="bg-blue-600 hover:bg-blue-700"
+            disabled={!importFile || isImporting}
+          >
+            {isImporting ? (
+              <>
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Validating Manifest...
+              </>
+            ) : (
+              <>
+                <Upload className="w-4 h-4 mr-2" />
+                Import Manifest
+              </>
+            )}
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => handleTabChange('overview')}
+            disabled={isImporting}
+          >
+            Cancel
+          </Button>
+        </div>
+      </div>
+
+      {importJob && (
+        <div className="bg-white rounded-lg p-6 shadow-lg">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-xl font-semibold text-gray-800">Import {importJob.jobId}</h3>
+              <p className="text-sm text-gray-600">
+                {importJob.counts.registered || 0} of {importJob.totalRows} registered
+                {importJob.counts.failed ? `, ${importJob.counts.failed} failed` : ''}
+              </p>
+            </div>
+            <span className={`flex items-center px-3 py-1 rounded-full text-sm ${importStatusClass(importJob.status)}`}>
+              {!FINISHED_IMPORT_STATUSES.includes(importJob.status) && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+              {importJob.status.replace(/_/g, ' ')}
+            </span>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-600">
+                  <th className="py-2 pr-4 font-medium">Row</th>
+                  <th className="py-2 pr-4 font-medium">Express Number</th>
+                  <th className="py-2 pr-4 font-medium">Status</th>
+                  <th className="py-2 pr-4 font-medium">Transaction</th>
+                  <th className="py-2 font-medium">Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {importJob.rows.map(row => (
+                  <tr key={row.row} className="border-b hover:bg-gray-50 align-top">
+                    <td className="py-2 pr-4">{row.row}</td>
+                    <td className="py-2 pr-4">
+                      <div className="font-mono text-gray-800">{row.trackingNumber}</div>
+                      <div className="text-xs text-gray-500">{row.mailId}</div>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-0.5 rounded text-xs ${importStatusClass(row.status)}`}>{row.status}</span>
+                    </td>
+                    <td className="py-2 pr-4 font-mono text-xs">{row.transactionHash ? shortenAddress(row.transactionHash) : '—'}</td>
+                    <td className="py-2 text-red-700">{row.error || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {importJobs.length > 0 && (
+        <div className="bg-white rounded-lg p-6 shadow-lg">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4">Recent Imports</h3>
+          <div className="space-y-2">
+            {importJobs.map(job => (
+              <div key={job.jobId} className="flex items-center justify-between p-3 border rounded-lg hover:bg-gray-50">
+                <div>
+                  <p className="font-mono text-sm text-gray-800">{job.jobId}</p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(job.createdAt).toLocaleString()} · {job.totalRows} rows · {job.sourceFormat.toUpperCase()}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <span className={`px-2 py-0.5 rounded text-xs ${importStatusClass(job.status)}`}>{job.status.replace(/_/g, ' ')}</span>
+                  <Button variant="outline" size="sm" onClick={() => handleViewImportJob(job.jobId)}>
+                    View
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+
+  const renderGuarantees = () => (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg p-6 shadow-lg">
+        <h3 className="text-xl font-semibold text-gray-800 mb-2 flex items-center">
+          <Shield className="w-5 h-5 mr-2 text-blue-600" />
+          Delivery Guarantees
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Active guarantees can be cancelled for a full escrow refund. Fulfilled or breached guarantees can be
+          disputed once, with evidence, for an administrator to review.
+        </p>
+        <div className="flex space-x-4">
+          <input
+            type="text"
+            value={guaranteeMailId}
+            onChange={(e) => setGuaranteeMailId(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && loadMailGuarantees()}
+            placeholder="Enter mail ID"
+            className="flex-1 p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+          <Button
+            onClick={() => loadMailGuarantees()}
+            disabled={isLoadingGuarantees || !guaranteeMailId.trim()}
+            className="bg-blue-600 hover:bg-blue-700"
+          >
+            {isLoadingGuarantees ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Search className="w-4 h-4 mr-2" />}
+            Find Guarantees
+          </Button>
+        </div>
+
+        {mailGuarantees && (
+          <div className="mt-6 space-y-3">
+            {mailGuarantees.guarantees.length === 0 ? (
+              <p className="text-sm text-gray-500">No guarantees found for {mailGuarantees.mailId}</p>
+            ) : mailGuarantees.guarantees.map(guarantee => {
+              const status = guarantee.status === null ? null : GUARANTEE_STATUS_NAMES[guarantee.status]
+              return (
+                <div key={guarantee.guaranteeIdHash} className="p-4 border rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-mono text-sm text-gray-800">{guarantee.guaranteeId || guarantee.guaranteeIdHash}</p>
+                      <p className="text-xs text-gray-500">
+                        Penalty {guarantee.penaltyAmount} ETH · Due {new Date(guarantee.guaranteedDeliveryTime * 1000).toLocaleString()} · Customer {shortenAddress(guarantee.customer)}
+                      </p>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <span className={`px-2 py-0.5 rounded text-xs ${guaranteeStatusClass(status)}`}>{status || 'unknown'}</span>
+                      {status === 'ACTIVE' && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleCancelGuarantee(guarantee.guaranteeId)}
+                          disabled={guaranteeAction === guarantee.guaranteeId}
+                        >
+                          {guaranteeAction === guarantee.guaranteeId && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                          Cancel
+                        </Button>
+                      )}
+                      {DISPUTABLE_GUARANTEE_STATUSES.includes(status) && disputeGuaranteeId !== guarantee.guaranteeId && (
+                        <Button variant="outline" size="sm" onClick={() => setDisputeGuaranteeId(guarantee.guaranteeId)}>
+                          Dispute
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+
+                  {disputeGuaranteeId === guarantee.guaranteeId && (
+                    <div className="mt-4 pt-4 border-t space-y-3">
+                      <label className="block text-sm font-medium text-gray-700">
+                        Reason <span className="text-red-500">*</span>
+                      </label>
+                      <textarea
+                        value={disputeReason}
+                        onChange={(e) => setDisputeReason(e.target.value)}
+                        rows={3}
+                        className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500"
+                        placeholder="What went wrong with this delivery?"
+                      />
+                      <label className="block text-sm font-medium text-gray-700">Evidence (PDF, images or text, up to 5 files)</label>
+                      <input
+                        type="file"
+                        multiple
+                        accept={DISPUTE_ATTACHMENT_ACCEPT}
+                        onChange={(e) => setDisputeFiles(Array.from(e.target.files))}
+                        className="w-full p-2 border rounded-lg text-sm"
+                      />
+                      <div className="flex space-x-3">
+                        <Button
+                          onClick={handleOpenDispute}
+                          disabled={guaranteeAction === guarantee.guaranteeId || !disputeReason.trim()}
+                          className="bg-blue-600 hover:bg-blue-700"
+                        >
+                          {guaranteeAction === guarantee.guaranteeId && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                          Submit Dispute
+                        </Button>
+                        <Button variant="outline" onClick={resetDisputeForm} disabled={guaranteeAction === guarantee.guaranteeId}>
+                          Cancel
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+
+      {myDisputes.length > 0 && (
+        <div className="bg-white rounded-lg p-6 shadow-lg">
+          <h3 className="text-xl font-semibold text-gray-800 mb-4">My Disputes</h3>
+          <div className="space-y-2">
+            {myDisputes.map(dispute => (
+              <div key={dispute.disputeId} className="p-3 border rounded-lg">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="font-mono text-sm text-gray-800">{dispute.guaranteeId}</p>
+                    <p className="text-xs text-gray-500">Opened {new Date(dispute.createdAt).toLocaleString()} · {dispute.reason}</p>
+                  </div>
+                  <span className={`px-2 py-0.5 rounded text-xs ${dispute.status === 'open' ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'}`}>
+                    {dispute.status === 'open' ? 'under review' : dispute.outcome.replace(/_/g, ' ')}
+                  </span>
+                </div>
+                {dispute.status === 'resolved' && (
+                  <p className="text-xs text-gray-600 mt-2">
+                    {Number(dispute.refundAmount) > 0 && `Refund ${dispute.refundAmount} ETH · `}{dispute.resolutionNotes}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+
   // Show loading while checking address
   if (isCheckingAddress) {
     return (
@@ -817,12 +1409,26 @@ function DeliveryDashboard() {
           >
             Update Status
           </Button>
+          <Button 
+            onClick={() => handleTabChange('import')}
+            variant={activeTab === 'import' ? 'default' : 'outline'}
+          >
+            Import Manifest
+          </Button>
+          <Button 
+            onClick={() => handleTabChange('guarantees')}
+            variant={activeTab === 'guarantees' ? 'default' : 'outline'}
+          >
+            Guarantees
+          </Button>
         </div>
 
         {/* Content Area */}
         {activeTab === 'overview' && renderOverview()}
         {activeTab === 'create' && renderCreateForm()}
         {activeTab === 'update' && renderUpdateForm()}
+        {activeTab === 'import' && renderImportForm()}
+        {activeTab === 'guarantees' && renderGuarantees()}
       </div>
     </div>
   )
@@ -3,8 +3,12 @@ import { useNavigate } from 'react-router-dom'
 import { useState, useEffect } from 'react'
 import { useWallet } from '../contexts/WalletContext.jsx'
 import { deliveryAPI, mailAPI, handleAPIError } from '../services/api.js'
+import { statusName, statusLabel } from '@/lib/deliveryStatus.js'
 import { User, Package, Search, ArrowLeft, MapPin, Clock, Truck, CheckCircle, AlertCircle, Wallet, LogOut, Loader2, RefreshCw } from 'lucide-react'
 
+// Most recent parcels shown on the dashboard (the API's largest page)
+const RECIPIENT_MAIL_LIMIT = 100
+
 function RecipientDashboard() {
   const navigate = useNavigate()
   const { account, shortenAddress, disconnect, isConnected } = useWallet()
@@ -41,7 +45,7 @@ function RecipientDashboard() {
       console.log('Loading packages for recipient address:', account)
       
       // Get mails for the current recipient address
-      const response = await mailAPI.getRecipientMails(account)
+      const response = await mailAPI.getRecipientMails(account, { pageSize: RECIPIENT_MAIL_LIMIT })
       console.log('API Response:', response)
       
       if (response.success && response.data) {
@@ -57,7 +61,7 @@ function RecipientDashboard() {
             try {
               const historyResponse = await mailAPI.getTrackingHistory(mail.trackingNumber)
               if (historyResponse.success && historyResponse.data) {
-                trackingHistory = historyResponse.data.history.map(track => ({
+                trackingHistory = historyResponse.data.trackingHistory.map(track => ({
                   time: new Date(track.timestamp).toLocaleString(),
                   location: track.location,
                   status: track.status,
@@ -77,8 +81,8 @@ function RecipientDashboard() {
                 {
                   time: new Date(mail.lastUpdateTime).toLocaleString(),
                   location: mail.currentLocation || 'Processing Center',
-                  status: getStatusFromCode(mail.status),
-                  description: getStatusDescription(getStatusFromCode(mail.status), mail.currentLocation)
+                  status: statusName(mail.status),
+                  description: getStatusDescription(statusName(mail.status), mail.currentLocation)
                 }
               ]
             }
@@ -87,7 +91,7 @@ function RecipientDashboard() {
               id: mail.trackingNumber,
               mailId: mail.mailId,
               sender: getSenderName(mail.senderAddress),
-              status: getUIStatus(mail.status),
+              status: statusLabel(Number(mail.status)),
               currentLocation: mail.currentLocation || getLocationFromStatus(mail.status),
               estimatedDelivery: new Date(mail.guaranteedDeliveryTime).toLocaleString(),
               trackingHistory: trackingHistory
@@ -120,30 +124,6 @@ function RecipientDashboard() {
   }
 
   // Helper functions to transform backend data
-  const getStatusFromCode = (statusCode) => {
-    const statusMap = {
-      0: 'registered',
-      1: 'collected', 
-      2: 'in_transit',
-      3: 'out_for_delivery',
-      4: 'delivered',
-      5: 'exception'
-    }
-    return statusMap[statusCode] || 'unknown'
-  }
-
-  const getUIStatus = (statusCode) => {
-    const uiStatusMap = {
-      0: 'Registered',
-      1: 'Collected',
-      2: 'In Transit',
-      3: 'Out for Delivery', 
-      4: 'Delivered',
-      5: 'Exception'
-    }
-    return uiStatusMap[statusCode] || 'Unknown'
-  }
-
   const getLocationFromStatus = (statusCode) => {
     const locationMap = {
       0: 'Origin Post Office',
@@ -202,7 +182,7 @@ function RecipientDashboard() {
   // Search for package by tracking number
   const searchPackage = async () => {
     if (!searchQuery.trim()) {
-      alert('Please enter a mailID to search')
+      alert('Please enter a tracking number to search')
       return
     }
 
@@ -216,7 +196,7 @@ function RecipientDashboard() {
         alert(`Package found! Tracking Number: ${response.data.trackingNumber}`)
       } else {
         setSearchResults(null)
-        alert('Package not found with this mailID')
+        alert('Package not found with this tracking number')
       }
     } catch (error) {
       console.error('Search error:', error)
@@ -329,7 +309,7 @@ function RecipientDashboard() {
               type="text"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
-              placeholder="Enter mail ID"
+              placeholder="Enter tracking number"
               className="flex-1 p-3 border rounded-lg focus:ring-2 focus:ring-green-500"
               onKeyPress={(e) => e.key === 'Enter' && searchPackage()}
             />
@@ -357,11 +337,10 @@ function RecipientDashboard() {
               <h4 className="font-medium text-green-800 mb-2">Search Results</h4>
               <div className="text-sm text-green-700 space-y-1">
                 <p><strong>Tracking Number:</strong> {searchResults.trackingNumber}</p>
-                <p><strong>Status:</strong> {searchResults.status || 'Unknown'}</p>
+                <p><strong>Mail ID:</strong> {searchResults.mailId}</p>
+                <p><strong>Status:</strong> {statusLabel(searchResults.status)}</p>
                 <p><strong>Current Location:</strong> {searchResults.currentLocation || 'Unknown'}</p>
-                {searchResults.estimatedDelivery && (
-                  <p><strong>Estimated Delivery:</strong> {new Date(searchResults.estimatedDelivery).toLocaleString()}</p>
-                )}
+                <p><strong>Estimated Delivery:</strong> {new Date(searchResults.guaranteedDeliveryTime).toLocaleString()}</p>
               </div>
             </div>
           )}
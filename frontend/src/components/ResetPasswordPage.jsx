@@ -0,0 +1,139 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Label } from '@/components/ui/label.jsx'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { userAPI, handleAPIError } from '../services/api.js'
+import { ArrowLeft, Loader2, Lock, AlertCircle } from 'lucide-react'
+
+// Landing page of the emailed password reset link (?token=...)
+function ResetPasswordPage() {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [passwords, setPasswords] = useState({ newPassword: '', confirmPassword: '' })
+  const [isResetting, setIsResetting] = useState(false)
+  const [resetError, setResetError] = useState('')
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setPasswords(prev => ({ ...prev, [name]: value }))
+    if (resetError) setResetError('')
+  }
+
+  const handleReset = async (e) => {
+    e.preventDefault()
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setResetError('Passwords do not match')
+      return
+    }
+
+    setIsResetting(true)
+    setResetError('')
+
+    try {
+      const response = await userAPI.confirmPasswordReset(token, passwords.newPassword)
+      if (response.success) {
+        alert('✅ Password Reset!\n\nYour password has been changed and all sessions were signed out. Please sign in again.')
+        navigate('/signin')
+      } else {
+        setResetError(response.error || 'Password reset failed')
+      }
+    } catch (error) {
+      setResetError(handleAPIError(error))
+    } finally {
+      setIsResetting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-100 flex flex-col items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        <div className="mb-6">
+          <Button
+            onClick={() => navigate('/signin')}
+            variant="ghost"
+            className="text-gray-600 hover:text-gray-800"
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back to Sign In
+          </Button>
+        </div>
+
+        <div className="bg-white rounded-xl p-8 shadow-lg">
+          <div className="text-center mb-6">
+            <div className="bg-blue-100 rounded-full w-16 h-16 flex items-center justify-center mx-auto mb-4">
+              <Lock className="w-8 h-8 text-blue-600" />
+            </div>
+            <h2 className="text-2xl font-bold text-gray-800 mb-2">Choose a New Password</h2>
+            <p className="text-gray-600">The reset link can only be used once</p>
+          </div>
+
+          {!token ? (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center text-red-700">
+              <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+              <span className="text-sm">This reset link is missing its token. Request a new one from the sign in page.</span>
+            </div>
+          ) : (
+            <form onSubmit={handleReset} className="space-y-4">
+              {resetError && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center text-red-700">
+                  <AlertCircle className="w-5 h-5 mr-2 flex-shrink-0" />
+                  <span className="text-sm">{resetError}</span>
+                </div>
+              )}
+
+              <div>
+                <Label htmlFor="newPassword" className="text-sm font-medium text-gray-700">
+                  New Password
+                </Label>
+                <Input
+                  id="newPassword"
+                  name="newPassword"
+                  type="password"
+                  value={passwords.newPassword}
+                  onChange={handleChange}
+                  placeholder="Enter a new password"
+                  disabled={isResetting}
+                  required
+                />
+              </div>
+
+              <div>
+                <Label htmlFor="confirmPassword" className="text-sm font-medium text-gray-700">
+                  Confirm Password
+                </Label>
+                <Input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  value={passwords.confirmPassword}
+                  onChange={handleChange}
+                  placeholder="Repeat the new password"
+                  disabled={isResetting}
+                  required
+                />
+              </div>
+
+              <Button
+                type="submit"
+                disabled={isResetting}
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white py-3"
+              >
+                {isResetting ? (
+                  <>
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    Resetting...
+                  </>
+                ) : 'Reset Password'}
+              </Button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPasswordPage
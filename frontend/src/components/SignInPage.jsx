@@ -9,9 +9,10 @@ import { Truck, User, Wallet, ArrowLeft, Loader2, Shield, Mail, Lock, AlertCircl
 
 function SignInPage() {
   const navigate = useNavigate()
-  const { connectWallet, authenticateUser, disconnect, isConnecting, account } = useWallet()
+  const { connectWallet, authenticateUser, signInWithEthereum, disconnect, isConnecting, account } = useWallet()
   const [currentStep, setCurrentStep] = useState('wallet') // 'wallet' or 'credentials'
   const [selectedRole, setSelectedRole] = useState('')
+  const [authMethod, setAuthMethod] = useState('password') // 'password' or 'siwe'
   const [credentials, setCredentials] = useState({ email: '', password: '' })
   const [isAuthenticating, setIsAuthenticating] = useState(false)
   const [authError, setAuthError] = useState('')
@@ -27,9 +28,11 @@ function SignInPage() {
     }
   }
 
-  // Step 2: Authenticate with email/password for each role
+  // Step 2: Authenticate with email/password, or a signed wallet message, for each role
   const handleRoleAuth = async (role) => {
-    if (!credentials.email || !credentials.password) {
+    if (isAuthenticating) return
+
+    if (authMethod === 'password' && (!credentials.email || !credentials.password)) {
       const errorMessage = 'Please enter both email and password'
       const failureMessage = `❌ Sign In Failed!\n\nError: ${errorMessage}\n\n• Email field is required\n• Password field is required\n• Please fill in all fields`
       
@@ -70,14 +73,16 @@ function SignInPage() {
       }*/
 
       // Then authenticate with backend
-      const result = await authenticateUser(credentials.email, credentials.password, role)
+      const result = authMethod === 'siwe'
+        ? await signInWithEthereum(role)
+        : await authenticateUser(credentials.email, credentials.password, role)
       
       console.log('Authentication API response:', result)
       
       if (result && result.success) {
         // Success alert with user details
         const user = result.user || {}
-        const successMessage = `✅ Sign In Successful!\n\n• Welcome ${user.name || 'User'}!\n• Email: ${credentials.email}\n• Role: ${role.charAt(0).toUpperCase() + role.slice(1)}\n• Wallet: ${user.userAddress ? user.userAddress.slice(0, 6) + '...' + user.userAddress.slice(-4) : 'Connected'}\n\nRedirecting to your dashboard...`
+        const successMessage = `✅ Sign In Successful!\n\n• Welcome ${user.name || 'User'}!\n• Email: ${user.email || credentials.email || 'N/A'}\n• Role: ${role.charAt(0).toUpperCase() + role.slice(1)}\n• Wallet: ${user.userAddress ? user.userAddress.slice(0, 6) + '...' + user.userAddress.slice(-4) : 'Connected'}\n\nRedirecting to your dashboard...`
         
         alert(successMessage)
         
@@ -111,6 +116,22 @@ function SignInPage() {
     }
   }
 
+  // Email a password reset link to the address in the email field
+  const handleForgotPassword = async () => {
+    if (!credentials.email) {
+      setAuthError('Enter your registered email to reset your password')
+      return
+    }
+
+    try {
+      const response = await userAPI.requestPasswordReset(credentials.email)
+      alert(`📧 ${response.message}`)
+      setAuthError('')
+    } catch (error) {
+      setAuthError(handleAPIError(error))
+    }
+  }
+
   const handleCredentialsChange = (e) => {
     const { name, value } = e.target
     setCredentials(prev => ({ ...prev, [name]: value }))
@@ -165,7 +186,9 @@ function SignInPage() {
           <p className="text-lg text-gray-600">
             {currentStep === 'wallet' 
               ? 'First, connect your Web3 wallet to authenticate'
-              : 'Enter your registered email and password'
+              : authMethod === 'siwe'
+                ? 'Sign a message with your wallet to prove ownership'
+                : 'Enter your registered email and password'
             }
           </p>
           
@@ -265,7 +288,31 @@ function SignInPage() {
                   <Lock className="w-8 h-8 text-blue-600" />
                 </div>
                 <h2 className="text-2xl font-bold text-gray-800 mb-2">Enter Your Credentials</h2>
-                <p className="text-gray-600">Use your registered email and password</p>
+                <p className="text-gray-600">
+                  {authMethod === 'siwe'
+                    ? 'Choose a role, then sign the sign-in message in your wallet'
+                    : 'Use your registered email and password'}
+                </p>
+                <div className="mt-4 inline-flex rounded-lg bg-gray-100 p-1">
+                  <Button
+                    onClick={() => { setAuthMethod('password'); setAuthError('') }}
+                    variant={authMethod === 'password' ? 'default' : 'ghost'}
+                    size="sm"
+                    disabled={isAuthenticating}
+                  >
+                    <Lock className="w-3 h-3 mr-1" />
+                    Email &amp; Password
+                  </Button>
+                  <Button
+                    onClick={() => { setAuthMethod('siwe'); setAuthError('') }}
+                    variant={authMethod === 'siwe' ? 'default' : 'ghost'}
+                    size="sm"
+                    disabled={isAuthenticating}
+                  >
+                    <Wallet className="w-3 h-3 mr-1" />
+                    Sign in with Wallet
+                  </Button>
+                </div>
                 <div className="mt-2 p-2 bg-gray-50 rounded-lg flex items-center justify-between">
                   <p className="text-xs text-gray-500">
                     Wallet: {account?.slice(0, 6)}...{account?.slice(-4)}
@@ -281,6 +328,7 @@ function SignInPage() {
                 </div>
               </div>
 
+              {authMethod === 'password' && (
               <div className="space-y-4">
                 <div>
                   <Label htmlFor="email" className="text-sm font-medium text-gray-700">
@@ -318,8 +366,20 @@ function SignInPage() {
                       disabled={isAuthenticating}
                     />
                   </div>
+                  <div className="text-right mt-1">
+                    <Button
+                      onClick={handleForgotPassword}
+                      variant="link"
+                      size="sm"
+                      className="text-xs text-gray-500 hover:text-blue-600 p-0 h-auto"
+                      disabled={isAuthenticating}
+                    >
+                      Forgot password?
+                    </Button>
+                  </div>
                 </div>
               </div>
+              )}
 
             </div>
 
@@ -372,7 +432,9 @@ function SignInPage() {
               <div className="mt-4 text-center">
                 <div className="inline-flex items-center px-4 py-2 bg-blue-50 rounded-lg">
                   <Loader2 className="w-4 h-4 animate-spin mr-2 text-blue-600" />
-                  <span className="text-sm text-blue-600">Authenticating...</span>
+                  <span className="text-sm text-blue-600">
+                    {authMethod === 'siwe' ? 'Waiting for wallet signature...' : 'Authenticating...'}
+                  </span>
                 </div>
               </div>
             )}
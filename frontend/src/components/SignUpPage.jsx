@@ -9,7 +9,7 @@ import { User, Wallet, ArrowLeft, Loader2, Mail, Lock, AlertCircle, CheckCircle,
 
 function SignUpPage() {
   const navigate = useNavigate()
-  const { connectWallet, disconnect, isConnecting, account } = useWallet()
+  const { connectWallet, sendWalletTransaction, disconnect, isConnecting, account } = useWallet()
   const [currentStep, setCurrentStep] = useState('wallet') // 'wallet' or 'registration'
   const [credentials, setCredentials] = useState({ name: '', email: '', password: '' })
   const [isRegistering, setIsRegistering] = useState(false)
@@ -60,13 +60,22 @@ function SignUpPage() {
         console.log('Could not check registration status, proceeding with registration')
       }
       
-      // Register user with backend API, including wallet address
-      const response = await userAPI.register({
+      const userData = {
         name: credentials.name,
         email: credentials.email,
         password: credentials.password,
         userAddress: account // Pass the connected wallet address
-      })
+      }
+
+      // UserRegistry records msg.sender, so the registration is sent from the connected wallet
+      const prepared = await userAPI.prepareRegistration(userData)
+      let transactionHash
+      if (!prepared.data.managed) {
+        transactionHash = await sendWalletTransaction(prepared.data.transaction)
+      }
+
+      // Register user with backend API once the on-chain registration is sent
+      const response = await userAPI.register({ ...userData, transactionHash })
       
       console.log('Registration API response:', response)
       
@@ -90,7 +99,10 @@ function SignUpPage() {
       }
     } catch (error) {
       console.error('Registration error:', error)
-      const errorMessage = handleAPIError(error)
+      // Wallets reject with code 4001 / ACTION_REJECTED when the user declines the transaction
+      const errorMessage = error.code === 4001 || error.code === 'ACTION_REJECTED'
+        ? 'Registration transaction was rejected in your wallet'
+        : handleAPIError(error)
       
       // Network/system error alert
       const failureMessage = `❌ Registration Failed!\n\nSystem Error: ${errorMessage}\n\nPlease check your connection and try again.`
@@ -113,7 +113,7 @@ export const WalletProvider = ({ children }) => {
       }*/
 
       // Use backend API with password and userAddress
-      const response = await userAPI.authenticate(password, account)
+      const response = await userAPI.authenticate(password, account, role)
       
       if (response.success) {
         setUserRole(role)
@@ -121,7 +121,8 @@ export const WalletProvider = ({ children }) => {
         // Store authentication info
         localStorage.setItem('userRole', role)
         localStorage.setItem('walletAddress', account)
-        localStorage.setItem('authToken', response.token || 'mock_token_' + Date.now())
+        localStorage.setItem('authToken', response.data.accessToken)
+        localStorage.setItem('refreshToken', response.data.refreshToken)
         localStorage.setItem('userEmail', email)
         // localStorage.setItem('userName', userCreds.name)
 		localStorage.setItem('userName', "test")
@@ -147,6 +148,76 @@ export const WalletProvider = ({ children }) => {
     }
   }
 
+  // Send a backend-prepared transaction ({ to, data }) from the connected wallet; resolves to its hash
+  const sendWalletTransaction = async (transaction) => {
+    if (!provider) {
+      throw new Error('Please connect your wallet first')
+    }
+    const signer = await provider.getSigner()
+    const tx = await signer.sendTransaction({ to: transaction.to, data: transaction.data })
+    return tx.hash
+  }
+
+  // Authenticate by signing a Sign-In with Ethereum (EIP-4361) message, no password needed
+  const signInWithEthereum = async (role) => {
+    if (!account || !provider) {
+      return { success: false, error: 'Please connect your wallet first' }
+    }
+
+    try {
+      const signer = await provider.getSigner()
+      const address = await signer.getAddress()
+      const nonceResponse = await userAPI.getSiweNonce(address)
+      const { nonce, chainId, statement, version, issuedAt, expirationTime } = nonceResponse.data
+
+      const message = [
+        `${window.location.host} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        statement,
+        '',
+        `URI: ${window.location.origin}`,
+        `Version: ${version}`,
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`,
+        `Expiration Time: ${expirationTime}`
+      ].join('\n')
+
+      const signature = await signer.signMessage(message)
+      const response = await userAPI.verifySiwe(message, signature, role)
+
+      if (!response.success) {
+        return { success: false, error: response.error || 'Authentication failed' }
+      }
+
+      setUserRole(role)
+      localStorage.setItem('userRole', role)
+      localStorage.setItem('walletAddress', address)
+      localStorage.setItem('authToken', response.data.accessToken)
+      localStorage.setItem('refreshToken', response.data.refreshToken)
+      if (response.data.email) {
+        localStorage.setItem('userEmail', response.data.email)
+      }
+      localStorage.setItem('userName', response.data.name || shortenAddress(address))
+
+      return {
+        success: true,
+        user: {
+          ...response.data,
+          role: role
+        }
+      }
+    } catch (error) {
+      // Wallets reject with code 4001 / ACTION_REJECTED when the user declines to sign
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        return { success: false, error: 'Signature request was rejected' }
+      }
+      const errorMessage = handleAPIError(error)
+      return { success: false, error: errorMessage }
+    }
+  }
+
   // Legacy connectWallet method for compatibility (will be deprecated)
   const connectWalletWithRole = async (role) => {
     const walletResult = await connectWallet()
@@ -159,12 +230,18 @@ export const WalletProvider = ({ children }) => {
   }
 
   const disconnect = () => {
+    // Revoke the session server-side; local state is cleared regardless
+    if (localStorage.getItem('authToken')) {
+      userAPI.logout().catch(error => console.error('Error logging out:', error))
+    }
+
     setAccount(null)
     setProvider(null)
     setUserRole(null)
     localStorage.removeItem('userRole')
     localStorage.removeItem('walletAddress')
     localStorage.removeItem('authToken')
+    localStorage.removeItem('refreshToken')
     localStorage.removeItem('userEmail')
     localStorage.removeItem('userName')
   }
@@ -181,6 +258,8 @@ export const WalletProvider = ({ children }) => {
     isConnecting,
     connectWallet,
     authenticateUser,
+    signInWithEthereum,
+    sendWalletTransaction,
     connectWalletWithRole, // Legacy method
     disconnect,
     shortenAddress,
@@ -0,0 +1,16 @@
+import model from '@shared/deliveryStatus.json'
+
+// Delivery statuses as defined by DeliveryTracking/MailRegistry, shared with
+// the backend. Each entry is { code, key, name, label }.
+export const DELIVERY_STATUSES = model.statuses
+
+// Status name for an on-chain enum value, e.g. 4 -> 'delivered'
+export function statusName(code) {
+  return DELIVERY_STATUSES[Number(code)]?.name || 'unknown'
+}
+
+// Display label for an enum value or status name
+export function statusLabel(status) {
+  const match = DELIVERY_STATUSES.find(item => item.code === status || item.name === status)
+  return match ? match.label : 'Unknown'
+}
@@ -0,0 +1,13 @@
+// Display helpers for the SLA monitor's at-risk shipments
+
+// Time left before a deadline, e.g. '1h 25m left' or '40m overdue'
+export function formatTimeRemaining(seconds) {
+  const minutes = Math.floor(Math.abs(seconds) / 60)
+  const text = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`
+  return seconds > 0 ? `${text} left` : `${text} overdue`
+}
+
+// Badge colours: overdue shipments in red, at-risk ones in orange
+export function slaBadgeClass(seconds) {
+  return seconds > 0 ? 'bg-orange-100 text-orange-800' : 'bg-red-100 text-red-800'
+}
@@ -3,16 +3,55 @@ const API_BASE_URL = 'http://localhost:3001'
 // Default timeout for API requests (increased for blockchain transactions)
 const API_TIMEOUT = 120000
 
+// Exchange the stored refresh token for a new token pair
+const requestRefresh = async () => {
+  const refreshToken = localStorage.getItem('refreshToken')
+  if (!refreshToken) {
+    return false
+  }
+
+  const response = await fetch(`${API_BASE_URL}/api/user/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  })
+  const result = await response.json().catch(() => ({}))
+
+  if (!response.ok || !result.success) {
+    localStorage.removeItem('authToken')
+    localStorage.removeItem('refreshToken')
+    return false
+  }
+
+  localStorage.setItem('authToken', result.data.accessToken)
+  localStorage.setItem('refreshToken', result.data.refreshToken)
+  return true
+}
+
+// Refresh tokens are single-use, so requests that expire together share one refresh
+let refreshInFlight = null
+
+const refreshSession = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = requestRefresh().finally(() => {
+      refreshInFlight = null
+    })
+  }
+  return refreshInFlight
+}
+
 // Create a custom fetch function with timeout and common settings
-const fetchWithTimeout = async (url, options = {}) => {
+const fetchWithTimeout = async (url, options = {}, retried = false) => {
   const controller = new AbortController()
   const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT)
+  const authToken = localStorage.getItem('authToken')
   
   try {
     const response = await fetch(url, {
       ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
         ...options.headers,
       },
       signal: controller.signal,
@@ -21,7 +60,19 @@ const fetchWithTimeout = async (url, options = {}) => {
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}))
-      throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
+
+      // Access tokens are short-lived; refresh once and retry the request
+      if (response.status === 401 && errorData.code === 'TOKEN_EXPIRED' && !retried && await refreshSession()) {
+        return await fetchWithTimeout(url, options, true)
+      }
+
+      // Keep the server's details (e.g. per-row manifest errors) and error code for callers
+      // that act on them, such as a transaction to send from the wallet
+      const apiError = new Error(errorData.error || `HTTP error! status: ${response.status}`)
+      apiError.details = errorData.details
+      apiError.code = errorData.code
+      apiError.data = errorData.data
+      throw apiError
     }
     
     return await response.json()
@@ -49,7 +100,15 @@ export const healthAPI = {
 
 // User Management API
 export const userAPI = {
-  // Register new user
+  // Build the UserRegistry registration transaction for the user's wallet to send
+  prepareRegistration: async (userData) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/register/prepare`, {
+      method: 'POST',
+      body: JSON.stringify(userData)
+    })
+  },
+
+  // Register new user (pass transactionHash of the wallet-sent registration)
   register: async (userData) => {
     return await fetchWithTimeout(`${API_BASE_URL}/api/user/register`, {
       method: 'POST',
@@ -57,17 +116,84 @@ export const userAPI = {
     })
   },
 
-  // Authenticate user with password and userAddress
-  authenticate: async (password, userAddress) => {
+  // Authenticate user with password and userAddress, starting a session for the role
+  authenticate: async (password, userAddress, role) => {
     return await fetchWithTimeout(`${API_BASE_URL}/api/user/authenticate`, {
       method: 'POST',
-      body: JSON.stringify({ password, userAddress })
+      body: JSON.stringify({ password, userAddress, role })
+    })
+  },
+
+  // Get a single-use nonce for a Sign-In with Ethereum message
+  getSiweNonce: async (address) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/siwe/nonce?address=${encodeURIComponent(address)}`)
+  },
+
+  // Start a session from a signed Sign-In with Ethereum message (no password)
+  verifySiwe: async (message, signature, role) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/siwe/verify`, {
+      method: 'POST',
+      body: JSON.stringify({ message, signature, role })
+    })
+  },
+
+  // Revoke the current session
+  logout: async () => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/logout`, {
+      method: 'POST'
     })
   },
 
   // Get user information
   getUser: async (userAddress) => {
     return await fetchWithTimeout(`${API_BASE_URL}/api/user/${userAddress}`)
+  },
+
+  // Update the display name (transactionHash of the wallet-sent updateProfile call)
+  updateProfile: async (userAddress, name, transactionHash) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/${userAddress}/profile`, {
+      method: 'PUT',
+      body: JSON.stringify({ name, transactionHash })
+    })
+  },
+
+  // Change the signed-in user's password
+  changePassword: async (userAddress, currentPassword, newPassword) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/${userAddress}/password`, {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword })
+    })
+  },
+
+  // Email a password reset link
+  requestPasswordReset: async (email) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/password-reset/request`, {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    })
+  },
+
+  // Set a new password with a reset token
+  confirmPasswordReset: async (token, newPassword) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/password-reset/confirm`, {
+      method: 'POST',
+      body: JSON.stringify({ token, newPassword })
+    })
+  },
+
+  // Deactivate a user (admin); permanent also deactivates in UserRegistry
+  deactivate: async (userAddress, reason, permanent = false) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/${userAddress}/deactivate`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, permanent })
+    })
+  },
+
+  // Reactivate a suspended user (admin)
+  reactivate: async (userAddress) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/user/${userAddress}/reactivate`, {
+      method: 'POST'
+    })
   }
 }
 
@@ -86,72 +212,70 @@ export const workerAPI = {
     return await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/worker/${workerAddress}`)
   },
 
-  // Get all registered workers (Mock implementation - backend route doesn't exist)
-  getAllWorkers: async () => {
-    // Mock implementation since backend doesn't have this endpoint
-    return {
-      success: true,
-      data: [
-        {
-          workerAddress: "0x2Cb2E88CBE054982833A4A08658e1341Ca04b8dC",
-          name: "John Doe",
-          workerType: "delivery_worker",
-          isActive: true
-        },
-        {
-          workerAddress: "0x3Db3F88CBE054982833A4A08658e1341Ca04b8eF",
-          name: "Jane Smith", 
-          workerType: "delivery_worker",
-          isActive: true
-        }
-      ]
-    }
+  // List authorized workers, paginated with { page, pageSize }
+  getAllWorkers: async (pagination = {}) => {
+    const query = new URLSearchParams(pagination).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/workers${query ? `?${query}` : ''}`)
+  },
+
+  // Deauthorize a worker (admin only)
+  removeWorker: async (workerAddress) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/worker/${workerAddress}`, {
+      method: 'DELETE'
+    })
   },
 
-  // Check if worker exists and is valid
+  // Check the worker is authorized on chain and on the delivery address allowlist
   validateWorker: async (workerAddress) => {
     try {
-      const response = await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/worker/${workerAddress}`)
-      return response.success
+      const response = await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/worker/${workerAddress}/access`)
+      return response.success && response.data.canAccess
     } catch (error) {
       return false
     }
   }
 }
 
-// Admin Management API (Mock implementation - backend routes don't exist)
+// Admin Management API
 export const adminAPI = {
-  // Get all valid delivery addresses (Mock)
+  // Get the delivery address allowlist
   getValidAddresses: async () => {
-    // Mock implementation since backend doesn't have admin routes
-    return {
-      success: true,
-      data: [
-        "0x1234567890123456789012345678901234567890",
-        "0x2345678901234567890123456789012345678901",
-        "0x3456789012345678901234567890123456789012"
-      ]
-    }
+    return await fetchWithTimeout(`${API_BASE_URL}/api/admin/delivery-addresses`)
   },
 
-  // Add valid delivery address (Mock)
-  addValidAddress: async (address) => {
-    // Mock implementation since backend doesn't have admin routes
-    return {
-      success: true,
-      message: "Address added successfully (mock)",
-      data: { address }
-    }
+  // Add an address to the delivery allowlist
+  addValidAddress: async (address, label) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/admin/delivery-addresses`, {
+      method: 'POST',
+      body: JSON.stringify({ address, label })
+    })
   },
 
-  // Remove valid delivery address (Mock)
-  removeValidAddress: async (address) => {
-    // Mock implementation since backend doesn't have admin routes
-    return {
-      success: true,
-      message: "Address removed successfully (mock)",
-      data: { address }
-    }
+  // Remove an address from the delivery allowlist
+  removeValidAddress: async (address, reason) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/admin/delivery-addresses/${address}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ reason })
+    })
+  },
+
+  // Allowlist change history, filtered by { address, page, pageSize }
+  getAddressAudit: async (filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/admin/delivery-addresses/audit${query ? `?${query}` : ''}`)
+  },
+
+  // Assign or reassign a mail item to a worker
+  assignMail: async (assignment) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/assignments`, {
+      method: 'POST',
+      body: JSON.stringify(assignment)
+    })
+  },
+
+  // Every assignment of a mail item
+  getAssignmentHistory: async (mailId) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/assignments/${mailId}/history`)
   }
 }
 
@@ -170,34 +294,10 @@ export const mailAPI = {
     return await fetchWithTimeout(`${API_BASE_URL}/api/mail/${mailId}/details`)
   },
 
-  // Get mails for recipient (Mock implementation - would need proper backend implementation)
-  getRecipientMails: async (recipientAddress) => {
-    // Mock implementation since backend doesn't have a specific endpoint for recipient mails
-    // In reality, this would require filtering mails by recipient from a mail listing endpoint
-    return {
-      success: true,
-      data: {
-        recipientAddress,
-        mails: [
-          {
-            mailId: "MAIL_001",
-            trackingNumber: "TN123456789",
-            senderAddress: "0x1234567890123456789012345678901234567890",
-            status: "in_transit",
-            registrationTime: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-            estimatedDelivery: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-          },
-          {
-            mailId: "MAIL_002", 
-            trackingNumber: "TN987654321",
-            senderAddress: "0x2345678901234567890123456789012345678901",
-            status: "delivered",
-            registrationTime: new Date(Date.now() - 72 * 60 * 60 * 1000).toISOString(),
-            deliveredAt: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString()
-          }
-        ]
-      }
-    }
+  // Get mails addressed to a recipient, filtered by { status, page, pageSize }
+  getRecipientMails: async (recipientAddress, filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/mail/recipient/${recipientAddress}${query ? `?${query}` : ''}`)
   },
 
   // Get tracking history by tracking number
@@ -206,8 +306,46 @@ export const mailAPI = {
   },
 
   // Search mail by tracking number
-  searchByTrackingNumber: async (mailID) => {
-    return await fetchWithTimeout(`${API_BASE_URL}/api/mail/${mailID}/details`)
+  searchByTrackingNumber: async (trackingNumber) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/mail/by-tracking/${encodeURIComponent(trackingNumber)}`)
+  },
+
+  // Browse every mail item, filtered by { offset, limit, status, type }
+  listMails: async (filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/mail${query ? `?${query}` : ''}`)
+  },
+
+  // Current status and latest tracking scan for a list of mail IDs
+  getBulkStatus: async (mailIds) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/mail/bulk-status`, {
+      method: 'POST',
+      body: JSON.stringify({ mailIds })
+    })
+  },
+
+  // Get mails registered by a sender, filtered by { status, page, pageSize }
+  getSenderMails: async (senderAddress, filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/mail/sender/${senderAddress}${query ? `?${query}` : ''}`)
+  },
+
+  // Queue a bulk registration from a 'csv' or 'json' manifest (file contents as text)
+  importManifest: async (format, manifest) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/mail/import`, {
+      method: 'POST',
+      body: JSON.stringify({ format, manifest })
+    })
+  },
+
+  // List the current user's import jobs
+  listImportJobs: async () => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/mail/import`)
+  },
+
+  // Get an import job with the status of every row
+  getImportJob: async (jobId) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/mail/import/${jobId}`)
   }
 }
 
@@ -226,47 +364,21 @@ export const deliveryAPI = {
     return await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/delivery-history/${mailId}`)
   },
 
-  // Get performance metrics
-  getPerformance: async () => {
-    return await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/performance`)
+  // Get performance metrics, optionally filtered by { from, to, workerAddress }
+  getPerformance: async (filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/performance${query ? `?${query}` : ''}`)
   },
 
-  // Get metrics
-  getMetrics: async () => {
-    return await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/metrics`)
+  // Get metrics, optionally filtered by { from, to, workerAddress }
+  getMetrics: async (filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/delivery-tracking/metrics${query ? `?${query}` : ''}`)
   },
 
-  // Get packages assigned to a specific delivery worker (Mock implementation - backend route doesn't exist)
+  // Get a delivery worker's open assignments and today's completed count
   getAssignedPackages: async (workerAddress) => {
-    // Mock implementation since backend doesn't have this endpoint
-    return {
-      success: true,
-      data: {
-        workerAddress,
-        assignedPackages: [
-          {
-            mailId: "MAIL_WORKER_001",
-            trackingNumber: "TN456789123",
-            status: "collected",
-            priority: "high",
-            assignedAt: new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString(),
-            estimatedDelivery: new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString(),
-            deliveryAddress: "123 Main St, City"
-          },
-          {
-            mailId: "MAIL_WORKER_002",
-            trackingNumber: "TN789123456", 
-            status: "in_transit",
-            priority: "normal",
-            assignedAt: new Date(Date.now() - 8 * 60 * 60 * 1000).toISOString(),
-            estimatedDelivery: new Date(Date.now() + 16 * 60 * 60 * 1000).toISOString(),
-            deliveryAddress: "456 Oak Ave, Town"
-          }
-        ],
-        totalAssigned: 2,
-        completedToday: 3
-      }
-    }
+    return await fetchWithTimeout(`${API_BASE_URL}/api/assignments/worker/${workerAddress}`)
   }
 }
 
@@ -317,6 +429,94 @@ export const guaranteeAPI = {
   // Get guarantees for a specific mail
   getMailGuarantees: async (mailId) => {
     return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/mail/${mailId}`)
+  },
+
+  // Cancel an ACTIVE guarantee; pass the hash of a wallet-sent cancelGuarantee transaction if one was required
+  cancel: async (guaranteeId, transactionHash) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/${guaranteeId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ transactionHash })
+    })
+  },
+
+  // Dispute a FULFILLED or BREACHED guarantee (attachments: [{ fileName, contentType, content (base64) }])
+  openDispute: async (guaranteeId, reason, attachments = []) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/${guaranteeId}/dispute`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, attachments })
+    })
+  },
+
+  // List disputes (all for admins, otherwise your own), optionally by status
+  listDisputes: async (status = '') => {
+    const query = status ? `?status=${status}` : ''
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/disputes${query}`)
+  },
+
+  // Get a dispute with its attachment list
+  getDispute: async (disputeId) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/disputes/${disputeId}`)
+  },
+
+  // Download a dispute attachment as a Blob
+  getDisputeAttachment: async (disputeId, attachmentId) => {
+    const authToken = localStorage.getItem('authToken')
+    const response = await fetch(`${API_BASE_URL}/api/guarantee/disputes/${disputeId}/attachments/${attachmentId}`, {
+      headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+    })
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
+    }
+    return await response.blob()
+  },
+
+  // Resolve a dispute (admin): outcome is upheld, rejected or partial_refund
+  resolveDispute: async (disputeId, { outcome, refundAmount, notes }) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/disputes/${disputeId}/resolve`, {
+      method: 'POST',
+      body: JSON.stringify({ outcome, refundAmount, notes })
+    })
+  },
+
+  // Get a guarantee's escrow record and its ledger entry
+  getEscrow: async (guaranteeId) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/${guaranteeId}/escrow`)
+  },
+
+  // Settle the penalty of a guarantee that passed its guaranteed time undelivered
+  claimPenalty: async (guaranteeId) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/${guaranteeId}/claim-penalty`, {
+      method: 'POST'
+    })
+  },
+
+  // Get the penalty settlement of a guarantee
+  getSettlement: async (guaranteeId) => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/${guaranteeId}/settlement`)
+  },
+
+  // List penalty settlements (admin); filters: status, limit
+  listSettlements: async (filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/settlements${query ? `?${query}` : ''}`)
+  },
+
+  // Get shipments within two hours of their guaranteed deadline, or past it, from the last SLA monitor run
+  getAtRiskShipments: async () => {
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/sla/at-risk`)
+  },
+
+  // Get SLA status transitions; filters: mailId, status, limit
+  getSlaTransitions: async (filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/sla/transitions${query ? `?${query}` : ''}`)
+  },
+
+  // Get the reconciled escrow ledger (admin); filters: page, pageSize, mismatchesOnly
+  getEscrowLedger: async (filters = {}) => {
+    const query = new URLSearchParams(filters).toString()
+    return await fetchWithTimeout(`${API_BASE_URL}/api/guarantee/escrow/ledger${query ? `?${query}` : ''}`)
   }
 }
 
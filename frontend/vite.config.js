@@ -2,6 +2,7 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
 import path from 'path'
+import { fileURLToPath } from 'url'
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -9,6 +10,13 @@ export default defineConfig({
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),
+      // Models shared with the backend (generated from the contracts)
+      "@shared": fileURLToPath(new URL("../shared", import.meta.url)),
+    },
+  },
+  server: {
+    fs: {
+      allow: [".", "../shared"],
     },
   },
 })